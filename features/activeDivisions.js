@@ -2,7 +2,10 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const exportHandler = require("../utils/exportHandler.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 
 // Document identifiers for this script
 const DOC_ID = 'ACTIVE-DIVS';
@@ -157,9 +160,15 @@ async function handleActiveDivisionsUpdate(baseFolder) {
       leagueConfig.loadSchedule(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+
     const { divs } = leagueData;
     const { schedule, week, year } = scheduleData;
     const upcomingWeek = Number(week) + 1;
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week, season: year });
 
     // Build divisions with games next week (one row per unique division name)
     const activeDivisions = buildActiveDivisionsList(divs, schedule, upcomingWeek);
@@ -181,6 +190,7 @@ async function handleActiveDivisionsUpdate(baseFolder) {
 
     const templateFolder = await gamedayFolder.getEntry(DOC_ID);
     const templateFile = await templateFolder.getEntry(DOC_ID + '.psd');
+    const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFile.name);
 
     // Create Working Files folder if it doesn't exist
     let workingFolder;
@@ -298,11 +308,30 @@ async function handleActiveDivisionsUpdate(baseFolder) {
         applyTierLayerVisibility(divSlot, row.activeTiers, allTierKeys);
       }
 
+      // {{tokens}} in text layers; each DIV slot also sees its division
+      textTokens.applyTokens(doc, { ...tokenContext, upcomingWeek, divisionCount: numSlots }, {
+        scopes: activeDivisions.map((row, i) => ({
+          layer: getByName(parentForDivs, 'DIV ' + (i + 1)),
+          context: { division: { name: row.div || '', color: row.color1 || '', tiers: (row.activeTiers || []).join(', ') } }
+        })),
+        label: templateFile.name
+      });
+
+      // Template binding spec, if the designer added one
+      if (bindingSpec) {
+        await layerBindings.applyBindings(doc, bindingSpec, {
+          ...tokenContext,
+          upcomingWeek,
+          divisionCount: numSlots,
+          divisions: activeDivisions.map(row => ({ name: row.div || '', color: row.color1 || '', tiers: row.activeTiers || [] }))
+        }, { baseFolder });
+      }
+
       await doc.save();
 
       // Export PNG to Exports/Week {week}/ with upcoming week in filename
       const exportFile = await prepareActiveDivsExport(gamedayFolder, week, upcomingWeek);
-      const cdnPath = exportHandler.buildCdnPath(baseFolder.name, week, DOC_EXPORT, exportFile.name);
+      const cdnPath = exportHandler.buildCdnPath(leagueKey, week, DOC_EXPORT, exportFile.name);
       await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
 
     }, { commandName: 'Update ' + DOC_ID + ' Week ' + upcomingWeek });
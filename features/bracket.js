@@ -3,6 +3,10 @@ const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
 const exportHandler = require("../utils/exportHandler.js");
+const imageHandler = require("../utils/imageHandler.js");
+const bracketModel = require("../utils/bracketModel.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 const fs = require("uxp").storage.localFileSystem;
 
 // Small delay helper (used when closing previous doc)
@@ -37,6 +41,21 @@ async function handleBracketUpdate(baseFolder, divisionData) {
       gamedayFolder,
       templateFolder
     } = divisionData;
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+    const playoffs = await leagueConfig.getPlayoffSettings(baseFolder);
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week });
+
+    // This division's playoff games up to next week; scores after the selected week don't count yet
+    const playoffGames = schedule
+      .filter(g => g.gameType === 'Playoffs')
+      .filter(g => (g.conf + ' ' + g.division1) === confDiv || (g.conf + ' ' + g.division2) === confDiv)
+      .filter(g => Number(g.week) <= week + 1)
+      .map(g => (Number(g.week) > week ? { ...g, score1: '', score2: '' } : g));
+    // Seeds for games that leave Seed 1 / Seed 2 blank: division standings order
+    const standingsOrder = divTeams
+      .slice()
+      .sort((a, b) => (Number(a.rank) || 999) - (Number(b.rank) || 999))
+      .map(t => t.fullTeam);
 
     // Template file - try division-specific bracket first, then default bracket
     let templateFile;
@@ -45,6 +64,7 @@ async function handleBracketUpdate(baseFolder, divisionData) {
     } catch {
       templateFile = await templateFolder.getEntry(`${DOC_ID}.psd`);
     }
+    const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFile.name, `${DOC_ID}.psd`);
     
     // Create working files folder if it doesn't exist (BEFORE executeAsModal)
     let workingFolder;
@@ -98,12 +118,41 @@ async function handleBracketUpdate(baseFolder, divisionData) {
         console.log('Header update failed, continuing with export:', err);
       }
 
-      // TODO: Add bracket-specific logic here (teams, matchups, etc.)
+      // Matchups, series scores and champion (layout read from the template's ROUND / MATCHUP groups)
+      const roundGroups = findRoundGroups(doc);
+      const matchupCounts = roundGroups.map(group => matchupGroups(group).length);
+      const bracket = bracketModel.buildBracket({ games: playoffGames, matchupCounts, standingsOrder, playoffs });
+      if (!bracket.size) {
+        console.warn(`BRACKET ${divAbb}: ROUND groups hold ${matchupCounts.join('-') || 'no'} matchups; expected a 4, 6, 8 or 16 team layout. Only the header was updated.`);
+      } else {
+        const logoContext = { leagueKey, conf, divAbb, teams, baseFolder };
+        for (let r = 0; r < roundGroups.length; r++) {
+          const matchups = matchupGroups(roundGroups[r]);
+          for (let m = 0; m < matchups.length; m++) {
+            await updateMatchup(matchups[m], bracket.rounds[r] && bracket.rounds[r][m], logoContext);
+          }
+        }
+        const championGroup = findGroup(doc, 'CHAMPION');
+        if (championGroup) await updateBracketTeam(championGroup, bracket.champion || { team: null, seed: null }, logoContext);
+      }
+
+      // {{tokens}} in text layers
+      const champion = bracket.champion ? textTokens.findTeam(teams, bracket.champion.team) : null;
+      const bracketTokens = {
+        ...tokenContext,
+        division: { name: division, abb: divAbb, color: divColorHex },
+        conf: { name: conf, location: confLocation || '' },
+        champion: bracket.champion ? textTokens.teamTokens(champion, bracket.champion.team, { seed: bracket.champion.seed ?? '' }) : null
+      };
+      textTokens.applyTokens(doc, bracketTokens, { label: templateFile.name });
+
+      // Template binding spec, if the designer added one
+      if (bindingSpec) await layerBindings.applyBindings(doc, bindingSpec, { ...bracketTokens, rounds: bracket.rounds || [] }, { baseFolder });
 
       // Always export PNG to Exports/Week {week}/Bracket (even if no updates made)
       // This allows you to see which divisions triggered the bracket
       const exportFile = await prepareBracketExport(gamedayFolder, week, divAbb);
-      const cdnPath = exportHandler.buildCdnPath(baseFolder.name, week, DOC_EXPORT, exportFile.name);
+      const cdnPath = exportHandler.buildCdnPath(leagueKey, week, DOC_EXPORT, exportFile.name);
       await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
 
       await doc.save();
@@ -143,6 +192,80 @@ const getByName = (parent, name) => {
   return layers.find(l => l.name === name);
 };
 
+// "ROUND 1", "ROUND 2", ... groups anywhere in the document, in round order
+function findRoundGroups(doc) {
+  const rounds = [];
+  const queue = [doc];
+  while (queue.length) {
+    const node = queue.shift();
+    for (const layer of (node && node.layers) || []) {
+      const m = String(layer.name || '').trim().match(/^ROUND\s+(\d+)$/i);
+      if (m && layer.layers) rounds.push({ n: Number(m[1]), layer });
+      else if (layer.layers && layer.layers.length) queue.push(layer);
+    }
+  }
+  return rounds.sort((a, b) => a.n - b.n).map(r => r.layer);
+}
+
+// "MATCHUP 1", "MATCHUP 2", ... inside a round group, top to bottom
+function matchupGroups(roundGroup) {
+  return (roundGroup.layers || [])
+    .filter(l => /^MATCHUP\s+\d+$/i.test(String(l.name || '').trim()))
+    .sort((a, b) => Number(a.name.match(/\d+/)[0]) - Number(b.name.match(/\d+/)[0]));
+}
+
+function findGroup(doc, name) {
+  const queue = [doc];
+  while (queue.length) {
+    const node = queue.shift();
+    for (const layer of (node && node.layers) || []) {
+      if (layer.name === name && layer.layers) return layer;
+      if (layer.layers && layer.layers.length) queue.push(layer);
+    }
+  }
+  return null;
+}
+
+// Fill a MATCHUP group's TEAM 1 / TEAM 2 groups; a slot the bracket doesn't reach shows TBD
+async function updateMatchup(matchupGroup, slot, logoContext) {
+  const sides = slot ? slot.sides : [{ team: null, isTbd: true }, { team: null, isTbd: true }];
+  for (let t = 0; t < 2; t++) {
+    const teamGroup = getByName(matchupGroup, `TEAM ${t + 1}`);
+    if (teamGroup) await updateBracketTeam(teamGroup, sides[t], logoContext);
+  }
+}
+
+// One team spot: SEED, TEAM NAME, LOGO, SCORE and an optional WINNER highlight layer
+async function updateBracketTeam(teamGroup, side, { leagueKey, conf, divAbb, teams, baseFolder }) {
+  const seedText = getByName(teamGroup, 'SEED');
+  const nameText = getByName(teamGroup, 'TEAM NAME');
+  const logoLayer = getByName(teamGroup, 'LOGO');
+  const scoreText = getByName(teamGroup, 'SCORE');
+  const winnerLayer = getByName(teamGroup, 'WINNER');
+
+  const team = side.team ? teams.find(t => t.fullTeam === side.team) : null;
+  let name = 'TBD';
+  if (side.isBye) name = 'BYE';
+  else if (side.team) name = team ? team.teamName : side.team;
+
+  if (seedText) seedText.textItem.contents = side.seed ? String(side.seed) : '';
+  if (nameText) nameText.textItem.contents = String(name).toUpperCase();
+  if (scoreText) scoreText.textItem.contents = side.score || '';
+  if (winnerLayer) winnerLayer.visible = !!side.isWinner;
+
+  if (logoLayer) {
+    logoLayer.visible = !side.isBye;
+    if (side.isBye) return;
+    let ok = false;
+    if (side.team) {
+      const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(side.team)}.png`;
+      ok = await imageHandler.replaceLayerWithImage(logoLayer, logoUrl);
+      if (!ok) ok = await imageHandler.replaceLayerWithImage(logoLayer, `LOGOS/TEAMS/${conf}/${divAbb}/${side.team}.png`, baseFolder);
+    }
+    if (!ok) await imageHandler.replaceLayerWithImage(logoLayer, "LOGOS/LeagueLogo.png", baseFolder);
+  }
+}
+
 // Ensure folder path under a root FolderEntry; returns the deepest folder
 async function ensureFolderPath(rootFolder, segments) {
   let current = rootFolder;
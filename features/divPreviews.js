@@ -3,8 +3,11 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 const fs = require("uxp").storage.localFileSystem;
 
 // Small delay helper (used when closing previous doc)
@@ -33,7 +36,13 @@ async function handleDivPreviewsUpdate(baseFolder) {
       leagueConfig.loadLeagueConfig(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+
     const { divs, confs, teams } = leagueData;
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder);
 
     // Get user division input from UI (converts abbreviations automatically)
     const userDiv = leagueConfig.getUserDivision(divs);
@@ -121,6 +130,7 @@ async function handleDivPreviewsUpdate(baseFolder) {
       } catch {
         templateFile = await templateFolder.getEntry(`${DOC_ID}.psd`);
       }
+      const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFile.name, `${DOC_ID}.psd`);
       
       // Create working files folder if it doesn't exist (BEFORE executeAsModal)
       let workingFolder;
@@ -280,7 +290,7 @@ async function handleDivPreviewsUpdate(baseFolder) {
           await setStrokeColor(teamColorLayer, tColor);
           
           // Update team logo (try URL, then local path, then LeagueLogo)
-          const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
+          const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
           let ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, logoUrl);
           if (!ok) ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, `LOGOS/TEAMS/${conf}/${divAbb}/${tFull}.png`, baseFolder);
           if (!ok) await imageHandler.replaceLayerWithImage(teamLogoLayer, "LOGOS/LeagueLogo.png", baseFolder);
@@ -307,12 +317,38 @@ async function handleDivPreviewsUpdate(baseFolder) {
           setTextColor(teamNameLayer, tColor);
         }
 
+        // {{tokens}} in text layers; each TEAM slot also sees its team
+        const previewTokens = {
+          ...tokenContext,
+          division: { name: division, abb: divAbb, color: divColorHex, teamCount: divTeams.length },
+          conf: { name: conf, location: confLocation || '' },
+          page: chunkIndex + 1,
+          pageCount: chunks.length
+        };
+        textTokens.applyTokens(doc, previewTokens, {
+          scopes: chunkTeams.map((teamData, i) => ({
+            layer: getByName(teamsGroup, 'TEAM ' + (i + 1)),
+            context: { team: textTokens.teamTokens(teamData, teamData.fullTeam || '') }
+          })),
+          label: templateFile.name
+        });
+
+        // Template binding spec, if the designer added one
+        if (bindingSpec) {
+          await layerBindings.applyBindings(doc, bindingSpec, {
+            ...previewTokens,
+            teams: chunkTeams.map(teamData => textTokens.teamTokens(teamData, teamData.fullTeam || '', {
+              logo: `LOGOS/TEAMS/${conf}/${divAbb}/${teamData.fullTeam}.png`
+            }))
+          }, { baseFolder });
+        }
+
         // Save the document
         await doc.save();
         
         // Export PNG to Exports/Preseason/Div-Preview
         const exportFile = await prepareDivPreviewExport(gamedayFolder, conf, divAbb, chunkIndex);
-        const cdnPath = exportHandler.buildCdnPath(baseFolder.name, 'Preseason', DOC_EXPORT, exportFile.name);
+        const cdnPath = exportHandler.buildCdnPath(leagueKey, 'Preseason', DOC_EXPORT, exportFile.name);
         await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
         
         // Store this doc's ID to close it next time (only when running ALL)
@@ -2,8 +2,11 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 
 const DOC_ID = "HAVE-A-DAY";
 const DOC_EXPORT = "Have-A-Day";
@@ -28,8 +31,14 @@ async function handleHaveADayUpdate(baseFolder, roleFilter = "ALL") {
       leagueConfig.loadHaveADayGoalies(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+
     const { teams, divs } = leagueData;
     const week = Number(haveADayPlayerData.week || haveADayGoalieData.week || 0);
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week });
 
     const activePlayerRows = (haveADayPlayerData.rows || [])
       .filter((r) => Number(r.week) === week)
@@ -45,7 +54,7 @@ async function handleHaveADayUpdate(baseFolder, roleFilter = "ALL") {
       }));
 
     const playerIdentitySet = new Set(
-      activePlayerRows.map((r) => `${normalizeTeamKey(r.fullName)}|${normalizeTeamKey(r.teamName)}`)
+      activePlayerRows.map((r) => `${leagueConfig.normalizeTeamKey(r.fullName)}|${leagueConfig.normalizeTeamKey(r.teamName)}`)
     );
 
     const activeGoalieRows = (haveADayGoalieData.rows || [])
@@ -62,7 +71,7 @@ async function handleHaveADayUpdate(baseFolder, roleFilter = "ALL") {
       }))
       // If the same person/team is already featured on the PLAYER sheet for this week,
       // prefer the player graphic and skip the goalie duplicate.
-      .filter((r) => !playerIdentitySet.has(`${normalizeTeamKey(r.fullName)}|${normalizeTeamKey(r.teamName)}`));
+      .filter((r) => !playerIdentitySet.has(`${leagueConfig.normalizeTeamKey(r.fullName)}|${leagueConfig.normalizeTeamKey(r.teamName)}`));
 
     const normalizedRoleFilter = String(roleFilter || "ALL").toUpperCase();
     let activeRows = [];
@@ -133,6 +142,7 @@ async function handleHaveADayUpdate(baseFolder, roleFilter = "ALL") {
         continue;
       }
       const { file: templateFile, folder: templateFolder } = templateInfo;
+      const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFile.name);
 
       const exportCategory = row.role === "GOALIE" ? DOC_EXPORT_GOALIE : DOC_EXPORT_PLAYER;
       const exportFolder = await ensureFolderPath(gamedayFolder, ["Exports", `Week ${week}`, exportCategory]);
@@ -234,7 +244,7 @@ async function handleHaveADayUpdate(baseFolder, roleFilter = "ALL") {
           applyTierVisibility(tierFolder, teamCtx.conf);
 
           if (logoLayer) {
-            const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(teamCtx.conf)}/${encodeURIComponent(teamCtx.divAbb)}/${encodeURIComponent(teamCtx.fullTeam)}.png`;
+            const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(teamCtx.conf)}/${encodeURIComponent(teamCtx.divAbb)}/${encodeURIComponent(teamCtx.fullTeam)}.png`;
             let ok = await imageHandler.replaceLayerWithImage(logoLayer, logoUrl);
             if (!ok) ok = await imageHandler.replaceLayerWithImage(logoLayer, `LOGOS/TEAMS/${teamCtx.conf}/${teamCtx.divAbb}/${teamCtx.fullTeam}.png`, baseFolder);
             if (!ok) await imageHandler.replaceLayerWithImage(logoLayer, "LOGOS/LeagueLogo.png", baseFolder);
@@ -254,11 +264,23 @@ async function handleHaveADayUpdate(baseFolder, roleFilter = "ALL") {
         if (playerNumber && playerNumber.textItem) setTextColor(playerNumber, teamCtx.color1);
         setStatTextColors(stats, teamCtx.color1);
 
-        const cdnPath = exportHandler.buildCdnPath(baseFolder.name, week, exportCategory, exportFile.name);
+        const rowTokens = {
+          ...tokenContext,
+          player: row,
+          team: textTokens.teamTokens(textTokens.findTeam(teams, teamCtx.fullTeam), teamCtx.fullTeam, { divAbb: teamCtx.divAbb })
+        };
+        textTokens.applyTokens(doc, rowTokens, { label: templateFile.name });
+
+        // Template binding spec, if the designer added one
+        if (bindingSpec) await layerBindings.applyBindings(doc, bindingSpec, rowTokens, { baseFolder });
+
+        const cdnPath = exportHandler.buildCdnPath(leagueKey, week, exportCategory, exportFile.name);
         await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
         console.log(`[HAVE-A-DAY] Exported: ${exportFile.name}`);
 
-        // User requested template can be saved directly (no per-row working files)
+        // User requested template can be saved directly (no per-row working files),
+        // so its {{tokens}} go back in first
+        textTokens.restoreTokens(doc);
         await doc.save();
         previousDocId = doc._id;
       }, { commandName: "Update HAVE-A-DAY" });
@@ -329,14 +351,14 @@ function singularOrPluralLabel(value, singular, plural) {
 }
 
 function getTeamContext(teamName, rowDivision, teams, divs) {
-  const teamNeedle = normalizeTeamKey(teamName);
+  const teamNeedle = leagueConfig.normalizeTeamKey(teamName);
   if (!teamNeedle) return null;
 
-  // Strict matching only (user guarantees exact names in sheet).
-  // Prefer exact Full Team match first, then exact Team Name match.
-  let team = teams.find((t) => normalizeTeamKey(t.fullTeam) === teamNeedle);
+  // Team names were resolved to All Teams names when the sheet loaded (aliases and
+  // typos included); prefer Full Team match first, then Team Name match.
+  let team = teams.find((t) => leagueConfig.normalizeTeamKey(t.fullTeam) === teamNeedle);
   if (!team) {
-    team = teams.find((t) => normalizeTeamKey(t.teamName) === teamNeedle);
+    team = teams.find((t) => leagueConfig.normalizeTeamKey(t.teamName) === teamNeedle);
   }
   if (!team) return null;
 
@@ -376,15 +398,6 @@ function getTeamContext(teamName, rowDivision, teams, divs) {
   };
 }
 
-function normalizeTeamKey(value) {
-  return String(value || "")
-    .toUpperCase()
-    .replace(/’/g, "'")
-    .replace(/[^A-Z0-9 ]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
 function pickColor(...candidates) {
   for (let i = 0; i < candidates.length; i++) {
     const c = String(candidates[i] || "").trim();
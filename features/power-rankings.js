@@ -2,12 +2,24 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const powerRankingEngine = require("../utils/powerRankingEngine.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 
 const TEMPLATE_FILES = ["POWER-RANKINGS.psd", "POWER-RANKINGS_SIDE-BAR.psd"];
 const TEMPLATE_PATH_SEGMENTS = ["GRAPHICS", "2026", "NHLN Broadcast"];
 
+// Week-over-week movement, compared with the latest earlier week in the league history.
+// Each TEAM n folder may hold a "MOVEMENT" text layer ("+3", "-2", "NEW") and a
+// "MOVEMENT ICON" group whose UP / DOWN / SAME / NEW layer matching the movement is shown.
+const MOVEMENT_TEXT_LAYER = "MOVEMENT";
+const MOVEMENT_ICON_GROUP = "MOVEMENT ICON";
+const MOVEMENT_ICON_LAYERS = { up: "UP", down: "DOWN", same: "SAME", new: "NEW" };
+const UNCHANGED_TEXT = "—";
+
 async function handlePowerRankingsUpdate(baseFolder) {
   const statusEl = document.getElementById("status");
   const exportToCloudCheckbox = document.getElementById("exportToCloudCheckbox");
@@ -16,7 +28,13 @@ async function handlePowerRankingsUpdate(baseFolder) {
   try {
     await leagueConfig.invalidateLeagueCache(baseFolder);
     const leagueData = await leagueConfig.loadLeagueConfig(baseFolder);
-    const { divs, teams } = leagueData;
+    // Typed PR values, or computed ones for tiers without any (league.json "powerRankings.computed")
+    const { teams, computedTiers, settings } = await leagueConfig.loadPowerRankings(baseFolder, { teams: leagueData.teams });
+
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const { divs } = leagueData;
 
     const tierNames = getTierNamesFromDivs(divs);
     if (!tierNames.length) {
@@ -29,15 +47,20 @@ async function handlePowerRankingsUpdate(baseFolder) {
       divAbbByConfDiv[`${divs[i].conf} ${divs[i].div}`] = String(divs[i].abb || "").trim();
     }
 
+    const previous = await loadPreviousRankings(baseFolder);
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week: previous.currentWeek, season: previous.year });
     const tierPlans = tierNames.map((tierName) => ({
       tierName,
-      rankedTeams: buildRankedTierTeams(teams, tierName),
+      rankedTeams: buildRankedTierTeams(teams, tierName)
+        .map((team) => ({ ...team, movement: computeMovement(team, previous.byTier) })),
       totalTeamsInTier: countTeamsInTier(teams, tierName)
     }));
     const nonEmptyTierPlans = tierPlans.filter((p) => p.rankedTeams.length > 0);
 
     if (!nonEmptyTierPlans.length) {
-      statusEl.textContent = "⚠️ No ranked teams found in any tier (PR column is empty).";
+      statusEl.textContent = settings.computed
+        ? "⚠️ No ranked teams found in any tier (PR column is empty and no standings to compute from)."
+        : "⚠️ No ranked teams found in any tier (PR column is empty).";
       return;
     }
 
@@ -45,8 +68,17 @@ async function handlePowerRankingsUpdate(baseFolder) {
     const outputFolder = await ensureFolderPath(templateFolder, ["POWER RANKINGS"]);
     const pngOutputFolder = await ensureFolderPath(outputFolder, ["PNG"]);
     const templateFiles = [];
+    const bindingSpecs = [];
     for (let i = 0; i < TEMPLATE_FILES.length; i++) {
       templateFiles.push(await templateFolder.getEntry(TEMPLATE_FILES[i]));
+      bindingSpecs.push(await layerBindings.loadBindingSpec(templateFolder, TEMPLATE_FILES[i]));
+    }
+
+    for (let i = 0; i < nonEmptyTierPlans.length; i++) {
+      const computedRanking = computedTiers[nonEmptyTierPlans[i].tierName.toUpperCase()];
+      if (computedRanking) {
+        await writeScoresFile(pngOutputFolder, nonEmptyTierPlans[i].tierName, computedRanking, settings);
+      }
     }
 
     for (let i = 0; i < nonEmptyTierPlans.length; i++) {
@@ -101,7 +133,10 @@ async function handlePowerRankingsUpdate(baseFolder) {
             baseFolder,
             pngOutputFolder,
             outputBaseName,
-            cloudExportEnabled
+            cloudExportEnabled,
+            tokens: { ...tokenContext, tier: { name: tierName, teamCount: totalTeamsInTier } },
+            tokenLabel: templateFile.name,
+            bindingSpec: bindingSpecs[t]
           });
 
           if (overflow.length > 0) {
@@ -116,7 +151,10 @@ async function handlePowerRankingsUpdate(baseFolder) {
               baseFolder,
               pngOutputFolder,
               outputBaseName,
-              cloudExportEnabled
+              cloudExportEnabled,
+              tokens: { ...tokenContext, tier: { name: tierName, teamCount: totalTeamsInTier } },
+              tokenLabel: templateFile.name,
+              bindingSpec: bindingSpecs[t]
             });
           }
 
@@ -126,7 +164,13 @@ async function handlePowerRankingsUpdate(baseFolder) {
       }
     }
 
-    statusEl.textContent = `✅ POWER-RANKINGS updated for ${nonEmptyTierPlans.length} tiers`;
+    const movementNote = previous.week !== null
+      ? `movement vs week ${previous.week}`
+      : "no earlier week in history, all teams NEW";
+    statusEl.textContent = `✅ POWER-RANKINGS updated for ${nonEmptyTierPlans.length} tiers (${movementNote})`;
+
+    // What this run loaded, for the week's history (see main.js runFeature)
+    return { teams: leagueData.teams, rankedTeams: teams };
   } catch (err) {
     console.error("Power rankings update error:", err);
     statusEl.textContent = `⚠️ ${err.message || "Error running POWER-RANKINGS update"}`;
@@ -163,6 +207,61 @@ function buildRankedTierTeams(teams, tierName) {
     });
 }
 
+/**
+ * PR values from the latest week of this season saved before the week being run (the week
+ * selector's, else the sheet's current week; see leagueConfig.recordWeekHistory), grouped by
+ * tier so a team that changed tiers shows as NEW.
+ * @returns {Promise<{week: number|null, byTier: Object, currentWeek: number, year: number}>}
+ *   byTier: tier label -> team key -> PR; currentWeek is the week being run
+ */
+async function loadPreviousRankings(baseFolder) {
+  const { sheetWeek, year } = await leagueConfig.loadSchedule(baseFolder);
+  const currentWeek = leagueConfig.getWeekOverride() ?? sheetWeek;
+  const weeks = await leagueConfig.getHistoryWeeks(baseFolder, { season: year });
+  const earlier = weeks.filter((w) => w < currentWeek);
+  if (!currentWeek || !earlier.length) return { week: null, byTier: {}, currentWeek, year };
+
+  const week = earlier[earlier.length - 1];
+  const rankings = await leagueConfig.getPowerRankingsAtWeek(baseFolder, week, { season: year });
+  const byTier = {};
+  for (let i = 0; i < rankings.length; i++) {
+    const tier = normalizeLabel(rankings[i].conf);
+    if (!byTier[tier]) byTier[tier] = {};
+    byTier[tier][leagueConfig.normalizeTeamKey(rankings[i].team)] = rankings[i].pr;
+  }
+  return { week, byTier, currentWeek, year };
+}
+
+/**
+ * Movement since the previous week's rankings in the team's tier.
+ * @returns {{status: string, change: number|null, text: string}} status is "up", "down", "same" or "new"
+ */
+function computeMovement(team, previousByTier) {
+  const current = parsePowerRanking(team.powerRanking);
+  const tierRanks = previousByTier[normalizeLabel(team.conf)] || {};
+  const previous = tierRanks[leagueConfig.normalizeTeamKey(team.fullTeam)];
+  if (current === null || previous === undefined || previous === null) {
+    return { status: "new", change: null, text: "NEW" };
+  }
+  const change = previous - current;
+  if (change > 0) return { status: "up", change, text: `+${change}` };
+  if (change < 0) return { status: "down", change, text: String(change) };
+  return { status: "same", change: 0, text: UNCHANGED_TEXT };
+}
+
+/**
+ * Save a computed tier's scores as PR_<tier>_SCORES.csv next to its PNGs for review.
+ */
+async function writeScoresFile(folder, tierName, ranking, settings) {
+  const fileName = `PR_${sanitizeFilename(tierName)}_SCORES.csv`;
+  try {
+    const file = await folder.createFile(fileName, { overwrite: true });
+    await file.write(powerRankingEngine.toScoresCsv(ranking, settings));
+  } catch (err) {
+    console.warn(`Could not write ${fileName}:`, err);
+  }
+}
+
 function countTeamsInTier(teams, tierName) {
   const targetTier = String(tierName || "").trim().toUpperCase();
   let count = 0;
@@ -205,7 +304,10 @@ async function applyTeamRange(doc, options) {
     baseFolder,
     pngOutputFolder,
     outputBaseName,
-    cloudExportEnabled
+    cloudExportEnabled,
+    tokens,
+    tokenLabel,
+    bindingSpec
   } = options;
 
   if (tenTeamFolder) tenTeamFolder.visible = true;
@@ -221,12 +323,27 @@ async function applyTeamRange(doc, options) {
   if (tenTeamFolder) tenTeamFolder.visible = tenTeams.length > 0;
   if (fifteenTeamFolder) fifteenTeamFolder.visible = fifteenTeams.length > 0;
 
+  if (tokens) textTokens.applyTokens(doc, { ...tokens, range: rangeSuffix }, { label: tokenLabel });
+
+  // Template binding spec, if the designer added one; teams are the ones shown in this range
+  if (bindingSpec) {
+    await layerBindings.applyBindings(doc, bindingSpec, {
+      ...tokens,
+      range: rangeSuffix,
+      teams: tenTeams.concat(fifteenTeams).map((team) => textTokens.teamTokens(team, team.fullTeam, {
+        rank: team.powerRanking,
+        movement: team.movement ? team.movement.text : ""
+      }))
+    }, { baseFolder });
+  }
+
   const rangedBaseName = `${outputBaseName}_${rangeSuffix}`;
   const pngFile = await pngOutputFolder.createFile(`${rangedBaseName}.png`, { overwrite: true });
   await exportHandler.exportPng(doc, pngFile, null, cloudExportEnabled);
 }
 
 async function updateTeamFolder(teamFolder, team, divAbbByConfDiv, baseFolder, rankNumber) {
+  const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
   const rankLayer = getByName(teamFolder, "RANK");
   const divisionLayer = getByName(teamFolder, "DIVISION");
   const teamCityLayer = getByName(teamFolder, "TEAM CITY");
@@ -260,15 +377,32 @@ async function updateTeamFolder(teamFolder, team, divAbbByConfDiv, baseFolder, r
   if (divisionLayer && divisionLayer.textItem) setTextColor(divisionLayer, teamColor);
   if (teamCityLayer && teamCityLayer.textItem) setTextColor(teamCityLayer, teamColor);
   if (teamNameLayer && teamNameLayer.textItem) setTextColor(teamNameLayer, teamColor);
+  applyMovement(teamFolder, team.movement);
   if (logoLayer) {
     const fullTeam = String(team.fullTeam || "").trim();
-    const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(fullTeam)}.png`;
+    const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(fullTeam)}.png`;
     let ok = await imageHandler.replaceLayerWithImage(logoLayer, logoUrl);
     if (!ok) ok = await imageHandler.replaceLayerWithImage(logoLayer, `LOGOS/TEAMS/${conf}/${divAbb}/${fullTeam}.png`, baseFolder);
     if (!ok) await imageHandler.replaceLayerWithImage(logoLayer, "LOGOS/LeagueLogo.png", baseFolder);
   }
 }
 
+function applyMovement(teamFolder, movement) {
+  if (!movement) return;
+  const textLayer = getByName(teamFolder, MOVEMENT_TEXT_LAYER);
+  if (textLayer && textLayer.textItem) {
+    textLayer.textItem.contents = movement.text;
+  }
+  const iconGroup = getByName(teamFolder, MOVEMENT_ICON_GROUP);
+  if (iconGroup && iconGroup.layers) {
+    const target = MOVEMENT_ICON_LAYERS[movement.status];
+    for (let i = 0; i < iconGroup.layers.length; i++) {
+      const layer = iconGroup.layers[i];
+      layer.visible = normalizeLabel(layer.name) === target;
+    }
+  }
+}
+
 function applyTierVisibility(tierFolder, tierName) {
   if (!tierFolder || !tierFolder.layers) return;
   const target = normalizeLabel(tierName);
@@ -2,8 +2,14 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const gameTime = require("../utils/gameTime.js");
+const buildFingerprint = require("../utils/buildFingerprint.js");
+const layerBindings = require("../utils/layerBindings.js");
+const { getByName, fillColor, setTextHex } = require("../utils/layerHelpers.js");
+const textTokens = require("../utils/textTokens.js");
 
 // Helper
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -19,6 +25,8 @@ async function handleScheduleUpdate(baseFolder) {
   // Read cloud export checkbox state BEFORE entering executeAsModal
   const exportToCloudCheckbox = document.getElementById("exportToCloudCheckbox");
   const cloudExportEnabled = exportToCloudCheckbox && exportToCloudCheckbox.checked === true;
+  const forceRebuild = buildFingerprint.isForceRebuild();
+  const tally = buildFingerprint.createBuildTally();
 
   try {
     // Clear any cached URLs/branding so this run sees fresh sheet data,
@@ -32,8 +40,17 @@ async function handleScheduleUpdate(baseFolder) {
       leagueConfig.loadSchedule(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+
     const { divs, confs, teams } = leagueData;
     const { schedule, week, year } = scheduleData;
+    // Best-of series standing for playoff games ("OWLS LEADS 2-1"), shown on the SERIES layer
+    const seriesStatuses = await leagueConfig.getSeriesStatuses(baseFolder, schedule, teams);
+    const { locale, zonesByConf } = await leagueConfig.getGameTimeSettings(baseFolder, divs);
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week, season: year });
 
     // Read user input (can be conference abb, division abb, or ALL)
     const input = document.getElementById("divisionInput").value.trim().toUpperCase();
@@ -128,19 +145,24 @@ async function handleScheduleUpdate(baseFolder) {
         }
       }
 
-      // Group by date (unique dates within this conf)
+      // Group by date (unique dates within this conf), games in start-time order.
+      // Parsed dates group "1/8/2026" and "Thursday, January 8" together; unparsed ones match as text.
+      const dateKey = g => g.startDate ? `${g.startDate.year}-${g.startDate.month}-${g.startDate.day}` : g.date;
       const uniqueDates = [];
       for (let j = 0; j < confGames.length; j++) {
-        const gameDate = confGames[j].date;
+        const gameDate = dateKey(confGames[j]);
         if (!uniqueDates.includes(gameDate)) uniqueDates.push(gameDate);
       }
 
       const dates = [];
       for (let i = 0; i < uniqueDates.length; i++) {
-        const dayGames = confGames.filter(g => g.date === uniqueDates[i]);
+        const dayGames = confGames.filter(g => dateKey(g) === uniqueDates[i]).sort(gameTime.compareGamesByStart);
         if (dayGames.length) dates.push(dayGames);
       }
 
+      // Conferences spanning time zones show each start time in all of them ("7:00 PM ET / 4:00 PM PT")
+      const confZones = zonesByConf[conf] || [];
+
       // Build per-date → per-season chunks
       for (let s = 0; s < dates.length; s++) {
         const todayGames = dates[s];
@@ -188,287 +210,330 @@ async function handleScheduleUpdate(baseFolder) {
             if (!chunks[a] || chunks[a].length === 0) break;
             finalGames = chunks[a];
 
+            // Use playoff template if season is "Playoffs"
+            let templateFileName;
+            if (gameType === 'Playoffs') {
+              templateFileName = `${DOC_ID}_Playoffs.psd`;
+            } else {
+              templateFileName = `${DOC_ID}.psd`;
+            }
+
+            // Header color: conference color unless a specific division is selected
+            let headerColorHex = confColorHex;
+            if (selectedDivAbb) {
+              let divHex = 'ffffff';
+              for (let i = 0; i < divs.length; i++) {
+                if (divs[i].abb === selectedDivAbb) {
+                  divHex = String(divs[i].color1);
+                  break;
+                }
+              }
+              headerColorHex = divHex;
+            }
+
+            // Skip the graphic when the data bound into it is unchanged since its last export
+            const { exportFolder, fileName: exportName } = await scheduleExportTarget(
+              gamedayFolder,
+              week,
+              docType,
+              conf,
+              dateShort,
+              seasonLabel,
+              a + 1
+            );
+            const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFileName);
+            const bindingData = scheduleBindings({
+              leagueKey, templateFileName, docType, dateValue, confLocation, headerColorHex,
+              games: finalGames, conf, divs, teams, confZones, locale, seriesStatuses
+            });
+            const fp = buildFingerprint.fingerprint(bindingSpec ? { ...bindingData, bindingSpec } : bindingData);
+            if (!forceRebuild && await buildFingerprint.isUpToDate(exportFolder, exportName, fp, cloudExportEnabled)) {
+              tally.skipped++;
+              continue;
+            }
+
             // Show which conference/date and how many games are on this graphic
             statusEl.innerHTML = `Updating ${conf} ${dateShort} (${finalGames.length} games)...`;
 
-            await core.executeAsModal(async () => {
-              // Use playoff template if season is "Playoffs"
-              let templateFileName;
-              if (gameType === 'Playoffs') {
-                templateFileName = `${DOC_ID}_Playoffs.psd`;
-              } else {
-                templateFileName = `${DOC_ID}.psd`;
-              }
-              const templateFile = await templateFolder.getEntry(templateFileName);
-              await app.open(templateFile);
-
-              // Close previous doc when doing many
-              if (previousDocId) {
-                const prev = app.documents.find(docItem => docItem._id === previousDocId);
-                if (prev) { await delay(300); await prev.close(); }
-                previousDocId = null;
-              }
+            try {
+              await core.executeAsModal(async () => {
+                const templateFile = await templateFolder.getEntry(templateFileName);
+                await app.open(templateFile);
 
-              const doc = app.activeDocument;
-              // Save As immediately to avoid editing/saving the template
-              // Ensure working folder exists and create save file first
-              let workingFolder = null;
-              try { workingFolder = await templateFolder.getEntry('Working Files'); }
-              catch { workingFolder = await templateFolder.createFolder('Working Files'); }
-              const dayName = String(finalGames[0].day);
-              const docTypeSuffix = docType === 'Final Scores' ? 'FS' : 'UG';
-              const chunkSuffix = (chunks.length > 1 && chunks[1] && chunks[1].length > 0) ? `_${a}` : '';
-              const workingFileName = `${conf}_${DOC_ID}_working_${dayName}_${docTypeSuffix}${chunkSuffix}.psd`;
-              const saveFile = await workingFolder.createFile(sanitizeFilename(workingFileName), { overwrite: true });
-              if (doc.saveAs && doc.saveAs.psd) await doc.saveAs.psd(saveFile);
-              const header = getByName(doc, 'HEADER');
-              const matchups = getByName(doc, 'MATCHUPS');
-
-              // Header layers
-              const headerText = getByName(header, 'HEADING');
-              const dateText = getByName(header, 'DATE');
-              const locationText = getByName(header, 'LOCATION');
-              const divisionColorLayer = getByName(header, 'HEADER COLOR');
-
-              // Set header
-              let headerTextValue;
-              if (docType === 'Final Scores') {
-                headerTextValue = 'FINAL SCORES';
-              } else if (gameType === 'Playoffs') {
-                headerTextValue = 'PLAYOFFS';
-              } else {
-                headerTextValue = 'SCHEDULE';
-              }
-              headerText.textItem.contents = headerTextValue;
-              dateText.textItem.contents = String(dateValue).toUpperCase();
-              locationText.textItem.contents = String(confLocation).toUpperCase();
-              
-              // Header color: conference color unless a specific division is selected
-              let headerColorHex = confColorHex;
-              if (selectedDivAbb) {
-                let divHex = 'ffffff';
-                for (let i = 0; i < divs.length; i++) {
-                  if (divs[i].abb === selectedDivAbb) {
-                    divHex = String(divs[i].color1);
-                    break;
-                  }
-                }
-                headerColorHex = divHex;
-              }
-              await fillColor(divisionColorLayer, headerColorHex);
-
-              // Create boxes for number of games (follow JSX logic)
-              const numOfGames = finalGames.length;
-              if (numOfGames === 1) {
-                await translate(matchups, 0, 300);
-              } else if (numOfGames > 1 && numOfGames < 7) {
-                for (let p = 2; p < numOfGames + 1; p++) {
-                  const matchX = getByName(matchups, 'MATCH ' + (p - 1));
-                  if (!matchX) break;
-                  await duplicate(matchX, 'MATCH ' + p, 0, 150);
-                }
-                const adjust = 240 - (60 * (numOfGames - 2));
-                await translate(matchups, 0, adjust);
-              } else if (numOfGames === 7) {
-                for (let p = 2; p < numOfGames + 1; p++) {
-                  const matchX = getByName(matchups, 'MATCH ' + (p - 1));
-                  if (!matchX) break;
-                  await duplicate(matchX, 'MATCH ' + p, 0, 130);
+                // Close previous doc when doing many
+                if (previousDocId) {
+                  const prev = app.documents.find(docItem => docItem._id === previousDocId);
+                  if (prev) { await delay(300); await prev.close(); }
+                  previousDocId = null;
                 }
-              } else if (numOfGames > 7 && numOfGames < 11) {
-                // Scale the whole MATCHUPS group down slightly when there are many games
-                let scalePercent = 90 - 10*(numOfGames - 8);
-                await translate(matchups, 0, -20)
-                await scaleLayer(matchups, scalePercent);
-                for (let p = 2; p < numOfGames + 1; p++) {
-                  const matchX = getByName(matchups, 'MATCH ' + (p - 1));
-                  if (!matchX) break;
-                  await duplicate(matchX, 'MATCH ' + p, 0, (130*scalePercent)/100);
-                }
-              }
 
-              // Update each match
-              for (let i = 0; i < numOfGames; i++) {
-                const j = i + 1;
-                const matchX = getByName(matchups, 'MATCH ' + j);
-                if (!matchX) continue;
-
-                const divisionText = getByName(matchX, 'DIVISION');
-                const roundText = getByName(matchX, 'ROUND');
-
-                // Team layers
-                const color1 = getByName(matchX, 'TEAM 1 COLOR');
-                const color2 = getByName(matchX, 'TEAM 2 COLOR');
-                const logo1 = getByName(matchX, 'TEAM 1 LOGO');
-                const logo2 = getByName(matchX, 'TEAM 2 LOGO');
-                const team1nameText = getByName(matchX, 'TEAM 1 NAME');
-                const team2nameText = getByName(matchX, 'TEAM 2 NAME');
-
-                // Time/final groups
-                const timeFolder = getByName(matchX, 'TIME');
-                const finalFolder = getByName(matchX, 'FINAL SCORE');
-                const timeLayer = timeFolder ? getByName(timeFolder, 'TIME') : null;
-                const score1 = finalFolder ? getByName(finalFolder, 'SCORE 1') : null;
-                const score2 = finalFolder ? getByName(finalFolder, 'SCORE 2') : null;
-                const finalText = finalFolder ? getByName(finalFolder, 'FINAL') : null;
-
-                // Row division label (game host — unchanged)
-                const divAbb = finalGames[i].div1;
-                const division = finalGames[i].division1;
-                // Find short division label if available
-                let divisionShort = null;
-                for (let k = 0; k < divs.length; k++) {
-                  if (divs[k].abb === divAbb && divs[k].conf === conf) {
-                    divisionShort = divs[k].divShort || null;
-                    break;
-                  }
-                }
-                // Toggle time/final based on docType
+                const doc = app.activeDocument;
+                // Save As immediately to avoid editing/saving the template
+                // Ensure working folder exists and create save file first
+                let workingFolder = null;
+                try { workingFolder = await templateFolder.getEntry('Working Files'); }
+                catch { workingFolder = await templateFolder.createFolder('Working Files'); }
+                const dayName = String(finalGames[0].day);
+                const docTypeSuffix = docType === 'Final Scores' ? 'FS' : 'UG';
+                const chunkSuffix = (chunks.length > 1 && chunks[1] && chunks[1].length > 0) ? `_${a}` : '';
+                const workingFileName = `${conf}_${DOC_ID}_working_${dayName}_${docTypeSuffix}${chunkSuffix}.psd`;
+                const saveFile = await workingFolder.createFile(sanitizeFilename(workingFileName), { overwrite: true });
+                if (doc.saveAs && doc.saveAs.psd) await doc.saveAs.psd(saveFile);
+                const header = getByName(doc, 'HEADER');
+                const matchups = getByName(doc, 'MATCHUPS');
+
+                // Header layers
+                const headerText = getByName(header, 'HEADING');
+                const dateText = getByName(header, 'DATE');
+                const locationText = getByName(header, 'LOCATION');
+                const divisionColorLayer = getByName(header, 'HEADER COLOR');
+
+                // Set header
+                let headerTextValue;
                 if (docType === 'Final Scores') {
-                  if (timeFolder) timeFolder.visible = false;
-                  if (finalFolder) finalFolder.visible = true;
-                  if (finalText) finalText.textItem.contents = String(finalGames[i].status).toUpperCase();
+                  headerTextValue = 'FINAL SCORES';
+                } else if (gameType === 'Playoffs') {
+                  headerTextValue = 'PLAYOFFS';
                 } else {
-                  if (timeFolder) timeFolder.visible = true;
-                  if (finalFolder) finalFolder.visible = false;
+                  headerTextValue = 'SCHEDULE';
                 }
-
-                // Team 1 — color + logo paths from roster (team's conf + division abb), not the game's host conf/div only
-                let t1Color = '4a4a4a';
-                let t1Name = finalGames[i].team1;
-                let t1Found = false;
-                let t1LogoConf = conf;
-                let t1LogoAbb = finalGames[i].div1;
-                for (let c = 0; c < teams.length; c++) {
-                  if (teams[c].fullTeam === finalGames[i].team1) {
-                    t1Color = teams[c].color1;
-                    t1Name = teams[c].teamName;
-                    t1Full = teams[c].fullTeam;
-                    t1LogoConf = teams[c].conf || conf;
-                    t1LogoAbb = teams[c].abb || finalGames[i].div1;
-                    t1Found = true;
-                    break;
+                if (headerText) headerText.textItem.contents = headerTextValue;
+                if (dateText) dateText.textItem.contents = String(dateValue).toUpperCase();
+                if (locationText) locationText.textItem.contents = String(confLocation).toUpperCase();
+                await fillColor(divisionColorLayer, headerColorHex);
+
+                // Create boxes for number of games (follow JSX logic)
+                const numOfGames = finalGames.length;
+                if (numOfGames === 1) {
+                  await translate(matchups, 0, 300);
+                } else if (numOfGames > 1 && numOfGames < 7) {
+                  for (let p = 2; p < numOfGames + 1; p++) {
+                    const matchX = getByName(matchups, 'MATCH ' + (p - 1));
+                    if (!matchX) break;
+                    await duplicate(matchX, 'MATCH ' + p, 0, 150);
+                  }
+                  const adjust = 240 - (60 * (numOfGames - 2));
+                  await translate(matchups, 0, adjust);
+                } else if (numOfGames === 7) {
+                  for (let p = 2; p < numOfGames + 1; p++) {
+                    const matchX = getByName(matchups, 'MATCH ' + (p - 1));
+                    if (!matchX) break;
+                    await duplicate(matchX, 'MATCH ' + p, 0, 130);
+                  }
+                } else if (numOfGames > 7 && numOfGames < 11) {
+                  // Scale the whole MATCHUPS group down slightly when there are many games
+                  let scalePercent = 90 - 10*(numOfGames - 8);
+                  await translate(matchups, 0, -20)
+                  await scaleLayer(matchups, scalePercent);
+                  for (let p = 2; p < numOfGames + 1; p++) {
+                    const matchX = getByName(matchups, 'MATCH ' + (p - 1));
+                    if (!matchX) break;
+                    await duplicate(matchX, 'MATCH ' + p, 0, (130*scalePercent)/100);
                   }
-                }
-                // Set to TBD if name is blank
-                if (!t1Name || String(t1Name).trim() === '') {
-                  t1Name = 'TBD';
                 }
 
-                // Team 2 — same (roster conf/abb); if not on roster, fall back to game div2 / div1
-                let t2Color = '4a4a4a';
-                let t2Name = finalGames[i].team2;
-                let t2Found = false;
-                let t2LogoConf = conf;
-                let t2LogoAbb = finalGames[i].div2 || finalGames[i].div1;
-                for (let c = 0; c < teams.length; c++) {
-                  if (teams[c].fullTeam === finalGames[i].team2) {
-                    t2Color = teams[c].color1;
-                    t2Name = teams[c].teamName;
-                    t2Full = teams[c].fullTeam;
-                    t2LogoConf = teams[c].conf || conf;
-                    t2LogoAbb = teams[c].abb || (finalGames[i].div2 || finalGames[i].div1);
-                    t2Found = true;
-                    break;
+                // Update each match
+                for (let i = 0; i < numOfGames; i++) {
+                  const j = i + 1;
+                  const matchX = getByName(matchups, 'MATCH ' + j);
+                  if (!matchX) continue;
+
+                  const divisionText = getByName(matchX, 'DIVISION');
+                  const roundText = getByName(matchX, 'ROUND');
+                  const seriesText = getByName(matchX, 'SERIES');
+
+                  // Team layers
+                  const color1 = getByName(matchX, 'TEAM 1 COLOR');
+                  const color2 = getByName(matchX, 'TEAM 2 COLOR');
+                  const logo1 = getByName(matchX, 'TEAM 1 LOGO');
+                  const logo2 = getByName(matchX, 'TEAM 2 LOGO');
+                  const team1nameText = getByName(matchX, 'TEAM 1 NAME');
+                  const team2nameText = getByName(matchX, 'TEAM 2 NAME');
+
+                  // Time/final groups
+                  const timeFolder = getByName(matchX, 'TIME');
+                  const finalFolder = getByName(matchX, 'FINAL SCORE');
+                  const timeLayer = timeFolder ? getByName(timeFolder, 'TIME') : null;
+                  const score1 = finalFolder ? getByName(finalFolder, 'SCORE 1') : null;
+                  const score2 = finalFolder ? getByName(finalFolder, 'SCORE 2') : null;
+                  const finalText = finalFolder ? getByName(finalFolder, 'FINAL') : null;
+
+                  // Row division label (game host — unchanged)
+                  const divAbb = finalGames[i].div1;
+                  const division = finalGames[i].division1;
+                  // Find short division label if available
+                  let divisionShort = null;
+                  for (let k = 0; k < divs.length; k++) {
+                    if (divs[k].abb === divAbb && divs[k].conf === conf) {
+                      divisionShort = divs[k].divShort || null;
+                      break;
+                    }
+                  }
+                  // Toggle time/final based on docType
+                  if (docType === 'Final Scores') {
+                    if (timeFolder) timeFolder.visible = false;
+                    if (finalFolder) finalFolder.visible = true;
+                    if (finalText) finalText.textItem.contents = String(finalGames[i].status).toUpperCase();
+                  } else {
+                    if (timeFolder) timeFolder.visible = true;
+                    if (finalFolder) finalFolder.visible = false;
                   }
-                }
-                // Set to TBD if name is blank
-                if (!t2Name || String(t2Name).trim() === '') {
-                  t2Name = 'TBD';
-                }
 
-                // Apply colors
-                await fillColor(color1, t1Color);
-                await fillColor(color2, t2Color);
-
-                // Names - add seeds for Playoffs
-                let team1DisplayName = String(t1Name).toUpperCase();
-                let team2DisplayName = String(t2Name).toUpperCase();
-                
-                if (finalGames[i].gameType === 'Playoffs') {
-                  const seed1 = finalGames[i].seed1;
-                  const seed2 = finalGames[i].seed2;
-                  if (seed1 !== undefined && seed1 !== null && seed1 !== '') {
-                    team1DisplayName = `#${seed1} ${team1DisplayName}`;
+                  // Team 1 — color + logo paths from roster (team's conf + division abb), not the game's host conf/div only
+                  let t1Color = '4a4a4a';
+                  let t1Name = finalGames[i].team1;
+                  let t1Found = false;
+                  let t1LogoConf = conf;
+                  let t1LogoAbb = finalGames[i].div1;
+                  for (let c = 0; c < teams.length; c++) {
+                    if (teams[c].fullTeam === finalGames[i].team1) {
+                      t1Color = teams[c].color1;
+                      t1Name = teams[c].teamName;
+                      t1Full = teams[c].fullTeam;
+                      t1LogoConf = teams[c].conf || conf;
+                      t1LogoAbb = teams[c].abb || finalGames[i].div1;
+                      t1Found = true;
+                      break;
+                    }
                   }
-                  if (seed2 !== undefined && seed2 !== null && seed2 !== '') {
-                    team2DisplayName = `#${seed2} ${team2DisplayName}`;
+                  // Set to TBD if name is blank
+                  if (!t1Name || String(t1Name).trim() === '') {
+                    t1Name = 'TBD';
                   }
-                }
-                
-                team1nameText.textItem.contents = team1DisplayName.length > 20 ? (team1DisplayName.slice(0, 20) + '...') : team1DisplayName;
-                team2nameText.textItem.contents = team2DisplayName.length > 20 ? (team2DisplayName.slice(0, 20) + '...') : team2DisplayName;
-
-                // Logos with fallback to LeagueLogo.png (CDN + disk paths use each team's roster conf / div abb)
-                if (t1Found) {
-                  const logo1Url = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(t1LogoConf)}/${encodeURIComponent(t1LogoAbb)}/${encodeURIComponent(t1Full)}.png`;
-                  let ok1 = await imageHandler.replaceLayerWithImage(logo1, logo1Url);
-                  if (!ok1) ok1 = await imageHandler.replaceLayerWithImage(logo1, `LOGOS/TEAMS/${t1LogoConf}/${t1LogoAbb}/${t1Full}.png`, baseFolder);
-                  if (!ok1) await imageHandler.replaceLayerWithImage(logo1, "LOGOS/LeagueLogo.png", baseFolder);
-                } else {
-                  await imageHandler.replaceLayerWithImage(logo1, "LOGOS/LeagueLogo.png", baseFolder);
-                }
 
-                if (t2Found) {
-                  const logo2Url = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(t2LogoConf)}/${encodeURIComponent(t2LogoAbb)}/${encodeURIComponent(t2Full)}.png`;
-                  let ok2 = await imageHandler.replaceLayerWithImage(logo2, logo2Url);
-                  if (!ok2) ok2 = await imageHandler.replaceLayerWithImage(logo2, `LOGOS/TEAMS/${t2LogoConf}/${t2LogoAbb}/${t2Full}.png`, baseFolder);
-                  if (!ok2) await imageHandler.replaceLayerWithImage(logo2, "LOGOS/LeagueLogo.png", baseFolder);
-                } else {
-                  await imageHandler.replaceLayerWithImage(logo2, "LOGOS/LeagueLogo.png", baseFolder);
-                }
+                  // Team 2 — same (roster conf/abb); if not on roster, fall back to game div2 / div1
+                  let t2Color = '4a4a4a';
+                  let t2Name = finalGames[i].team2;
+                  let t2Found = false;
+                  let t2LogoConf = conf;
+                  let t2LogoAbb = finalGames[i].div2 || finalGames[i].div1;
+                  for (let c = 0; c < teams.length; c++) {
+                    if (teams[c].fullTeam === finalGames[i].team2) {
+                      t2Color = teams[c].color1;
+                      t2Name = teams[c].teamName;
+                      t2Full = teams[c].fullTeam;
+                      t2LogoConf = teams[c].conf || conf;
+                      t2LogoAbb = teams[c].abb || (finalGames[i].div2 || finalGames[i].div1);
+                      t2Found = true;
+                      break;
+                    }
+                  }
+                  // Set to TBD if name is blank
+                  if (!t2Name || String(t2Name).trim() === '') {
+                    t2Name = 'TBD';
+                  }
 
-                // Division label – always prefer short name if available
-                if (divisionText) {
-                  const displayDivision = divisionShort || division;
-                  divisionText.textItem.contents = String(displayDivision).toUpperCase();
-                }
+                  // Apply colors
+                  await fillColor(color1, t1Color);
+                  await fillColor(color2, t2Color);
+
+                  // Names - add seeds for Playoffs
+                  let team1DisplayName = String(t1Name).toUpperCase();
+                  let team2DisplayName = String(t2Name).toUpperCase();
+                  
+                  if (finalGames[i].gameType === 'Playoffs') {
+                    const seed1 = finalGames[i].seed1;
+                    const seed2 = finalGames[i].seed2;
+                    if (seed1 !== undefined && seed1 !== null && seed1 !== '') {
+                      team1DisplayName = `#${seed1} ${team1DisplayName}`;
+                    }
+                    if (seed2 !== undefined && seed2 !== null && seed2 !== '') {
+                      team2DisplayName = `#${seed2} ${team2DisplayName}`;
+                    }
+                  }
+                  
+                  if (team1nameText) team1nameText.textItem.contents = team1DisplayName.length > 20 ? (team1DisplayName.slice(0, 20) + '...') : team1DisplayName;
+                  if (team2nameText) team2nameText.textItem.contents = team2DisplayName.length > 20 ? (team2DisplayName.slice(0, 20) + '...') : team2DisplayName;
+
+                  // Logos with fallback to LeagueLogo.png (CDN + disk paths use each team's roster conf / div abb)
+                  if (t1Found) {
+                    const logo1Url = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(t1LogoConf)}/${encodeURIComponent(t1LogoAbb)}/${encodeURIComponent(t1Full)}.png`;
+                    let ok1 = await imageHandler.replaceLayerWithImage(logo1, logo1Url);
+                    if (!ok1) ok1 = await imageHandler.replaceLayerWithImage(logo1, `LOGOS/TEAMS/${t1LogoConf}/${t1LogoAbb}/${t1Full}.png`, baseFolder);
+                    if (!ok1) await imageHandler.replaceLayerWithImage(logo1, "LOGOS/LeagueLogo.png", baseFolder);
+                  } else {
+                    await imageHandler.replaceLayerWithImage(logo1, "LOGOS/LeagueLogo.png", baseFolder);
+                  }
 
-                // Round label – only for Playoffs
-                if (finalGames[i].gameType === 'Playoffs' && roundText) {
-                  roundText.textItem.contents = String(finalGames[i].round || '').toUpperCase();
-                }
+                  if (t2Found) {
+                    const logo2Url = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(t2LogoConf)}/${encodeURIComponent(t2LogoAbb)}/${encodeURIComponent(t2Full)}.png`;
+                    let ok2 = await imageHandler.replaceLayerWithImage(logo2, logo2Url);
+                    if (!ok2) ok2 = await imageHandler.replaceLayerWithImage(logo2, `LOGOS/TEAMS/${t2LogoConf}/${t2LogoAbb}/${t2Full}.png`, baseFolder);
+                    if (!ok2) await imageHandler.replaceLayerWithImage(logo2, "LOGOS/LeagueLogo.png", baseFolder);
+                  } else {
+                    await imageHandler.replaceLayerWithImage(logo2, "LOGOS/LeagueLogo.png", baseFolder);
+                  }
 
-                // Time/Final values
-                if (docType === 'Final Scores') {
-                  if (score1) score1.textItem.contents = String(finalGames[i].score1 || '');
-                  if (score2) score2.textItem.contents = String(finalGames[i].score2 || '');
-
-                  // Highlight winning score (gold)
-                  const s1 = Number(finalGames[i].score1);
-                  const s2 = Number(finalGames[i].score2);
-             //     if (!isNaN(s1) && !isNaN(s2)) {
-             //       if (s1 > s2 && score1) setTextHex(score1, 'ffd800');
-             //       else if (s2 > s1 && score2) setTextHex(score2, 'ffd800');
-             //     }
-                } else {
-                  if (timeLayer) timeLayer.textItem.contents = String(finalGames[i].time || '').toUpperCase();
+                  // Division label – always prefer short name if available
+                  if (divisionText) {
+                    const displayDivision = divisionShort || division;
+                    divisionText.textItem.contents = String(displayDivision).toUpperCase();
+                  }
+
+                  // Round label and series status – only for Playoffs
+                  if (finalGames[i].gameType === 'Playoffs' && roundText) {
+                    roundText.textItem.contents = String(finalGames[i].round || '').toUpperCase();
+                  }
+                  if (finalGames[i].gameType === 'Playoffs' && seriesText) {
+                    seriesText.textItem.contents = seriesStatuses.get(finalGames[i]) || '';
+                  }
+
+                  // Time/Final values
+                  if (docType === 'Final Scores') {
+                    if (score1) score1.textItem.contents = String(finalGames[i].score1 || '');
+                    if (score2) score2.textItem.contents = String(finalGames[i].score2 || '');
+
+                    // Highlight winning score (gold)
+                    const s1 = Number(finalGames[i].score1);
+                    const s2 = Number(finalGames[i].score2);
+               //     if (!isNaN(s1) && !isNaN(s2)) {
+               //       if (s1 > s2 && score1) setTextHex(score1, 'ffd800');
+               //       else if (s2 > s1 && score2) setTextHex(score2, 'ffd800');
+               //     }
+                  } else {
+                    if (timeLayer) timeLayer.textItem.contents = gameTimeText(finalGames[i], confZones, locale).toUpperCase();
+                  }
                 }
-              }
 
-              // Export per chunk
-              const exportFile = await prepareScheduleExport(
-                gamedayFolder,
-                week,
-                docType,
-                conf,
-                dateShort,
-                seasonLabel,
-                a + 1
-              );
-              const cdnPath = exportHandler.buildCdnPath(baseFolder.name, week, docType, exportFile.name);
-              await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
-
-              previousDocId = doc._id;
-              await doc.save();
-            }, { commandName: `Update ${DOC_ID}` });
+                // {{tokens}} in text layers; each MATCH group also sees its own game
+                textTokens.applyTokens(doc, {
+                  ...tokenContext,
+                  docType,
+                  date: dateValue,
+                  conf: { name: conf, location: confLocation, color: headerColorHex }
+                }, {
+                  scopes: finalGames.map((g, i) => ({
+                    layer: getByName(matchups, 'MATCH ' + (i + 1)),
+                    context: textTokens.gameTokens(g, teams, { series: seriesStatuses.get(g) || '', time: gameTimeText(g, confZones, locale) })
+                  })),
+                  label: templateFileName
+                });
+
+                // Template binding spec, if the designer added one
+                if (bindingSpec) await layerBindings.applyBindings(doc, bindingSpec, { ...bindingData, week }, { baseFolder });
+
+                // Export per chunk
+                const exportFile = await exportFolder.createFile(exportName, { overwrite: true });
+                const cdnPath = exportHandler.buildCdnPath(leagueKey, week, docType, exportFile.name);
+                const cdnUrl = await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
+                await buildFingerprint.recordFingerprint(exportFolder, exportName, fp, !!cdnUrl);
+
+                previousDocId = doc._id;
+                await doc.save();
+              }, { commandName: `Update ${DOC_ID}` });
+              tally.built++;
+            } catch (err) {
+              // Keep going with the remaining graphics; the failure shows in the final counts
+              tally.failed++;
+              console.error(`${DOC_ID} ${conf} ${dateShort} failed:`, err);
+            }
           }
         }
       }
     }
 
     const selectedTag = input && input !== 'ALL' ? input : 'ALL';
-    statusEl.textContent = `✅ ${DOC_ID} completed for ${selectedTag}`;
+    statusEl.textContent = `${tally.failed ? '⚠️' : '✅'} ${DOC_ID} completed for ${selectedTag} · ${tally.summary()}`;
   } catch (err) {
     statusEl.textContent = `⚠️ Error updating ${DOC_ID}`;
     console.error(err);
@@ -477,38 +542,6 @@ async function handleScheduleUpdate(baseFolder) {
 
 // ===== Helpers =====
 
-function hexToRgb(hex) {
-  const h = (hex || '').replace(/^#/, "").trim();
-  const r = parseInt(h.slice(0, 2) || '00', 16);
-  const g = parseInt(h.slice(2, 4) || '00', 16);
-  const b = parseInt(h.slice(4, 6) || '00', 16);
-  return { r, g, b };
-}
-
-async function fillColor(layer, hex) {
-  if (!layer) return;
-  const { r, g, b } = hexToRgb(hex);
-  await app.batchPlay([
-    { _obj: "select", _target: [{ _ref: "layer", _id: layer._id }], makeVisible: false, selectionModifier: { _enum: "selectionModifierType", _value: "replaceSelection" }, _isCommand: true }
-  ], { synchronousExecution: true });
-  await app.batchPlay([
-    { _obj: "set", _target: [{ _ref: "contentLayer", _enum: "ordinal", _value: "targetEnum" }], to: { _obj: "solidColorLayer", color: { _obj: "RGBColor", red: r, green: g, blue: b } } }
-  ], { synchronousExecution: true });
-}
-
-const getByName = (parent, name) => {
-  const layers = parent.layers || parent;
-  return layers.find(l => l.name === name);
-};
-
-function setTextHex(layer, hex) {
-  if (!layer) return;
-  const color = new app.SolidColor();
-  color.rgb.hexValue = String(hex).replace(/^#/, '').toLowerCase();
-  layer.textItem.characterStyle.color = color;
-}
-
-
 // Duplicate a layer/group, strip "copy" suffixes, and translate by offset
 async function duplicate(group, newName, deltaX = 0, deltaY = 0) {
   await app.batchPlay(
@@ -546,6 +579,7 @@ async function duplicate(group, newName, deltaX = 0, deltaY = 0) {
 }
 
 async function translate(layer, deltaX, deltaY) {
+  if (!layer) return;
   await app.batchPlay([
     {
       _obj: "select",
@@ -566,6 +600,7 @@ async function translate(layer, deltaX, deltaY) {
 }
 
 async function scaleLayer(layer, percent) {
+  if (!layer) return;
   const value = Number(percent);
   if (!isFinite(value) || value <= 0) return;
   await app.batchPlay([
@@ -594,8 +629,8 @@ async function ensureFolderPath(rootFolder, segments) {
   return current;
 }
 
-// Prepare and return a FileEntry for Schedule PNG export
-async function prepareScheduleExport(gamedayFolder, week, docType, conf, dateShort, season, sequenceNumber) {
+// Export folder and PNG file name for one Schedule graphic (the file itself is created on export)
+async function scheduleExportTarget(gamedayFolder, week, docType, conf, dateShort, season, sequenceNumber) {
   const weekFolderName = `Week ${week}`;
   const exportFolder = await ensureFolderPath(gamedayFolder, ['Exports', weekFolderName, docType]);
   const safeConf = sanitizeFilename(conf);
@@ -603,7 +638,51 @@ async function prepareScheduleExport(gamedayFolder, week, docType, conf, dateSho
   const safeSeason = sanitizeFilename(season);
   const n = Number(sequenceNumber) || 1;
   const fileName = `${safeConf}_${safeDate}_${safeSeason}_${n}.png`;
-  return await exportFolder.createFile(fileName, { overwrite: true });
+  return { exportFolder, fileName };
+}
+
+// Start time shown on an upcoming game; conferences spanning time zones list each zone
+function gameTimeText(game, confZones, locale) {
+  return confZones.length > 1 && game.start
+    ? gameTime.formatTimeInZones(game.start, confZones, locale)
+    : String(game.time || '');
+}
+
+// Everything one SCHEDULE graphic shows, mirroring the layer updates above; its
+// fingerprint decides whether the graphic needs rebuilding, and a SCHEDULE.bindings.json
+// spec reads it (plus week)
+function scheduleBindings({ leagueKey, templateFileName, docType, dateValue, confLocation, headerColorHex, games, conf, divs, teams, confZones, locale, seriesStatuses }) {
+  const teamBinding = (fullTeam, fallbackAbb) => {
+    const team = teams.find(t => t.fullTeam === fullTeam);
+    if (!team) return { name: fullTeam || 'TBD', logo: 'LOGOS/LeagueLogo.png' };
+    const logoConf = team.conf || conf;
+    const logoAbb = team.abb || fallbackAbb;
+    return { name: team.teamName, color: team.color1, logo: `LOGOS/TEAMS/${logoConf}/${logoAbb}/${team.fullTeam}.png` };
+  };
+  return {
+    doc: DOC_ID,
+    leagueKey,
+    templateFileName,
+    docType,
+    dateValue,
+    confLocation,
+    headerColorHex,
+    games: games.map(g => {
+      const div = divs.find(d => d.abb === g.div1 && d.conf === conf);
+      return {
+        division: (div && div.divShort) || g.division1,
+        gameType: g.gameType,
+        round: g.round,
+        series: seriesStatuses.get(g) || '',
+        status: g.status,
+        seeds: [g.seed1, g.seed2],
+        scores: [g.score1, g.score2],
+        time: gameTimeText(g, confZones, locale),
+        team1: teamBinding(g.team1, g.div1),
+        team2: teamBinding(g.team2, g.div2 || g.div1)
+      };
+    })
+  };
 }
 
 
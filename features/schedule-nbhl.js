@@ -2,8 +2,13 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const buildFingerprint = require("../utils/buildFingerprint.js");
+const layerBindings = require("../utils/layerBindings.js");
+const { getByName, hexToRgb, fillColor, setTextHex } = require("../utils/layerHelpers.js");
+const textTokens = require("../utils/textTokens.js");
 
 // Helper
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
@@ -19,6 +24,8 @@ async function handleScheduleUpdate(baseFolder) {
   // Read cloud export checkbox state BEFORE entering executeAsModal
   const exportToCloudCheckbox = document.getElementById("exportToCloudCheckbox");
   const cloudExportEnabled = exportToCloudCheckbox && exportToCloudCheckbox.checked === true;
+  const forceRebuild = buildFingerprint.isForceRebuild();
+  const tally = buildFingerprint.createBuildTally();
 
   try {
     // Clear any cached URLs/branding so this run sees fresh sheet data,
@@ -32,8 +39,16 @@ async function handleScheduleUpdate(baseFolder) {
       leagueConfig.loadSchedule(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+
     const { divs, confs, teams } = leagueData;
     const { schedule, week, year } = scheduleData;
+    // Best-of series standing for playoff games ("OWLS LEADS 2-1"), shown on the SERIES layer
+    const seriesStatuses = await leagueConfig.getSeriesStatuses(baseFolder, schedule, teams);
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week, season: year });
 
     // Read user input (division abb, conference name, or ALL)
     const input = document.getElementById("divisionInput").value.trim().toUpperCase();
@@ -189,342 +204,352 @@ async function handleScheduleUpdate(baseFolder) {
             if (!chunks[a] || chunks[a].length === 0) break;
             finalGames = chunks[a];
 
+            // Use playoff template if season is "Playoffs"
+            let templateFileName;
+            if (gameType === 'Playoffs') {
+              templateFileName = `${DOC_ID}_Playoffs.psd`;
+            } else {
+              templateFileName = `${DOC_ID}.psd`;
+            }
+
+            // Skip the graphic when the data bound into it is unchanged since its last export
+            divisionExportCounts[divAbb] = (divisionExportCounts[divAbb] || 0) + 1;
+            const { exportFolder, fileName: exportName } = await scheduleExportTarget(gamedayFolder, week, docType, divAbb, divisionExportCounts[divAbb]);
+            const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFileName);
+            const bindingData = scheduleBindings({
+              leagueKey, templateFileName, docType, dateValue, divAbb, division, conf,
+              divColorHex, divTimeZone, games: finalGames, teams, seriesStatuses
+            });
+            const fp = buildFingerprint.fingerprint(bindingSpec ? { ...bindingData, bindingSpec } : bindingData);
+            if (!forceRebuild && await buildFingerprint.isUpToDate(exportFolder, exportName, fp, cloudExportEnabled)) {
+              tally.skipped++;
+              continue;
+            }
+
             // Show which division/date and how many games are on this graphic
             statusEl.innerHTML = `Updating ${divAbb} ${dateShort} (${finalGames.length} games)...`;
 
-            await core.executeAsModal(async () => {
-              // Use playoff template if season is "Playoffs"
-              let templateFileName;
-              if (gameType === 'Playoffs') {
-                templateFileName = `${DOC_ID}_Playoffs.psd`;
-              } else {
-                templateFileName = `${DOC_ID}.psd`;
-              }
-              const templateFile = await templateFolder.getEntry(templateFileName);
-              await app.open(templateFile);
-
-              // Close previous doc when doing many
-              if (previousDocId) {
-                const prev = app.documents.find(docItem => docItem._id === previousDocId);
-                if (prev) { await delay(300); await prev.close(); }
-                previousDocId = null;
-              }
-
-              const doc = app.activeDocument;
-              // Save As immediately to avoid editing/saving the template
-              // Ensure working folder exists and create save file first
-              let workingFolder = null;
-              try { workingFolder = await templateFolder.getEntry('Working Files'); }
-              catch { workingFolder = await templateFolder.createFolder('Working Files'); }
-              const dayName = String(finalGames[0].day);
-              const docTypeSuffix = docType === 'Final Scores' ? 'FS' : 'UG';
-              const chunkSuffix = (chunks.length > 1 && chunks[1] && chunks[1].length > 0) ? `_${a}` : '';
-              const workingFileName = `${divAbb}_${DOC_ID}_working_${dayName}_${docTypeSuffix}${chunkSuffix}.psd`;
-              const saveFile = await workingFolder.createFile(sanitizeFilename(workingFileName), { overwrite: true });
-              if (doc.saveAs && doc.saveAs.psd) await doc.saveAs.psd(saveFile);
-              const header = getByName(doc, 'HEADER');
-              const matchups = getByName(doc, 'MATCHUPS');
-              const background = getByName(doc, 'BACKGROUND');
-              const sponsorsFolder = getByName(doc, 'Sponsors');
-              const sponsorBar = sponsorsFolder ? getByName(sponsorsFolder, 'SPONSOR BAR') : null;
-              const backgroundBlack = background ? getByName(background, 'BLACK') : null;
-              const backgroundWhite = background ? getByName(background, 'WHITE') : null;
-
-              // Header layers
-              const headerText = getByName(header, 'HEADING');
-              const dateText = getByName(header, 'DATE');
-              const divisionText = getByName(header, 'DIVISION');
-              const emblemLayer = getByName(header, 'EMBLEM');
-              const locationText = getByName(header, 'LOCATION');
-              const divisionColorLayer = getByName(header, 'HEADER COLOR');
-
-              // Set header
-              let headerTextValue;
-              if (docType === 'Final Scores') {
-                headerTextValue = 'FINAL SCORES';
-              } else if (gameType === 'Playoffs') {
-                headerTextValue = 'PLAYOFFS';
-              } else {
-                headerTextValue = 'UPCOMING GAMES';
-              }
-              headerText.textItem.contents = headerTextValue;
-              dateText.textItem.contents = String(dateValue).toUpperCase();
-              if (divisionText) {
-                divisionText.textItem.contents = (division + ' ' + conf).toUpperCase();
-              }
-              if (locationText && locationText.textItem) {
-                locationText.textItem.contents = `@ ${String(finalGames?.[0]?.location || '').toUpperCase()}`;
-              }
-              const tierFolder = getByName(header, 'TIER');
-              if (tierFolder) {
-                for (let i = 0; i < tierFolder.layers.length; i++) {
-                  tierFolder.layers[i].visible = (tierFolder.layers[i].name === conf);
+            try {
+              await core.executeAsModal(async () => {
+                const templateFile = await templateFolder.getEntry(templateFileName);
+                await app.open(templateFile);
+
+                // Close previous doc when doing many
+                if (previousDocId) {
+                  const prev = app.documents.find(docItem => docItem._id === previousDocId);
+                  if (prev) { await delay(300); await prev.close(); }
+                  previousDocId = null;
                 }
-              }
-              if (emblemLayer) {
-                await imageHandler.replaceLayerWithImage(emblemLayer, `LOGOS/Division Emblems/PNG/${divAbb}_emblem.png`, baseFolder);
-              }
-
-              const sponsorDir = 'LOGOS/Sponsor/Division Sponsors/Sponsor Bars/';
-              let sponsorSuffix = '';
-              if (backgroundBlack) sponsorSuffix = 'BLACK';
-              else if (backgroundWhite) sponsorSuffix = 'WHITE';
-              const sponsorBaseFile = divAbb + '_Sponsors.psd';
-              const sponsorBasePath = sponsorDir + sponsorBaseFile;
-              let ok = false;
-              if (sponsorSuffix) {
-                const sponsorVariantFile = divAbb + '_Sponsors_' + sponsorSuffix + '.psd';
-                const variantPath = sponsorDir + sponsorVariantFile;
-                ok = await imageHandler.replaceLayerWithImage(sponsorBar, variantPath, baseFolder);
-              }
-              if (!ok) {
-                await imageHandler.replaceLayerWithImage(sponsorBar, sponsorBasePath, baseFolder);
-              }
-            
-
-              await fillColor(divisionColorLayer, divColorHex);
-
-              // Dynamic box creation using AREA layer bounds
-              const numOfGames = finalGames.length;
-              const areaLayer = background ? getByName(background, 'AREA') : null;
-              if (!areaLayer) throw new Error("AREA layer not found in BACKGROUND group");
-
-              const areaBounds = areaLayer.boundsNoEffects;
-              const maxAreaHeight = Math.abs(areaBounds.bottom - areaBounds.top);
-
-              const match1 = getByName(matchups, 'MATCH 1');
-              const match1Rectangle = getByName(match1, 'RECTANGLE');
-              const match1Bounds = match1Rectangle.boundsNoEffects;
-              const boxHeight = Math.abs(match1Bounds.bottom - match1Bounds.top);
-
-              const defaultSpacing = boxHeight * 0.25;
-              const totalHeight = (boxHeight * numOfGames) + (defaultSpacing * (numOfGames - 1));
-
-              let scale = 100;
-              let spacing = defaultSpacing;
-              if (totalHeight > maxAreaHeight) {
-                scale = (maxAreaHeight / totalHeight) * 100;
-                spacing = defaultSpacing * (scale / 100);
-              }
-
-              await scaleLayer(match1, scale, 'top');
-
-              // Round the step to a whole pixel so sub-pixel errors don't accumulate
-              // across copies (each duplicate is offset from the previous one)
-              const step = Math.round((scale / 100) * (spacing + boxHeight));
-
-              for (let p = 1; p < numOfGames; p++) {
-                const matchX = getByName(matchups, 'MATCH ' + p);
-                if (!matchX) break;
-                await duplicate(matchX, 'MATCH ' + (p + 1), 0, step);
-              }
-
-              if (scale === 100) {
-                await translate(matchups, 0, Math.round((maxAreaHeight - totalHeight) / 3));
-              }
-
-              // Update each match
-              for (let i = 0; i < numOfGames; i++) {
-                const j = i + 1;
-                const matchX = getByName(matchups, 'MATCH ' + j);
-                if (!matchX) continue;
-
-                const roundText = getByName(matchX, 'ROUND');
-
-                // Team layers
-                const color1 = getByName(matchX, 'TEAM 1 COLOR');
-                const color2 = getByName(matchX, 'TEAM 2 COLOR');
-                const logo1 = getByName(matchX, 'TEAM 1 LOGO');
-                const logo2 = getByName(matchX, 'TEAM 2 LOGO');
-                const team1RankFolder = getByName(matchX, 'TEAM 1 RANK');
-                const team2RankFolder = getByName(matchX, 'TEAM 2 RANK');
-
-                // Time/final groups
-                const timeFolder = getByName(matchX, 'TIME');
-                const finalFolder = getByName(matchX, 'FINAL SCORE');
-                const timeLayer = timeFolder ? getByName(timeFolder, 'TIME') : null;
-                const timeZoneLayer = timeFolder ? getByName(timeFolder, 'TIME ZONE') : null;
-                const team1nameText = getByName(timeFolder, 'TEAM 1 NAME');
-                const team2nameText = getByName(timeFolder, 'TEAM 2 NAME');
-                const score1 = finalFolder ? getByName(finalFolder, 'SCORE 1') : null;
-                const score2 = finalFolder ? getByName(finalFolder, 'SCORE 2') : null;
-                const finalText = finalFolder ? getByName(finalFolder, 'FINAL') : null;
-                const win1 = finalFolder ? getByName(finalFolder, 'WIN 1') : null;
-                const win2 = finalFolder ? getByName(finalFolder, 'WIN 2') : null;
-                const box1 = finalFolder ? getByName(finalFolder, 'BOX 1') : null;
-                const box2 = finalFolder ? getByName(finalFolder, 'BOX 2') : null;
-
-                // Determine per-team division abb for logo paths
-                const team1DivAbb = finalGames[i].div1;
-                const team2DivAbb = finalGames[i].div2 || finalGames[i].div1;
-                // Toggle time/final based on docType
+
+                const doc = app.activeDocument;
+                // Save As immediately to avoid editing/saving the template
+                // Ensure working folder exists and create save file first
+                let workingFolder = null;
+                try { workingFolder = await templateFolder.getEntry('Working Files'); }
+                catch { workingFolder = await templateFolder.createFolder('Working Files'); }
+                const dayName = String(finalGames[0].day);
+                const docTypeSuffix = docType === 'Final Scores' ? 'FS' : 'UG';
+                const chunkSuffix = (chunks.length > 1 && chunks[1] && chunks[1].length > 0) ? `_${a}` : '';
+                const workingFileName = `${divAbb}_${DOC_ID}_working_${dayName}_${docTypeSuffix}${chunkSuffix}.psd`;
+                const saveFile = await workingFolder.createFile(sanitizeFilename(workingFileName), { overwrite: true });
+                if (doc.saveAs && doc.saveAs.psd) await doc.saveAs.psd(saveFile);
+                const header = getByName(doc, 'HEADER');
+                const matchups = getByName(doc, 'MATCHUPS');
+                const background = getByName(doc, 'BACKGROUND');
+                const sponsorsFolder = getByName(doc, 'Sponsors');
+                const sponsorBar = sponsorsFolder ? getByName(sponsorsFolder, 'SPONSOR BAR') : null;
+                const backgroundBlack = background ? getByName(background, 'BLACK') : null;
+                const backgroundWhite = background ? getByName(background, 'WHITE') : null;
+
+                // Header layers
+                const headerText = getByName(header, 'HEADING');
+                const dateText = getByName(header, 'DATE');
+                const divisionText = getByName(header, 'DIVISION');
+                const emblemLayer = getByName(header, 'EMBLEM');
+                const locationText = getByName(header, 'LOCATION');
+                const divisionColorLayer = getByName(header, 'HEADER COLOR');
+
+                // Set header
+                let headerTextValue;
                 if (docType === 'Final Scores') {
-                  if (timeFolder) timeFolder.visible = false;
-                  if (finalFolder) finalFolder.visible = true;
-                  if (finalText) finalText.textItem.contents = String(finalGames[i].status).toUpperCase();
+                  headerTextValue = 'FINAL SCORES';
+                } else if (gameType === 'Playoffs') {
+                  headerTextValue = 'PLAYOFFS';
                 } else {
-                  if (timeFolder) timeFolder.visible = true;
-                  if (finalFolder) finalFolder.visible = false;
+                  headerTextValue = 'UPCOMING GAMES';
                 }
-
-                // Team 1
-                let t1Color = '4a4a4a';
-                let t1Name = finalGames[i].team1;
-                let t1Tier = conf;
-                let t1PowerRanking = '';
-                let t1Found = false;
-                for (let c = 0; c < teams.length; c++) {
-                  if (teams[c].fullTeam === finalGames[i].team1) {
-                    t1Color = teams[c].color1;
-                    t1Name = teams[c].teamName;
-                    t1Tier = teams[c].conf || conf;
-                    t1PowerRanking = teams[c].powerRanking || '';
-                    t1Full = teams[c].fullTeam;
-                    t1Found = true;
-                    break;
-                  }
+                if (headerText) headerText.textItem.contents = headerTextValue;
+                if (dateText) dateText.textItem.contents = String(dateValue).toUpperCase();
+                if (divisionText) {
+                  divisionText.textItem.contents = (division + ' ' + conf).toUpperCase();
                 }
-                // Set to TBD if name is blank
-                if (!t1Name || String(t1Name).trim() === '') {
-                  t1Name = 'TBD';
+                if (locationText && locationText.textItem) {
+                  locationText.textItem.contents = `@ ${String(finalGames?.[0]?.location || '').toUpperCase()}`;
                 }
-
-                // Team 2
-                let t2Color = '4a4a4a';
-                let t2Name = finalGames[i].team2;
-                let t2Tier = conf;
-                let t2PowerRanking = '';
-                let t2Found = false;
-                for (let c = 0; c < teams.length; c++) {
-                  if (teams[c].fullTeam === finalGames[i].team2) {
-                    t2Color = teams[c].color1;
-                    t2Name = teams[c].teamName;
-                    t2Tier = teams[c].conf || conf;
-                    t2PowerRanking = teams[c].powerRanking || '';
-                    t2Full = teams[c].fullTeam;
-                    t2Found = true;
-                    break;
+                const tierFolder = getByName(header, 'TIER');
+                if (tierFolder) {
+                  for (let i = 0; i < tierFolder.layers.length; i++) {
+                    tierFolder.layers[i].visible = (tierFolder.layers[i].name === conf);
                   }
                 }
-                // Set to TBD if name is blank
-                if (!t2Name || String(t2Name).trim() === '') {
-                  t2Name = 'TBD';
+                if (emblemLayer) {
+                  await imageHandler.replaceLayerWithImage(emblemLayer, `LOGOS/Division Emblems/PNG/${divAbb}_emblem.png`, baseFolder);
                 }
 
-                // Apply colors
-                await fillColor(color1, t1Color);
-                await fillColor(color2, t2Color);
-
-                // Names - add seeds for Playoffs
-                let team1DisplayName = String(t1Name).toUpperCase();
-                let team2DisplayName = String(t2Name).toUpperCase();
-                
-                if (finalGames[i].gameType === 'Playoffs') {
-                  const seed1 = finalGames[i].seed1;
-                  const seed2 = finalGames[i].seed2;
-                  if (seed1 !== undefined && seed1 !== null && seed1 !== '') {
-                    team1DisplayName = `#${seed1} ${team1DisplayName}`;
-                  }
-                  if (seed2 !== undefined && seed2 !== null && seed2 !== '') {
-                    team2DisplayName = `#${seed2} ${team2DisplayName}`;
-                  }
-                }
-                
-                team1nameText.textItem.contents = team1DisplayName.length > 20 ? (team1DisplayName.slice(0, 20) + '...') : team1DisplayName;
-                team2nameText.textItem.contents = team2DisplayName.length > 20 ? (team2DisplayName.slice(0, 20) + '...') : team2DisplayName;
-
-                // Power rank badges (if PR exists): show folder, set rank text, and
-                // show only the tier layer matching the team tier.
-                applyTeamRankFolder(team1RankFolder, t1PowerRanking, t1Tier || conf);
-                applyTeamRankFolder(team2RankFolder, t2PowerRanking, t2Tier || conf);
-
-                // Text color from background luminance
-                setTextColor(team1nameText, t1Color);
-                setTextColor(team2nameText, t2Color);
-
-                // Logos with fallback to LeagueLogo.png
-                if (t1Found) {
-                  const logo1Url = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(conf)}/${encodeURIComponent(team1DivAbb)}/${encodeURIComponent(t1Full)}.png`;
-                  let ok1 = await imageHandler.replaceLayerWithImage(logo1, logo1Url);
-                  if (!ok1) ok1 = await imageHandler.replaceLayerWithImage(logo1, `LOGOS/TEAMS/${conf}/${team1DivAbb}/${t1Full}.png`, baseFolder);
-                  if (!ok1) await imageHandler.replaceLayerWithImage(logo1, "LOGOS/LeagueLogo.png", baseFolder);
-                } else {
-                  await imageHandler.replaceLayerWithImage(logo1, "LOGOS/LeagueLogo.png", baseFolder);
+                const sponsorDir = 'LOGOS/Sponsor/Division Sponsors/Sponsor Bars/';
+                let sponsorSuffix = '';
+                if (backgroundBlack) sponsorSuffix = 'BLACK';
+                else if (backgroundWhite) sponsorSuffix = 'WHITE';
+                const sponsorBaseFile = divAbb + '_Sponsors.psd';
+                const sponsorBasePath = sponsorDir + sponsorBaseFile;
+                let ok = false;
+                if (sponsorSuffix) {
+                  const sponsorVariantFile = divAbb + '_Sponsors_' + sponsorSuffix + '.psd';
+                  const variantPath = sponsorDir + sponsorVariantFile;
+                  ok = await imageHandler.replaceLayerWithImage(sponsorBar, variantPath, baseFolder);
                 }
-
-                if (t2Found) {
-                  const logo2Url = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(conf)}/${encodeURIComponent(team2DivAbb)}/${encodeURIComponent(t2Full)}.png`;
-                  let ok2 = await imageHandler.replaceLayerWithImage(logo2, logo2Url);
-                  if (!ok2) ok2 = await imageHandler.replaceLayerWithImage(logo2, `LOGOS/TEAMS/${conf}/${team2DivAbb}/${t2Full}.png`, baseFolder);
-                  if (!ok2) await imageHandler.replaceLayerWithImage(logo2, "LOGOS/LeagueLogo.png", baseFolder);
-                } else {
-                  await imageHandler.replaceLayerWithImage(logo2, "LOGOS/LeagueLogo.png", baseFolder);
+                if (!ok) {
+                  await imageHandler.replaceLayerWithImage(sponsorBar, sponsorBasePath, baseFolder);
                 }
+              
+
+                await fillColor(divisionColorLayer, divColorHex);
+
+                // Dynamic box creation using AREA layer bounds
+                const numOfGames = finalGames.length;
+                const areaLayer = background ? getByName(background, 'AREA') : null;
+                await layoutMatches(matchups, areaLayer, numOfGames, templateFileName);
+
+                // Update each match
+                for (let i = 0; i < numOfGames; i++) {
+                  const j = i + 1;
+                  const matchX = getByName(matchups, 'MATCH ' + j);
+                  if (!matchX) continue;
+
+                  const roundText = getByName(matchX, 'ROUND');
+                  const seriesText = getByName(matchX, 'SERIES');
+
+                  // Team layers
+                  const color1 = getByName(matchX, 'TEAM 1 COLOR');
+                  const color2 = getByName(matchX, 'TEAM 2 COLOR');
+                  const logo1 = getByName(matchX, 'TEAM 1 LOGO');
+                  const logo2 = getByName(matchX, 'TEAM 2 LOGO');
+                  const team1RankFolder = getByName(matchX, 'TEAM 1 RANK');
+                  const team2RankFolder = getByName(matchX, 'TEAM 2 RANK');
+
+                  // Time/final groups
+                  const timeFolder = getByName(matchX, 'TIME');
+                  const finalFolder = getByName(matchX, 'FINAL SCORE');
+                  const timeLayer = timeFolder ? getByName(timeFolder, 'TIME') : null;
+                  const timeZoneLayer = timeFolder ? getByName(timeFolder, 'TIME ZONE') : null;
+                  const team1nameText = getByName(timeFolder, 'TEAM 1 NAME');
+                  const team2nameText = getByName(timeFolder, 'TEAM 2 NAME');
+                  const score1 = finalFolder ? getByName(finalFolder, 'SCORE 1') : null;
+                  const score2 = finalFolder ? getByName(finalFolder, 'SCORE 2') : null;
+                  const finalText = finalFolder ? getByName(finalFolder, 'FINAL') : null;
+                  const win1 = finalFolder ? getByName(finalFolder, 'WIN 1') : null;
+                  const win2 = finalFolder ? getByName(finalFolder, 'WIN 2') : null;
+                  const box1 = finalFolder ? getByName(finalFolder, 'BOX 1') : null;
+                  const box2 = finalFolder ? getByName(finalFolder, 'BOX 2') : null;
+
+                  // Determine per-team division abb for logo paths
+                  const team1DivAbb = finalGames[i].div1;
+                  const team2DivAbb = finalGames[i].div2 || finalGames[i].div1;
+                  // Toggle time/final based on docType
+                  if (docType === 'Final Scores') {
+                    if (timeFolder) timeFolder.visible = false;
+                    if (finalFolder) finalFolder.visible = true;
+                    if (finalText) finalText.textItem.contents = String(finalGames[i].status).toUpperCase();
+                  } else {
+                    if (timeFolder) timeFolder.visible = true;
+                    if (finalFolder) finalFolder.visible = false;
+                  }
 
-                // Round label – only for Playoffs
-                if (finalGames[i].gameType === 'Playoffs' && roundText) {
-                  roundText.textItem.contents = String(finalGames[i].round || '').toUpperCase();
-                }
+                  // Team 1
+                  let t1Color = '4a4a4a';
+                  let t1Name = finalGames[i].team1;
+                  let t1Tier = conf;
+                  let t1PowerRanking = '';
+                  let t1Found = false;
+                  for (let c = 0; c < teams.length; c++) {
+                    if (teams[c].fullTeam === finalGames[i].team1) {
+                      t1Color = teams[c].color1;
+                      t1Name = teams[c].teamName;
+                      t1Tier = teams[c].conf || conf;
+                      t1PowerRanking = teams[c].powerRanking || '';
+                      t1Full = teams[c].fullTeam;
+                      t1Found = true;
+                      break;
+                    }
+                  }
+                  // Set to TBD if name is blank
+                  if (!t1Name || String(t1Name).trim() === '') {
+                    t1Name = 'TBD';
+                  }
 
-                // Time/Final values
-                if (docType === 'Final Scores') {
-                  if (score1) score1.textItem.contents = String(finalGames[i].score1 || '');
-                  if (score2) score2.textItem.contents = String(finalGames[i].score2 || '');
-
-                  const s1 = Number(finalGames[i].score1);
-                  const s2 = Number(finalGames[i].score2);
-                  const hasScores = !isNaN(s1) && !isNaN(s2);
-                  const team1Wins = hasScores && s1 > s2;
-                  const team2Wins = hasScores && s2 > s1;
-
-                  if (win1) win1.visible = team1Wins;
-                  if (win2) win2.visible = team2Wins;
-                  if (box1) await fillColor(box1, team1Wins ? 'ffffff' : '535353');
-                  if (box2) await fillColor(box2, team2Wins ? 'ffffff' : '535353');
-                  if (score1 && score2) {
-                    if (team1Wins) {
-                      setTextHex(score1, '000000');
-                      setTextHex(score2, 'ffffff');
-                    } else if (team2Wins) {
-                      setTextHex(score1, 'ffffff');
-                      setTextHex(score2, '000000');
-                    } else {
-                      // Tie or missing numeric scores: keep both readable on dark boxes.
-                      setTextHex(score1, 'ffffff');
-                      setTextHex(score2, 'ffffff');
+                  // Team 2
+                  let t2Color = '4a4a4a';
+                  let t2Name = finalGames[i].team2;
+                  let t2Tier = conf;
+                  let t2PowerRanking = '';
+                  let t2Found = false;
+                  for (let c = 0; c < teams.length; c++) {
+                    if (teams[c].fullTeam === finalGames[i].team2) {
+                      t2Color = teams[c].color1;
+                      t2Name = teams[c].teamName;
+                      t2Tier = teams[c].conf || conf;
+                      t2PowerRanking = teams[c].powerRanking || '';
+                      t2Full = teams[c].fullTeam;
+                      t2Found = true;
+                      break;
                     }
                   }
-                } else {
-                  if (timeLayer) timeLayer.textItem.contents = String(finalGames[i].time || '').toUpperCase();
-                  if (timeZoneLayer) {
-                    // Keep original division timezone first
-                    timeZoneLayer.textItem.contents = String(divTimeZone || '').toUpperCase();
-                    // Override based only on location value
-                    const gameLocation = String(finalGames[i].location || '').trim().toUpperCase();
-                    if (gameLocation === 'JC SNOW PARK') {
-                      timeZoneLayer.textItem.contents = 'MOUNTAIN';
+                  // Set to TBD if name is blank
+                  if (!t2Name || String(t2Name).trim() === '') {
+                    t2Name = 'TBD';
+                  }
+
+                  // Apply colors
+                  await fillColor(color1, t1Color);
+                  await fillColor(color2, t2Color);
+
+                  // Names - add seeds for Playoffs
+                  let team1DisplayName = String(t1Name).toUpperCase();
+                  let team2DisplayName = String(t2Name).toUpperCase();
+                  
+                  if (finalGames[i].gameType === 'Playoffs') {
+                    const seed1 = finalGames[i].seed1;
+                    const seed2 = finalGames[i].seed2;
+                    if (seed1 !== undefined && seed1 !== null && seed1 !== '') {
+                      team1DisplayName = `#${seed1} ${team1DisplayName}`;
+                    }
+                    if (seed2 !== undefined && seed2 !== null && seed2 !== '') {
+                      team2DisplayName = `#${seed2} ${team2DisplayName}`;
                     }
                   }
-                }
-              }
+                  
+                  if (team1nameText) team1nameText.textItem.contents = team1DisplayName.length > 20 ? (team1DisplayName.slice(0, 20) + '...') : team1DisplayName;
+                  if (team2nameText) team2nameText.textItem.contents = team2DisplayName.length > 20 ? (team2DisplayName.slice(0, 20) + '...') : team2DisplayName;
+
+                  // Power rank badges (if PR exists): show folder, set rank text, and
+                  // show only the tier layer matching the team tier.
+                  applyTeamRankFolder(team1RankFolder, t1PowerRanking, t1Tier || conf);
+                  applyTeamRankFolder(team2RankFolder, t2PowerRanking, t2Tier || conf);
+
+                  // Text color from background luminance
+                  setTextColor(team1nameText, t1Color);
+                  setTextColor(team2nameText, t2Color);
+
+                  // Logos with fallback to LeagueLogo.png
+                  if (t1Found) {
+                    const logo1Url = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(team1DivAbb)}/${encodeURIComponent(t1Full)}.png`;
+                    let ok1 = await imageHandler.replaceLayerWithImage(logo1, logo1Url);
+                    if (!ok1) ok1 = await imageHandler.replaceLayerWithImage(logo1, `LOGOS/TEAMS/${conf}/${team1DivAbb}/${t1Full}.png`, baseFolder);
+                    if (!ok1) await imageHandler.replaceLayerWithImage(logo1, "LOGOS/LeagueLogo.png", baseFolder);
+                  } else {
+                    await imageHandler.replaceLayerWithImage(logo1, "LOGOS/LeagueLogo.png", baseFolder);
+                  }
+
+                  if (t2Found) {
+                    const logo2Url = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(team2DivAbb)}/${encodeURIComponent(t2Full)}.png`;
+                    let ok2 = await imageHandler.replaceLayerWithImage(logo2, logo2Url);
+                    if (!ok2) ok2 = await imageHandler.replaceLayerWithImage(logo2, `LOGOS/TEAMS/${conf}/${team2DivAbb}/${t2Full}.png`, baseFolder);
+                    if (!ok2) await imageHandler.replaceLayerWithImage(logo2, "LOGOS/LeagueLogo.png", baseFolder);
+                  } else {
+                    await imageHandler.replaceLayerWithImage(logo2, "LOGOS/LeagueLogo.png", baseFolder);
+                  }
 
-              // Export per chunk
-              divisionExportCounts[divAbb] = (divisionExportCounts[divAbb] || 0) + 1;
-              const exportFile = await prepareScheduleExport(gamedayFolder, week, docType, divAbb, divisionExportCounts[divAbb]);
-              const cdnPath = exportHandler.buildCdnPath(baseFolder.name, week, docType, exportFile.name);
-              await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
+                  // Round label and series status – only for Playoffs
+                  if (finalGames[i].gameType === 'Playoffs' && roundText) {
+                    roundText.textItem.contents = String(finalGames[i].round || '').toUpperCase();
+                  }
+                  if (finalGames[i].gameType === 'Playoffs' && seriesText) {
+                    seriesText.textItem.contents = seriesStatuses.get(finalGames[i]) || '';
+                  }
 
-              previousDocId = doc._id;
-              await doc.save();
+                  // Time/Final values
+                  if (docType === 'Final Scores') {
+                    if (score1) score1.textItem.contents = String(finalGames[i].score1 || '');
+                    if (score2) score2.textItem.contents = String(finalGames[i].score2 || '');
+
+                    const s1 = Number(finalGames[i].score1);
+                    const s2 = Number(finalGames[i].score2);
+                    const hasScores = !isNaN(s1) && !isNaN(s2);
+                    const team1Wins = hasScores && s1 > s2;
+                    const team2Wins = hasScores && s2 > s1;
+
+                    if (win1) win1.visible = team1Wins;
+                    if (win2) win2.visible = team2Wins;
+                    if (box1) await fillColor(box1, team1Wins ? 'ffffff' : '535353');
+                    if (box2) await fillColor(box2, team2Wins ? 'ffffff' : '535353');
+                    if (score1 && score2) {
+                      if (team1Wins) {
+                        setTextHex(score1, '000000');
+                        setTextHex(score2, 'ffffff');
+                      } else if (team2Wins) {
+                        setTextHex(score1, 'ffffff');
+                        setTextHex(score2, '000000');
+                      } else {
+                        // Tie or missing numeric scores: keep both readable on dark boxes.
+                        setTextHex(score1, 'ffffff');
+                        setTextHex(score2, 'ffffff');
+                      }
+                    }
+                  } else {
+                    if (timeLayer) timeLayer.textItem.contents = String(finalGames[i].time || '').toUpperCase();
+                    if (timeZoneLayer) {
+                      // Keep original division timezone first
+                      timeZoneLayer.textItem.contents = String(divTimeZone || '').toUpperCase();
+                      // Override based only on location value
+                      const gameLocation = String(finalGames[i].location || '').trim().toUpperCase();
+                      if (gameLocation === 'JC SNOW PARK') {
+                        timeZoneLayer.textItem.contents = 'MOUNTAIN';
+                      }
+                    }
+                  }
+                }
 
-            }, { commandName: `Update ${DOC_ID}` });
+                // {{tokens}} in text layers; each MATCH group also sees its own game
+                textTokens.applyTokens(doc, {
+                  ...tokenContext,
+                  docType,
+                  date: dateValue,
+                  conf: { name: conf },
+                  division: { name: division, abb: divAbb, color: divColorHex }
+                }, {
+                  scopes: finalGames.map((g, i) => ({
+                    layer: getByName(matchups, 'MATCH ' + (i + 1)),
+                    context: textTokens.gameTokens(g, teams, { series: seriesStatuses.get(g) || '' })
+                  })),
+                  label: templateFileName
+                });
+
+                // Template binding spec, if the designer added one
+                if (bindingSpec) await layerBindings.applyBindings(doc, bindingSpec, { ...bindingData, week }, { baseFolder });
+
+                // Export per chunk
+                const exportFile = await exportFolder.createFile(exportName, { overwrite: true });
+                const cdnPath = exportHandler.buildCdnPath(leagueKey, week, docType, exportFile.name);
+                const cdnUrl = await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
+                await buildFingerprint.recordFingerprint(exportFolder, exportName, fp, !!cdnUrl);
+
+                previousDocId = doc._id;
+                await doc.save();
+
+              }, { commandName: `Update ${DOC_ID}` });
+              tally.built++;
+            } catch (err) {
+              // Keep going with the remaining graphics; the failure shows in the final counts
+              tally.failed++;
+              console.error(`${DOC_ID} ${divAbb} ${dateShort} failed:`, err);
+            }
           }
         }
       }
     }
 
     const selectedTag = input && input !== 'ALL' ? input : 'ALL';
-    statusEl.textContent = `✅ ${DOC_ID} completed for ${selectedTag} (${activeDivs.length} divisions)`;
+    statusEl.textContent = `${tally.failed ? '⚠️' : '✅'} ${DOC_ID} completed for ${selectedTag} (${activeDivs.length} divisions) · ${tally.summary()}`;
   } catch (err) {
     statusEl.textContent = `⚠️ Error updating ${DOC_ID}`;
     console.error(err);
@@ -533,38 +558,6 @@ async function handleScheduleUpdate(baseFolder) {
 
 // ===== Helpers =====
 
-function hexToRgb(hex) {
-  const h = (hex || '').replace(/^#/, "").trim();
-  const r = parseInt(h.slice(0, 2) || '00', 16);
-  const g = parseInt(h.slice(2, 4) || '00', 16);
-  const b = parseInt(h.slice(4, 6) || '00', 16);
-  return { r, g, b };
-}
-
-async function fillColor(layer, hex) {
-  if (!layer) return;
-  const { r, g, b } = hexToRgb(hex);
-  await app.batchPlay([
-    { _obj: "select", _target: [{ _ref: "layer", _id: layer._id }], makeVisible: false, selectionModifier: { _enum: "selectionModifierType", _value: "replaceSelection" }, _isCommand: true }
-  ], { synchronousExecution: true });
-  await app.batchPlay([
-    { _obj: "set", _target: [{ _ref: "contentLayer", _enum: "ordinal", _value: "targetEnum" }], to: { _obj: "solidColorLayer", color: { _obj: "RGBColor", red: r, green: g, blue: b } } }
-  ], { synchronousExecution: true });
-}
-
-const getByName = (parent, name) => {
-  const layers = parent.layers || parent;
-  return layers.find(l => l.name === name);
-};
-
-function setTextHex(layer, hex) {
-  if (!layer) return;
-  const color = new app.SolidColor();
-  color.rgb.hexValue = String(hex).replace(/^#/, '').toLowerCase();
-  layer.textItem.characterStyle.color = color;
-}
-
-
 // Duplicate a layer/group, strip "copy" suffixes, and translate by offset
 async function duplicate(group, newName, deltaX = 0, deltaY = 0) {
   await app.batchPlay(
@@ -601,7 +594,54 @@ async function duplicate(group, newName, deltaX = 0, deltaY = 0) {
   return dup;
 }
 
+/**
+ * Size and stack the MATCH groups to fit the BACKGROUND/AREA layer: MATCH 1 is scaled so all
+ * games fit, then duplicated once per extra game. Templates without AREA or MATCH 1/RECTANGLE
+ * keep the layout they were saved with.
+ */
+async function layoutMatches(matchups, areaLayer, numOfGames, templateFileName) {
+  const match1 = getByName(matchups, 'MATCH 1');
+  const match1Rectangle = getByName(match1, 'RECTANGLE');
+  if (!areaLayer || !match1Rectangle) {
+    console.warn(`⚠️ ${templateFileName}: no BACKGROUND/AREA or MATCHUPS/MATCH 1/RECTANGLE layer, match layout left as is`);
+    return;
+  }
+
+  const areaBounds = areaLayer.boundsNoEffects;
+  const maxAreaHeight = Math.abs(areaBounds.bottom - areaBounds.top);
+
+  const match1Bounds = match1Rectangle.boundsNoEffects;
+  const boxHeight = Math.abs(match1Bounds.bottom - match1Bounds.top);
+
+  const defaultSpacing = boxHeight * 0.25;
+  const totalHeight = (boxHeight * numOfGames) + (defaultSpacing * (numOfGames - 1));
+
+  let scale = 100;
+  let spacing = defaultSpacing;
+  if (totalHeight > maxAreaHeight) {
+    scale = (maxAreaHeight / totalHeight) * 100;
+    spacing = defaultSpacing * (scale / 100);
+  }
+
+  await scaleLayer(match1, scale, 'top');
+
+  // Round the step to a whole pixel so sub-pixel errors don't accumulate
+  // across copies (each duplicate is offset from the previous one)
+  const step = Math.round((scale / 100) * (spacing + boxHeight));
+
+  for (let p = 1; p < numOfGames; p++) {
+    const matchX = getByName(matchups, 'MATCH ' + p);
+    if (!matchX) break;
+    await duplicate(matchX, 'MATCH ' + (p + 1), 0, step);
+  }
+
+  if (scale === 100) {
+    await translate(matchups, 0, Math.round((maxAreaHeight - totalHeight) / 3));
+  }
+}
+
 async function translate(layer, deltaX, deltaY) {
+  if (!layer) return;
   await app.batchPlay([
     {
       _obj: "select",
@@ -622,6 +662,7 @@ async function translate(layer, deltaX, deltaY) {
 }
 
 async function scaleLayer(layer, percent, anchor = 'center') {
+  if (!layer) return;
   const value = Number(percent);
   if (!isFinite(value) || value <= 0) return;
   const anchorMap = {
@@ -700,14 +741,55 @@ async function ensureFolderPath(rootFolder, segments) {
   return current;
 }
 
-// Prepare and return a FileEntry for Schedule PNG export
-async function prepareScheduleExport(gamedayFolder, week, docType, divAbb, sequenceNumber) {
+// Export folder and PNG file name for one Schedule graphic (the file itself is created on export)
+async function scheduleExportTarget(gamedayFolder, week, docType, divAbb, sequenceNumber) {
   const weekFolderName = `Week ${week}`;
   const exportFolder = await ensureFolderPath(gamedayFolder, ['Exports', weekFolderName, docType]);
   const safeDivAbb = sanitizeFilename(divAbb);
   const n = Number(sequenceNumber) || 1;
   const fileName = `${safeDivAbb}_Schedule_${n}.png`;
-  return await exportFolder.createFile(fileName, { overwrite: true });
+  return { exportFolder, fileName };
+}
+
+// Everything one SCHEDULE graphic shows, mirroring the layer updates above; its
+// fingerprint decides whether the graphic needs rebuilding. Emblem and sponsor
+// bar paths follow from divAbb. A SCHEDULE.bindings.json spec reads it (plus week).
+function scheduleBindings({ leagueKey, templateFileName, docType, dateValue, divAbb, division, conf, divColorHex, divTimeZone, games, teams, seriesStatuses }) {
+  const teamBinding = (fullTeam, divAbbForLogo) => {
+    const team = teams.find(t => t.fullTeam === fullTeam);
+    if (!team) return { name: fullTeam || 'TBD', logo: 'LOGOS/LeagueLogo.png' };
+    return {
+      name: team.teamName,
+      color: team.color1,
+      tier: team.conf || conf,
+      powerRanking: team.powerRanking || '',
+      logo: `LOGOS/TEAMS/${conf}/${divAbbForLogo}/${team.fullTeam}.png`
+    };
+  };
+  return {
+    doc: DOC_ID,
+    leagueKey,
+    templateFileName,
+    docType,
+    dateValue,
+    divAbb,
+    division,
+    conf,
+    divColorHex,
+    divTimeZone,
+    games: games.map(g => ({
+      gameType: g.gameType,
+      round: g.round,
+      series: seriesStatuses.get(g) || '',
+      status: g.status,
+      location: g.location,
+      seeds: [g.seed1, g.seed2],
+      scores: [g.score1, g.score2],
+      time: g.time,
+      team1: teamBinding(g.team1, g.div1),
+      team2: teamBinding(g.team2, g.div2 || g.div1)
+    }))
+  };
 }
 
 
@@ -1,12 +1,10 @@
 const defaultScheduleModule = require("./schedule-default.js");
 const nbhlScheduleModule = require("./schedule-nbhl.js");
+const storage = require("../storage.js");
 
-function normalizeLeagueName(baseFolder) {
-  return String(baseFolder?.name || "").trim().toUpperCase();
-}
-
-function getScheduleHandler(baseFolder) {
-  const leagueName = normalizeLeagueName(baseFolder);
+// Handler variant comes from league.json "variant", falling back to the league key
+async function getScheduleHandler(baseFolder) {
+  const { variant: leagueName } = await storage.resolveLeagueInfo(baseFolder);
 
   // Add future league-specific handlers here:
   // e.g. "XYZ": require("./schedule-xyz.js")
@@ -25,7 +23,7 @@ function getScheduleHandler(baseFolder) {
 }
 
 async function handleScheduleUpdate(baseFolder) {
-  const handler = getScheduleHandler(baseFolder);
+  const handler = await getScheduleHandler(baseFolder);
   return handler(baseFolder);
 }
 
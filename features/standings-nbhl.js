@@ -2,9 +2,19 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
 const bracketHandler = require("./bracket.js");
+const buildFingerprint = require("../utils/buildFingerprint.js");
+const layerBindings = require("../utils/layerBindings.js");
+const { getByName, hexToRgb, fillColor } = require("../utils/layerHelpers.js");
+const textTokens = require("../utils/textTokens.js");
+const standingsEngine = require("../utils/standingsEngine.js");
+const {
+  chunkStandings, standingsExportName, divisionTiebreakLines, writeTiebreakNote, applyClinchLayers, withClinchPrefix,
+  standingsBindingContext
+} = require("../utils/standingsPages.js");
 const fs = require("uxp").storage.localFileSystem;
 
 // Small delay helper (used when closing previous doc)
@@ -15,12 +25,15 @@ const DOC_ID = 'STANDINGS';       // folder + template basename (e.g., STANDINGS
 const DOC_EXPORT = 'Standings';    // export folder + filename prefix
 
 // Function to handle STANDINGS Update
+// Resolves with the schedule, standings and teams it loaded when every division built, else undefined
 async function handleStandingsUpdate(baseFolder) {
   const statusEl = document.getElementById("status");
   
   // Read cloud export checkbox state BEFORE entering executeAsModal
   const exportToCloudCheckbox = document.getElementById("exportToCloudCheckbox");
   const cloudExportEnabled = exportToCloudCheckbox && exportToCloudCheckbox.checked === true;
+  const forceRebuild = buildFingerprint.isForceRebuild();
+  const tally = buildFingerprint.createBuildTally();
 
   try {
 
@@ -36,8 +49,14 @@ async function handleStandingsUpdate(baseFolder) {
       leagueConfig.loadSchedule(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+
     const { divs, confs, teams } = leagueData;
     const { schedule, week, year } = scheduleData;
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week, season: year });
 
     // Get user division input from UI (converts abbreviations automatically)
     const userDiv = leagueConfig.getUserDivision(divs);
@@ -48,6 +67,19 @@ async function handleStandingsUpdate(baseFolder) {
     standingsData.forEach(t => { t.div = leagueConfig.normalizeDivName(t.div, divs); });
     const teamStats = standingsData;
 
+    // Current streak and last-five record from final games (optional STREAK / L5 layers),
+    // counted through the same week as computed standings
+    const formByTeam = standingsEngine.teamForm(schedule, { throughWeek: leagueConfig.getWeekOverride() });
+    teamStats.forEach(t => {
+      const form = formByTeam[t.fullTeam] || {};
+      t.streak = form.streak || '';
+      t.lastFive = form.lastFive || '';
+    });
+
+    // Clinch / elimination flags ("y", "x", "e") for the optional CLINCH layers or a "x - " name prefix
+    const { picture: playoffFlags, clinchPrefix } = await leagueConfig.getPlayoffPicture(baseFolder, { standings: teamStats, schedule, divs });
+    teamStats.forEach(t => { t.clinch = (playoffFlags[t.fullTeam] || {}).flag || ''; });
+
     // Build active divisions list.
     // By default, we only run for divisions that have games in the current week.
     // If the "allDivisionsCheckbox" is checked in the UI, we instead run
@@ -256,6 +288,35 @@ async function handleStandingsUpdate(baseFolder) {
     } catch {
       templateFile = await templateFolder.getEntry(`${DOC_ID}.psd`);
     }
+
+      // Sort teams by rank property from spreadsheet, then split into pages
+      const sortedStandings = divTeams.slice().sort((a, b) => {
+        const rankA = Number(a.rank) || 999;
+        const rankB = Number(b.rank) || 999;
+        return rankA - rankB;
+      });
+      const chunks = chunkStandings(sortedStandings);
+
+      // Skip the division when the data bound into every one of its pages is unchanged
+      const exportFolder = await ensureFolderPath(gamedayFolder, ['Exports', `Week ${week}`, DOC_EXPORT]);
+      const exportNames = chunks.map((chunk, h) => standingsExportName(divAbb, h));
+      const tiebreakLines = divisionTiebreakLines(leagueConfig.getTiebreakExplanations(), confDiv, (div) => leagueConfig.normalizeDivName(div, divs));
+      const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFile.name, `${DOC_ID}.psd`);
+      const bindingData = standingsBindings({
+        leagueKey, templateFileName: templateFile.name, division, divColorHex,
+        conf, divAbb, chunks, teams, tiebreakLines, clinchPrefix
+      });
+      const fp = buildFingerprint.fingerprint(bindingSpec ? { ...bindingData, bindingSpec } : bindingData);
+      if (!forceRebuild) {
+        let upToDate = true;
+        for (const exportName of exportNames) {
+          if (!await buildFingerprint.isUpToDate(exportFolder, exportName, fp, cloudExportEnabled)) { upToDate = false; break; }
+        }
+        if (upToDate) {
+          tally.skipped += exportNames.length;
+          continue;
+        }
+      }
       
       // Create working files folder if it doesn't exist (BEFORE executeAsModal)
       let workingFolder;
@@ -274,295 +335,310 @@ async function handleStandingsUpdate(baseFolder) {
       // Show which division is updating and how many teams it has
       statusEl.innerHTML = `Updating ${divAbb} (${divTeams.length} teams)...`;
 
-      await core.executeAsModal(async () => {
-        await app.open(templateFile);
-
-        // If running ALL, close the previous document after opening this one
-        if (userDiv === 'ALL' && previousDocId) {
-          const prev = app.documents.find(docItem => docItem._id === previousDocId);
-          if (prev) { 
-            await delay(1000); 
-            await prev.close(); 
-          }
-          previousDocId = null;
-        }
-
-        // Define document — header: DIVISION, TIER, EMBLEM, HEADER COLOR + sponsors (no HEADING/DATE in this template)
-        const doc = app.activeDocument;
-        // Save As immediately to avoid editing/saving the template
-        if (doc.saveAs && doc.saveAs.psd) await doc.saveAs.psd(saveFile);
-        const header = getByName(doc, 'HEADER');
-        const table = getByName(doc, 'TABLE');
-        const background = getByName(doc, 'BACKGROUND');
-        const sponsorsFolder = getByName(doc, 'Sponsors');
-        const sponsorBar = sponsorsFolder ? getByName(sponsorsFolder, 'SPONSOR BAR') : null;
-        const backgroundBlack = background ? getByName(background, 'BLACK') : null;
-        const backgroundWhite = background ? getByName(background, 'WHITE') : null;
-
-        // Header layers (NBHL standings template has no HEADING / DATE)
-        const divisionText = header ? getByName(header, 'DIVISION') : null;
-        const emblemLayer = header ? getByName(header, 'EMBLEM') : null;
-        const divisionColorLayer = header ? getByName(header, 'HEADER COLOR') : null;
-
-        if (divisionText) {
-          divisionText.textItem.contents = (division + ' ' + conf).toUpperCase();
-        }
-        const tierFolder = header ? getByName(header, 'TIER') : null;
-        if (tierFolder) {
-          for (let i = 0; i < tierFolder.layers.length; i++) {
-            tierFolder.layers[i].visible = (tierFolder.layers[i].name === conf);
-          }
-        }
-        if (emblemLayer) {
-          await imageHandler.replaceLayerWithImage(emblemLayer, `LOGOS/Division Emblems/PNG/${divAbb}_emblem.png`, baseFolder);
-        }
+      try {
+        previousDocId = await renderDivisionStandings({
+          baseFolder, templateFile, saveFile, userDiv, previousDocId, leagueKey, teams,
+          tokenContext, division, conf, confLocation, divAbb, divColorHex, clinchPrefix, chunks,
+          week, exportFolder, exportNames, fp, bindingSpec, bindingData, tiebreakLines,
+          cloudExportEnabled
+        });
+        tally.built += exportNames.length;
+      } catch (err) {
+        // Keep going with the remaining divisions; the failure shows in the final counts
+        tally.failed += exportNames.length;
+        console.error(`STANDINGS ${divAbb} failed:`, err);
+      }
+    }
 
-        const sponsorDir = 'LOGOS/Sponsor/Division Sponsors/Sponsor Bars/';
-        let sponsorSuffix = '';
-        if (backgroundBlack) sponsorSuffix = 'BLACK';
-        else if (backgroundWhite) sponsorSuffix = 'WHITE';
-        const sponsorBaseFile = divAbb + '_Sponsors.psd';
-        const sponsorBasePath = sponsorDir + sponsorBaseFile;
-        if (sponsorBar) {
-          let ok = false;
-          if (sponsorSuffix) {
-            const sponsorVariantFile = divAbb + '_Sponsors_' + sponsorSuffix + '.psd';
-            const variantPath = sponsorDir + sponsorVariantFile;
-            ok = await imageHandler.replaceLayerWithImage(sponsorBar, variantPath, baseFolder);
-          }
-          if (!ok) {
-            await imageHandler.replaceLayerWithImage(sponsorBar, sponsorBasePath, baseFolder);
-          }
-        }
+    const icon = tally.failed ? '⚠️' : '✅';
+    if (userDiv === 'ALL') {
+      statusEl.innerHTML = `${icon} Updated ${activeDivs.length} divisions · ${tally.summary()}`;
+    } else {
+      statusEl.innerHTML = `${icon} Updated ${userDiv} · ${tally.summary()}`;
+    }
 
-        if (divisionColorLayer) {
-          await fillColor(divisionColorLayer, divColorHex);
-        }
+    // What this run loaded, for the week's history (see main.js runFeature)
+    if (!tally.failed) return { schedule: scheduleData, standings: standingsData, teams };
+  } catch (err) {
+    statusEl.textContent = "⚠️ Error updating STANDINGS";
+    console.error("Error:", err);
+  }
+}
 
-        // Sort teams by rank property from spreadsheet
-        let standings = divTeams.slice().sort((a, b) => {
-          const rankA = Number(a.rank) || 999;
-          const rankB = Number(b.rank) || 999;
-          return rankA - rankB;
-        });
+/**
+ * Open a division's STANDINGS template, fill and export each page, and save the working copy.
+ * @param {Object} job - The division's data and export targets, built in handleStandingsUpdate
+ * @returns {Promise<number|null>} Id of the document left open for the next division to close
+ *   (ALL runs), else the previousDocId passed in
+ */
+async function renderDivisionStandings(job) {
+  const {
+    baseFolder, templateFile, saveFile, userDiv, leagueKey, teams,
+    tokenContext, division, conf, confLocation, divAbb, divColorHex, clinchPrefix, chunks,
+    week, exportFolder, exportNames, fp, bindingSpec, bindingData, tiebreakLines,
+    cloudExportEnabled
+  } = job;
+  let previousDocId = job.previousDocId;
+
+  await core.executeAsModal(async () => {
+    await app.open(templateFile);
+
+    // If running ALL, close the previous document after opening this one
+    if (userDiv === 'ALL' && previousDocId) {
+      const prev = app.documents.find(docItem => docItem._id === previousDocId);
+      if (prev) { 
+        await delay(1000); 
+        await prev.close(); 
+      }
+      previousDocId = null;
+    }
 
-        const numOfTeams = standings.length;
-
-        // Split standings into chunks where all chunks except the last
-        // have the same size, and no chunk is larger than MAX_TEAMS_PER_CHUNK.
-        // Examples:
-        //  - 12 teams  -> 6 + 6
-        //  - 15 teams  -> 8 + 7
-        //  - 19 teams  -> 7 + 7 + 5
-        //  - 20 teams  -> 7 + 7 + 6
-        const MAX_TEAMS_PER_CHUNK = 9;
-        const chunks = [];
-        if (numOfTeams <= MAX_TEAMS_PER_CHUNK) {
-          chunks.push(standings);
-        } else {
-          const numChunks = Math.ceil(numOfTeams / MAX_TEAMS_PER_CHUNK);
-          const chunkSize = Math.ceil(numOfTeams / numChunks); // size for all but last
-
-          let startIndex = 0;
-          for (let c = 0; c < numChunks; c++) {
-            const isLast = (c === numChunks - 1);
-            const endIndex = isLast ? numOfTeams : startIndex + chunkSize;
-            const chunk = standings.slice(startIndex, endIndex);
-            if (chunk.length) chunks.push(chunk);
-            startIndex = endIndex;
-          }
-        }
+    // Define document — header: DIVISION, TIER, EMBLEM, HEADER COLOR + sponsors (no HEADING/DATE in this template)
+    const doc = app.activeDocument;
+    // Save As immediately to avoid editing/saving the template
+    if (doc.saveAs && doc.saveAs.psd) await doc.saveAs.psd(saveFile);
+    const header = getByName(doc, 'HEADER');
+    const table = getByName(doc, 'TABLE');
+    const background = getByName(doc, 'BACKGROUND');
+    const sponsorsFolder = getByName(doc, 'Sponsors');
+    const sponsorBar = sponsorsFolder ? getByName(sponsorsFolder, 'SPONSOR BAR') : null;
+    const backgroundBlack = background ? getByName(background, 'BLACK') : null;
+    const backgroundWhite = background ? getByName(background, 'WHITE') : null;
+
+    // Header layers (NBHL standings template has no HEADING / DATE)
+    const divisionText = header ? getByName(header, 'DIVISION') : null;
+    const emblemLayer = header ? getByName(header, 'EMBLEM') : null;
+    const divisionColorLayer = header ? getByName(header, 'HEADER COLOR') : null;
+
+    if (divisionText) {
+      divisionText.textItem.contents = (division + ' ' + conf).toUpperCase();
+    }
+    const tierFolder = header ? getByName(header, 'TIER') : null;
+    if (tierFolder) {
+      for (let i = 0; i < tierFolder.layers.length; i++) {
+        tierFolder.layers[i].visible = (tierFolder.layers[i].name === conf);
+      }
+    }
+    if (emblemLayer) {
+      await imageHandler.replaceLayerWithImage(emblemLayer, `LOGOS/Division Emblems/PNG/${divAbb}_emblem.png`, baseFolder);
+    }
 
-        let finalStandings = [];
-        let processedBefore = 0; // how many teams we've already ranked in previous chunks
+    const sponsorDir = 'LOGOS/Sponsor/Division Sponsors/Sponsor Bars/';
+    let sponsorSuffix = '';
+    if (backgroundBlack) sponsorSuffix = 'BLACK';
+    else if (backgroundWhite) sponsorSuffix = 'WHITE';
+    const sponsorBaseFile = divAbb + '_Sponsors.psd';
+    const sponsorBasePath = sponsorDir + sponsorBaseFile;
+    if (sponsorBar) {
+      let ok = false;
+      if (sponsorSuffix) {
+        const sponsorVariantFile = divAbb + '_Sponsors_' + sponsorSuffix + '.psd';
+        const variantPath = sponsorDir + sponsorVariantFile;
+        ok = await imageHandler.replaceLayerWithImage(sponsorBar, variantPath, baseFolder);
+      }
+      if (!ok) {
+        await imageHandler.replaceLayerWithImage(sponsorBar, sponsorBasePath, baseFolder);
+      }
+    }
 
-        for (let h = 0; h < chunks.length; h++){
-          if (chunks[h].length == 0)
-            break;
-          else
-            finalStandings = chunks[h]
- 
-          const chunkTeams = finalStandings.length;
-
-          // TABLE UPDATE (AREA-driven spacing/scaling, same pattern as schedule-nbhl.js)
-          if (table.layers.length === 2) {
-            const areaLayer = background ? getByName(background, 'AREA') : null;
-            if (!areaLayer) throw new Error("AREA layer not found in BACKGROUND group");
-
-            const areaBounds = areaLayer.boundsNoEffects;
-            const maxAreaHeight = Math.abs(areaBounds.bottom - areaBounds.top);
-
-            const team1 = getByName(table, 'TEAM 1');
-            if (!team1) throw new Error("TEAM 1 layer not found in TABLE group");
-            const team1Box = getByName(team1, 'RECTANGLE') || team1;
-            const team1Bounds = team1Box.boundsNoEffects;
-            const boxHeight = Math.abs(team1Bounds.bottom - team1Bounds.top);
-
-            const defaultSpacing = boxHeight * 0.15;
-            const totalHeight = (boxHeight * chunkTeams) + (defaultSpacing * (chunkTeams - 1));
-
-            let scale = 100;
-            let spacing = defaultSpacing;
-            if (totalHeight > maxAreaHeight) {
-              scale = (maxAreaHeight / totalHeight) * 100;
-              spacing = defaultSpacing * (scale / 100);
-            }
+    if (divisionColorLayer) {
+      await fillColor(divisionColorLayer, divColorHex);
+    }
 
-            // Scale full TABLE so headers and rows shrink together.
-            await scaleLayer(table, scale);
+    let finalStandings = [];
+    let processedBefore = 0; // how many teams we've already ranked in previous chunks
+
+    for (let h = 0; h < chunks.length; h++){
+      if (chunks[h].length == 0)
+        break;
+      else
+        finalStandings = chunks[h]
+
+      const chunkTeams = finalStandings.length;
+
+      // TABLE UPDATE (AREA-driven spacing/scaling, same pattern as schedule-nbhl.js)
+      const areaLayer = background ? getByName(background, 'AREA') : null;
+      const team1 = getByName(table, 'TEAM 1');
+      if (table && table.layers.length === 2 && (!areaLayer || !team1)) {
+        console.warn(`⚠️ STANDINGS ${divAbb}: no BACKGROUND/AREA or TABLE/TEAM 1 layer, table layout left as is`);
+      } else if (table && table.layers.length === 2) {
+        const areaBounds = areaLayer.boundsNoEffects;
+        const maxAreaHeight = Math.abs(areaBounds.bottom - areaBounds.top);
+
+        const team1Box = getByName(team1, 'RECTANGLE') || team1;
+        const team1Bounds = team1Box.boundsNoEffects;
+        const boxHeight = Math.abs(team1Bounds.bottom - team1Bounds.top);
+
+        const defaultSpacing = boxHeight * 0.15;
+        const totalHeight = (boxHeight * chunkTeams) + (defaultSpacing * (chunkTeams - 1));
+
+        let scale = 100;
+        let spacing = defaultSpacing;
+        if (totalHeight > maxAreaHeight) {
+          scale = (maxAreaHeight / totalHeight) * 100;
+          spacing = defaultSpacing * (scale / 100);
+        }
 
-            // Round to whole pixels to avoid cumulative sub-pixel drift.
-            const step = Math.round((scale / 100) * (spacing + boxHeight));
+        // Scale full TABLE so headers and rows shrink together.
+        await scaleLayer(table, scale);
 
-            for (let p = 1; p < chunkTeams; p++) {
-              const teamX = getByName(table, `TEAM ${p}`);
-              if (!teamX) break;
-              await duplicate(teamX, `TEAM ${p + 1}`, 0, step);
-            }
+        // Round to whole pixels to avoid cumulative sub-pixel drift.
+        const step = Math.round((scale / 100) * (spacing + boxHeight));
 
-            if (scale === 100) {
-              await translate(table, 0, Math.round((maxAreaHeight - totalHeight) / 5));
-            }
-          }
+        for (let p = 1; p < chunkTeams; p++) {
+          const teamX = getByName(table, `TEAM ${p}`);
+          if (!teamX) break;
+          await duplicate(teamX, `TEAM ${p + 1}`, 0, step);
+        }
 
-          //STANDINGS UPDATE
-          for (let i = 0; i < finalStandings.length; i++) {
+        if (scale === 100) {
+          await translate(table, 0, Math.round((maxAreaHeight - totalHeight) / 5));
+        }
+      }
 
-            // Hide any extra TEAM slots above chunkTeams so that, for example,
-            // a 15-team division split into 9 + 6 only shows 6 rows on the
-            // second page instead of all 9.
-            for (let extraIndex = chunkTeams + 1; ; extraIndex++) {
-              const extraTeam = getByName(table, `TEAM ${extraIndex}`);
-              if (!extraTeam) break;
-              extraTeam.visible = false;
-            }
-            for (let visibleIndex = 1; visibleIndex <= chunkTeams; visibleIndex++) {
-              const visibleTeam = getByName(table, `TEAM ${visibleIndex}`);
-              if (!visibleTeam) break;
-              visibleTeam.visible = true;
-            }
+      //STANDINGS UPDATE
+      for (let i = 0; i < finalStandings.length; i++) {
 
-            //define current standings folder
-            const j = i + 1;
-            const teamX = getByName(table, 'TEAM ' + j);
-            // Get team info layers
-            const rankText = getByName(teamX, 'RANK');
-            const teamColorLayer = getByName(teamX, 'TEAM COLOR');
-            const teamCityLayer = getByName(teamX, 'TEAM CITY');
-            const teamNameLayer = getByName(teamX, 'TEAM NAME');
-            const teamLogoLayer = getByName(teamX, 'LOGO');
-            // Get stat info layers (NBHL: single RECORD instead of GP / W / OTW / OTL / L)
-            const recordText = getByName(teamX, 'RECORD');
-            const ptsText = getByName(teamX, 'PTS');
-            const pctText = getByName(teamX, 'PT%');
-
-            // Team color and logo lookup
-            let tColor = '000000';
-            let tName = '';
-            let tCity = '';
-            for (let c = 0; c < teams.length; c++) {
-              if (teams[c].fullTeam === finalStandings[i].fullTeam) {
-                tColor = teams[c].color1;
-                tName = teams[c].teamName;
-                tCity = teams[c].teamCity || '';
-                tFull = teams[c].fullTeam;
-                break;
-              }
-            }
+        // Hide any extra TEAM slots above chunkTeams so that, for example,
+        // a 15-team division split into 9 + 6 only shows 6 rows on the
+        // second page instead of all 9.
+        for (let extraIndex = chunkTeams + 1; ; extraIndex++) {
+          const extraTeam = getByName(table, `TEAM ${extraIndex}`);
+          if (!extraTeam) break;
+          extraTeam.visible = false;
+        }
+        for (let visibleIndex = 1; visibleIndex <= chunkTeams; visibleIndex++) {
+          const visibleTeam = getByName(table, `TEAM ${visibleIndex}`);
+          if (!visibleTeam) break;
+          visibleTeam.visible = true;
+        }
 
-            //update team information
-            await fillColor(teamColorLayer, tColor);
-            const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
-            let ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, logoUrl);
-            if (!ok) ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, `LOGOS/TEAMS/${conf}/${divAbb}/${tFull}.png`, baseFolder);
-            if (!ok) await imageHandler.replaceLayerWithImage(teamLogoLayer, "LOGOS/LeagueLogo.png", baseFolder);
-
-            // Text updates
-            if (teamCityLayer) {
-              teamCityLayer.textItem.contents = (() => {
-                const u = String(tCity).toUpperCase();
-                return u.length > 20 ? (u.slice(0, 20) + '...') : u;
-              })();
-            }
-            if (teamNameLayer) {
-              teamNameLayer.textItem.contents = (() => {
-                const u = String(tName).toUpperCase();
-                return u.length > 20 ? (u.slice(0, 20) + '...') : u;
-              })();
-            }
-            // Global rank across all chunks: offset by how many teams we've
-            // already placed in prior chunks.
-            if (rankText) rankText.textItem.contents = String(processedBefore + j);
-            const row = finalStandings[i];
-            if (recordText) {
-              recordText.textItem.contents = `${row.w}-${row.otw}-${row.otl}-${row.l}`;
-            }
-            if (ptsText) ptsText.textItem.contents = row.pts;
-            if (pctText) pctText.textItem.contents = `PT% ${row.pct}`;
-
-            // Text on team color bar: bright colors (luminance > 0.70) → black text; else white
-            if (teamCityLayer) setTextColor(teamCityLayer, tColor);
-            if (teamNameLayer) setTextColor(teamNameLayer, tColor);
-            if (recordText) setTextColor(recordText, tColor);
-            if (pctText) setTextColor(pctText, tColor);
-            if (ptsText) {
-              const ptsColor = new app.SolidColor();
-              ptsColor.rgb.hexValue = '252525';
-              ptsText.textItem.characterStyle.color = ptsColor;
-            }
+        //define current standings folder
+        const j = i + 1;
+        const teamX = getByName(table, 'TEAM ' + j);
+        // Get team info layers
+        const rankText = getByName(teamX, 'RANK');
+        const teamColorLayer = getByName(teamX, 'TEAM COLOR');
+        const teamCityLayer = getByName(teamX, 'TEAM CITY');
+        const teamNameLayer = getByName(teamX, 'TEAM NAME');
+        const teamLogoLayer = getByName(teamX, 'LOGO');
+        // Get stat info layers (NBHL: single RECORD instead of GP / W / OTW / OTL / L)
+        const recordText = getByName(teamX, 'RECORD');
+        const ptsText = getByName(teamX, 'PTS');
+        const pctText = getByName(teamX, 'PT%');
+
+        // Team color and logo lookup
+        let tColor = '000000';
+        let tName = '';
+        let tCity = '';
+        for (let c = 0; c < teams.length; c++) {
+          if (teams[c].fullTeam === finalStandings[i].fullTeam) {
+            tColor = teams[c].color1;
+            tName = teams[c].teamName;
+            tCity = teams[c].teamCity || '';
+            tFull = teams[c].fullTeam;
+            break;
           }
+        }
 
-          // After finishing this chunk, record how many teams we've output so far
-          processedBefore += finalStandings.length;
-
-          // Export PNG to Exports/Week {week}/Standings
-          const exportFile = await prepareStandingsExport(gamedayFolder, week, divAbb, h);
-          const cdnPath = exportHandler.buildCdnPath(baseFolder.name, week, DOC_EXPORT, exportFile.name);
-          await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
+        //update team information
+        await fillColor(teamColorLayer, tColor);
+        const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
+        let ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, logoUrl);
+        if (!ok) ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, `LOGOS/TEAMS/${conf}/${divAbb}/${tFull}.png`, baseFolder);
+        if (!ok) await imageHandler.replaceLayerWithImage(teamLogoLayer, "LOGOS/LeagueLogo.png", baseFolder);
+
+        // Text updates
+        // The clinch prefix goes on the first line: city, or the name when there's no city layer
+        const clinch = finalStandings[i].clinch;
+        if (teamCityLayer) {
+          teamCityLayer.textItem.contents = (() => {
+            const u = withClinchPrefix(String(tCity).toUpperCase(), clinch, clinchPrefix);
+            return u.length > 20 ? (u.slice(0, 20) + '...') : u;
+          })();
+        }
+        if (teamNameLayer) {
+          teamNameLayer.textItem.contents = (() => {
+            const u = withClinchPrefix(String(tName).toUpperCase(), clinch, clinchPrefix && !teamCityLayer);
+            return u.length > 20 ? (u.slice(0, 20) + '...') : u;
+          })();
+        }
+        // Global rank across all chunks: offset by how many teams we've
+        // already placed in prior chunks. Tied teams show "T-n" instead
+        // (rankLabel from leagueConfig.loadStandings).
+        if (rankText) rankText.textItem.contents = finalStandings[i].rankLabel || String(processedBefore + j);
+        const row = finalStandings[i];
+        if (recordText) {
+          recordText.textItem.contents = `${row.w}-${row.otw}-${row.otl}-${row.l}`;
+        }
+        if (ptsText) ptsText.textItem.contents = row.pts;
+        if (pctText) pctText.textItem.contents = `PT% ${row.pct}`;
+        const streakText = getByName(teamX, 'STREAK');
+        const lastFiveText = getByName(teamX, 'L5');
+        if (streakText) streakText.textItem.contents = finalStandings[i].streak;
+        if (lastFiveText) lastFiveText.textItem.contents = finalStandings[i].lastFive;
+        applyClinchLayers(teamX, clinch);
+
+        // Text on team color bar: bright colors (luminance > 0.70) → black text; else white
+        if (teamCityLayer) setTextColor(teamCityLayer, tColor);
+        if (teamNameLayer) setTextColor(teamNameLayer, tColor);
+        if (recordText) setTextColor(recordText, tColor);
+        if (pctText) setTextColor(pctText, tColor);
+        if (ptsText) {
+          const ptsColor = new app.SolidColor();
+          ptsColor.rgb.hexValue = '252525';
+          ptsText.textItem.characterStyle.color = ptsColor;
         }
-        // If processing ALL, remember this doc to close after the next opens
-        if (userDiv === 'ALL') 
-          previousDocId = doc._id;
+      }
 
-        await doc.save();
-      }, { commandName: "Update STANDINGS" });
-    }
+      // After finishing this chunk, record how many teams we've output so far
+      processedBefore += finalStandings.length;
+
+      // {{tokens}} in text layers; each TEAM row also sees its own team
+      const firstRank = processedBefore - finalStandings.length + 1;
+      textTokens.applyTokens(doc, {
+        ...tokenContext,
+        division: { name: division, abb: divAbb, color: divColorHex },
+        conf: { name: conf, location: confLocation || '' },
+        page: h + 1,
+        pageCount: chunks.length
+      }, {
+        scopes: finalStandings.map((row, i) => ({
+          layer: getByName(table, 'TEAM ' + (i + 1)),
+          context: {
+            team: textTokens.teamTokens(textTokens.findTeam(teams, row.fullTeam), row.fullTeam, {
+              rank: row.rankLabel || String(firstRank + i),
+              gp: row.gp, w: row.w, otw: row.otw, otl: row.otl, l: row.l, pts: row.pts, pct: row.pct,
+              streak: row.streak, lastFive: row.lastFive, clinch: row.clinch
+            })
+          }
+        })),
+        label: templateFile.name
+      });
 
-    if (userDiv === 'ALL') {
-      statusEl.innerHTML = `✅ Updated ${activeDivs.length} divisions`;
-    } else {
-      statusEl.innerHTML = `✅ Updated ${userDiv}`;
-    }
-  } catch (err) {
-    statusEl.textContent = "⚠️ Error updating STANDINGS";
-    console.error("Error:", err);
-  }
-}
+      // Template binding spec, if the designer added one
+      if (bindingSpec) {
+        await layerBindings.applyBindings(doc, bindingSpec, standingsBindingContext(bindingData, finalStandings, h, week), { baseFolder });
+      }
 
-// ===== Helpers =====
+      // Export PNG to Exports/Week {week}/Standings
+      const exportFile = await exportFolder.createFile(exportNames[h], { overwrite: true });
+      const cdnPath = exportHandler.buildCdnPath(leagueKey, week, DOC_EXPORT, exportFile.name);
+      const cdnUrl = await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
+      await buildFingerprint.recordFingerprint(exportFolder, exportNames[h], fp, !!cdnUrl);
+    }
+    await writeTiebreakNote(exportFolder, divAbb, tiebreakLines);
 
-function hexToRgb(hex) {
-  const h = (hex || '').replace(/^#/, "").trim();
-  const r = parseInt(h.slice(0, 2) || '00', 16);
-  const g = parseInt(h.slice(2, 4) || '00', 16);
-  const b = parseInt(h.slice(4, 6) || '00', 16);
-  return { r, g, b };
-}
+    // If processing ALL, remember this doc to close after the next opens
+    if (userDiv === 'ALL') 
+      previousDocId = doc._id;
 
-async function fillColor(layer, hex) {
-  const { r, g, b } = hexToRgb(hex);
-  await app.batchPlay([
-    { _obj: "select", _target: [{ _ref: "layer", _id: layer._id }], makeVisible: false, selectionModifier: { _enum: "selectionModifierType", _value: "replaceSelection" }, _isCommand: true }
-  ], { synchronousExecution: true });
-  await app.batchPlay([
-    { _obj: "set", _target: [{ _ref: "contentLayer", _enum: "ordinal", _value: "targetEnum" }], to: { _obj: "solidColorLayer", color: { _obj: "RGBColor", red: r, green: g, blue: b } } }
-  ], { synchronousExecution: true });
+    await doc.save();
+  }, { commandName: "Update STANDINGS" });
+  return previousDocId;
 }
 
-const getByName = (parent, name) => {
-  const layers = parent.layers || parent;
-  return layers.find(l => l.name === name);
-};
+// ===== Helpers =====
 
 const setTextColor = (layer, backgroundColor) => {
   const color = new app.SolidColor();
@@ -584,6 +660,7 @@ function relativeLuminance(hex) {
 }
 
 async function translate(layer, deltaX, deltaY) {
+  if (!layer) return;
   const dx = Math.round(deltaX);
   const dy = Math.round(deltaY);
   await app.batchPlay([
@@ -606,6 +683,7 @@ async function translate(layer, deltaX, deltaY) {
 }
 
 async function scaleLayer(layer, percent) {
+  if (!layer) return;
   const value = Number(percent);
   if (!isFinite(value) || value <= 0) return;
   await app.batchPlay([
@@ -732,13 +810,34 @@ async function ensureFolderPath(rootFolder, segments) {
   return current;
 }
 
-// Prepare and return a FileEntry for Standings PNG export
-async function prepareStandingsExport(gamedayFolder, week, divAbb, chunkIndex) {
-  const weekFolderName = `Week ${week}`;
-  const exportFolder = await ensureFolderPath(gamedayFolder, ['Exports', weekFolderName, DOC_EXPORT]);
-  const suffix = (typeof chunkIndex === 'number') ? `_${chunkIndex + 1}` : '';
-  const exportFileName = `${divAbb}_${DOC_EXPORT}${suffix}.png`;
-  return await exportFolder.createFile(exportFileName, { overwrite: true });
+// Everything a division's STANDINGS pages show, mirroring the layer updates above;
+// its fingerprint decides whether the pages need rebuilding. Emblem and sponsor
+// bar paths follow from divAbb.
+function standingsBindings({ leagueKey, templateFileName, division, divColorHex, conf, divAbb, chunks, teams, tiebreakLines, clinchPrefix }) {
+  return {
+    doc: DOC_ID,
+    leagueKey,
+    templateFileName,
+    division,
+    conf,
+    divAbb,
+    divColorHex,
+    pages: chunks.map(chunk => chunk.map(row => {
+      const team = teams.find(t => t.fullTeam === row.fullTeam);
+      return {
+        rankLabel: row.rankLabel,
+        stats: [row.w, row.otw, row.otl, row.l, row.pts, row.pct],
+        form: [row.streak, row.lastFive],
+        clinch: row.clinch,
+        city: team ? team.teamCity || '' : '',
+        name: team ? team.teamName : '',
+        color: team ? team.color1 : '000000',
+        logo: team ? `LOGOS/TEAMS/${conf}/${divAbb}/${team.fullTeam}.png` : 'LOGOS/LeagueLogo.png'
+      };
+    })),
+    tiebreakLines,
+    clinchPrefix
+  };
 }
 
 
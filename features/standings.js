@@ -1,12 +1,10 @@
 const defaultStandingsModule = require("./standings-default.js");
 const nbhlStandingsModule = require("./standings-nbhl.js");
+const storage = require("../storage.js");
 
-function normalizeLeagueName(baseFolder) {
-  return String(baseFolder?.name || "").trim().toUpperCase();
-}
-
-function getStandingsHandler(baseFolder) {
-  const leagueName = normalizeLeagueName(baseFolder);
+// Handler variant comes from league.json "variant", falling back to the league key
+async function getStandingsHandler(baseFolder) {
+  const { variant: leagueName } = await storage.resolveLeagueInfo(baseFolder);
 
   // Add future league-specific handlers here:
   // e.g. "XYZ": require("./standings-xyz.js")
@@ -25,7 +23,7 @@ function getStandingsHandler(baseFolder) {
 }
 
 async function handleStandingsUpdate(baseFolder) {
-  const handler = getStandingsHandler(baseFolder);
+  const handler = await getStandingsHandler(baseFolder);
   return handler(baseFolder);
 }
 
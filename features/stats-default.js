@@ -2,8 +2,13 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const leaderboards = require("../utils/leaderboards.js");
+const { fillExtraLeaderboards, leaderboardBindings, countSlots, setRankLabel, setTiedNote, resolvePlayerName } = require("../utils/leaderboardSlots.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 const fs = require("uxp").storage.localFileSystem;
 
 // Helper function to delay execution
@@ -14,6 +19,7 @@ const DOC_ID = 'STATS';          // folder + template basename (e.g., STATS/STAT
 const DOC_EXPORT = 'Stats';       // export folder + filename prefix
 
 // STATS Update Logic
+// Resolves with the schedule and stats it loaded when the run finishes, else undefined
 async function handleStatsUpdate(baseFolder) {
   const statusEl = document.getElementById("status");
   
@@ -38,9 +44,16 @@ async function handleStatsUpdate(baseFolder) {
       leagueConfig.loadSchedule(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+    const categories = await leagueConfig.getLeaderboardCategories(baseFolder);
+
     // Destructure the loaded data
     const { divs, confs, teams } = leagueData;
     const { schedule, week, year } = scheduleData;
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week, season: year });
 
     // Normalize .div fields so leagues that store "div conf" order match the canonical "conf div" form.
     [playerStats, goalieStats, playoffPlayerStats, playoffGoalieStats].forEach(arr => {
@@ -195,130 +208,18 @@ async function handleStatsUpdate(baseFolder) {
           }
       }
 
-      //DEFINE NULL PLAYER
-      const nullPlayer = {
-          firstName: null,
-          lastName: null,
-          teamName: null,
-          div: null,
-          goals: 0,
-          assists: 0,
-          points: 0,
-          ppg: 0,
-      }
-
-      //SET UP TOP POINT SCORERS
-      const topPoints = [nullPlayer, nullPlayer, nullPlayer, nullPlayer, nullPlayer]
-
-      for (let m = 0; m < 5; m++) { // For each point slot
-          for (let n = 0; n < divPlayerStats.length; n++) { // Cycle through all players and find the highest scorer
-
-              const pointsGreater = Number(divPlayerStats[n].points) > Number(topPoints[m].points);
-              const pointsEqual = Number(divPlayerStats[n].points) === Number(topPoints[m].points);
-              const goalsGreater = Number(divPlayerStats[n].goals) > Number(topPoints[m].goals);
-      
-              let shouldAssign = true;
-              for (let p = 0; p < m; p++) { // Check each previous point slot
-                  if (divPlayerStats[n].fullName === topPoints[p].fullName) {
-                      shouldAssign = false; // Player already exists in the top list
-                      break; // Exit early if player is already in the list
-                  }
-              }
-
-              if (shouldAssign) { // assign the player if they are better than the current one in slot m
-                  if (pointsGreater || (pointsEqual && goalsGreater)) {
-                      topPoints[m] = divPlayerStats[n];
-                  }
-              }
-          }
-      }
-
-      //SET UP TOP GOAL SCORERS
-      let topGoals = [nullPlayer, nullPlayer, nullPlayer]
-
-      for (let m=0; m<3; m++){ //for each goal slot
-          for (let n=0; n<divPlayerStats.length; n++){ //cycle through all players and replace goal slot with highest scorer
-              if (Number(divPlayerStats[n].goals) > Number(topGoals[m].goals)){
-                  if (m===0){
-                      topGoals[m] = divPlayerStats[n]
-                  }
-                  else if (m===1){
-                      if ( !(divPlayerStats[n].fullName === topGoals[0].fullName))
-                          topGoals[m] = divPlayerStats[n]
-                  }
-                  else if (m===2){
-                      if ( !(divPlayerStats[n].fullName === topGoals[0].fullName || divPlayerStats[n].fullName === topGoals[1].fullName))
-                          topGoals[m] = divPlayerStats[n]
-                  }
-              }
-          }
-      }
-
-      //SET UP TOP PPG SCORERS
-      let topPPG = [nullPlayer, nullPlayer, nullPlayer]
-
-      for (let m=0; m<3; m++){ //for each goal slot
-          for (let n=0; n<divPlayerStats.length; n++){ //cycle through all players and replace goal slot with highest scorer
-              if (Number(divPlayerStats[n].ppg) > Number(topPPG[m].ppg)){
-                  if (m===0){
-                      topPPG[m] = divPlayerStats[n]
-                  }
-                  else if (m===1){
-                      if ( !(divPlayerStats[n].fullName === topPPG[0].fullName))
-                          topPPG[m] = divPlayerStats[n]
-                  }
-                  else if (m===2){
-                      if ( !(divPlayerStats[n].fullName === topPPG[0].fullName || divPlayerStats[n].fullName === topPPG[1].fullName))
-                          topPPG[m] = divPlayerStats[n]
-                  }
-              }
-          }
-      }
-
-      //SET UP TOP GAA
-      //First, find max number of games played
-      let GPmax = 0 //set initial max games played at 0
-
-      for (let n=0; n<divGoalieStats.length; n++){ //cycle through div goalie stats, if a goalie has more GP than the previous, make it the new GP max
-          if (Number(divGoalieStats[n].GP) > GPmax)
-              GPmax = Number(divGoalieStats[n].GP)
-          
-      }
-      const GPmin = Math.round(0.44*GPmax)
-
-      //define null goalie
-      const nullGoalie = {
-          firstName: null,
-          lastName: null,
-          teamName: null,
-          div: null,
-          GA: 99,
-          GAA: 99,
-          GP: 0
-      }
-
-      //then set up top GAA based on min games played
-      const topGAA = [nullGoalie, nullGoalie, nullGoalie]
-
-      for (let m=0; m<3; m++){ //for each GAA slot
-          for (let n=0; n<divGoalieStats.length; n++){ //cycle through all goalies in div
-              if (Number(divGoalieStats[n].GAA) < Number(topGAA[m].GAA) && Number(divGoalieStats[n].GP) >= GPmin){
-                  if (m===0){
-                      topGAA[m] = divGoalieStats[n]
-                  }
-                  else if (m===1){
-                      if ( !(divGoalieStats[n].fullName === topGAA[0].fullName))
-                          topGAA[m] = divGoalieStats[n]
-                  }
-                  else if (m===2){
-                      if ( !(divGoalieStats[n].fullName === topGAA[0].fullName || divGoalieStats[n].fullName === topGAA[1].fullName))
-                          topGAA[m] = divGoalieStats[n]
-                  }
-              }
-          }
-      }
+      //SET UP LEADERBOARDS from the category definitions. Boards are ranked once the
+      //template is open, since how many slot groups it has limits the slots (and "expand" ties).
+      const divObj = divs.find(d => d.abb === divAbb && d.conf === conf) || null;
+      const rankCategory = (name, rows, group, slotPrefix = name) => {
+          const maxSlots = countSlots(group, slotPrefix);
+          return leaderboards.buildLeaderboard(categories[name], rows, {
+              div: divObj,
+              slots: Math.min(Number(categories[name].slots) || 0, maxSlots),
+              maxSlots
+          });
+      };
 
-               
       // Navigate folder structure: Gameday Graphics inside league, or user selected Gameday Graphics directly
       let gamedayFolder;
       try {
@@ -330,6 +231,7 @@ async function handleStatsUpdate(baseFolder) {
 
       // Get the template file (playoff or regular)
       const templateFile = await templateFolder.getEntry(`${templateName}.psd`);
+      const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFile.name);
       
       // Create working files folder if it doesn't exist (BEFORE executeAsModal)
       let workingFolder;
@@ -381,9 +283,17 @@ async function handleStatsUpdate(baseFolder) {
 
           // POINTS Update - cycle through top 5 players
           const pointsFolder = getByName(doc, 'POINTS');
-          for (let i = 0; i < 5; i++) {
+          const pointsBoard = rankCategory('POINTS', divPlayerStats, pointsFolder);
+          const topPoints = pointsBoard.entries;
+          setTiedNote(pointsFolder, pointsBoard.hiddenTies);
+          for (let i = 0; i < countSlots(pointsFolder, 'POINTS'); i++) {
               const j = i + 1;
               const pointsX = getByName(pointsFolder, 'POINTS ' + j);
+
+              // Hide slots past the leaderboard (too few players, or a dropped tie)
+              pointsX.visible = i < topPoints.length;
+              if (!pointsX.visible) continue;
+              setRankLabel(pointsX, pointsBoard.labels[i]);
               
               // Get all layer references
               const firstNameLayer = getByName(pointsX, 'FIRST NAME');
@@ -410,7 +320,7 @@ async function handleStatsUpdate(baseFolder) {
               
               // Update team information
               await fillColor(teamColorLayer, tColor);
-              const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
+              const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
               let ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, logoUrl);
               if (!ok) ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, `LOGOS/TEAMS/${conf}/${divAbb}/${tFull}.png`, baseFolder);
               if (!ok) await imageHandler.replaceLayerWithImage(teamLogoLayer, "LOGOS/LeagueLogo.png", baseFolder);
@@ -432,13 +342,19 @@ async function handleStatsUpdate(baseFolder) {
 
           // GOALS Update - cycle through top 3 goal scorers
           const goalsHeader = getByName(sectionHeaders, 'GOALS')
-          if (goalsHeader.textItem.contents == 'PTS/GP')
-              topGoals = topPPG;
-
           const goalsFolder = getByName(doc, 'GOALS');
-          for (let i = 0; i < 3; i++) {
+          const goalsBoard = goalsHeader.textItem.contents == 'PTS/GP'
+              ? rankCategory('PPG', divPlayerStats, goalsFolder, 'GOALS')
+              : rankCategory('GOALS', divPlayerStats, goalsFolder);
+          const topGoals = goalsBoard.entries;
+          setTiedNote(goalsFolder, goalsBoard.hiddenTies);
+          for (let i = 0; i < countSlots(goalsFolder, 'GOALS'); i++) {
               const j = i + 1;
               const goalsX = getByName(goalsFolder, 'GOALS ' + j);
+
+              goalsX.visible = i < topGoals.length;
+              if (!goalsX.visible) continue;
+              setRankLabel(goalsX, goalsBoard.labels[i]);
               
               // Get all layer references
               const firstNameLayer = getByName(goalsX, 'FIRST NAME');
@@ -463,7 +379,7 @@ async function handleStatsUpdate(baseFolder) {
               
               // Update team information
               await fillColor(teamColorLayer, tColor);
-              const goalLogoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
+              const goalLogoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
               let goalOk = await imageHandler.replaceLayerWithImage(teamLogoLayer, goalLogoUrl);
               if (!goalOk) goalOk = await imageHandler.replaceLayerWithImage(teamLogoLayer, `LOGOS/TEAMS/${conf}/${divAbb}/${tFull}.png`, baseFolder);
               if (!goalOk) await imageHandler.replaceLayerWithImage(teamLogoLayer, "LOGOS/LeagueLogo.png", baseFolder);
@@ -491,17 +407,18 @@ async function handleStatsUpdate(baseFolder) {
 
           // GAA Update - cycle through top 3 goalies
           const gaaFolder = getByName(doc, 'GAA');
-          for (let i = 0; i < 3; i++) {
+          const gaaBoard = rankCategory('GAA', divGoalieStats, gaaFolder);
+          const topGAA = gaaBoard.entries;
+          const GPmin = gaaBoard.minGp ?? 0;
+          setTiedNote(gaaFolder, gaaBoard.hiddenTies);
+          for (let i = 0; i < countSlots(gaaFolder, 'GAA'); i++) {
               const j = i + 1;
               const gaaX = getByName(gaaFolder, 'GAA ' + j);
               
-              // Hide layer if no goalie data
-              if (topGAA[i].GP === 0) {
-                  gaaX.visible = false;
-                  continue;
-              } else {
-                  gaaX.visible = true;
-              }
+              // Hide layer if no qualifying goalie for this slot
+              gaaX.visible = i < topGAA.length;
+              if (!gaaX.visible) continue;
+              setRankLabel(gaaX, gaaBoard.labels[i]);
               
               // Get all layer references
               const minimumLayer = getByName(gaaFolder, 'MIN GP');
@@ -527,7 +444,7 @@ async function handleStatsUpdate(baseFolder) {
               
               // Update team information
               await fillColor(teamColorLayer, tColor);
-              const gaaLogoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
+              const gaaLogoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(tFull)}.png`;
               let gaaOk = await imageHandler.replaceLayerWithImage(teamLogoLayer, gaaLogoUrl);
               if (!gaaOk) gaaOk = await imageHandler.replaceLayerWithImage(teamLogoLayer, `LOGOS/TEAMS/${conf}/${divAbb}/${tFull}.png`, baseFolder);
               if (!gaaOk) await imageHandler.replaceLayerWithImage(teamLogoLayer, "LOGOS/LeagueLogo.png", baseFolder);
@@ -551,9 +468,31 @@ async function handleStatsUpdate(baseFolder) {
               setTextColor(teamNameLayer, tColor);
           }
           
+          // Any other leaderboard groups in the template (ASSISTS, WINS, SV%, ...)
+          await fillExtraLeaderboards(doc, categories, {
+              players: divPlayerStats, goalies: divGoalieStats, div: divObj,
+              teams, conf, divAbb, leagueKey, baseFolder, setTextColor
+          });
+
+          const statsTokens = {
+              ...tokenContext,
+              playoffs: isPlayoff,
+              division: { name: division, abb: divAbb, color: divColorHex },
+              conf: { name: conf, location: confLocation }
+          };
+          textTokens.applyTokens(doc, statsTokens, { label: templateFile.name });
+
+          // Template binding spec, if the designer added one
+          if (bindingSpec) {
+              await layerBindings.applyBindings(doc, bindingSpec, {
+                  ...statsTokens,
+                  leaderboards: leaderboardBindings(categories, { players: divPlayerStats, goalies: divGoalieStats, div: divObj })
+              }, { baseFolder });
+          }
+
           // Export PNG to Exports/Week {week}/{DOC_EXPORT}
           const exportFile = await prepareStatsExport(gamedayFolder, week, divAbb, isPlayoff);
-          const cdnPath = exportHandler.buildCdnPath(baseFolder.name, week, DOC_EXPORT, exportFile.name);
+          const cdnPath = exportHandler.buildCdnPath(leagueKey, week, DOC_EXPORT, exportFile.name);
           await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
           
           // If processing ALL, remember this doc to close after the next one opens
@@ -591,8 +530,9 @@ async function handleStatsUpdate(baseFolder) {
             statusEl.innerHTML = `✅ Updated ${userDiv}`;
         }
     }
-      
 
+    // What this run loaded, for the week's history (see main.js runFeature)
+    return { schedule: scheduleData, players: playerStats, goalies: goalieStats };
   } catch (err) {
     statusEl.textContent = "⚠️ Error updating STATS";
     console.error("Error:", err);
@@ -667,27 +607,6 @@ module.exports = {
 
 // ===== Helpers (bottom of file) =====
 
-// If the last name is just an initial (e.g. "R."), put the first name in the
-// last name layer and leave the first name layer blank.
-function resolvePlayerName(firstName, lastName) {
-  const isInitial = String(lastName || '').trim().endsWith('.');
-  if (isInitial) {
-    const last = String(lastName || '').trim();
-    return { displayFirst: ' ', displayLast: (String(firstName || '') + ' ' + last).toUpperCase() };
-  }
-  return {
-    displayFirst: String(firstName || '').toUpperCase(),
-    displayLast: sanitizeLastName(lastName).toUpperCase()
-  };
-}
-
-function sanitizeLastName(lastName) {
-    let s = String(lastName || '');
-    s = s.replace(/\s*\((?:they|she|he)\s*\/\s*(?:them|her|him)\)\s*$/i, '');
-    s = s.replace(/\s+(?:they|she|he)\s*\/\s*(?:them|her|him)\s*$/i, '');
-    return s.trim();
-}
-
 async function ensureFolderPath(rootFolder, segments){
     let current = rootFolder;
     for (const segment of segments){
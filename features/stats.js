@@ -1,12 +1,10 @@
 const defaultStatsModule = require("./stats-default.js");
 const nbhlStatsModule = require("./stats-nbhl.js");
+const storage = require("../storage.js");
 
-function normalizeLeagueName(baseFolder) {
-  return String(baseFolder?.name || "").trim().toUpperCase();
-}
-
-function getStatsHandler(baseFolder) {
-  const leagueName = normalizeLeagueName(baseFolder);
+// Handler variant comes from league.json "variant", falling back to the league key
+async function getStatsHandler(baseFolder) {
+  const { variant: leagueName } = await storage.resolveLeagueInfo(baseFolder);
 
   // Add future league-specific handlers here:
   // e.g. "XYZ": require("./stats-xyz.js")
@@ -25,7 +23,7 @@ function getStatsHandler(baseFolder) {
 }
 
 async function handleStatsUpdate(baseFolder) {
-  const handler = getStatsHandler(baseFolder);
+  const handler = await getStatsHandler(baseFolder);
   return handler(baseFolder);
 }
 
@@ -2,8 +2,11 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 
 async function handleTeamsUpdate(baseFolder) {
   const statusEl = document.getElementById("status");
@@ -12,7 +15,13 @@ async function handleTeamsUpdate(baseFolder) {
   try {
     await leagueConfig.invalidateLeagueCache(baseFolder);
     const leagueData = await leagueConfig.loadLeagueConfig(baseFolder);
+
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
     const { divs, confs, teams } = leagueData;
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder);
 
     const selected = leagueConfig.getUserDivision(divs);
     const activeDivs = buildActiveDivisions(divs, confs, selected);
@@ -33,6 +42,7 @@ async function handleTeamsUpdate(baseFolder) {
     } catch {
       throw new Error(`Template file not found at GRAPHICS/2026/${docType}/${templateFileName}`);
     }
+    const bindingSpec = await layerBindings.loadBindingSpec(docTypeFolder, templateFileName);
 
     const activeTemplateDocId = app.activeDocument._id;
     const divLookup = {};
@@ -122,15 +132,27 @@ async function handleTeamsUpdate(baseFolder) {
         }
 
         if (logoLayer) {
-          const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(team.conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(team.fullTeam || "")}.png`;
+          const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(team.conf)}/${encodeURIComponent(divAbb)}/${encodeURIComponent(team.fullTeam || "")}.png`;
           let logoOk = await imageHandler.replaceLayerWithImage(logoLayer, logoUrl);
           if (!logoOk) logoOk = await imageHandler.replaceLayerWithImage(logoLayer, `LOGOS/TEAMS/${team.conf}/${divAbb}/${team.fullTeam}.png`, baseFolder);
           if (!logoOk) await imageHandler.replaceLayerWithImage(logoLayer, "LOGOS/LeagueLogo.png", baseFolder);
         }
 
+        const teamTokens = {
+          ...tokenContext,
+          docType,
+          team: textTokens.teamTokens(team, team.teamName, { divAbb, logo: `LOGOS/TEAMS/${team.conf}/${divAbb}/${team.fullTeam}.png` })
+        };
+        textTokens.applyTokens(doc, teamTokens, { label: templateFileName });
+
+        // Template binding spec, if the designer added one
+        if (bindingSpec) await layerBindings.applyBindings(doc, bindingSpec, teamTokens, { baseFolder });
+
         const exportFile = await prepareTeamsExportFile(docTypeFolder, divAbb, exportFileName);
-        const cdnPath = exportHandler.buildCdnPath(baseFolder.name, "Preseason", docType, exportFile.name);
+        const cdnPath = exportHandler.buildCdnPath(leagueKey, "Preseason", docType, exportFile.name);
         await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
+        // The user's open template stays as it was
+        textTokens.restoreTokens(doc);
       }, { commandName: "Teams Update" });
     }
 
@@ -2,8 +2,12 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const gameTime = require("../utils/gameTime.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 
 const DOC_ID = "THUMBNAIL";
 const DOC_EXPORT = "Thumbnails";
@@ -23,8 +27,16 @@ async function handleThumbnailUpdate(baseFolder) {
       leagueConfig.loadSchedule(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+
     const { divs, confs, teams } = leagueData;
     const { schedule, week, year } = scheduleData;
+    const { locale } = await leagueConfig.getGameTimeSettings(baseFolder, divs);
+    const seriesStatuses = await leagueConfig.getSeriesStatuses(baseFolder, schedule, teams);
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week, season: year });
 
     // Read user input (division abb, conference name, or ALL).
     const input = String(document.getElementById("divisionInput")?.value || "").trim().toUpperCase();
@@ -80,8 +92,9 @@ async function handleThumbnailUpdate(baseFolder) {
       const divAbb = String(game.div1 || "").trim();
       const conf = String(game.conf || "").trim();
       const isPlayoff = String(game.gameType || "").toUpperCase() === "PLAYOFFS";
-      const dateTextValue = formatDateForThumbnail(game.date, year);
-      const dateFileValue = formatDateForThumbnailFilename(game.date);
+      const dateTextValue = formatDateForThumbnail(game, year, locale);
+      // File names stay English whatever the league locale
+      const dateFileValue = formatDateForThumbnailFilename(gameTime.formatGameDate(game, "en-US", { year: false }) || game.date);
 
       const templateInfo = await resolveThumbnailTemplate(gamedayFolder, divAbb, conf, isPlayoff);
       if (!templateInfo || !templateInfo.file) {
@@ -90,6 +103,7 @@ async function handleThumbnailUpdate(baseFolder) {
       }
 
       const { folder: templateFolder, file: templateFile } = templateInfo;
+      const bindingSpec = await layerBindings.loadBindingSpec(templateFolder, templateFile.name);
 
       const workingFolder = await ensureFolderPath(templateFolder, ["Working Files"]);
       const workingFile = await workingFolder.createFile(
@@ -147,17 +161,30 @@ async function handleThumbnailUpdate(baseFolder) {
 
         applyTierVisibility(tierFolder, conf);
         setDateLayers(fullGameFolder, highlightsFolder, dateTextValue);
+        if (isPlayoff) setPlayoffLayers(fullGameFolder, highlightsFolder, game.round, seriesStatuses.get(game));
+        const gameTokens = {
+          ...tokenContext,
+          ...textTokens.gameTokens(game, teams, { series: seriesStatuses.get(game) || "" }),
+          date: dateTextValue,
+          conf: { name: conf },
+          division: { abb: divAbb }
+        };
+        textTokens.applyTokens(doc, gameTokens, { label: templateFile.name });
+
+        // Template binding spec, if the designer added one (FULL GAME / HIGHLIGHTS visibility
+        // is still switched per export below)
+        if (bindingSpec) await layerBindings.applyBindings(doc, bindingSpec, gameTokens, { baseFolder });
 
         // Export FULL GAME
         if (fullGameFolder) fullGameFolder.visible = true;
         if (highlightsFolder) highlightsFolder.visible = false;
-        const fullCdn = exportHandler.buildCdnPath(baseFolder.name, week, DOC_EXPORT, fullGameExport.name);
+        const fullCdn = exportHandler.buildCdnPath(leagueKey, week, DOC_EXPORT, fullGameExport.name);
         await exportHandler.exportPng(doc, fullGameExport, fullCdn, cloudExportEnabled);
 
         // Export HIGHLIGHTS
         if (fullGameFolder) fullGameFolder.visible = false;
         if (highlightsFolder) highlightsFolder.visible = true;
-        const highlightsCdn = exportHandler.buildCdnPath(baseFolder.name, week, DOC_EXPORT, highlightsExport.name);
+        const highlightsCdn = exportHandler.buildCdnPath(leagueKey, week, DOC_EXPORT, highlightsExport.name);
         await exportHandler.exportPng(doc, highlightsExport, highlightsCdn, cloudExportEnabled);
 
         previousDocId = doc._id;
@@ -220,6 +247,7 @@ function getTeamContext(teamLabel, teams, divs, defaultConf, defaultDivAbb, game
 
 async function updateTeamFolder(teamFolder, teamCtx, baseFolder) {
   if (!teamFolder) return;
+  const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
 
   const teamNameLayer = getByName(teamFolder, "TEAM NAME");
   const logoLayer = getByName(teamFolder, "LOGO");
@@ -228,7 +256,7 @@ async function updateTeamFolder(teamFolder, teamCtx, baseFolder) {
   if (teamColorLayer) await fillColor(teamColorLayer, teamCtx.color1);
 
   if (logoLayer) {
-    const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(teamCtx.conf)}/${encodeURIComponent(teamCtx.divAbb)}/${encodeURIComponent(teamCtx.fullTeam)}.png`;
+    const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(teamCtx.conf)}/${encodeURIComponent(teamCtx.divAbb)}/${encodeURIComponent(teamCtx.fullTeam)}.png`;
     let ok = await imageHandler.replaceLayerWithImage(logoLayer, logoUrl);
     if (!ok) {
       ok = await imageHandler.replaceLayerWithImage(
@@ -264,6 +292,17 @@ function setDateLayers(fullGameFolder, highlightsFolder, value) {
   if (highlightsDate && highlightsDate.textItem) highlightsDate.textItem.contents = text;
 }
 
+// Optional ROUND / SERIES text in each variant, e.g. "SEMIFINAL" and "OWLS LEADS 2-1"
+function setPlayoffLayers(fullGameFolder, highlightsFolder, round, seriesStatus) {
+  for (const folder of [fullGameFolder, highlightsFolder]) {
+    if (!folder) continue;
+    const roundLayer = getByName(folder, "ROUND");
+    const seriesLayer = getByName(folder, "SERIES");
+    if (roundLayer && roundLayer.textItem) roundLayer.textItem.contents = String(round || "").toUpperCase();
+    if (seriesLayer && seriesLayer.textItem) seriesLayer.textItem.contents = String(seriesStatus || "");
+  }
+}
+
 async function resolveThumbnailTemplate(gamedayFolder, divAbb, conf, isPlayoff) {
   const foldersToTry = [];
   const namesToTry = [];
@@ -327,8 +366,12 @@ async function tryGetFile(parent, name) {
   }
 }
 
-function formatDateForThumbnail(dateValue, year) {
-  const raw = String(dateValue || "").trim();
+function formatDateForThumbnail(game, year, locale) {
+  // Parsed dates are formatted for the league locale; anything unparsed is shown as typed
+  const formatted = gameTime.formatGameDate(game, locale);
+  if (formatted) return formatted;
+
+  const raw = String(game.date || "").trim();
   if (!raw) return String(year || "").trim();
   if (/\b\d{4}\b/.test(raw)) return raw.toUpperCase();
   const suffix = String(year || "").trim();
@@ -2,8 +2,11 @@ const photoshop = require("photoshop");
 const app = photoshop.app;
 const core = photoshop.core;
 const leagueConfig = require("../leagueConfig_200.js");
+const ui = require("../ui.js");
 const imageHandler = require("../utils/imageHandler.js");
 const exportHandler = require("../utils/exportHandler.js");
+const textTokens = require("../utils/textTokens.js");
+const layerBindings = require("../utils/layerBindings.js");
 
 // Document identifiers for this script
 const DOC_ID = "TOP PLAYS";   // folder + template basename (e.g., TOP PLAYS/TOP PLAYS.psd)
@@ -23,9 +26,15 @@ async function handleTopPlaysUpdate(baseFolder) {
       leagueConfig.loadSchedule(baseFolder)
     ]);
 
+    // Stop before any Photoshop work if the sheets have critical problems
+    if (!ui.reportDataIssues()) return;
+
+    const leagueKey = await leagueConfig.getLeagueKey(baseFolder);
+
     const { teams, divs } = leagueData;
     const week = Number(topPlaysData.week || scheduleData.week || 0);
     const rows = topPlaysData.rows || [];
+    const tokenContext = await leagueConfig.getTokenContext(baseFolder, { week });
 
     if (!rows.length) {
       statusEl.textContent = "⚠️ No TOP PLAYS rows found";
@@ -41,6 +50,7 @@ async function handleTopPlaysUpdate(baseFolder) {
 
     const topPlaysFolder = await gamedayFolder.getEntry(DOC_ID);
     const templateFile = await topPlaysFolder.getEntry(`${DOC_ID}.psd`);
+    const bindingSpec = await layerBindings.loadBindingSpec(topPlaysFolder, templateFile.name);
 
     let previousDocId = null;
     let processed = 0;
@@ -83,15 +93,27 @@ async function handleTopPlaysUpdate(baseFolder) {
         }
 
         if (logoLayer) {
-          const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(baseFolder.name)}/${encodeURIComponent(teamCtx.conf)}/${encodeURIComponent(teamCtx.divAbb)}/${encodeURIComponent(teamCtx.fullTeam)}.png`;
+          const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(leagueKey)}/${encodeURIComponent(teamCtx.conf)}/${encodeURIComponent(teamCtx.divAbb)}/${encodeURIComponent(teamCtx.fullTeam)}.png`;
           let ok = await imageHandler.replaceLayerWithImage(logoLayer, logoUrl);
           if (!ok) ok = await imageHandler.replaceLayerWithImage(logoLayer, `LOGOS/TEAMS/${teamCtx.conf}/${teamCtx.divAbb}/${teamCtx.fullTeam}.png`, baseFolder);
           if (!ok) await imageHandler.replaceLayerWithImage(logoLayer, "LOGOS/LeagueLogo.png", baseFolder);
         }
 
-        const cdnPath = exportHandler.buildCdnPath(baseFolder.name, week, DOC_EXPORT, exportFile.name);
+        const playTokens = {
+          ...tokenContext,
+          play: row,
+          team: textTokens.teamTokens(textTokens.findTeam(teams, teamCtx.fullTeam), teamCtx.fullTeam, { divAbb: teamCtx.divAbb })
+        };
+        textTokens.applyTokens(doc, playTokens, { label: templateFile.name });
+
+        // Template binding spec, if the designer added one
+        if (bindingSpec) await layerBindings.applyBindings(doc, bindingSpec, playTokens, { baseFolder });
+
+        const cdnPath = exportHandler.buildCdnPath(leagueKey, week, DOC_EXPORT, exportFile.name);
         await exportHandler.exportPng(doc, exportFile, cdnPath, cloudExportEnabled);
 
+        // The template is saved as is, so its {{tokens}} go back in first
+        textTokens.restoreTokens(doc);
         await doc.save();
         previousDocId = doc._id;
       }, { commandName: "Update TOP PLAYS" });
@@ -107,11 +129,11 @@ async function handleTopPlaysUpdate(baseFolder) {
 }
 
 function getTopPlaysTeamContext(row, teams, divs) {
-  const needle = normalizeTeamKey(row.teamName);
+  const needle = leagueConfig.normalizeTeamKey(row.teamName);
   if (!needle) return null;
 
-  let team = teams.find((t) => normalizeTeamKey(t.fullTeam) === needle);
-  if (!team) team = teams.find((t) => normalizeTeamKey(t.teamName) === needle);
+  let team = teams.find((t) => leagueConfig.normalizeTeamKey(t.fullTeam) === needle);
+  if (!team) team = teams.find((t) => leagueConfig.normalizeTeamKey(t.teamName) === needle);
   if (!team) return null;
 
   let divInfo = null;
@@ -134,15 +156,6 @@ function getTopPlaysTeamContext(row, teams, divs) {
   };
 }
 
-function normalizeTeamKey(value) {
-  return String(value || "")
-    .toUpperCase()
-    .replace(/’/g, "'")
-    .replace(/[^A-Z0-9 ]+/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
 async function ensureFolderPath(rootFolder, segments) {
   let current = rootFolder;
   for (const segment of segments) {
@@ -5,72 +5,201 @@
 
 const MASTER_LEAGUE_SHEET_URL = "https://docs.google.com/spreadsheets/d/e/2PACX-1vSbCy1pnMHPC-i_MU3x2U8ESVtSeDu7M8RrDbNxl0D-aT-TFlJJ9o7KDMyugap2vlQgTCF8y5FSwLT2/pub?output=csv";
 
-// Simple in‑memory caches so we don't refetch the same data repeatedly
-// leagueName -> {
-//   divisionUrl, teamUrl, scheduleUrl,
-//   standingsUrl, goalieUrl, playerUrl
-// }
+const fs = require("uxp").storage.localFileSystem;
+const { parseCSV, reconcileRowWidths } = require("./utils/csvParser.js");
+const localDataSource = require("./utils/localDataSource.js");
+const sheetValidator = require("./utils/sheetValidator.js");
+const standingsEngine = require("./utils/standingsEngine.js");
+const tiebreakers = require("./utils/tiebreakers.js");
+const leaderboards = require("./utils/leaderboards.js");
+const { competitionRanks } = require("./utils/competitionRank.js");
+const teamResolver = require("./utils/teamResolver.js");
+const gameTime = require("./utils/gameTime.js");
+const httpClient = require("./utils/httpClient.js");
+const weeklySheets = require("./utils/weeklySheets.js");
+const historyStore = require("./utils/historyStore.js");
+const powerRankingEngine = require("./utils/powerRankingEngine.js");
+const playoffPicture = require("./utils/playoffPicture.js");
+const playoffSeries = require("./utils/playoffSeries.js");
+const storage = require("./storage.js");
+
+// Every successfully fetched sheet is saved to <plugin data>/sheet_snapshots
+// so a run can fall back to the last good copy when Google can't be reached.
+const SNAPSHOT_FOLDER_NAME = "sheet_snapshots";
+
+// Sheet registry: every column of the master league sheet except LEAGUE holds the
+// published CSV URL of the sheet with that name ("SCHEDULE", "TOP PLAYS", "THREE STARS", ...).
+// Two logical sheets are listed under older column names:
+const MASTER_SHEET_COLUMNS = { "DIVISIONS": "DIVISION INFO", "ALL TEAMS": "TEAM INFO" };
+// A league row must give URLs for these; everything else is optional
+const REQUIRED_SHEETS = ["Divisions", "All Teams", "SCHEDULE", "GOALIE STATS", "PLAYER STATS"];
+
+// Simple in‑memory caches so we don't refetch the same data repeatedly.
+// All keyed by the resolved league key (league.json "league", or the folder name).
+// leagueName -> { "DIVISION INFO": url, "TEAM INFO": url, "SCHEDULE": url, ... } (master sheet column -> URL)
 const leagueUrlCache = {};
 const brandingSheetCache = {};  // leagueName -> { "Divisions": [...], "All Teams": [...] }
+const staleSheetLog = {};       // snapshotKey -> { sheet, fetchedAt } for snapshots used this run
+const dataSourceCache = {};     // leagueName -> { type: "sheets" | "local", folder }
+const dataIssueLog = [];        // { sheet, row, column, message, severity } found since the last invalidation
+const tiebreakLog = [];         // { div, higher, lower, rule, text } from the last standings ordering
+const teamResolverCache = {};   // leagueName -> Promise<resolver> (see getTeamResolver)
+const unresolvedTeamLog = {};   // normalized name -> { name, sources } for sheet team names not in All Teams
+const fuzzyTeamLog = new Set(); // "source|name" fuzzy matches already logged this run
+const historyCache = {};        // "leagueName|season" -> Promise<history> (see getHistory)
+
+// Week picked in the panel's week selector; null = use the week from the schedule sheet
+let weekOverride = null;
 
 /**
- * Parse CSV content into an array of arrays
- * Handles quoted values that contain commas
+ * Fetch a sheet's CSV text and keep a snapshot of it in the plugin data folder.
+ * The snapshot's ETag / Last-Modified make the request conditional, so an
+ * unchanged sheet isn't downloaded again. If the live fetch fails (after the
+ * HTTP client's retries), the last saved snapshot is returned instead and
+ * recorded in staleSheetLog so the panel can say how old the data is.
+ * @param {string} url - Published Google Sheets CSV URL
+ * @param {string} snapshotKey - Stable name for the snapshot (e.g. "NBHL - SCHEDULE")
+ * @returns {Promise<string>} CSV text (live or from snapshot)
  */
-function parseCSV(csvContent) {
-    const lines = csvContent.replace(/\r/g, "").split("\n");
-    const result = [];
+async function fetchSheetText(url, snapshotKey) {
+  const snapshot = await readSheetSnapshot(snapshotKey);
+  const validators = snapshot && snapshot.url === url ? snapshot.validators : null;
+  try {
+    const result = await httpClient.fetchText(url, { validators });
+    const text = result.notModified ? snapshot.text : result.text;
+    await saveSheetSnapshot(snapshotKey, url, text, result.validators);
+    return text;
+  } catch (fetchError) {
+    if (!snapshot) throw fetchError;
+
+    console.warn(`⚠️ ${snapshotKey}: live fetch failed (${fetchError.message}); using snapshot from ${new Date(snapshot.fetchedAt).toLocaleString()}`);
+    staleSheetLog[snapshotKey] = { sheet: snapshotKey, fetchedAt: snapshot.fetchedAt };
+    return snapshot.text;
+  }
+}
 
-    for (const line of lines) {
-        if (!line.trim()) continue; // Skip empty rows
+function snapshotFileName(snapshotKey) {
+  return String(snapshotKey || "sheet").replace(/[^a-zA-Z0-9._-]+/g, "_") + ".json";
+}
 
-        const csvArray = [];
-        let currentValue = "", inQuotes = false;
+async function getSnapshotFolder() {
+  const dataFolder = await fs.getDataFolder();
+  try {
+    return await dataFolder.getEntry(SNAPSHOT_FOLDER_NAME);
+  } catch {
+    return await dataFolder.createFolder(SNAPSHOT_FOLDER_NAME);
+  }
+}
 
-        for (let char of line) {
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            csvArray.push(currentValue.trim());
-            currentValue = "";
-        } else {
-            currentValue += char;
-        }
-        }
+async function saveSheetSnapshot(snapshotKey, url, text, validators = null) {
+  try {
+    const folder = await getSnapshotFolder();
+    const file = await folder.createFile(snapshotFileName(snapshotKey), { overwrite: true });
+    await file.write(JSON.stringify({ sheet: snapshotKey, url, fetchedAt: Date.now(), validators, text }));
+  } catch (err) {
+    // A failed snapshot write should never block the run itself
+    console.warn(`Could not save snapshot for ${snapshotKey}:`, err.message);
+  }
+}
 
-        csvArray.push(currentValue.trim());
-        result.push(csvArray);
-    }
+async function readSheetSnapshot(snapshotKey) {
+  try {
+    const folder = await getSnapshotFolder();
+    const file = await folder.getEntry(snapshotFileName(snapshotKey));
+    const snapshot = JSON.parse(await file.read());
+    return snapshot && typeof snapshot.text === "string" ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sheets that were served from an offline snapshot since the last cache invalidation.
+ * @returns {Array<{sheet: string, fetchedAt: number}>}
+ */
+function getStaleSheets() {
+  return Object.keys(staleSheetLog).map((key) => staleSheetLog[key]);
+}
 
-    return result;
+/**
+ * Human readable age of a snapshot, e.g. "12 min", "3 h", "2 days"
+ */
+function formatSnapshotAge(fetchedAt) {
+  const minutes = Math.max(0, Math.round((Date.now() - Number(fetchedAt)) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Resolve where this league's sheets come from.
+ * league.json in the base folder can set "dataSource" to:
+ *   "sheets" (default) – published Google Sheets listed in the master sheet
+ *   "local"            – files in the base folder's DATA/ folder
+ *   { "type": "local", "folder": "My Data" } – local files in a custom folder
+ */
+async function getDataSource(baseFolder) {
+  const leagueName = await getLeagueKey(baseFolder);
+  if (dataSourceCache[leagueName]) return dataSourceCache[leagueName];
+
+  const { dataSource: setting } = await storage.resolveLeagueInfo(baseFolder);
+  const type = String((setting && typeof setting === "object" ? setting.type : setting) || "sheets").trim().toLowerCase();
+  const source = type === "local"
+    ? { type: "local", folder: (setting && setting.folder) || localDataSource.DEFAULT_DATA_FOLDER }
+    : { type: "sheets", folder: null };
+
+  dataSourceCache[leagueName] = source;
+  return source;
 }
 
 /**
- * Fetch text from a URL (Google Sheets CSV)
+ * Read one logical sheet as rows from whichever source this league uses.
+ * @param {FolderEntry} baseFolder - League base folder
+ * @param {string} sheetName - Logical sheet name (e.g. "SCHEDULE", "All Teams")
+ * @param {Function} resolveUrl - async () => published CSV URL, only called for Google Sheets
+ * @returns {Promise<string[][]>}
  */
-async function fetchText(url) {
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status} while fetching ${url}`);
+async function readSheetRows(baseFolder, sheetName, resolveUrl) {
+  const source = await getDataSource(baseFolder);
+  if (source.type === "local") {
+    return await localDataSource.readLocalSheet(baseFolder, sheetName, source.folder);
   }
-  return await res.text();
+
+  const leagueName = await getLeagueKey(baseFolder);
+  const url = await resolveUrl();
+  if (!url) {
+    throw new Error(`No ${sheetName} URL for league "${leagueName}" in the master league sheet.`);
+  }
+  const csvText = await fetchSheetText(url, `${leagueName} - ${sheetName}`);
+  return parseCSV(csvText);
+}
+
+/**
+ * League key for the selected base folder: league.json "league", or the folder name.
+ */
+async function getLeagueKey(baseFolder) {
+  const { key } = await storage.resolveLeagueInfo(baseFolder);
+  return key;
 }
 
 /**
- * Look up the per‑league URLs (branding, schedule, stats) from the master sheet
- * using the selected base folder name as the LEAGUE key.
+ * Look up the league's sheet registry in the master sheet, using the resolved
+ * league key as the LEAGUE key. Every other column with a URL in that row becomes
+ * a named sheet, so a new sheet only needs a new master sheet column.
+ * @returns {Promise<Object>} Master sheet column (trimmed, upper case) -> published CSV URL
  */
-async function getLeagueCsvUrls(baseFolder) {
-  const leagueName = String(baseFolder?.name || "").trim();
+async function getLeagueSheetUrls(baseFolder) {
+  const leagueName = await getLeagueKey(baseFolder);
   if (!leagueName) {
-    throw new Error("Base folder name is missing – cannot resolve league row in master sheet.");
+    throw new Error("League key is missing – cannot resolve league row in master sheet.");
   }
 
   if (leagueUrlCache[leagueName]) {
     return leagueUrlCache[leagueName];
   }
 
-  const masterCsv = await fetchText(MASTER_LEAGUE_SHEET_URL);
+  const masterCsv = await fetchSheetText(MASTER_LEAGUE_SHEET_URL, "MASTER");
   const rows = parseCSV(masterCsv);
 
   if (rows.length === 0) {
@@ -79,58 +208,59 @@ async function getLeagueCsvUrls(baseFolder) {
 
   // Create header map from first row
   const headerRow = rows[0];
+  prepareSheetRows(rows, 0, "Master league sheet");
   const headerMap = createHeaderMap(headerRow);
 
-  let divisionUrl = "";
-  let teamUrl = "";
-  let scheduleUrl = "";
-  let standingsUrl = "";
-  let goalieUrl = "";
-  let playerUrl = "";
-  let playoffGoalieUrl = "";
-  let playoffPlayerUrl = "";
-  let haveADayPlayerUrl = "";
-  let haveADayGoalieUrl = "";
-  let topPlaysUrl = "";
-
+  const urls = {};
   for (let i = 1; i < rows.length; i++) {
     const row = rows[i];
     const leagueCell = String(getValue(row, "LEAGUE", headerMap) || "").trim();
     if (!leagueCell) continue;
     if (leagueCell.toLowerCase() === leagueName.toLowerCase()) {
-      divisionUrl  = String(getValue(row, "DIVISION INFO", headerMap) || "").trim();
-      teamUrl      = String(getValue(row, "TEAM INFO", headerMap) || "").trim();
-      scheduleUrl  = String(getValue(row, "SCHEDULE", headerMap) || "").trim();
-      standingsUrl = String(getValue(row, "STANDINGS", headerMap) || "").trim();
-      goalieUrl    = String(getValue(row, "GOALIE STATS", headerMap) || "").trim();
-      playerUrl    = String(getValue(row, "PLAYER STATS", headerMap) || "").trim();
-      playoffGoalieUrl = String(getValue(row, "PLAYOFF GOALIE STATS", headerMap) || "").trim();
-      playoffPlayerUrl = String(getValue(row, "PLAYOFF PLAYER STATS", headerMap) || "").trim();
-      haveADayPlayerUrl = String(getValue(row, "HAVE A DAY PLAYER", headerMap) || "").trim();
-      haveADayGoalieUrl = String(getValue(row, "HAVE A DAY GOALIE", headerMap) || "").trim();
-      topPlaysUrl = String(getValue(row, "TOP PLAYS", headerMap) || "").trim();
+      headerRow.forEach((header, idx) => {
+        const column = weeklySheets.normalizeHeader(header);
+        const url = String(row[idx] || "").trim();
+        if (column && column !== "LEAGUE" && url && !urls[column]) urls[column] = url;
+      });
       break;
     }
   }
 
-  if (!divisionUrl || !teamUrl || !scheduleUrl || !standingsUrl || !goalieUrl || !playerUrl) {
+  // STANDINGS is optional: leagues without one get standings computed from the schedule
+  if (REQUIRED_SHEETS.some((sheetName) => !urls[masterColumnFor(sheetName)])) {
     throw new Error(`League "${leagueName}" not found or URLs missing in master league sheet.`);
   }
 
-  const urls = { divisionUrl, teamUrl, scheduleUrl, standingsUrl, goalieUrl, playerUrl, playoffGoalieUrl, playoffPlayerUrl, haveADayPlayerUrl, haveADayGoalieUrl, topPlaysUrl };
   leagueUrlCache[leagueName] = urls;
   return urls;
 }
 
+// Master sheet column holding a logical sheet's URL
+function masterColumnFor(sheetName) {
+  const key = weeklySheets.normalizeHeader(sheetName);
+  return MASTER_SHEET_COLUMNS[key] || key;
+}
+
+/**
+ * Rows of any registered sheet by name ("SCHEDULE", "PLAYER STATS", "THREE STARS", ...),
+ * from Google Sheets or the league's local data folder.
+ */
+async function getSheet(baseFolder, sheetName) {
+  return await readSheetRows(baseFolder, sheetName, async () => {
+    const urls = await getLeagueSheetUrls(baseFolder);
+    return urls[masterColumnFor(sheetName)] || "";
+  });
+}
+
 /**
  * Get and cache branding sheets for this league
  *  - "Divisions"  -> Division Info URL
  *  - "All Teams"  -> Team Info URL
  */
 async function getBrandingSheet(baseFolder, sheetName) {
-  const leagueName = String(baseFolder?.name || "").trim();
+  const leagueName = await getLeagueKey(baseFolder);
   if (!leagueName) {
-    throw new Error("Base folder name is missing – cannot load branding sheet.");
+    throw new Error("League key is missing – cannot load branding sheet.");
   }
 
   if (!brandingSheetCache[leagueName]) {
@@ -140,60 +270,55 @@ async function getBrandingSheet(baseFolder, sheetName) {
     return brandingSheetCache[leagueName][sheetName];
   }
 
-  const { divisionUrl, teamUrl } = await getLeagueCsvUrls(baseFolder);
-  let targetUrl = "";
-  if (sheetName === "Divisions") {
-    targetUrl = divisionUrl;
-  } else if (sheetName === "All Teams") {
-    targetUrl = teamUrl;
-  } else {
+  if (sheetName !== "Divisions" && sheetName !== "All Teams") {
     throw new Error(`Unknown branding sheet name "${sheetName}"`);
   }
 
-  const csvText = await fetchText(targetUrl);
-  const parsed = parseCSV(csvText);
+  const parsed = await getSheet(baseFolder, sheetName);
   brandingSheetCache[leagueName][sheetName] = parsed;
   return parsed;
 }
 
 /**
- * Convenience helper for schedule sheet (SCHEDULE column)
+ * Reconcile row widths and validate a freshly loaded sheet against its schema,
+ * recording any problems in the data issue log.
  */
-async function getScheduleSheet(baseFolder /*, sheetNameIgnored */) {
-  const { scheduleUrl } = await getLeagueCsvUrls(baseFolder);
-  const csvText = await fetchText(scheduleUrl);
-  return parseCSV(csvText);
+function prepareSheetRows(rows, headerIdx, sheetName) {
+  const issues = [];
+  reconcileRowWidths(rows, headerIdx, sheetName, issues);
+  recordDataIssues(issues.concat(sheetValidator.validateSheet(sheetName, rows, headerIdx)));
 }
 
-/**
- * Convenience helper for stats sheets (STANDINGS / GOALIE STATS / PLAYER STATS / PLAYOFF GOALIE STATS / PLAYOFF PLAYER STATS columns)
- */
-async function getStatsSheet(baseFolder, sheetName) {
-  const { standingsUrl, goalieUrl, playerUrl, playoffGoalieUrl, playoffPlayerUrl, haveADayPlayerUrl, haveADayGoalieUrl, topPlaysUrl } = await getLeagueCsvUrls(baseFolder);
-
-  let targetUrl = "";
-  if (sheetName === "STANDINGS") {
-    targetUrl = standingsUrl;
-  } else if (sheetName === "GOALIE STATS") {
-    targetUrl = goalieUrl;
-  } else if (sheetName === "PLAYER STATS") {
-    targetUrl = playerUrl;
-  } else if (sheetName === "PLAYOFF GOALIE STATS") {
-    targetUrl = playoffGoalieUrl;
-  } else if (sheetName === "PLAYOFF PLAYER STATS") {
-    targetUrl = playoffPlayerUrl;
-  } else if (sheetName === "HAVE A DAY PLAYER") {
-    targetUrl = haveADayPlayerUrl;
-  } else if (sheetName === "HAVE A DAY GOALIE") {
-    targetUrl = haveADayGoalieUrl;
-  } else if (sheetName === "TOP PLAYS") {
-    targetUrl = topPlaysUrl;
-  } else {
-    throw new Error(`Unknown stats sheet name "${sheetName}"`);
+/** Record that a sheet could not be loaded at all. */
+function recordSheetLoadFailure(sheetName, error) {
+  // Sheets without a schema are extra weekly sheets from the registry; never critical
+  const schema = sheetValidator.SHEET_SCHEMAS[sheetName];
+  const severity = schema && !schema.optional ? "critical" : "warning";
+  recordDataIssues([sheetValidator.makeIssue(sheetName, null, null, `Could not load sheet: ${error.message || error}`, severity)]);
+}
+
+function recordDataIssues(issues) {
+  for (const issue of issues) {
+    const key = `${issue.sheet}|${issue.row}|${issue.column}|${issue.message}`;
+    if (dataIssueLog.some((i) => `${i.sheet}|${i.row}|${i.column}|${i.message}` === key)) continue;
+    dataIssueLog.push(issue);
   }
+}
 
-  const csvText = await fetchText(targetUrl);
-  return parseCSV(csvText);
+/**
+ * Data problems found while loading sheets since the last cache invalidation.
+ * @returns {Array<{sheet: string, row: number|null, column: string|null, message: string, severity: "critical"|"warning"}>}
+ */
+function getDataIssues() {
+  return dataIssueLog.slice();
+}
+
+/**
+ * Why tied teams ended up in the order they did, from the last standings load.
+ * @returns {Array<{div: string, higher: string, lower: string, rule: string, text: string}>}
+ */
+function getTiebreakExplanations() {
+  return tiebreakLog.slice();
 }
 
 /**
@@ -232,6 +357,7 @@ async function loadDivisionInfo(baseFolder) {
   try {
     const divInfo = await getBrandingSheet(baseFolder, "Divisions");
     
+    prepareSheetRows(divInfo, 0, "Divisions");
     const headerMap = createHeaderMap(divInfo[0]);
     const divs = [];
     
@@ -246,7 +372,9 @@ async function loadDivisionInfo(baseFolder) {
         timeZone: getValue(row, 'Time Zone', headerMap),
         location: getValue(row, 'Location', headerMap),
         divShort: getValue(row, 'DivShort', headerMap),
-        minGpGaa: Number(getValue(row, 'Min GP (GAA)', headerMap) || 0)
+        minGpGaa: Number(getValue(row, 'Min GP (GAA)', headerMap) || 0),
+        // Teams that make the playoffs from this division (clinch / elimination line); 0 = not set
+        playoffSpots: Number(getValue(row, 'Playoff Teams', headerMap) || getValue(row, 'Playoff Spots', headerMap) || 0)
       };
       if (!divObject.conf && !divObject.div) continue;
       divs.push(divObject);
@@ -256,6 +384,7 @@ async function loadDivisionInfo(baseFolder) {
     return divs;
   } catch (error) {
     console.error("Error loading division info:", error);
+    recordSheetLoadFailure("Divisions", error);
     return [];
   }
 }
@@ -268,6 +397,7 @@ async function loadConferenceInfo(baseFolder) {
   try {
     const divInfo = await getBrandingSheet(baseFolder, "Divisions");
     
+    prepareSheetRows(divInfo, 0, "Divisions");
     const headerMap = createHeaderMap(divInfo[0]);
     const confs = [];
     
@@ -297,6 +427,7 @@ async function loadConferenceInfo(baseFolder) {
     return confs;
   } catch (error) {
     console.error("Error loading conference info:", error);
+    recordSheetLoadFailure("Divisions", error);
     return [];
   }
 }
@@ -310,6 +441,7 @@ async function loadTeamInfo(baseFolder) {
   try {
     const teamInfo = await getBrandingSheet(baseFolder, "All Teams");
 
+    prepareSheetRows(teamInfo, 0, "All Teams");
     const headerMap = createHeaderMap(teamInfo[0]);
     const teams = [];
 
@@ -325,7 +457,9 @@ async function loadTeamInfo(baseFolder) {
         color1: normalizeColor(getValue(row, "Color 1", headerMap)),
         color2: normalizeColor(getValue(row, "Color 2", headerMap)),
         color3: normalizeColor(getValue(row, "Color 3", headerMap)),
-        powerRanking: getValue(row, "PR", headerMap)
+        powerRanking: getValue(row, "PR", headerMap),
+        // Other spellings used in the league's sheets, e.g. "Owls; Bos Owls"
+        aliases: String(getValue(row, "Aliases", headerMap) || "").split(/[;,|]/).map((a) => a.trim()).filter(Boolean)
       };
       teams.push(teamObject);
     }
@@ -334,10 +468,64 @@ async function loadTeamInfo(baseFolder) {
     return teams;
   } catch (error) {
     console.error("Error loading team info:", error);
+    recordSheetLoadFailure("All Teams", error);
     return [];
   }
 }
 
+/**
+ * Team resolver for the league: All Teams names and "Aliases" column plus
+ * league.json "teamAliases", with a conservative fuzzy fallback (see utils/teamResolver.js).
+ * Built once per run.
+ * @param {FolderEntry} baseFolder - League base folder
+ * @returns {Promise<{resolve: function(string): ({team: Object, match: string}|null)}>}
+ */
+async function getTeamResolver(baseFolder) {
+  const leagueName = await getLeagueKey(baseFolder);
+  if (!teamResolverCache[leagueName]) {
+    teamResolverCache[leagueName] = Promise.all([loadTeamInfo(baseFolder), storage.resolveLeagueInfo(baseFolder)])
+      .then(([teams, { teamAliases }]) => teamResolver.createTeamResolver(teams, teamAliases));
+  }
+  return teamResolverCache[leagueName];
+}
+
+/**
+ * Map a team name from a sheet to its All Teams "Full Team Name".
+ * Names that don't match are returned unchanged and listed by getUnresolvedTeams().
+ * @param {Object} resolver - From getTeamResolver()
+ * @param {string} name - Team name as typed in the sheet
+ * @param {string} source - Sheet the name came from (shown in the unresolved list)
+ * @returns {string}
+ */
+function canonicalTeamName(resolver, name, source) {
+  const raw = String(name || "").trim();
+  if (!raw) return name;
+
+  const result = resolver.resolve(raw);
+  if (result) {
+    if (result.match === "fuzzy" && !fuzzyTeamLog.has(`${source}|${raw}`)) {
+      fuzzyTeamLog.add(`${source}|${raw}`);
+      console.log(`🔎 ${source}: "${raw}" matched to ${result.team.fullTeam}`);
+    }
+    return result.team.fullTeam;
+  }
+
+  if (!teamResolver.isPlaceholderTeam(raw)) {
+    const key = teamResolver.normalizeTeamKey(raw);
+    const entry = unresolvedTeamLog[key] || (unresolvedTeamLog[key] = { name: raw, sources: [] });
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+  }
+  return name;
+}
+
+/**
+ * Team names read since the last invalidation that matched no team in All Teams.
+ * @returns {Array<{name: string, sources: string[]}>}
+ */
+function getUnresolvedTeams() {
+  return Object.values(unresolvedTeamLog).map((entry) => ({ name: entry.name, sources: entry.sources.slice() }));
+}
+
 /**
  * Internal helper to load player stats from a specified sheet
  * @param {FolderEntry} baseFolder - Base folder for the league
@@ -347,8 +535,10 @@ async function loadTeamInfo(baseFolder) {
  */
 async function _loadPlayerStatsInternal(baseFolder, sheetName, label) {
   try {
-    const playerStatRead = await getStatsSheet(baseFolder, sheetName);
+    const playerStatRead = await getSheet(baseFolder, sheetName);
+    const resolver = await getTeamResolver(baseFolder);
 
+    prepareSheetRows(playerStatRead, 0, sheetName);
     const headerMap = createHeaderMap(playerStatRead[0]);
 
     const allPlayerStats = [];
@@ -358,12 +548,13 @@ async function _loadPlayerStatsInternal(baseFolder, sheetName, label) {
       const playerStatline = {
         firstName: getValue(row, 'First Name', headerMap),
         lastName: getValue(row, 'Last Name', headerMap),
-        teamName: getValue(row, 'Team', headerMap),
+        teamName: canonicalTeamName(resolver, getValue(row, 'Team', headerMap), sheetName),
         div: getValue(row, 'Division', headerMap),
         goals: Number(getValue(row, 'G', headerMap)),
         assists: Number(getValue(row, 'A', headerMap)),
         points: Number(getValue(row, 'PTS', headerMap)),
         ppg: getValue(row, 'PTS/GP', headerMap),
+        gp: getValue(row, 'GP', headerMap),
       }
       playerStatline.fullName = playerStatline.firstName + ' ' + playerStatline.lastName
 
@@ -375,6 +566,7 @@ async function _loadPlayerStatsInternal(baseFolder, sheetName, label) {
     return allPlayerStats;
   } catch (error) {
     console.error(`Error loading ${label} stats:`, error);
+    recordSheetLoadFailure(sheetName, error);
     return [];
   }
 }
@@ -404,8 +596,10 @@ async function loadPlayoffPlayerStats(baseFolder) {
  */
 async function _loadGoalieStatsInternal(baseFolder, sheetName, label) {
   try {
-    const goalieStatRead = await getStatsSheet(baseFolder, sheetName);
+    const goalieStatRead = await getSheet(baseFolder, sheetName);
+    const resolver = await getTeamResolver(baseFolder);
 
+    prepareSheetRows(goalieStatRead, 0, sheetName);
     const headerMap = createHeaderMap(goalieStatRead[0]);
 
     const allGoalieStats = [];
@@ -415,7 +609,7 @@ async function _loadGoalieStatsInternal(baseFolder, sheetName, label) {
       const goalieStatline = {
         firstName: getValue(row, 'First Name', headerMap),
         lastName: getValue(row, 'Last Name', headerMap),
-        teamName: getValue(row, 'Team', headerMap),
+        teamName: canonicalTeamName(resolver, getValue(row, 'Team', headerMap), sheetName),
         div: getValue(row, 'Division', headerMap),
         GA: getValue(row, 'GA', headerMap),
         GAA: getValue(row, 'GAA', headerMap),
@@ -426,6 +620,12 @@ async function _loadGoalieStatsInternal(baseFolder, sheetName, label) {
           getValue(row, 'W', headerMap) ||
           0
         ),
+        savePct: getValue(row, 'SV%', headerMap),
+        shutouts: Number(
+          getValue(row, 'SO', headerMap) ||
+          getValue(row, 'Shutouts', headerMap) ||
+          0
+        ),
       }
       goalieStatline.fullName = goalieStatline.firstName + ' ' + goalieStatline.lastName
 
@@ -441,6 +641,7 @@ async function _loadGoalieStatsInternal(baseFolder, sheetName, label) {
     return allGoalieStats;
   } catch (error) {
     console.error(`Error loading ${label} stats:`, error);
+    recordSheetLoadFailure(sheetName, error);
     return [];
   }
 }
@@ -462,310 +663,451 @@ async function loadPlayoffGoalieStats(baseFolder) {
 }
 
 /**
- * Load standings from Google Sheets ("STANDINGS" tab)
+ * Load standings for the league.
+ * league.json "standings.source" picks where they come from:
+ *   "auto" (default) – the STANDINGS sheet, or computed from schedule results when the sheet is missing/empty
+ *   "sheet"          – the STANDINGS sheet only
+ *   "schedule"       – always computed from schedule results (see utils/standingsEngine.js)
+ * With "standings.crossCheck": true, sheet standings are compared to computed ones and
+ * differences are reported as data warnings.
+ * Computed standings are always ordered by the tiebreaker rules ("standings.tiebreakers");
+ * sheet standings keep their RANK column unless tiebreakers are listed in league.json.
  * Returns array of parsed standings data
  */
 async function loadStandings(baseFolder) {
+  const settings = await getStandingsSettings(baseFolder);
+  if (settings.source === "schedule") {
+    return await computeStandingsFromSchedule(baseFolder, settings);
+  }
+
+  let sheetStandings = [];
+  let sheetError = null;
   try {
-    const standingsRead = await getStatsSheet(baseFolder, "STANDINGS");
+    sheetStandings = await readStandingsSheet(baseFolder);
+  } catch (error) {
+    sheetError = error;
+  }
 
-    if (!standingsRead || standingsRead.length === 0) {
-      console.log("Loaded 0 standings rows");
-      return [];
+  if (!sheetStandings.length) {
+    if (settings.source === "auto") {
+      const computed = await computeStandingsFromSchedule(baseFolder, settings);
+      if (computed.length) {
+        console.log("ℹ️ No STANDINGS sheet data – using standings computed from the schedule");
+        return computed;
+      }
     }
+    if (sheetError) {
+      console.error("Error loading standings:", sheetError);
+      recordSheetLoadFailure("STANDINGS", sheetError);
+    } else {
+      recordDataIssues(sheetValidator.validateSheet("STANDINGS", [], 0));
+    }
+    return [];
+  }
+
+  if (settings.tiebreakers) {
+    const { schedule, year } = await loadSchedule(baseFolder);
+    await applyTiebreakers(baseFolder, sheetStandings, schedule, year, settings);
+  } else {
+    labelSheetRanks(sheetStandings);
+  }
 
-    const headerMap = createHeaderMap(standingsRead[0]);
+  if (settings.crossCheck) {
+    const computed = await computeStandingsFromSchedule(baseFolder, settings, { rank: false });
+    const mismatches = standingsEngine.compareStandings(sheetStandings, computed);
+    recordDataIssues(mismatches.map((m) => sheetValidator.makeIssue(
+      "STANDINGS",
+      null,
+      m.field === "team" ? null : m.field.toUpperCase(),
+      m.field === "team"
+        ? `${m.team} is not in All Teams or the schedule.`
+        : `${m.team}: sheet has ${m.sheet}, schedule results give ${m.computed}.`,
+      "warning"
+    )));
+  }
 
-    const teamStats = [];
-    for (let n = 1; n < standingsRead.length; n++) {
-      const row = standingsRead[n];
-      if (!row || row.length === 0) continue;
+  return sheetStandings;
+}
 
-      const teamStatline = {
-        fullTeam: getValue(row, 'Team Name', headerMap),
-        teamCity: null,
-        teamName: null,
-        div: getValue(row, 'Division', headerMap),
-        gp: getValue(row, 'GP', headerMap),
-        w: getValue(row, 'W', headerMap),
-        otw: getValue(row, 'OTW', headerMap),
-        otl: getValue(row, 'OTL', headerMap),
-        l: getValue(row, 'L', headerMap),
-        pts: getValue(row, 'PTS', headerMap),
-        diff: getValue(row, 'DIFF', headerMap),
-        pct: getValue(row, 'P%', headerMap),
-        gf: getValue(row, 'GF', headerMap),
-        ga: getValue(row, 'GA', headerMap),
-        rank: getValue(row, 'RANK', headerMap),
-      };
+/**
+ * Set rankLabel on sheet-ranked standings: teams sharing a RANK value within a
+ * division are shown as tied ("T-2"). Rows are labelled in the order the
+ * standings features sort them (RANK, then sheet order).
+ */
+function labelSheetRanks(rows) {
+  const byDiv = {};
+  for (const row of rows) (byDiv[row.div] = byDiv[row.div] || []).push(row);
+  for (const div in byDiv) {
+    const ordered = byDiv[div].slice().sort((a, b) => (Number(a.rank) || 999) - (Number(b.rank) || 999));
+    const ranks = competitionRanks(ordered, (a, b) => Number(a.rank) > 0 && Number(a.rank) === Number(b.rank));
+    ordered.forEach((row, i) => { row.rankLabel = ranks[i].label; });
+  }
+}
 
-      if (teamStatline.pct === '#DIV/0!') teamStatline.pct = '0.000';
-      if (!teamStatline.fullTeam) continue;
-      teamStats.push(teamStatline);
-    }
+/**
+ * Read the STANDINGS sheet into standings objects.
+ * Returns [] when the sheet is empty; throws when it can't be loaded.
+ */
+async function readStandingsSheet(baseFolder) {
+  const standingsRead = await getSheet(baseFolder, "STANDINGS");
 
-    console.log(`✅ Built ${teamStats.length} standings objects`);
-    return teamStats;
-    
-  } catch (error) {
-    console.error("Error loading standings:", error);
+  if (!standingsRead || standingsRead.length === 0) {
+    console.log("Loaded 0 standings rows");
     return [];
   }
+
+  prepareSheetRows(standingsRead, 0, "STANDINGS");
+  const headerMap = createHeaderMap(standingsRead[0]);
+  const resolver = await getTeamResolver(baseFolder);
+
+  const teamStats = [];
+  for (let n = 1; n < standingsRead.length; n++) {
+    const row = standingsRead[n];
+    if (!row || row.length === 0) continue;
+
+    const teamStatline = {
+      fullTeam: canonicalTeamName(resolver, getValue(row, 'Team Name', headerMap), "STANDINGS"),
+      teamCity: null,
+      teamName: null,
+      div: getValue(row, 'Division', headerMap),
+      gp: getValue(row, 'GP', headerMap),
+      w: getValue(row, 'W', headerMap),
+      otw: getValue(row, 'OTW', headerMap),
+      otl: getValue(row, 'OTL', headerMap),
+      l: getValue(row, 'L', headerMap),
+      pts: getValue(row, 'PTS', headerMap),
+      diff: getValue(row, 'DIFF', headerMap),
+      pct: getValue(row, 'P%', headerMap),
+      gf: getValue(row, 'GF', headerMap),
+      ga: getValue(row, 'GA', headerMap),
+      rank: getValue(row, 'RANK', headerMap),
+    };
+
+    if (teamStatline.pct === '#DIV/0!') teamStatline.pct = '0.000';
+    if (!teamStatline.fullTeam) continue;
+    teamStats.push(teamStatline);
+  }
+
+  console.log(`✅ Built ${teamStats.length} standings objects`);
+  return teamStats;
 }
 
 /**
- * Load "HAVE A DAY PLAYER" data from Google Sheets.
- * Returns { week, rows } where rows are normalized stat objects.
+ * Leaderboard categories for the STATS graphics: built-in definitions merged
+ * with league.json "leaderboards" overrides.
+ * @param {FolderEntry} baseFolder - League base folder
+ * @returns {Promise<Object>} Category name -> definition (see utils/leaderboards.js)
  */
-async function loadHaveADayPlayers(baseFolder) {
-  try {
-    const sheet = await getStatsSheet(baseFolder, "HAVE A DAY PLAYER");
-    if (!sheet || !sheet.length) {
-      return { week: 0, rows: [] };
-    }
+async function getLeaderboardCategories(baseFolder) {
+  const { leaderboards: overrides } = await storage.resolveLeagueInfo(baseFolder);
+  return leaderboards.resolveCategories(overrides);
+}
 
-    // Header can be offset by metadata rows. Find row containing core columns.
-    let headerIdx = -1;
-    for (let i = 0; i < sheet.length; i++) {
-      const rowUpper = (sheet[i] || []).map((v) => String(v || "").trim().toUpperCase());
-      if (rowUpper.includes("WEEK") && rowUpper.includes("FIRST NAME") && rowUpper.includes("LAST NAME")) {
-        headerIdx = i;
-        break;
-      }
-    }
-    if (headerIdx < 0) {
-      console.warn('Could not find HAVE A DAY header row; returning empty set.');
-      return { week: 0, rows: [] };
-    }
+/**
+ * Standings settings from league.json "standings", with defaults filled in.
+ */
+async function getStandingsSettings(baseFolder) {
+  const { standings } = await storage.resolveLeagueInfo(baseFolder);
+  const source = String(standings.source || "auto").trim().toLowerCase();
+  return {
+    source: ["auto", "sheet", "schedule"].includes(source) ? source : "auto",
+    points: standingsEngine.resolvePoints(standings.points),
+    crossCheck: standings.crossCheck === true,
+    includePlayoffs: standings.includePlayoffs === true,
+    tiebreakers: Array.isArray(standings.tiebreakers) && standings.tiebreakers.length ? standings.tiebreakers : null,
+    manualOrder: Array.isArray(standings.manualOrder) ? standings.manualOrder : [],
+    playoffSpots: Number(standings.playoffSpots) || 0,
+    clinchPrefix: standings.clinchPrefix === true
+  };
+}
 
-    // Detect current week from metadata text like "CURRENT WEEK: 0".
-    let currentWeek = 0;
-    for (let i = 0; i < headerIdx; i++) {
-      const meta = (sheet[i] || []).join(" ");
-      const m = String(meta).match(/CURRENT\s*WEEK\s*:\s*(-?\d+)/i);
-      if (m) {
-        currentWeek = Number(m[1]);
-        break;
-      }
-    }
+/**
+ * Clinch / elimination flags for every team (see utils/playoffPicture.js): "y" clinched first
+ * place, "x" clinched a playoff spot, "e" eliminated, "" undecided. The playoff line is the
+ * division's "Playoff Teams" column in Divisions, else league.json "standings.playoffSpots".
+ * @param {FolderEntry} baseFolder
+ * @param {Object} data - What the standings feature already loaded
+ * @param {Array} data.standings - From loadStandings(), div normalized to "conf div"
+ * @param {Array} data.schedule - From loadSchedule()
+ * @param {Array} data.divs - From loadDivisionInfo()
+ * @returns {Promise<{picture: Object, clinchPrefix: boolean}>} picture: fullTeam -> { flag, remaining, minPoints, maxPoints, spots };
+ *   clinchPrefix is league.json "standings.clinchPrefix" (show "x - " before team names)
+ */
+async function getPlayoffPicture(baseFolder, { standings, schedule, divs }) {
+  const settings = await getStandingsSettings(baseFolder);
+  const spotsByDiv = {};
+  for (const d of divs || []) spotsByDiv[`${d.conf} ${d.div}`] = d.playoffSpots || settings.playoffSpots;
+  const picture = playoffPicture.computePlayoffPicture(standings, schedule, {
+    points: settings.points,
+    spotsByDiv,
+    throughWeek: weekOverride
+  });
+  return { picture, clinchPrefix: settings.clinchPrefix };
+}
 
-    const headerMap = createHeaderMap(sheet[headerIdx]);
-    // Normalize headers (trim + uppercase) because sheets sometimes include
-    // subtle spacing/case variants like "Team " or "week".
-    const normalizedHeaderMap = {};
-    for (const key in headerMap) {
-      const norm = String(key || "").trim().toUpperCase();
-      if (norm) normalizedHeaderMap[norm] = headerMap[key];
-    }
+/** league.json "playoffs" – best-of lengths per round (see utils/playoffSeries.js) */
+async function getPlayoffSettings(baseFolder) {
+  const { playoffs } = await storage.resolveLeagueInfo(baseFolder);
+  return playoffs;
+}
 
-    const getRowValue = (row, candidates) => {
-      for (let i = 0; i < candidates.length; i++) {
-        const key = String(candidates[i] || "").trim().toUpperCase();
-        const idx = normalizedHeaderMap[key];
-        if (typeof idx === "number") return row[idx];
-      }
-      return "";
-    };
+/**
+ * Series status for every playoff game ("OWLS LEADS 2-1", "GAME 7 TONIGHT"), counting wins
+ * toward each round's best-of length. Rounds that are a single game get no status.
+ * @param {FolderEntry} baseFolder
+ * @param {Array} schedule - From loadSchedule(); the returned map is keyed by these game objects
+ * @param {Array} [teams] - From loadTeamInfo(), so statuses use team names rather than full names
+ * @returns {Promise<Map<Object, string>>}
+ */
+async function getSeriesStatuses(baseFolder, schedule, teams = []) {
+  const config = await getPlayoffSettings(baseFolder);
+  const teamLabel = (fullTeam) => {
+    const key = String(fullTeam || "").trim().toUpperCase();
+    const team = teams.find((t) => String(t.fullTeam || "").trim().toUpperCase() === key);
+    return (team && team.teamName) || fullTeam;
+  };
+  return playoffSeries.buildSeriesStatuses(schedule, { config, teamLabel });
+}
 
-    const rows = [];
-    for (let n = headerIdx + 1; n < sheet.length; n++) {
-      const row = sheet[n];
-      if (!row || row.length === 0) continue;
+/**
+ * Order standings rows with the league's tiebreaker rules (sets rank) and log why tied teams were split.
+ * @param {number|null} [throughWeek=null] - Week the rows were computed through; later
+ *   head-to-head games are ignored
+ */
+async function applyTiebreakers(baseFolder, rows, schedule, year, settings, throughWeek = null) {
+  const leagueKey = await getLeagueKey(baseFolder);
+  const { explanations } = tiebreakers.rankStandings(rows, {
+    rules: settings.tiebreakers,
+    schedule,
+    throughWeek,
+    points: settings.points,
+    manualOrder: settings.manualOrder,
+    seed: `${leagueKey} ${year || ""}`
+  });
+
+  tiebreakLog.length = 0;
+  tiebreakLog.push(...explanations);
+  for (const explanation of explanations) console.log(`⚖️ ${explanation.div}: ${explanation.text}`);
+  return rows;
+}
 
-      const player = {
-        week: Number(getRowValue(row, ["WEEK"]) || 0),
-        firstName: getRowValue(row, ["FIRST NAME", "FIRST"]),
-        lastName: getRowValue(row, ["LAST NAME", "LAST"]),
-        number: getRowValue(row, ["NUMBER", "#", "NO", "NO."]),
-        teamName: getRowValue(row, ["TEAM", "TEAM NAME"]),
-        division: getRowValue(row, ["DIVISION", "DIV"]),
-        goals: Number(getRowValue(row, ["GOALS", "G"]) || 0),
-        assists: Number(getRowValue(row, ["ASSISTS", "A"]) || 0),
-        points: Number(getRowValue(row, ["POINTS", "PTS"]) || 0),
-        wins: Number(getRowValue(row, ["WINS", "W"]) || 0)
-      };
-      player.fullName = `${player.firstName || ""} ${player.lastName || ""}`.trim();
+/**
+ * Build standings from final games in the schedule, ranked by the tiebreaker rules.
+ * Honors the panel's week override so re-generated weeks only count games up to that week.
+ * @param {FolderEntry} baseFolder
+ * @param {Object} [settings] - From getStandingsSettings() (read from league.json when omitted)
+ * @param {Object} [options]
+ * @param {boolean} [options.rank=true] - Order rows with the tiebreakers (false leaves rank blank)
+ */
+async function computeStandingsFromSchedule(baseFolder, settings = null, { rank = true } = {}) {
+  if (!settings) settings = await getStandingsSettings(baseFolder);
+  const [{ schedule, year }, teams] = await Promise.all([
+    loadSchedule(baseFolder),
+    loadTeamInfo(baseFolder)
+  ]);
+  const standings = standingsEngine.computeStandings(schedule, teams, {
+    points: settings.points,
+    includePlayoffs: settings.includePlayoffs,
+    throughWeek: weekOverride
+  });
+  if (rank) await applyTiebreakers(baseFolder, standings, schedule, year, settings, weekOverride);
+  console.log(`✅ Computed ${standings.length} standings objects from the schedule`);
+  return standings;
+}
 
-      if (!player.teamName || !player.fullName) continue;
-      rows.push(player);
-    }
+/**
+ * Power ranking settings from league.json "powerRankings" (see utils/powerRankingEngine.js).
+ * @returns {Promise<{computed: boolean, recentGames: number, weights: Object}>}
+ */
+async function getPowerRankingSettings(baseFolder) {
+  const { powerRankings } = await storage.resolveLeagueInfo(baseFolder);
+  return powerRankingEngine.resolveSettings(powerRankings);
+}
 
-    console.log(`✅ Built ${rows.length} HAVE A DAY player rows (Week ${currentWeek})`);
-    return { week: currentWeek, rows };
-  } catch (error) {
-    console.error("Error loading HAVE A DAY PLAYER data:", error);
-    return { week: 0, rows: [] };
+/**
+ * Teams with the PR the power rankings use. A tier where any team has an All Teams PR value
+ * keeps the typed values; with league.json "powerRankings.computed", other tiers are ranked
+ * from P%, goal differential, recent form and strength of schedule, through the selected week.
+ * @param {FolderEntry} baseFolder
+ * @param {Object} [loaded] - Data the caller already has
+ * @param {Array} [loaded.teams] - From loadTeamInfo()
+ * @param {Array} [loaded.standings] - From loadStandings()
+ * @returns {Promise<{teams: Array, computedTiers: Object, settings: Object}>} teams are copies with
+ *   powerRanking set and powerRankingSource "sheet", "computed" or ""; computedTiers: upper-case tier -> rankTier() rows
+ */
+async function loadPowerRankings(baseFolder, { teams = null, standings = null } = {}) {
+  if (!teams) teams = await loadTeamInfo(baseFolder);
+  const settings = await getPowerRankingSettings(baseFolder);
+  const hasManualPR = (team) => /^\d+$/.test(String(team.powerRanking ?? "").trim()) && Number(team.powerRanking) > 0;
+
+  const tiers = {};
+  for (const team of teams) {
+    const tier = String(team.conf || "").trim().toUpperCase();
+    (tiers[tier] = tiers[tier] || []).push(team);
+  }
+  const tiersToCompute = settings.computed
+    ? Object.keys(tiers).filter((tier) => tier && !tiers[tier].some(hasManualPR))
+    : [];
+
+  const computedRank = {};
+  const computedTiers = {};
+  if (tiersToCompute.length) {
+    const [standingsRows, { schedule }, standingsSettings] = await Promise.all([
+      standings ? Promise.resolve(standings) : loadStandings(baseFolder),
+      loadSchedule(baseFolder),
+      getStandingsSettings(baseFolder)
+    ]);
+    const results = standingsEngine.teamResults(schedule, {
+      includePlayoffs: standingsSettings.includePlayoffs,
+      throughWeek: weekOverride
+    });
+    for (const tier of tiersToCompute) {
+      const ranking = powerRankingEngine.rankTier(tiers[tier], standingsRows, results, {
+        points: standingsSettings.points,
+        weights: settings.weights,
+        recentGames: settings.recentGames
+      });
+      computedTiers[tier] = ranking;
+      for (const row of ranking) computedRank[row.fullTeam] = row.rank;
+      console.log(`📈 Computed power rankings for ${tier}: ${ranking.map((r) => `${r.rank}. ${r.fullTeam} (${r.score})`).join(", ")}`);
+    }
   }
+
+  const rankedTeams = teams.map((team) => {
+    if (hasManualPR(team)) return { ...team, powerRankingSource: "sheet" };
+    if (computedRank[team.fullTeam]) return { ...team, powerRanking: String(computedRank[team.fullTeam]), powerRankingSource: "computed" };
+    return { ...team, powerRankingSource: "" };
+  });
+  return { teams: rankedTeams, computedTiers, settings };
 }
 
 /**
- * Load "HAVE A DAY GOALIE" data from Google Sheets.
- * Returns { week, rows } where rows are normalized stat objects.
+ * Load any weekly sheet registered in the master sheet (or the local data folder).
+ * The header row, "CURRENT WEEK:" style metadata and field names come from
+ * utils/weeklySheets.js: a built-in definition, a league.json "weeklySheets" entry,
+ * or (for a sheet with neither) one field per header column.
+ * Team fields are resolved to the All Teams "Full Team Name".
+ * @param {FolderEntry} baseFolder
+ * @param {string} sheetName - Master sheet column, e.g. "HAVE A DAY PLAYER", "THREE STARS"
+ * @returns {Promise<{week: number, sheetWeek: number, metadata: Object, rows: Object[]}>}
+ *   week is the panel's week override when one is set; sheetWeek is always the sheet's "CURRENT WEEK"
  */
-async function loadHaveADayGoalies(baseFolder) {
+async function loadWeeklySheet(baseFolder, sheetName) {
+  const empty = { week: 0, sheetWeek: 0, metadata: {}, rows: [] };
   try {
-    const sheet = await getStatsSheet(baseFolder, "HAVE A DAY GOALIE");
-    if (!sheet || !sheet.length) {
-      return { week: 0, rows: [] };
-    }
+    const sheet = await getSheet(baseFolder, sheetName);
+    if (!sheet || !sheet.length) return empty;
 
-    let headerIdx = -1;
-    for (let i = 0; i < sheet.length; i++) {
-      const rowUpper = (sheet[i] || []).map((v) => String(v || "").trim().toUpperCase());
-      if (rowUpper.includes("WEEK") && rowUpper.includes("FIRST NAME") && rowUpper.includes("LAST NAME")) {
-        headerIdx = i;
-        break;
-      }
-    }
+    const { weeklySheets: overrides } = await storage.resolveLeagueInfo(baseFolder);
+    const definition = weeklySheets.getWeeklySheetDefinition(sheetName, overrides);
+
+    // Header can be offset by metadata rows
+    const headerIdx = weeklySheets.findHeaderRow(sheet, definition.headerColumns);
     if (headerIdx < 0) {
-      console.warn("Could not find HAVE A DAY GOALIE header row; returning empty set.");
-      return { week: 0, rows: [] };
+      console.warn(`Could not find ${sheetName} header row; returning empty set.`);
+      recordDataIssues(sheetValidator.validateSheet(sheetName, sheet, -1));
+      return empty;
     }
 
-    let currentWeek = 0;
-    for (let i = 0; i < headerIdx; i++) {
-      const meta = (sheet[i] || []).join(" ");
-      const m = String(meta).match(/CURRENT\s*WEEK\s*:\s*(-?\d+)/i);
-      if (m) {
-        currentWeek = Number(m[1]);
-        break;
-      }
-    }
+    const metadata = weeklySheets.readMetadata(sheet, headerIdx);
+    const sheetWeek = weeklySheets.metadataWeek(metadata);
 
-    const headerMap = createHeaderMap(sheet[headerIdx]);
-    const normalizedHeaderMap = {};
-    for (const key in headerMap) {
-      const norm = String(key || "").trim().toUpperCase();
-      if (norm) normalizedHeaderMap[norm] = headerMap[key];
-    }
-
-    const getRowValue = (row, candidates) => {
-      for (let i = 0; i < candidates.length; i++) {
-        const key = String(candidates[i] || "").trim().toUpperCase();
-        const idx = normalizedHeaderMap[key];
-        if (typeof idx === "number") return row[idx];
-      }
-      return "";
-    };
+    prepareSheetRows(sheet, headerIdx, sheetName);
+    const resolver = await getTeamResolver(baseFolder);
+    const reader = weeklySheets.createRowReader(sheet[headerIdx], definition.fields);
 
     const rows = [];
     for (let n = headerIdx + 1; n < sheet.length; n++) {
       const row = sheet[n];
-      if (!row || row.length === 0) continue;
+      if (!row || row.every((v) => String(v || "").trim() === "")) continue;
 
-      const goalie = {
-        week: Number(getRowValue(row, ["WEEK"]) || 0),
-        firstName: getRowValue(row, ["FIRST NAME", "FIRST"]),
-        lastName: getRowValue(row, ["LAST NAME", "LAST"]),
-        number: getRowValue(row, ["NUMBER", "#", "NO", "NO."]),
-        teamName: getRowValue(row, ["TEAM", "TEAM NAME"]),
-        division: getRowValue(row, ["DIVISION", "DIV"]),
-        gp: Number(getRowValue(row, ["GP", "GAMES PLAYED"]) || 0),
-        gaa: getRowValue(row, ["GAA"]),
-        wins: Number(getRowValue(row, ["WINS", "W"]) || 0)
-      };
-      goalie.fullName = `${goalie.firstName || ""} ${goalie.lastName || ""}`.trim();
-
-      if (!goalie.teamName || !goalie.fullName) continue;
-      rows.push(goalie);
+      const record = reader.read(row);
+      for (const field of reader.teamFields) {
+        record[field] = canonicalTeamName(resolver, record[field], sheetName);
+      }
+      rows.push(record);
     }
 
-    console.log(`✅ Built ${rows.length} HAVE A DAY goalie rows (Week ${currentWeek})`);
-    return { week: currentWeek, rows };
+    return { week: weekOverride ?? sheetWeek, sheetWeek, metadata, rows };
   } catch (error) {
-    console.error("Error loading HAVE A DAY GOALIE data:", error);
-    return { week: 0, rows: [] };
+    console.error(`Error loading ${sheetName} data:`, error);
+    recordSheetLoadFailure(sheetName, error);
+    return empty;
   }
 }
 
 /**
- * Load "TOP PLAYS" data from Google Sheets.
- * Returns { week, rows } where rows are normalized play objects.
+ * Load "HAVE A DAY PLAYER" data.
+ * Returns { week, rows } where rows are normalized stat objects.
+ * week is the panel's week override when one is set.
  */
-async function loadTopPlays(baseFolder) {
-  try {
-    const sheet = await getStatsSheet(baseFolder, "TOP PLAYS");
-    if (!sheet || !sheet.length) return { week: 0, rows: [] };
-
-    let headerIdx = -1;
-    for (let i = 0; i < sheet.length; i++) {
-      const rowUpper = (sheet[i] || []).map((v) => String(v || "").trim().toUpperCase());
-      if (rowUpper.includes("RANK") && rowUpper.includes("NAMES") && rowUpper.includes("TEAM")) {
-        headerIdx = i;
-        break;
-      }
-    }
-    if (headerIdx < 0) {
-      console.warn("Could not find TOP PLAYS header row; returning empty set.");
-      return { week: 0, rows: [] };
-    }
-
-    let currentWeek = 0;
-    for (let i = 0; i < headerIdx; i++) {
-      const meta = (sheet[i] || []).join(" ");
-      const m = String(meta).match(/CURRENT\s*WEEK\s*:\s*(-?\d+)/i);
-      if (m) {
-        currentWeek = Number(m[1]);
-        break;
-      }
-    }
-
-    const headerMap = createHeaderMap(sheet[headerIdx]);
-    const normalizedHeaderMap = {};
-    for (const key in headerMap) {
-      const norm = String(key || "").trim().toUpperCase();
-      if (norm) normalizedHeaderMap[norm] = headerMap[key];
-    }
+async function loadHaveADayPlayers(baseFolder) {
+  const { week, sheetWeek, rows } = await loadWeeklySheet(baseFolder, "HAVE A DAY PLAYER");
+  const players = withFullNames(rows);
+  console.log(`✅ Built ${players.length} HAVE A DAY player rows (Week ${sheetWeek})`);
+  return { week, rows: players };
+}
 
-    const getRowValue = (row, candidates) => {
-      for (let i = 0; i < candidates.length; i++) {
-        const key = String(candidates[i] || "").trim().toUpperCase();
-        const idx = normalizedHeaderMap[key];
-        if (typeof idx === "number") return row[idx];
-      }
-      return "";
-    };
+/**
+ * Load "HAVE A DAY GOALIE" data.
+ * Returns { week, rows } where rows are normalized stat objects.
+ * week is the panel's week override when one is set.
+ */
+async function loadHaveADayGoalies(baseFolder) {
+  const { week, sheetWeek, rows } = await loadWeeklySheet(baseFolder, "HAVE A DAY GOALIE");
+  const goalies = withFullNames(rows);
+  console.log(`✅ Built ${goalies.length} HAVE A DAY goalie rows (Week ${sheetWeek})`);
+  return { week, rows: goalies };
+}
 
-    const rows = [];
-    for (let n = headerIdx + 1; n < sheet.length; n++) {
-      const row = sheet[n];
-      if (!row || row.length === 0) continue;
-      const rank = getRowValue(row, ["RANK", "#"]);
-      const names = getRowValue(row, ["NAMES", "NAME"]);
-      const teamName = getRowValue(row, ["TEAM", "TEAM NAME"]);
-      const divAbb = getRowValue(row, ["DIVISION ABB", "DIVISION ABB.", "DIV ABB", "DIVISION", "DIV"]);
-
-      if (!rank || !teamName) continue;
-      rows.push({
-        rank: String(rank).trim(),
-        names: String(names || "").trim(),
-        teamName: String(teamName).trim(),
-        divAbb: String(divAbb || "").trim().toUpperCase()
-      });
-    }
+// HAVE A DAY rows with fullName set, dropping rows without a team or a name
+function withFullNames(rows) {
+  return rows
+    .map((row) => ({ ...row, fullName: `${row.firstName || ""} ${row.lastName || ""}`.trim() }))
+    .filter((row) => row.teamName && row.fullName);
+}
 
-    console.log(`✅ Built ${rows.length} TOP PLAYS rows (Week ${currentWeek})`);
-    return { week: currentWeek, rows };
-  } catch (error) {
-    console.error("Error loading TOP PLAYS data:", error);
-    return { week: 0, rows: [] };
-  }
+/**
+ * Load "TOP PLAYS" data.
+ * Returns { week, rows } where rows are normalized play objects.
+ */
+async function loadTopPlays(baseFolder) {
+  const { sheetWeek, rows } = await loadWeeklySheet(baseFolder, "TOP PLAYS");
+  const plays = rows
+    .filter((row) => row.rank && row.teamName)
+    .map((row) => ({
+      rank: String(row.rank).trim(),
+      names: String(row.names || "").trim(),
+      teamName: String(row.teamName).trim(),
+      divAbb: String(row.divAbb || "").trim().toUpperCase()
+    }));
+  console.log(`✅ Built ${plays.length} TOP PLAYS rows (Week ${sheetWeek})`);
+  return { week: sheetWeek, rows: plays };
 }
 
 /**
  * Load schedule from Google Sheets ("ALL GAMES" tab) and build structured game objects joined with division info
- * Returns { scheduleData: Game[], week, year }
+ * Returns { scheduleData: Game[], week, sheetWeek, year }
+ * Besides the sheet's strings, each game has timeZone (see utils/gameTime.js), startDate
+ * ({ year, month, day } or null) and start (Date instant, or null when the date, time or zone is unknown).
+ * week is the panel's week override when one is set; sheetWeek is always the sheet's current week.
  */
 async function loadSchedule(baseFolder) {
   try {
-    const scheduleRead = await getScheduleSheet(baseFolder, "ALL GAMES");
+    const scheduleRead = await getSheet(baseFolder, "SCHEDULE");
 
     // Extract week and year using original index-based logic
-    const week = Number(scheduleRead[1][2]);
-    const year = Number(scheduleRead[1][3]);
-
+    const sheetWeek = Number(scheduleRead[1][2]);
+    const week = weekOverride ?? sheetWeek;
+    // league.json "seasonYear" covers sheets that leave the year cell blank
+    const leagueInfo = await storage.resolveLeagueInfo(baseFolder);
+    const year = Number(scheduleRead[1][3]) || leagueInfo.seasonYear;
+    const leagueZone = gameTime.resolveTimeZone(leagueInfo.timeZone);
+
+    prepareSheetRows(scheduleRead, 2, "SCHEDULE");
     const headerMap = createHeaderMap(scheduleRead[2]);
     const divs = await loadDivisionInfo(baseFolder);
+    const resolver = await getTeamResolver(baseFolder);
 
     const schedule = [];
     for (let n = 2; n < scheduleRead.length; n++) {
@@ -778,7 +1120,7 @@ async function loadSchedule(baseFolder) {
       const div1Full = normalizeDivName(getValue(row, 'Div 1', headerMap), divs);
       const div2Full = normalizeDivName(getValue(row, 'Div 2', headerMap), divs);
 
-      let div1name = '', div1conf = '', div1abb = '';
+      let div1name = '', div1conf = '', div1abb = '', div1zone = '';
       let div2name = '', div2conf = '', div2abb = '';
 
       for (let i = 0; i < divs.length; i++) {
@@ -787,6 +1129,7 @@ async function loadSchedule(baseFolder) {
           div1name = divs[i].div;
           div1conf = divs[i].conf;
           div1abb = divs[i].abb;
+          div1zone = divs[i].timeZone;
         }
         if (!div2abb && div2Full === fullName) {
           div2name = divs[i].div;
@@ -804,12 +1147,12 @@ async function loadSchedule(baseFolder) {
         dateShort: getValue(row, 'Date Short', headerMap),
         day: getValue(row, 'Day', headerMap),
         time: getValue(row, 'Time', headerMap),
-        team1: getValue(row, 'Team 1', headerMap),
+        team1: canonicalTeamName(resolver, getValue(row, 'Team 1', headerMap), "SCHEDULE"),
         div1: div1abb,
         division1: div1name,
         conf: div1conf,
         score1: getValue(row, 'Score 1', headerMap),
-        team2: getValue(row, 'Team 2', headerMap),
+        team2: canonicalTeamName(resolver, getValue(row, 'Team 2', headerMap), "SCHEDULE"),
         div2: div2abb,
         division2: div2name,
         score2: getValue(row, 'Score 2', headerMap),
@@ -821,25 +1164,201 @@ async function loadSchedule(baseFolder) {
         round: getValue(row, 'Round', headerMap),
       };
 
+      // Typed start: the sheet's date + time read in the league's zone, else the home division's
+      game.timeZone = leagueZone || gameTime.resolveTimeZone(div1zone);
+      game.startDate = gameTime.parseGameDate(game.date, year);
+      game.start = gameTime.toInstant(game.startDate, gameTime.parseGameTime(game.time), game.timeZone);
+
       schedule.push(game);
     }
 
-    console.log(`✅ Built ${schedule.length} schedule objects (Week ${week}, Year ${year})`);
+    console.log(`✅ Built ${schedule.length} schedule objects (Week ${week}${week !== sheetWeek ? `, sheet week ${sheetWeek}` : ""}, Year ${year})`);
     return {
       schedule,
       week,
+      sheetWeek,
       year
     };
   } catch (error) {
     console.error("Error loading schedule:", error);
+    recordSheetLoadFailure("SCHEDULE", error);
     return {
       schedule: [],
-      week: 0,
+      week: weekOverride ?? 0,
+      sheetWeek: 0,
       year: 0
     };
   }
 }
 
+/**
+ * League-wide values every template's {{tokens}} can use (see utils/textTokens.js).
+ * @param {FolderEntry} baseFolder
+ * @param {Object} [run] - The feature's own week / season (weekly sheets keep their own week);
+ *   season defaults to league.json "seasonYear"
+ * @returns {Promise<{league: {key: string, name: string}, week: number|undefined, season: number|undefined, locale: string, today: Date}>}
+ */
+async function getTokenContext(baseFolder, { week, season } = {}) {
+  const { key, displayName, locale, seasonYear } = await storage.resolveLeagueInfo(baseFolder);
+  return {
+    league: { key, name: displayName },
+    week,
+    season: season || seasonYear || undefined,
+    locale,
+    today: new Date()
+  };
+}
+
+/**
+ * Locale and time zones for formatting game times.
+ * @param {FolderEntry} baseFolder
+ * @param {Array} divs - From loadDivisionInfo()
+ * @returns {Promise<{locale: string, zonesByConf: Object}>} zonesByConf: conference -> its divisions'
+ *   distinct zones, east to west (what a multi-timezone schedule graphic lists)
+ */
+async function getGameTimeSettings(baseFolder, divs) {
+  const { locale } = await storage.resolveLeagueInfo(baseFolder);
+  const zonesByConf = {};
+  for (const div of divs || []) {
+    const zone = gameTime.resolveTimeZone(div.timeZone);
+    if (!zone) continue;
+    const zones = zonesByConf[div.conf] || (zonesByConf[div.conf] = []);
+    if (!zones.some((z) => z.id === zone.id)) zones.push(zone);
+  }
+  for (const conf in zonesByConf) zonesByConf[conf].sort((a, b) => (b.offset ?? 0) - (a.offset ?? 0));
+  return { locale, zonesByConf };
+}
+
+/**
+ * Save this week's standings, player / goalie stats and All Teams PR to the season's
+ * history file (see utils/historyStore.js). Keyed by the schedule sheet's current week;
+ * runs for another week picked in the week selector are not recorded, since the sheets
+ * hold this week's numbers.
+ * @param {FolderEntry} baseFolder
+ * @param {Object} [loaded] - Data the run already has (what the standings, stats and power
+ *   rankings handlers return); anything missing is loaded here
+ * @param {Object} [loaded.schedule] - From loadSchedule()
+ * @param {Array} [loaded.standings] - From loadStandings()
+ * @param {Array} [loaded.players] - From loadPlayerStats()
+ * @param {Array} [loaded.goalies] - From loadGoalieStats()
+ * @param {Array} [loaded.teams] - From loadTeamInfo()
+ * @param {Array} [loaded.rankedTeams] - teams from loadPowerRankings()
+ * @returns {Promise<boolean>} true when a snapshot was written
+ */
+async function recordWeekHistory(baseFolder, loaded = {}) {
+  try {
+    const leagueName = await getLeagueKey(baseFolder);
+    const { sheetWeek, year } = loaded.schedule || await loadSchedule(baseFolder);
+    if (!sheetWeek || !year) return false;
+    if (weekOverride !== null && weekOverride !== sheetWeek) return false;
+
+    const [standings, players, goalies] = await Promise.all([
+      loaded.standings || loadStandings(baseFolder),
+      loaded.players || loadPlayerStats(baseFolder),
+      loaded.goalies || loadGoalieStats(baseFolder)
+    ]);
+    if (!standings.length && !players.length && !goalies.length) return false;
+
+    // Computed power rankings are saved too, so their movement can be shown next week
+    const rankedTeams = loaded.rankedTeams
+      || (await loadPowerRankings(baseFolder, { teams: loaded.teams, standings })).teams;
+    const snapshot = historyStore.buildWeekSnapshot({ week: sheetWeek, standings, players, goalies, teams: rankedTeams });
+    const history = await historyStore.saveWeekSnapshot(baseFolder, leagueName, year, snapshot);
+    historyCache[`${leagueName}|${year}`] = Promise.resolve(history);
+    console.log(`🗂️ Saved week ${sheetWeek} history for ${leagueName} ${year}`);
+    return true;
+  } catch (error) {
+    // History is a nice-to-have; never fail the run over it
+    console.warn("Could not record week history:", error);
+    return false;
+  }
+}
+
+/**
+ * A season's history (cached per run). Without a season, the latest season on file.
+ * @param {FolderEntry} baseFolder
+ * @param {number} [season]
+ * @returns {Promise<{league: string, season: number, weeks: Object}>}
+ */
+async function getHistory(baseFolder, season = null) {
+  const leagueName = await getLeagueKey(baseFolder);
+  if (!season) {
+    const seasons = await historyStore.listSeasons(baseFolder, leagueName);
+    season = seasons[seasons.length - 1];
+    if (!season) return { league: leagueName, season: 0, weeks: {} };
+  }
+  const cacheKey = `${leagueName}|${season}`;
+  if (!historyCache[cacheKey]) historyCache[cacheKey] = historyStore.readHistory(baseFolder, leagueName, season);
+  return historyCache[cacheKey];
+}
+
+/**
+ * Week numbers with a saved snapshot, ascending.
+ * @param {FolderEntry} baseFolder
+ * @param {Object} [options]
+ * @param {number} [options.season] - Defaults to the latest season on file
+ */
+async function getHistoryWeeks(baseFolder, { season } = {}) {
+  return historyStore.listWeeks(await getHistory(baseFolder, season));
+}
+
+/**
+ * The snapshot saved for a week, or null.
+ * @returns {Promise<{week, savedAt, standings, players, goalies, powerRankings}|null>}
+ */
+async function getHistoryAtWeek(baseFolder, week, { season } = {}) {
+  const history = await getHistory(baseFolder, season);
+  return history.weeks[String(Number(week))] || null;
+}
+
+/**
+ * Standings as saved for a week: { team, div, rank, rankLabel, gp, w, otw, otl, l, pts, pct, gf, ga, diff }
+ * with rank the team's position in its division. Empty when the week wasn't recorded.
+ */
+async function getStandingsAtWeek(baseFolder, week, options = {}) {
+  const snapshot = await getHistoryAtWeek(baseFolder, week, options);
+  return snapshot ? snapshot.standings : [];
+}
+
+/**
+ * All Teams PR column as saved for a week: { team, conf, pr }. Empty when the week wasn't recorded.
+ */
+async function getPowerRankingsAtWeek(baseFolder, week, options = {}) {
+  const snapshot = await getHistoryAtWeek(baseFolder, week, options);
+  return snapshot ? snapshot.powerRankings : [];
+}
+
+/**
+ * How far a team moved since the latest earlier week on file.
+ * @param {FolderEntry} baseFolder
+ * @param {string} team - Full team name (matched like the team resolver's keys)
+ * @param {number} week
+ * @param {Object} [options]
+ * @param {string} [options.type="standings"] - "standings" (division position) or "powerRanking" (PR)
+ * @param {number} [options.currentRank] - Use this instead of the week's saved rank (e.g. live data
+ *   for a week that hasn't been recorded yet)
+ * @param {number} [options.season]
+ * @returns {Promise<{current: number|null, previous: number|null, previousWeek: number|null, change: number|null}>}
+ *   change is positive when the team moved up (previous 5 -> current 2 is +3), null without both ranks
+ */
+async function getRankChange(baseFolder, team, week, { type = "standings", currentRank = null, season } = {}) {
+  const history = await getHistory(baseFolder, season);
+  const key = teamResolver.normalizeTeamKey(team);
+  const rankAt = (snapshot) => {
+    if (!snapshot) return null;
+    const rows = type === "powerRanking" ? snapshot.powerRankings : snapshot.standings;
+    const row = (rows || []).find((r) => teamResolver.normalizeTeamKey(r.team) === key);
+    if (!row) return null;
+    return type === "powerRanking" ? row.pr : row.rank;
+  };
+
+  const current = currentRank ?? rankAt(history.weeks[String(Number(week))]);
+  const previousWeek = historyStore.previousWeek(history, week);
+  const previous = previousWeek === null ? null : rankAt(history.weeks[String(previousWeek)]);
+  const change = current !== null && previous !== null ? previous - Number(current) : null;
+  return { current: current === null ? null : Number(current), previous, previousWeek, change };
+}
+
 /**
  * Load all league configuration data at once
  * Returns object with divs, confs, and teams
@@ -866,10 +1385,50 @@ async function loadLeagueConfig(baseFolder) {
  * while still avoiding repeated fetches inside a single run.
  */
 async function invalidateLeagueCache(baseFolder) {
-  const leagueName = String(baseFolder?.name || "").trim();
+  // Resolve the key before the manifest cache is cleared below
+  const leagueName = await getLeagueKey(baseFolder);
   if (!leagueName) return;
   delete leagueUrlCache[leagueName];
   delete brandingSheetCache[leagueName];
+  delete dataSourceCache[leagueName];
+  storage.clearLeagueManifestCache(baseFolder);
+  localDataSource.clearLocalCache();
+  delete teamResolverCache[leagueName];
+  for (const key in historyCache) {
+    if (key.startsWith(`${leagueName}|`)) delete historyCache[key];
+  }
+  for (const key in staleSheetLog) delete staleSheetLog[key];
+  for (const key in unresolvedTeamLog) delete unresolvedTeamLog[key];
+  fuzzyTeamLog.clear();
+  dataIssueLog.length = 0;
+  tiebreakLog.length = 0;
+}
+
+/**
+ * Set the week features generate for (Schedule, Standings, Stats, Thumbnail, Active Divs, Have-A-Day).
+ * Pass null or "" to go back to the schedule sheet's current week.
+ */
+function setWeekOverride(week) {
+  const n = Number(week);
+  weekOverride = week === null || week === undefined || week === "" || !Number.isFinite(n) ? null : n;
+}
+
+function getWeekOverride() {
+  return weekOverride;
+}
+
+/**
+ * Drop every league's cached URLs, sheets and settings (used when switching league profiles).
+ */
+function clearAllLeagueCaches() {
+  for (const cache of [leagueUrlCache, brandingSheetCache, dataSourceCache, staleSheetLog, teamResolverCache, unresolvedTeamLog, historyCache]) {
+    for (const key in cache) delete cache[key];
+  }
+  storage.clearLeagueManifestCache();
+  localDataSource.clearLocalCache();
+  fuzzyTeamLog.clear();
+  dataIssueLog.length = 0;
+  tiebreakLog.length = 0;
 }
 
 /**
@@ -908,19 +1467,48 @@ function normalizeDivName(rawValue, divs) {
 // Export functions
 module.exports = {
   parseCSV,
+  reconcileRowWidths,
+  getStaleSheets,
+  formatSnapshotAge,
+  getDataIssues,
+  getTiebreakExplanations,
   invalidateLeagueCache,
+  clearAllLeagueCaches,
+  setWeekOverride,
+  getWeekOverride,
+  getLeagueKey,
   loadDivisionInfo,
   loadConferenceInfo,
   loadTeamInfo,
+  getTeamResolver,
+  canonicalTeamName,
+  getUnresolvedTeams,
+  normalizeTeamKey: teamResolver.normalizeTeamKey,
   loadPlayerStats,
   loadGoalieStats,
   loadPlayoffPlayerStats,
   loadPlayoffGoalieStats,
   loadStandings,
+  computeStandingsFromSchedule,
+  getPlayoffPicture,
+  getPlayoffSettings,
+  getSeriesStatuses,
+  getLeaderboardCategories,
+  getPowerRankingSettings,
+  loadPowerRankings,
+  loadWeeklySheet,
   loadHaveADayPlayers,
   loadHaveADayGoalies,
   loadTopPlays,
   loadSchedule,
+  getGameTimeSettings,
+  getTokenContext,
+  recordWeekHistory,
+  getHistoryWeeks,
+  getHistoryAtWeek,
+  getStandingsAtWeek,
+  getPowerRankingsAtWeek,
+  getRankChange,
   loadLeagueConfig,
   getUserDivision,
   normalizeDivName
@@ -1,101 +1,106 @@
 const licensing = require("./utils/licensing.js");
 const storage = require("./storage.js");
 const ui = require("./ui.js");
+const leagueConfig = require("./leagueConfig_200.js");
 
 // License
 document.getElementById("btnActivate").addEventListener("click", licensing.handleActivation);
 
-// Folder selection
+// Folder selection (adds or refreshes a league profile)
 document.getElementById("btnSelectFolder").addEventListener("click", async () => {
   await storage.selectAndSaveBaseFolder();
   await ui.initializeUI();
 });
 
+// League profile switcher
+const leagueSwitcher = document.getElementById("leagueSwitcher");
+if (leagueSwitcher) {
+  leagueSwitcher.addEventListener("change", async () => {
+    await ui.switchLeagueProfile(leagueSwitcher.value);
+  });
+}
+
 // Refresh week
 document.getElementById("btnRefreshWeek").addEventListener("click", async () => {
   await ui.initializeUI();
 });
 
+// Week selector (defaults to the schedule sheet's current week)
+const weekSelect = document.getElementById("weekSelect");
+if (weekSelect) {
+  weekSelect.addEventListener("change", () => ui.selectWeek(weekSelect.value));
+}
+
 // Action buttons
-document.getElementById("btnSchedule").addEventListener("click", async () => {
+// Each feature run refreshes the panel, runs the handler against the saved base folder,
+// then flags any sheets that had to come from an offline snapshot and any team
+// names the sheets use that don't match All Teams. Standings, stats and power
+// rankings handlers resolve with the data they loaded when they succeed; those runs,
+// on live data without critical sheet issues, add this week to the league's history file.
+async function runFeature(modulePath, handlerName, ...args) {
   await ui.initializeUI();
   const baseFolder = await storage.getBaseFolder();
-  const scheduleModule = require("./features/schedule.js");
-  await scheduleModule.handleScheduleUpdate(baseFolder);
+  const featureModule = require(modulePath);
+  const loaded = await featureModule[handlerName](baseFolder, ...args);
+  ui.showStaleDataNotice();
+  ui.reportUnresolvedTeams();
+
+  const hasCriticalIssues = leagueConfig.getDataIssues().some((issue) => issue.severity === "critical");
+  if (loaded && baseFolder && !hasCriticalIssues && !leagueConfig.getStaleSheets().length) {
+    await leagueConfig.recordWeekHistory(baseFolder, loaded);
+  }
+}
+
+document.getElementById("btnSchedule").addEventListener("click", async () => {
+  await runFeature("./features/schedule.js", "handleScheduleUpdate");
 });
 
 document.getElementById("btnStandings").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const standingsModule = require("./features/standings.js");
-  await standingsModule.handleStandingsUpdate(baseFolder);
+  await runFeature("./features/standings.js", "handleStandingsUpdate");
 });
 
 document.getElementById("btnStats").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const statsModule = require("./features/stats.js");
-  await statsModule.handleStatsUpdate(baseFolder);
+  await runFeature("./features/stats.js", "handleStatsUpdate");
 });
 
 document.getElementById("btnHaveADayPlayer").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const haveADayModule = require("./features/have-a-day.js");
-  await haveADayModule.handleHaveADayUpdate(baseFolder, "PLAYER");
+  await runFeature("./features/have-a-day.js", "handleHaveADayUpdate", "PLAYER");
 });
 
 document.getElementById("btnHaveADayGoalie").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const haveADayModule = require("./features/have-a-day.js");
-  await haveADayModule.handleHaveADayUpdate(baseFolder, "GOALIE");
+  await runFeature("./features/have-a-day.js", "handleHaveADayUpdate", "GOALIE");
 });
 
 document.getElementById("btnThumbnail").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const thumbnailModule = require("./features/thumbnail.js");
-  await thumbnailModule.handleThumbnailUpdate(baseFolder);
+  await runFeature("./features/thumbnail.js", "handleThumbnailUpdate");
 });
 
 document.getElementById("btnTopPlays").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const topPlaysModule = require("./features/top-plays.js");
-  await topPlaysModule.handleTopPlaysUpdate(baseFolder);
+  await runFeature("./features/top-plays.js", "handleTopPlaysUpdate");
 });
 
 document.getElementById("btnDivPreviews").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const divPreviewsModule = require("./features/divPreviews.js");
-  await divPreviewsModule.handleDivPreviewsUpdate(baseFolder);
+  await runFeature("./features/divPreviews.js", "handleDivPreviewsUpdate");
 });
 
 document.getElementById("btnActiveDivisions").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const activeDivisionsModule = require("./features/activeDivisions.js");
-  await activeDivisionsModule.handleActiveDivisionsUpdate(baseFolder);
+  await runFeature("./features/activeDivisions.js", "handleActiveDivisionsUpdate");
 });
 
 document.getElementById("btnTeamsUpdate").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const teamsUpdateModule = require("./features/teamsUpdate.js");
-  await teamsUpdateModule.handleTeamsUpdate(baseFolder);
+  await runFeature("./features/teamsUpdate.js", "handleTeamsUpdate");
 });
 
 document.getElementById("btnPowerRankings").addEventListener("click", async () => {
-  await ui.initializeUI();
-  const baseFolder = await storage.getBaseFolder();
-  const powerRankingsModule = require("./features/power-rankings.js");
-  await powerRankingsModule.handlePowerRankingsUpdate(baseFolder);
+  await runFeature("./features/power-rankings.js", "handlePowerRankingsUpdate");
 });
 
 // Division
 document.getElementById("divisionInput").addEventListener("input", ui.updateDivisionDisplay);
+document.getElementById("divisionInput").addEventListener("change", async (e) => {
+  // Remember the last division per league profile
+  await storage.updateActiveProfile({ divisionInput: String(e.target.value || "").trim().toUpperCase() || "ALL" });
+});
 
 // Ignore Week checkbox should immediately refresh button enable/disable state
 const allDivsCheckbox = document.getElementById("allDivisionsCheckbox");
@@ -163,8 +168,9 @@ if (exportToCloudCheckbox) {
   }
 
   // Save preference when changed
-  exportToCloudCheckbox.addEventListener("change", () => {
+  exportToCloudCheckbox.addEventListener("change", async () => {
     localStorage.setItem("exportToCloud", exportToCloudCheckbox.checked ? "true" : "false");
+    await storage.updateActiveProfile({ exportToCloud: exportToCloudCheckbox.checked });
   });
 }
 
@@ -1,33 +1,124 @@
 // storage.js
-// Handles persistent storage of the user-selected league base folder for the plugin.
-// The saved folder name is also used as the league key when looking up Google Sheets URLs.
+// Handles persistent storage of the saved league profiles (base folder + per-league panel settings).
+// The league key used to look up Google Sheets URLs comes from league.json in that
+// folder when present, otherwise from the folder name (see resolveLeagueInfo).
 const fs = require("uxp").storage.localFileSystem;
 
-async function loadSavedBaseFolder() {
+const PROFILES_FILE = "folder-path.json";
+
+// folder-path.json holds every saved league profile:
+// {
+//   activeProfileId: "...",
+//   profiles: [{ id, folderToken, folderName, folderPath, leagueKey, divisionInput, exportToCloud }]
+// }
+// Older versions stored a single { folderToken }; that is read as a one-profile list.
+async function loadProfiles() {
   const dataFolder = await fs.getDataFolder();
   try {
-    const jsonFile = await dataFolder.getEntry("folder-path.json");
+    const jsonFile = await dataFolder.getEntry(PROFILES_FILE);
     const jsonData = JSON.parse(await jsonFile.read());
-    return await fs.getEntryForPersistentToken(jsonData.folderToken);
+    if (Array.isArray(jsonData.profiles)) {
+      return { activeProfileId: jsonData.activeProfileId || null, profiles: jsonData.profiles };
+    }
+    if (jsonData.folderToken) {
+      const legacy = await migrateLegacyProfile(jsonData.folderToken);
+      const state = { activeProfileId: legacy.id, profiles: [legacy] };
+      await saveProfiles(state);
+      return state;
+    }
+  } catch {}
+  return { activeProfileId: null, profiles: [] };
+}
+
+// The old single-folder token as profile-1, with the folder details filled in from the token
+// so browsing to the same folder later updates this profile instead of adding a second one
+async function migrateLegacyProfile(folderToken) {
+  const legacy = { id: "profile-1", folderToken, folderName: "", folderPath: "", leagueKey: "" };
+  try {
+    const folder = await fs.getEntryForPersistentToken(folderToken);
+    const { key } = await resolveLeagueInfo(folder);
+    Object.assign(legacy, { folderName: folder.name, folderPath: folder.nativePath || "", leagueKey: key });
+  } catch (err) {
+    console.warn("⚠️ Saved league folder could not be opened; keeping its token as is.", err);
+  }
+  return legacy;
+}
+
+async function saveProfiles(state) {
+  const dataFolder = await fs.getDataFolder();
+  const jsonFile = await dataFolder.createFile(PROFILES_FILE, { overwrite: true });
+  await jsonFile.write(JSON.stringify(state, null, 2));
+}
+
+/** The active league profile, or null if none has been saved. */
+async function getActiveProfile() {
+  const { activeProfileId, profiles } = await loadProfiles();
+  return profiles.find((p) => p.id === activeProfileId) || profiles[0] || null;
+}
+
+/** Make a saved profile the active one. Returns the profile, or null if the id is unknown. */
+async function setActiveProfile(profileId) {
+  const state = await loadProfiles();
+  const profile = state.profiles.find((p) => p.id === profileId);
+  if (!profile) return null;
+  state.activeProfileId = profile.id;
+  await saveProfiles(state);
+  return profile;
+}
+
+/**
+ * Merge fields (leagueKey, divisionInput, exportToCloud, ...) into the active profile.
+ */
+async function updateActiveProfile(changes) {
+  const state = await loadProfiles();
+  const profile = state.profiles.find((p) => p.id === state.activeProfileId) || state.profiles[0];
+  if (!profile) return null;
+  Object.assign(profile, changes);
+  state.activeProfileId = profile.id;
+  await saveProfiles(state);
+  return profile;
+}
+
+async function loadSavedBaseFolder() {
+  try {
+    const profile = await getActiveProfile();
+    if (!profile) throw new Error("No profiles");
+    return await fs.getEntryForPersistentToken(profile.folderToken);
   } catch {
     console.log("No saved folder found.");
     return null;
   }
 }
 
+/**
+ * Browse for a league folder and make it the active profile.
+ * Picking a folder that already has a profile refreshes that profile's token instead of adding a duplicate.
+ */
 async function selectAndSaveBaseFolder() {
   const baseFolder = await fs.getFolder({ prompt: "Select your League Package base folder" });
+  if (!baseFolder) return null;
+
   const token = await fs.createPersistentToken(baseFolder);
-  const dataFolder = await fs.getDataFolder();
-  const jsonFile = await dataFolder.createFile("folder-path.json", { overwrite: true });
-  await jsonFile.write(JSON.stringify({ folderToken: token }, null, 2));
-  console.log("✅ Base folder saved.");
+  const { key } = await resolveLeagueInfo(baseFolder);
+  const state = await loadProfiles();
+  const folderPath = baseFolder.nativePath || "";
+
+  let profile = state.profiles.find((p) => p.folderPath && p.folderPath === folderPath);
+  if (!profile) {
+    profile = { id: `profile-${Date.now()}`, divisionInput: "ALL" };
+    state.profiles.push(profile);
+  }
+  Object.assign(profile, { folderToken: token, folderName: baseFolder.name, folderPath, leagueKey: key });
+  state.activeProfileId = profile.id;
+
+  await saveProfiles(state);
+  console.log(`✅ Base folder saved (${state.profiles.length} league profile${state.profiles.length === 1 ? "" : "s"}).`);
   return baseFolder;
 }
 
 async function confirmCsvExistsOrRePrompt(baseFolder) {
   // Local CSVs are no longer required; configuration comes from Google Sheets.
-  // We simply confirm that a folder was selected and keep using its name as the league key.
+  // We simply confirm that a folder was selected; the league key is resolved by resolveLeagueInfo().
   if (!baseFolder) {
     console.warn("⚠️ No base folder selected.");
     return null;
@@ -36,6 +127,81 @@ async function confirmCsvExistsOrRePrompt(baseFolder) {
   return baseFolder;
 }
 
+// folder nativePath -> parsed league.json (cleared by clearLeagueManifestCache)
+const manifestCache = {};
+
+/**
+ * Read the optional league.json manifest from the base folder.
+ * Returns {} when the file is missing or unreadable.
+ */
+async function loadLeagueManifest(baseFolder) {
+  if (!baseFolder) return {};
+  const key = baseFolder.nativePath || baseFolder.name;
+  if (manifestCache[key]) return manifestCache[key];
+
+  let manifest = {};
+  try {
+    const file = await baseFolder.getEntry("league.json");
+    const parsed = JSON.parse(await file.read());
+    if (parsed && typeof parsed === "object") manifest = parsed;
+  } catch (err) {
+    if (err instanceof SyntaxError) console.warn("⚠️ league.json is not valid JSON:", err.message);
+  }
+  manifestCache[key] = manifest;
+  return manifest;
+}
+
+/** Forget the cached league.json for one folder, or for every folder when called without one. */
+function clearLeagueManifestCache(baseFolder) {
+  if (!baseFolder) {
+    for (const key in manifestCache) delete manifestCache[key];
+    return;
+  }
+  delete manifestCache[baseFolder.nativePath || baseFolder.name];
+}
+
+/**
+ * Resolve league identity and settings for a base folder.
+ * league.json fields (all optional; the folder name is the fallback):
+ *   "league"      – LEAGUE key in the master sheet (also used for CDN paths)
+ *   "displayName" – name shown in the panel
+ *   "seasonYear"  – season year used when the schedule sheet doesn't give one
+ *   "variant"     – feature handler variant, e.g. "NBHL" (defaults to the league key)
+ *   "dataSource"  – "sheets" | "local" | { "type": "local", "folder": "..." }
+ *   "standings"   – { "source": "auto" | "sheet" | "schedule", "points": {...}, "crossCheck": true, "includePlayoffs": false }
+ *   "leaderboards" – per-category overrides for the STATS leaderboards (see utils/leaderboards.js)
+ *   "teamAliases" – { "name used in a sheet": "Full Team Name" } for the team resolver
+ *   "timeZone"    – zone the schedule sheet's times are written in (default: each home division's "Time Zone")
+ *   "locale"      – locale for formatted game dates and times (default "en-US")
+ *   "weeklySheets" – { "THREE STARS": { "headerColumns": [...], "fields": {...} } } (see utils/weeklySheets.js)
+ *   "powerRankings" – { "computed": true, "recentGames": 5, "weights": {...} } (see utils/powerRankingEngine.js)
+ *   "playoffs"    – { "bestOf": 7 } or { "bestOf": { "Final": 7, "default": 5 } } (see utils/playoffSeries.js)
+ * @returns {Promise<{key: string, displayName: string, seasonYear: number, variant: string, dataSource: *, standings: Object, leaderboards: Object, teamAliases: Object, timeZone: string, locale: string, weeklySheets: Object, powerRankings: Object, playoffs: Object, keySource: string}>}
+ */
+async function resolveLeagueInfo(baseFolder) {
+  const manifest = await loadLeagueManifest(baseFolder);
+  const folderName = String(baseFolder?.name || "").trim();
+  const manifestKey = String(manifest.league || "").trim();
+  const key = manifestKey || folderName;
+
+  return {
+    key,
+    displayName: String(manifest.displayName || "").trim() || key,
+    seasonYear: Number(manifest.seasonYear) || 0,
+    variant: String(manifest.variant || "").trim().toUpperCase() || key.toUpperCase(),
+    dataSource: manifest.dataSource,
+    standings: manifest.standings && typeof manifest.standings === "object" ? manifest.standings : {},
+    leaderboards: manifest.leaderboards && typeof manifest.leaderboards === "object" ? manifest.leaderboards : {},
+    teamAliases: manifest.teamAliases && typeof manifest.teamAliases === "object" ? manifest.teamAliases : {},
+    timeZone: String(manifest.timeZone || "").trim(),
+    locale: String(manifest.locale || "").trim() || "en-US",
+    weeklySheets: manifest.weeklySheets && typeof manifest.weeklySheets === "object" ? manifest.weeklySheets : {},
+    powerRankings: manifest.powerRankings && typeof manifest.powerRankings === "object" ? manifest.powerRankings : {},
+    playoffs: manifest.playoffs && typeof manifest.playoffs === "object" ? manifest.playoffs : {},
+    keySource: manifestKey ? "league.json" : "folder name"
+  };
+}
+
 async function getBaseFolder() {
   let baseFolder = await loadSavedBaseFolder();
   if (baseFolder) baseFolder = await confirmCsvExistsOrRePrompt(baseFolder);
@@ -43,9 +209,16 @@ async function getBaseFolder() {
 }
 
 module.exports = {
+    loadProfiles,
+    getActiveProfile,
+    setActiveProfile,
+    updateActiveProfile,
     loadSavedBaseFolder,
     selectAndSaveBaseFolder,
     confirmCsvExistsOrRePrompt,
-    getBaseFolder
+    getBaseFolder,
+    loadLeagueManifest,
+    clearLeagueManifestCache,
+    resolveLeagueInfo
 };
   
\ No newline at end of file
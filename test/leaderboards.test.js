@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const leaderboards = require("../utils/leaderboards.js");
+
+const categories = leaderboards.resolveCategories({});
+
+test("SV% cells formatted as percents are ranked, not dropped", () => {
+  const rows = [
+    { savePct: "88.0%", GP: "5" },
+    { savePct: "91.5%", GP: "5" }
+  ];
+  const { entries, labels } = leaderboards.buildLeaderboard(categories["SV%"], rows);
+  assert.deepStrictEqual(entries.map((row) => row.savePct), ["91.5%", "88.0%"]);
+  assert.deepStrictEqual(labels, ["1", "2"]);
+});
+
+test("percent and plain cells compare by their number", () => {
+  const sort = [{ stat: "savePct", dir: "desc" }];
+  assert.ok(leaderboards.compareRows({ savePct: "0.915" }, { savePct: "88%" }, sort) > 0);
+  assert.strictEqual(leaderboards.compareRows({ savePct: "90%" }, { savePct: "90" }, sort), 0);
+});
@@ -1,6 +1,7 @@
 // ui.js
 const leagueConfig = require("./leagueConfig_200.js");
 const storage = require("./storage.js");
+const imageHandler = require("./utils/imageHandler.js");
 const uxpStorage = require("uxp").storage;
 
 let hasFolderSelected = false;
@@ -8,6 +9,7 @@ let cachedDivisions = null;
 let cachedWeek = null;
 let cachedYear = null;
 let cachedConfs = null;
+let profilePreferencesApplied = false;
 
 /** Try to load league logo from baseFolder/LOGOS/leagueLogo.png (or LeagueLogo.png) and set as data URL on img. */
 async function setLeagueLogo(baseFolder, imgEl) {
@@ -43,7 +45,10 @@ async function loadFolderData(baseFolder) {
   const leagueLogoEl = document.getElementById("leagueLogo");
 
   if (baseFolder) {
-    folderDisplayEl.textContent = `Folder: ${baseFolder.name}`;
+    const league = await storage.resolveLeagueInfo(baseFolder);
+    const leagueLabel = league.displayName !== league.key ? `${league.displayName} (${league.key})` : league.key;
+    folderDisplayEl.textContent = `Folder: ${baseFolder.name} · League: ${leagueLabel}`;
+    folderDisplayEl.title = `League key "${league.key}" from ${league.keySource}; handler variant ${league.variant}`;
     await setLeagueLogo(baseFolder, leagueLogoEl);
     try {
       const [divisions, conferences, schedule] = await Promise.all([
@@ -53,7 +58,7 @@ async function loadFolderData(baseFolder) {
       ]);
 
       cachedDivisions = divisions;
-      cachedWeek = schedule.week;
+      cachedWeek = schedule.sheetWeek;
       cachedYear = schedule.year;
       cachedConfs = {};
 
@@ -64,9 +69,12 @@ async function loadFolderData(baseFolder) {
         cachedConfs[abb] = fullName;
       }
 
-      if (weekDisplayEl) weekDisplayEl.textContent = `Week: ${cachedWeek} (${cachedYear})`;
+      renderWeekSelect(schedule.schedule);
+      updateWeekDisplay();
       hasFolderSelected = true;
       updateActionButtons();
+      showStaleDataNotice();
+      reportDataIssues();
     } catch (err) {
       console.error("Error loading data:", err);
       if (weekDisplayEl) weekDisplayEl.textContent = "Week: -";
@@ -85,6 +93,41 @@ async function loadFolderData(baseFolder) {
   }
 }
 
+/** Fill the week selector with every week in the schedule; the first option follows the sheet. */
+function renderWeekSelect(games) {
+  const weekSelectEl = document.getElementById("weekSelect");
+  if (!weekSelectEl) return;
+
+  const weeks = [...new Set((games || [])
+    .filter((g) => String(g.week ?? "").trim() !== "")
+    .map((g) => Number(g.week))
+    .filter((w) => Number.isFinite(w)))]
+    .sort((a, b) => a - b);
+  const override = leagueConfig.getWeekOverride();
+  if (override !== null && !weeks.includes(override)) leagueConfig.setWeekOverride(null);
+
+  const options = [`<option value="">Sheet (${cachedWeek})</option>`]
+    .concat(weeks.map((w) => `<option value="${w}"${w === leagueConfig.getWeekOverride() ? " selected" : ""}>Week ${w}</option>`));
+  weekSelectEl.innerHTML = options.join("");
+  weekSelectEl.value = leagueConfig.getWeekOverride() === null ? "" : String(leagueConfig.getWeekOverride());
+}
+
+/** Show the week features will run for, noting when it differs from the sheet's current week. */
+function updateWeekDisplay() {
+  const weekDisplayEl = document.getElementById("weekDisplay");
+  if (!weekDisplayEl) return;
+  const override = leagueConfig.getWeekOverride();
+  weekDisplayEl.textContent = override === null || override === Number(cachedWeek)
+    ? `Week: ${cachedWeek} (${cachedYear})`
+    : `Week: ${override} (${cachedYear}) – sheet is on ${cachedWeek}`;
+}
+
+/** Week selector change: every feature run after this uses the chosen week. */
+function selectWeek(value) {
+  leagueConfig.setWeekOverride(value);
+  updateWeekDisplay();
+}
+
 function updateActionButtons() {
   const scheduleBtn = document.getElementById("btnSchedule");
   const standingsBtn = document.getElementById("btnStandings");
@@ -135,9 +178,173 @@ function updateActionButtons() {
   if (powerRankingsBtn) powerRankingsBtn.disabled = false;
 }
 
+/** Append a warning to the status line if any sheet was served from an offline snapshot. */
+function showStaleDataNotice() {
+  const statusEl = document.getElementById("status");
+  const staleSheets = leagueConfig.getStaleSheets();
+  if (!statusEl || !staleSheets.length) return;
+
+  const details = staleSheets
+    .map((s) => `${s.sheet} (${leagueConfig.formatSnapshotAge(s.fetchedAt)} old)`)
+    .join(", ");
+  appendStatusNotice(statusEl, `⚠️ Offline – using saved data: ${details}`);
+}
+
+/**
+ * Add a line under the current status text (once). Built from text nodes, since the
+ * notices quote sheet and team names straight from the sheets.
+ */
+function appendStatusNotice(statusEl, notice) {
+  if (statusEl.textContent.includes(notice)) return;
+  if (statusEl.textContent) statusEl.appendChild(document.createElement("br"));
+  const line = document.createElement("span");
+  line.textContent = notice;
+  statusEl.appendChild(line);
+}
+
+// How many unresolved team names to spell out on the status line
+const MAX_LISTED_TEAMS = 4;
+
+/**
+ * After a run, list team names from the sheets that matched no team in All Teams
+ * (those graphics fell back to the league logo). Full list goes to the console.
+ */
+function reportUnresolvedTeams() {
+  const statusEl = document.getElementById("status");
+  const unresolved = leagueConfig.getUnresolvedTeams();
+  if (!unresolved.length) return;
+
+  for (const team of unresolved) {
+    console.warn(`[TEAM] "${team.name}" (${team.sources.join(", ")}) matches no team in All Teams – add it to the Aliases column`);
+  }
+  if (!statusEl) return;
+
+  const names = unresolved.slice(0, MAX_LISTED_TEAMS).map((t) => `"${t.name}"`).join(", ");
+  const more = unresolved.length > MAX_LISTED_TEAMS ? ` +${unresolved.length - MAX_LISTED_TEAMS} more` : "";
+  appendStatusNotice(statusEl, `⚠️ Unresolved team names: ${names}${more}`);
+}
+
+// How many issues to list in the panel before summarising the rest
+const MAX_LISTED_ISSUES = 12;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+/**
+ * Show the data issues found while loading sheets in the panel.
+ * Call after a feature has loaded its data and before any Photoshop work starts.
+ * @returns {boolean} false if there are critical issues and the run should stop
+ */
+function reportDataIssues() {
+  const issuesEl = document.getElementById("dataIssues");
+  const statusEl = document.getElementById("status");
+  const issues = leagueConfig.getDataIssues();
+
+  if (issuesEl) {
+    if (!issues.length) {
+      issuesEl.style.display = "none";
+      issuesEl.textContent = "";
+    } else {
+      // Critical first, then in load order
+      const sorted = issues.filter((i) => i.severity === "critical").concat(issues.filter((i) => i.severity !== "critical"));
+      issuesEl.textContent = "";
+      for (const i of sorted.slice(0, MAX_LISTED_ISSUES)) {
+        const where = [i.sheet, i.row ? `row ${i.row}` : "", i.column || ""].filter(Boolean).join(" · ");
+        const line = document.createElement("div");
+        line.className = i.severity === "critical" ? "issue-critical" : "issue-warning";
+        const label = document.createElement("b");
+        label.textContent = where;
+        line.appendChild(document.createTextNode(`${i.severity === "critical" ? "⛔" : "⚠️"} `));
+        line.appendChild(label);
+        line.appendChild(document.createTextNode(`: ${i.message}`));
+        issuesEl.appendChild(line);
+      }
+      if (sorted.length > MAX_LISTED_ISSUES) {
+        const more = document.createElement("div");
+        more.textContent = `…and ${sorted.length - MAX_LISTED_ISSUES} more (see console)`;
+        issuesEl.appendChild(more);
+      }
+      issuesEl.style.display = "block";
+    }
+  }
+
+  for (const issue of issues) {
+    console.warn(`[DATA ${issue.severity.toUpperCase()}] ${issue.sheet}${issue.row ? ` row ${issue.row}` : ""}${issue.column ? ` (${issue.column})` : ""}: ${issue.message}`);
+  }
+
+  const criticalCount = issues.filter((i) => i.severity === "critical").length;
+  if (criticalCount) {
+    if (statusEl) statusEl.textContent = `⛔ Fix ${criticalCount} critical data issue${criticalCount === 1 ? "" : "s"} before running`;
+    return false;
+  }
+  return true;
+}
+
 async function initializeUI() {
   const baseFolder = await storage.getBaseFolder();
+  const profile = await storage.getActiveProfile();
+
+  // Restore the saved division/cloud settings once per panel load; after that the inputs win
+  if (profile && !profilePreferencesApplied) {
+    applyProfilePreferences(profile);
+    profilePreferencesApplied = true;
+  }
+  if (profile && baseFolder) {
+    const { key } = await storage.resolveLeagueInfo(baseFolder);
+    if (profile.leagueKey !== key || profile.folderName !== baseFolder.name) {
+      await storage.updateActiveProfile({ leagueKey: key, folderName: baseFolder.name });
+    }
+  }
+
+  await renderLeagueSwitcher();
   await loadFolderData(baseFolder);
+  updateDivisionDisplay();
+}
+
+/** Fill the league switcher with the saved profiles (hidden until there are two or more). */
+async function renderLeagueSwitcher() {
+  const switcherEl = document.getElementById("leagueSwitcher");
+  if (!switcherEl) return;
+
+  const { profiles } = await storage.loadProfiles();
+  const active = await storage.getActiveProfile();
+  switcherEl.innerHTML = profiles
+    .map((p) => {
+      const label = p.leagueKey || p.folderName || p.id;
+      const selected = active && p.id === active.id ? " selected" : "";
+      return `<option value="${escapeHtml(p.id)}"${selected}>${escapeHtml(label)}</option>`;
+    })
+    .join("");
+  switcherEl.style.display = profiles.length > 1 ? "" : "none";
+}
+
+/**
+ * Make another saved league profile active, drop the previous league's cached
+ * sheets and images, and reload the panel for the new league.
+ */
+async function switchLeagueProfile(profileId) {
+  const profile = await storage.setActiveProfile(profileId);
+  if (!profile) return;
+
+  leagueConfig.clearAllLeagueCaches();
+  leagueConfig.setWeekOverride(null);
+  await imageHandler.clearCache();
+  applyProfilePreferences(profile);
+
+  const statusEl = document.getElementById("status");
+  if (statusEl) statusEl.textContent = `Switched to ${profile.leagueKey || profile.folderName}`;
+  await initializeUI();
+}
+
+function applyProfilePreferences(profile) {
+  const divisionInputEl = document.getElementById("divisionInput");
+  if (divisionInputEl && profile.divisionInput) divisionInputEl.value = profile.divisionInput;
+
+  const exportToCloudEl = document.getElementById("exportToCloudCheckbox");
+  if (exportToCloudEl && typeof profile.exportToCloud === "boolean") exportToCloudEl.checked = profile.exportToCloud;
 }
 
 function updateDivisionDisplay() {
@@ -164,5 +371,10 @@ function updateDivisionDisplay() {
 module.exports = {
   initializeUI,
   updateDivisionDisplay,
-  updateActionButtons
+  updateActionButtons,
+  showStaleDataNotice,
+  reportUnresolvedTeams,
+  reportDataIssues,
+  switchLeagueProfile,
+  selectWeek
 };
@@ -0,0 +1,220 @@
+// ========== BRACKET MODEL ==========
+// Turns a division's playoff games into the matchups a BRACKET template shows.
+// The template's slot groups give the layout: "ROUND 1", "ROUND 2", ... each holding
+// "MATCHUP 1", "MATCHUP 2", ... The matchup count per round picks the bracket size:
+//   4 teams: 2-1   6 teams: 2-2-1 (seeds 1 and 2 skip round 1)   8 teams: 4-2-1   16 teams: 8-4-2-1
+// Round 1 pairs seeds the standard way (8 teams: 1v8, 4v5, 2v7, 3v6, top to bottom) and each
+// later matchup is fed by the two above it, so winners advance into the next round's slot.
+// Seeds come from the schedule's Seed 1 / Seed 2 columns, else standings order. Games are
+// grouped into rounds and series by utils/playoffSeries.js; a series is won at the round's
+// best-of length. A matchup without a team yet shows TBD; a seed nobody holds is a bye.
+
+const { groupSeries, seriesResult, resolveBestOf } = require("./playoffSeries.js");
+
+const SUPPORTED_SIZES = [4, 6, 8, 16];
+
+/**
+ * Bracket size from the matchup count of each template round.
+ * @param {number[]} matchupCounts - e.g. [4, 2, 1]
+ * @returns {number} Teams in the bracket (0 when the layout isn't one of SUPPORTED_SIZES)
+ */
+function bracketSize(matchupCounts) {
+  const [first, second] = matchupCounts || [];
+  if (!first) return 0;
+  const byes = second ? Math.max(0, 2 * second - first) : 0;
+  const size = 2 * first + byes;
+  return SUPPORTED_SIZES.includes(size) ? size : 0;
+}
+
+// Seed order for a power-of-two field: 4 -> [1, 4, 2, 3], 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+function seedOrder(fieldSize) {
+  let order = [1];
+  while (order.length < fieldSize) {
+    const n = order.length * 2;
+    order = order.flatMap((seed) => [seed, n + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Fill a bracket layout from a division's playoff games.
+ * @param {Object} options
+ * @param {Array} options.games - Playoff games for the division (from loadSchedule())
+ * @param {number[]} options.matchupCounts - MATCHUP groups per template round, e.g. [4, 2, 1]
+ * @param {string[]} [options.standingsOrder] - Division teams by rank, used for missing seeds
+ * @param {Object} [options.playoffs] - league.json "playoffs" (best-of length per round)
+ * @returns {{size: number, rounds: Array<Array<Object>>, champion: Object|null}}
+ *   rounds[r][m] matches template "ROUND r+1" / "MATCHUP m+1":
+ *   { sides: [side, side], series, result, isBye, advancing }, side: { team, seed, score, isWinner, isBye, isTbd }
+ *   (score is the goals of a single-game matchup, else series wins); champion: { team, seed }
+ */
+function buildBracket({ games, matchupCounts, standingsOrder = [], playoffs = {} }) {
+  const size = bracketSize(matchupCounts);
+  if (!size) return { size: 0, rounds: [], champion: null };
+
+  const scheduleRounds = groupSeries(games);
+  const hasByeRound = matchupCounts.length > 1 && matchupCounts[0] === matchupCounts[1];
+  const fieldSize = hasByeRound ? 4 * matchupCounts[1] : 2 * matchupCounts[0];
+  const roundCount = Math.log2(fieldSize);
+
+  // Seeds: schedule columns first, standings order for anyone missing
+  const seedOf = {};
+  for (const round of scheduleRounds) {
+    for (const series of round.series) Object.assign(seedOf, series.seeds);
+  }
+  const teamBySeed = {};
+  for (const key in seedOf) teamBySeed[seedOf[key]] = findTeamName(scheduleRounds, key);
+  standingsOrder.forEach((team, i) => {
+    if (!teamBySeed[i + 1] && !(teamKey(team) in seedOf)) teamBySeed[i + 1] = team;
+  });
+  const seededCount = Math.max(0, ...Object.keys(seedOf).map((key) => seedOf[key]));
+  const qualified = seededCount || size;
+  const seedFor = (team) => seedOf[teamKey(team)] ?? (standingsOrder.findIndex((t) => teamKey(t) === teamKey(team)) + 1 || null);
+
+  // Teams that appear in each schedule round, for "played in a later round" checks
+  const teamsFromRound = scheduleRounds.map((round) => new Set(round.series.flatMap((s) => s.teams.filter(Boolean).map(teamKey))));
+  const laterTeamsFor = (r) => new Set(teamsFromRound.slice(r + 1).flatMap((set) => [...set]));
+
+  const virtualRounds = [];
+  const order = seedOrder(fieldSize);
+  for (let r = 0; r < roundCount; r++) {
+    const slotCount = fieldSize / Math.pow(2, r + 1);
+    const scheduleRound = scheduleRounds[r] || { series: [] };
+    const bestOf = resolveBestOf(playoffs, scheduleRound.label);
+    const usedSeries = new Set();
+    const slots = [];
+
+    for (let s = 0; s < slotCount; s++) {
+      let sides;
+      if (r === 0) {
+        sides = [order[2 * s], order[2 * s + 1]].map((seed) => seed > qualified
+          ? { team: null, seed: null, isBye: true }
+          : { team: teamBySeed[seed] || null, seed, isBye: false });
+      } else {
+        sides = [virtualRounds[r - 1][2 * s], virtualRounds[r - 1][2 * s + 1]].map((feeder) => feeder.advancing
+          ? { team: feeder.advancing.team, seed: feeder.advancing.seed, isBye: false }
+          : { team: null, seed: null, isBye: false });
+      }
+
+      const isByeSlot = sides.some((side) => side.isBye);
+      const series = isByeSlot ? null : findSeries(scheduleRound.series, sides, usedSeries);
+      if (series) {
+        usedSeries.add(series);
+        // The schedule names teams the feeders couldn't (TBD upstream, or no seeds at all)
+        sides = orientSides(sides, series.teams).map((side) => side.team ? side : { ...side, team: side.scheduleTeam });
+        sides.forEach((side) => { if (side.team && !side.seed) side.seed = seedFor(side.team); });
+      }
+
+      slots.push(resolveSlot(sides, series, series ? laterTeamsFor(r) : new Set(), bestOf));
+    }
+
+    // No seeds anywhere: round 1 comes straight from the schedule, in order
+    if (r === 0 && !Object.keys(teamBySeed).length) {
+      const playedSlots = slots.map((slot, i) => i).filter((i) => !slots[i].isBye);
+      scheduleRound.series.forEach((series, i) => {
+        if (playedSlots[i] === undefined) return;
+        const sides = series.teams.map((team) => ({ team, seed: null, isBye: false }));
+        slots[playedSlots[i]] = resolveSlot(sides, series, laterTeamsFor(0), bestOf);
+      });
+    }
+    virtualRounds.push(slots);
+  }
+
+  const finalSlot = virtualRounds[virtualRounds.length - 1][0];
+  const champion = finalSlot && finalSlot.series && finalSlot.advancing ? finalSlot.advancing : null;
+
+  // In a bye layout the template's ROUND 1 only has the slots that are actually played
+  const rounds = virtualRounds.map((slots, r) => (r === 0 && hasByeRound ? slots.filter((slot) => !slot.isBye) : slots));
+  return { size, rounds, champion };
+}
+
+function resolveSlot(sides, series, laterTeams, bestOf) {
+  const result = series ? seriesResult(series, laterTeams, bestOf) : null;
+  const singleGame = series && series.games.length === 1 && isFinal(series.games[0]) ? series.games[0] : null;
+  const byeSide = sides.findIndex((side) => side.isBye);
+
+  const outSides = sides.map((side) => {
+    const key = side.team ? teamKey(side.team) : null;
+    let score = "";
+    if (singleGame && key) score = String(teamKey(singleGame.team1) === key ? singleGame.score1 : singleGame.score2);
+    else if (result && key && result.finalCount) score = String(result.wins[key] ?? 0);
+    return {
+      team: side.team,
+      seed: side.seed,
+      score,
+      isBye: !!side.isBye,
+      isTbd: !side.isBye && !side.team,
+      isWinner: false
+    };
+  });
+
+  let advancing = null;
+  if (byeSide !== -1) {
+    const other = outSides[1 - byeSide];
+    if (other.team) advancing = other;
+  } else if (result && result.winner) {
+    advancing = outSides.find((side) => side.team && teamKey(side.team) === teamKey(result.winner)) || null;
+  }
+  if (advancing && byeSide === -1) advancing.isWinner = true;
+
+  return {
+    sides: outSides,
+    series,
+    result,
+    isBye: byeSide !== -1,
+    advancing: advancing ? { team: advancing.team, seed: advancing.seed } : null
+  };
+}
+
+// The schedule series for a slot: same pair, else one that includes a known side's team
+function findSeries(candidates, sides, used) {
+  const known = sides.map((side) => side.team).filter(Boolean);
+  const open = candidates.filter((series) => !used.has(series));
+  if (known.length === 2) {
+    const exact = open.find((series) => samePair(series.teams, known));
+    if (exact) return exact;
+  }
+  if (!known.length) return null;
+  return open.find((series) => series.teams.some((team) => team && known.some((k) => teamKey(k) === teamKey(team)))) || null;
+}
+
+// Line the schedule's two teams up with the slot's sides (scheduleTeam fills unknown sides)
+function orientSides(sides, scheduleTeams) {
+  const [a, b] = scheduleTeams;
+  const flip = (sides[0].team && b && teamKey(sides[0].team) === teamKey(b)) ||
+    (sides[1].team && a && teamKey(sides[1].team) === teamKey(a));
+  const ordered = flip ? [b, a] : [a, b];
+  return sides.map((side, i) => ({ ...side, scheduleTeam: ordered[i] || null }));
+}
+
+function findTeamName(rounds, key) {
+  for (const round of rounds) {
+    for (const series of round.series) {
+      const team = series.teams.find((t) => t && teamKey(t) === key);
+      if (team) return team;
+    }
+  }
+  return null;
+}
+
+function samePair(a, b) {
+  const ka = a.map((t) => (t ? teamKey(t) : "")).sort().join("|");
+  const kb = b.map((t) => (t ? teamKey(t) : "")).sort().join("|");
+  return ka === kb;
+}
+
+function isFinal(game) {
+  return String(game.score1 ?? "").trim() !== "" && String(game.score2 ?? "").trim() !== "" &&
+    Number.isFinite(Number(game.score1)) && Number.isFinite(Number(game.score2));
+}
+
+function teamKey(name) {
+  return String(name || "").trim().toUpperCase();
+}
+
+module.exports = {
+  SUPPORTED_SIZES,
+  bracketSize,
+  seedOrder,
+  buildBracket
+};
@@ -0,0 +1,94 @@
+// ========== BUILD FINGERPRINT ==========
+// Incremental builds: each exported graphic gets a "<export>.fingerprint.json" sidecar
+// holding a hash of the exact data bound into it (games, teams, colors, logo paths).
+// A later run skips the graphic when the hash is unchanged, the PNG is still there and,
+// when cloud export is on, the previous build was uploaded. "Force Rebuild" ignores it.
+// Logo files are tracked by path, so replacing a logo image in place needs a forced rebuild.
+
+const SIDECAR_SUFFIX = ".fingerprint.json";
+
+/**
+ * Hash the data bound into one graphic. Object keys are sorted, so the order
+ * fields were collected in doesn't matter; array order does.
+ * @param {*} data - Plain JSON-like data
+ * @returns {string} 8-character hex hash
+ */
+function fingerprint(data) {
+  const text = stableStringify(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+function stableStringify(value) {
+  if (value === undefined || typeof value === "function") return "null";
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+}
+
+/**
+ * True when exportName was last built from the same data and can be skipped.
+ * @param {FolderEntry} exportFolder - Folder holding the PNG and its sidecar
+ * @param {string} exportName - PNG file name
+ * @param {string} fp - Fingerprint of the data about to be bound
+ * @param {boolean} [cloudExportEnabled] - Also require the previous build to have been uploaded
+ */
+async function isUpToDate(exportFolder, exportName, fp, cloudExportEnabled = false) {
+  try {
+    await exportFolder.getEntry(exportName);
+    const sidecar = await exportFolder.getEntry(exportName + SIDECAR_SUFFIX);
+    const recorded = JSON.parse(await sidecar.read());
+    if (recorded.fingerprint !== fp) return false;
+    return !cloudExportEnabled || recorded.uploaded === true;
+  } catch {
+    return false; // no export or sidecar yet, or an unreadable sidecar
+  }
+}
+
+/**
+ * Write the sidecar after a successful export.
+ * @param {FolderEntry} exportFolder
+ * @param {string} exportName - PNG file name
+ * @param {string} fp - Fingerprint of the data that was bound
+ * @param {boolean} [uploaded] - Whether the export also reached the CDN
+ */
+async function recordFingerprint(exportFolder, exportName, fp, uploaded = false) {
+  try {
+    const sidecar = await exportFolder.createFile(exportName + SIDECAR_SUFFIX, { overwrite: true });
+    await sidecar.write(JSON.stringify({ fingerprint: fp, uploaded: !!uploaded, builtAt: new Date().toISOString() }));
+  } catch (err) {
+    // A missing sidecar only means the graphic is rebuilt next time
+    console.warn(`Could not record fingerprint for ${exportName}:`, err);
+  }
+}
+
+/** Counts for the panel: "3 built, 5 skipped, 1 failed" */
+function createBuildTally() {
+  return {
+    built: 0,
+    skipped: 0,
+    failed: 0,
+    summary() {
+      return `${this.built} built, ${this.skipped} skipped, ${this.failed} failed`;
+    }
+  };
+}
+
+/** Read the "Force Rebuild" checkbox (call before executeAsModal, like the cloud checkbox) */
+function isForceRebuild() {
+  const checkbox = document.getElementById("forceRebuildCheckbox");
+  return !!checkbox && checkbox.checked === true;
+}
+
+module.exports = {
+  fingerprint,
+  isUpToDate,
+  recordFingerprint,
+  createBuildTally,
+  isForceRebuild
+};
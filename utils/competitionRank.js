@@ -0,0 +1,32 @@
+// ========== COMPETITION RANK ==========
+// Standard competition ranking ("1224") for ordered lists where neighbours can be
+// level: tied rows share the rank of the first row in their group and are labelled
+// "T-2", "T-2", then the next row is "4". Used by the standings and stats leaderboards
+// so every RANK text layer shows ties the same way.
+
+/**
+ * Rank an already ordered list.
+ * @param {Array} items - Rows, best first
+ * @param {function(*, *): boolean} isTied - True when two neighbouring rows are level
+ * @returns {Array<{rank: number, label: string, tied: boolean}>} One entry per item
+ */
+function competitionRanks(items, isTied) {
+  const ranks = [];
+  for (let i = 0; i < (items || []).length; i++) {
+    const level = i > 0 && isTied(items[i - 1], items[i]);
+    ranks.push({ rank: level ? ranks[i - 1].rank : i + 1, label: "", tied: false });
+    if (level) ranks[i - 1].tied = ranks[i].tied = true;
+  }
+  for (const entry of ranks) entry.label = formatRank(entry.rank, entry.tied);
+  return ranks;
+}
+
+/** "3" or "T-3" */
+function formatRank(rank, tied) {
+  return tied ? `T-${rank}` : String(rank);
+}
+
+module.exports = {
+  competitionRanks,
+  formatRank
+};
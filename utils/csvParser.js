@@ -0,0 +1,111 @@
+// ========== CSV PARSER ==========
+// RFC 4180 CSV parsing shared by every sheet source (Google Sheets CSV exports
+// and CSV files in a league's local DATA folder).
+
+/**
+ * Parse CSV content into an array of arrays (RFC 4180).
+ * - Quoted fields may contain commas, line breaks and escaped quotes ("")
+ * - Accepts CRLF, LF or bare CR line endings and strips a leading BOM
+ * - Values are trimmed; rows that are completely blank are skipped
+ */
+function parseCSV(csvContent) {
+  const text = String(csvContent || "").replace(/^\uFEFF/, "");
+  const result = [];
+
+  let row = [];
+  let value = "";
+  let inQuotes = false;
+  let wasQuoted = false;
+
+  const endField = () => {
+    row.push(value.trim());
+    value = "";
+  };
+  const endRow = () => {
+    endField();
+    // Skip blank lines (a single empty, unquoted field)
+    if (!(row.length === 1 && row[0] === "" && !wasQuoted)) result.push(row);
+    row = [];
+    wasQuoted = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+      wasQuoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\r") {
+      if (text[i + 1] === "\n") i++;
+      endRow();
+    } else if (char === "\n") {
+      endRow();
+    } else {
+      value += char;
+    }
+  }
+
+  // Last row (no trailing newline)
+  if (value !== "" || row.length > 0 || wasQuoted) endRow();
+
+  return result;
+}
+
+/**
+ * Make every data row below the header as wide as the header row.
+ * - Extra trailing empty cells (trailing delimiters) are dropped
+ * - Short rows are padded with empty strings
+ * - Rows with extra non-empty cells (an unlabeled helper column) are reported and
+ *   cut to the header width; columns are read by header name, so nothing shifts
+ * @param {string[][]} rows - Parsed CSV rows (mutated in place)
+ * @param {number} headerIdx - Index of the header row
+ * @param {string} sheetName - Label used in warnings
+ * @param {Array} [issues] - If given, a { sheet, row, column, message, severity } entry is pushed per problem row
+ */
+function reconcileRowWidths(rows, headerIdx, sheetName, issues) {
+  const header = rows && rows[headerIdx];
+  if (!header) return;
+
+  // The header itself may end in empty cells from a trailing delimiter
+  while (header.length > 1 && header[header.length - 1] === "") header.pop();
+  const width = header.length;
+
+  for (let n = headerIdx + 1; n < rows.length; n++) {
+    const row = rows[n];
+    if (!row) continue;
+
+    if (row.length > width) {
+      const extra = row.slice(width);
+      if (extra.some((v) => v !== "")) {
+        console.warn(`⚠️ ${sheetName}: row ${n + 1} has ${row.length} columns, header has ${width}; ignoring cells past the header.`, extra);
+        if (issues) issues.push({ sheet: sheetName, row: n + 1, column: null, message: `Row has ${row.length} columns but the header has ${width}; cells past the header ignored.`, severity: "warning" });
+      }
+      row.length = width;
+    } else if (row.length < width) {
+      console.warn(`⚠️ ${sheetName}: row ${n + 1} has ${row.length} columns, header has ${width}; missing cells read as blank.`);
+      if (issues) issues.push({ sheet: sheetName, row: n + 1, column: null, message: `Row has ${row.length} columns but the header has ${width}; missing cells read as blank.`, severity: "warning" });
+      while (row.length < width) row.push("");
+    }
+  }
+}
+
+module.exports = {
+  parseCSV,
+  reconcileRowWidths
+};
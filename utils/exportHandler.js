@@ -7,6 +7,7 @@ const app = photoshop.app;
 const uxp = require("uxp");
 const fs = uxp.storage.localFileSystem;
 const storage = uxp.storage;
+const httpClient = require("./httpClient.js");
 
 // ===== CDN EXPORT CONFIGURATION =====
 // Set these to enable automatic uploads to Cloudflare R2
@@ -59,7 +60,8 @@ async function uploadViaAPI(fileEntry, remotePath) {
     const arrayBuffer = new Uint8Array(fileData).buffer;
 
     // Create FormData-like structure (UXP doesn't have FormData, so we'll send as binary)
-    const response = await fetch(EXPORT_UPLOAD_API_URL, {
+    // Uploads overwrite the same path, so retrying a failed one is safe
+    const response = await httpClient.request(EXPORT_UPLOAD_API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/octet-stream',
@@ -67,15 +69,20 @@ async function uploadViaAPI(fileEntry, remotePath) {
         'X-File-Name': fileEntry.name,
         'X-Plugin-ID': EXPORT_PLUGIN_ID
       },
-      body: arrayBuffer
+      body: arrayBuffer,
+      as: 'text',
+      pool: 'uploads',
+      timeoutMs: 60000,
+      retries: 2
     });
 
     if (!response.ok) {
-      console.error(`Failed to upload via API: HTTP ${response.status} - ${response.statusText}`);
+      console.error(`Failed to upload via API: HTTP ${response.status}`);
       return null;
     }
 
-    const result = await response.json();
+    let result = {};
+    try { result = JSON.parse(response.body || '{}'); } catch { /* URL falls back to the CDN path */ }
     const publicUrl = result.url || `${EXPORT_CDN_BASE_URL}/${remotePath}`;
     console.log(`✅ Uploaded to CDN: ${publicUrl}`);
     return publicUrl;
@@ -0,0 +1,288 @@
+// ========== GAME TIME ==========
+// Turns the schedule sheet's date/time strings into a real start instant, using the
+// time zone the game's time is written in (league.json "timeZone", or the home
+// division's "Time Zone" column), and formats instants back for any zone.
+//
+// Time zone values accepted: North American names and abbreviations ("Eastern",
+// "ET", "EST", "Mountain", "PT", ...), "UTC"/"GMT", and IANA ids ("America/Denver").
+// The North American zones carry their own DST rule so no time zone database is
+// needed; other IANA ids rely on Intl when the host provides it.
+
+const MINUTE = 60 * 1000;
+
+// id: IANA id (for Intl), label: short text on graphics, offset: standard UTC offset in minutes
+const ZONES = {
+  EASTERN:  { id: "America/New_York",    label: "ET",  offset: -300, dst: "us" },
+  CENTRAL:  { id: "America/Chicago",     label: "CT",  offset: -360, dst: "us" },
+  MOUNTAIN: { id: "America/Denver",      label: "MT",  offset: -420, dst: "us" },
+  ARIZONA:  { id: "America/Phoenix",     label: "MT",  offset: -420, dst: null },
+  PACIFIC:  { id: "America/Los_Angeles", label: "PT",  offset: -480, dst: "us" },
+  ATLANTIC: { id: "America/Halifax",     label: "AT",  offset: -240, dst: "us" },
+  ALASKA:   { id: "America/Anchorage",   label: "AKT", offset: -540, dst: "us" },
+  HAWAII:   { id: "Pacific/Honolulu",    label: "HT",  offset: -600, dst: null },
+  UTC:      { id: "UTC",                 label: "UTC", offset: 0,    dst: null }
+};
+
+const ZONE_ALIASES = {
+  ET: "EASTERN", EST: "EASTERN", EDT: "EASTERN", "AMERICA/NEW_YORK": "EASTERN", "AMERICA/TORONTO": "EASTERN",
+  CT: "CENTRAL", CST: "CENTRAL", CDT: "CENTRAL", "AMERICA/CHICAGO": "CENTRAL", "AMERICA/WINNIPEG": "CENTRAL",
+  MT: "MOUNTAIN", MST: "MOUNTAIN", MDT: "MOUNTAIN", "AMERICA/DENVER": "MOUNTAIN", "AMERICA/EDMONTON": "MOUNTAIN",
+  "AMERICA/PHOENIX": "ARIZONA",
+  PT: "PACIFIC", PST: "PACIFIC", PDT: "PACIFIC", "AMERICA/LOS_ANGELES": "PACIFIC", "AMERICA/VANCOUVER": "PACIFIC",
+  AT: "ATLANTIC", AST: "ATLANTIC", ADT: "ATLANTIC", "AMERICA/HALIFAX": "ATLANTIC",
+  AKT: "ALASKA", AKST: "ALASKA", AKDT: "ALASKA", "AMERICA/ANCHORAGE": "ALASKA",
+  HT: "HAWAII", HST: "HAWAII", "PACIFIC/HONOLULU": "HAWAII",
+  GMT: "UTC", Z: "UTC"
+};
+
+const MONTHS = ["JANUARY", "FEBRUARY", "MARCH", "APRIL", "MAY", "JUNE", "JULY", "AUGUST", "SEPTEMBER", "OCTOBER", "NOVEMBER", "DECEMBER"];
+const WEEKDAYS = ["SUNDAY", "MONDAY", "TUESDAY", "WEDNESDAY", "THURSDAY", "FRIDAY", "SATURDAY"];
+
+/**
+ * Look up a time zone from a sheet or league.json value.
+ * @param {string} value - e.g. "Eastern", "PT", "America/Denver"
+ * @returns {{id: string, label: string, offset: number|null, dst: string|null}|null}
+ */
+function resolveTimeZone(value) {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+  const upper = raw.toUpperCase().replace(/\s+TIME$/, "").replace(/\s+/g, "_");
+  const key = ZONES[upper] ? upper : ZONE_ALIASES[upper];
+  if (key) return ZONES[key];
+
+  // Any other IANA id works when Intl can convert it
+  if (raw.includes("/") && intlOffsetMinutes(raw, Date.now()) !== null) {
+    return { id: raw, label: raw.split("/").pop().replace(/_/g, " ").toUpperCase(), offset: null, dst: null };
+  }
+  return null;
+}
+
+/**
+ * Parse a schedule date cell. Accepts "1/8/2026", "2026-01-08", "Thursday, January 8",
+ * "Jan 8, 2026" and similar; a missing year comes from `year`.
+ * @returns {{year: number, month: number, day: number}|null} month is 1-12
+ */
+function parseGameDate(value, year) {
+  const raw = String(value || "").trim().toUpperCase();
+  if (!raw) return null;
+
+  let m = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return validDate(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = raw.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?$/);
+  if (m) return validDate(fullYear(m[3], year), Number(m[1]), Number(m[2]));
+
+  const monthIdx = MONTHS.findIndex((name) => new RegExp(`\\b${name.slice(0, 3)}[A-Z]*\\.?\\s+\\d`).test(raw));
+  if (monthIdx >= 0) {
+    const after = raw.slice(raw.search(new RegExp(`\\b${MONTHS[monthIdx].slice(0, 3)}`)));
+    const dm = after.match(/^[A-Z.]+\s+(\d{1,2})(?:ST|ND|RD|TH)?(?:,?\s+(\d{4}))?/);
+    if (dm) return validDate(dm[2] ? Number(dm[2]) : Number(year), monthIdx + 1, Number(dm[1]));
+  }
+  return null;
+}
+
+function fullYear(text, fallback) {
+  if (!text) return Number(fallback);
+  const n = Number(text);
+  return text.length === 2 ? 2000 + n : n;
+}
+
+function validDate(year, month, day) {
+  if (!year || month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1) return null;
+  return { year, month, day };
+}
+
+/**
+ * Parse a schedule time cell ("7:00 PM", "7PM", "19:30", "7:30p").
+ * @returns {number|null} Minutes after midnight
+ */
+function parseGameTime(value) {
+  const m = String(value || "").trim().toUpperCase().match(/^(\d{1,2})(?::(\d{2}))?\s*([AP])?\.?\s*M?\.?\b/);
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  if (m[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (m[3] === "P" ? 12 : 0);
+  } else if (!m[2]) {
+    return null; // a bare number isn't a time
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * UTC offset of a zone at an instant, in minutes (e.g. -240 for EDT).
+ * @returns {number|null}
+ */
+function zoneOffsetMinutes(zone, utcMs) {
+  if (!zone) return null;
+  if (zone.offset === null) return intlOffsetMinutes(zone.id, utcMs);
+  if (zone.dst !== "us") return zone.offset;
+
+  // US/Canada: second Sunday in March to first Sunday in November, 2:00 local time
+  const year = new Date(utcMs).getUTCFullYear();
+  const dstStart = Date.UTC(year, 2, nthSunday(year, 2, 2), 2) - zone.offset * MINUTE;
+  const dstEnd = Date.UTC(year, 10, nthSunday(year, 10, 1), 2) - (zone.offset + 60) * MINUTE;
+  return utcMs >= dstStart && utcMs < dstEnd ? zone.offset + 60 : zone.offset;
+}
+
+function nthSunday(year, monthIdx, n) {
+  const firstDay = new Date(Date.UTC(year, monthIdx, 1)).getUTCDay();
+  return 1 + ((7 - firstDay) % 7) + (n - 1) * 7;
+}
+
+function intlOffsetMinutes(timeZone, utcMs) {
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric"
+    }).formatToParts(new Date(utcMs));
+    const get = (type) => Number((parts.find((p) => p.type === type) || {}).value);
+    const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"));
+    return Number.isFinite(asUtc) ? Math.round((asUtc - Math.floor(utcMs / MINUTE) * MINUTE) / MINUTE) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start instant of a game from its sheet date, time and time zone.
+ * @param {{year, month, day}} date - From parseGameDate()
+ * @param {number} minutes - From parseGameTime()
+ * @param {Object} zone - From resolveTimeZone()
+ * @returns {Date|null}
+ */
+function toInstant(date, minutes, zone) {
+  if (!date || minutes === null || minutes === undefined || !zone) return null;
+  const wallClockAsUtc = Date.UTC(date.year, date.month - 1, date.day) + minutes * MINUTE;
+  // The offset depends on the instant itself, so settle it in two passes (handles DST changeover days)
+  let offset = zoneOffsetMinutes(zone, wallClockAsUtc);
+  if (offset === null) return null;
+  offset = zoneOffsetMinutes(zone, wallClockAsUtc - offset * MINUTE);
+  return offset === null ? null : new Date(wallClockAsUtc - offset * MINUTE);
+}
+
+/**
+ * Wall-clock fields of an instant in a zone.
+ * @returns {{year, month, day, weekday, hours, minutes}|null} weekday 0 = Sunday
+ */
+function wallClock(instant, zone) {
+  const offset = instant ? zoneOffsetMinutes(zone, instant.getTime()) : null;
+  if (offset === null) return null;
+  const local = new Date(instant.getTime() + offset * MINUTE);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    weekday: local.getUTCDay(),
+    hours: local.getUTCHours(),
+    minutes: local.getUTCMinutes()
+  };
+}
+
+/**
+ * Format a start time for a zone, e.g. "7:00 PM ET" (en-US) or "19:00 ET" (24-hour locales).
+ * @param {Date} instant
+ * @param {Object} zone - From resolveTimeZone()
+ * @param {string} [locale="en-US"]
+ * @param {Object} [options]
+ * @param {boolean} [options.zoneLabel=true] - Append the zone's short label
+ */
+function formatTime(instant, zone, locale = "en-US", { zoneLabel = true } = {}) {
+  const clock = wallClock(instant, zone);
+  if (!clock) return "";
+  const mm = String(clock.minutes).padStart(2, "0");
+  const text = uses12HourClock(locale)
+    ? `${clock.hours % 12 || 12}:${mm} ${clock.hours < 12 ? "AM" : "PM"}`
+    : `${String(clock.hours).padStart(2, "0")}:${mm}`;
+  return zoneLabel ? `${text} ${zone.label}` : text;
+}
+
+/**
+ * Format the start time in several zones: "7:00 PM ET / 4:00 PM PT".
+ * Zones showing the same wall-clock time and label are listed once.
+ */
+function formatTimeInZones(instant, zones, locale = "en-US") {
+  const parts = [];
+  for (const zone of zones || []) {
+    const text = formatTime(instant, zone, locale);
+    if (text && !parts.includes(text)) parts.push(text);
+  }
+  return parts.join(" / ");
+}
+
+/**
+ * Format the game's local date, e.g. "MONDAY, JUNE 16, 2026". Uses Intl for
+ * non-English locales when the host supports it.
+ * @param {Date} instant
+ * @param {Object} zone
+ * @param {string} [locale="en-US"]
+ * @param {Object} [options]
+ * @param {boolean} [options.weekday=true]
+ * @param {boolean} [options.year=true]
+ */
+function formatDate(instant, zone, locale = "en-US", { weekday = true, year = true } = {}) {
+  const clock = wallClock(instant, zone);
+  if (!clock) return "";
+
+  if (!/^en\b/i.test(locale)) {
+    try {
+      const local = new Date(Date.UTC(clock.year, clock.month - 1, clock.day, 12));
+      return new Intl.DateTimeFormat(locale, {
+        timeZone: "UTC",
+        weekday: weekday ? "long" : undefined,
+        month: "long",
+        day: "numeric",
+        year: year ? "numeric" : undefined
+      }).format(local).toUpperCase();
+    } catch {
+      // fall through to English
+    }
+  }
+  const text = `${MONTHS[clock.month - 1]} ${clock.day}`;
+  return `${weekday ? `${WEEKDAYS[clock.weekday]}, ` : ""}${text}${year ? `, ${clock.year}` : ""}`;
+}
+
+/**
+ * Format a game's local date: its start instant in its own zone, or the parsed sheet
+ * date when the time is unknown. "" when the sheet date couldn't be parsed.
+ * @param {Object} game - Game from loadSchedule()
+ */
+function formatGameDate(game, locale = "en-US", options = {}) {
+  if (game.start && game.timeZone) return formatDate(game.start, game.timeZone, locale, options);
+  if (!game.startDate) return "";
+  const { year, month, day } = game.startDate;
+  return formatDate(new Date(Date.UTC(year, month - 1, day, 12)), ZONES.UTC, locale, options);
+}
+
+function uses12HourClock(locale) {
+  return /^en-(US|CA|AU|NZ|PH|IN)\b/i.test(String(locale || "en-US")) || /^en$/i.test(String(locale || ""));
+}
+
+/**
+ * Order games by start instant. Games without one keep their relative sheet order
+ * and go after dated games of the same week.
+ */
+function compareGamesByStart(a, b) {
+  const weekDiff = (Number(a.week) || 0) - (Number(b.week) || 0);
+  if (a.start && b.start) return a.start.getTime() - b.start.getTime();
+  if (weekDiff) return weekDiff;
+  if (a.start && !b.start) return -1;
+  if (!a.start && b.start) return 1;
+  return 0;
+}
+
+module.exports = {
+  resolveTimeZone,
+  parseGameDate,
+  parseGameTime,
+  toInstant,
+  wallClock,
+  formatTime,
+  formatTimeInZones,
+  formatDate,
+  formatGameDate,
+  compareGamesByStart
+};
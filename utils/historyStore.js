@@ -0,0 +1,170 @@
+// ========== HISTORY STORE ==========
+// Week-over-week memory of league data, so graphics can show movement, streaks and trends.
+// After a successful run leagueConfig.recordWeekHistory() saves a snapshot of standings,
+// player and goalie stats and the All Teams "PR" column into one file per season:
+//   <base folder>/History/<LEAGUE>_<season>.json
+//   { league, season, weeks: { "3": { week, savedAt, standings, players, goalies, powerRankings } } }
+// The file lives in the league folder (not plugin data) so everyone sharing the folder
+// sees the same history. Re-running a week replaces that week's snapshot.
+
+const HISTORY_FOLDER_NAME = "History";
+
+function historyFileName(leagueKey, season) {
+  const league = String(leagueKey || "league").replace(/[^a-zA-Z0-9._-]+/g, "_");
+  return `${league}_${Number(season) || 0}.json`;
+}
+
+function toNumber(value) {
+  const n = Number(String(value ?? "").replace(/[^0-9.-]/g, ""));
+  return String(value ?? "").trim() !== "" && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Compact snapshot of one week's data, in the shape stored in the history file.
+ * Standings rows get their position within the division (RANK, then sheet order –
+ * the order the standings graphics use) as rank.
+ * @param {Object} data
+ * @param {number} data.week
+ * @param {Array} [data.standings] - From leagueConfig.loadStandings()
+ * @param {Array} [data.players] - From leagueConfig.loadPlayerStats()
+ * @param {Array} [data.goalies] - From leagueConfig.loadGoalieStats()
+ * @param {Array} [data.teams] - From leagueConfig.loadTeamInfo() (for PR)
+ */
+function buildWeekSnapshot({ week, standings = [], players = [], goalies = [], teams = [] }) {
+  const byDiv = {};
+  standings.forEach((row, order) => {
+    (byDiv[row.div] = byDiv[row.div] || []).push({ row, order });
+  });
+  const rankedStandings = [];
+  for (const div of Object.keys(byDiv)) {
+    byDiv[div]
+      .sort((a, b) => (toNumber(a.row.rank) ?? Infinity) - (toNumber(b.row.rank) ?? Infinity) || a.order - b.order)
+      .forEach(({ row }, i) => {
+        rankedStandings.push({
+          team: row.fullTeam,
+          div: row.div,
+          rank: i + 1,
+          rankLabel: row.rankLabel || String(i + 1),
+          gp: toNumber(row.gp),
+          w: toNumber(row.w),
+          otw: toNumber(row.otw),
+          otl: toNumber(row.otl),
+          l: toNumber(row.l),
+          pts: toNumber(row.pts),
+          pct: row.pct ?? "",
+          gf: toNumber(row.gf),
+          ga: toNumber(row.ga),
+          diff: toNumber(row.diff)
+        });
+      });
+  }
+
+  return {
+    week: Number(week),
+    savedAt: new Date().toISOString(),
+    standings: rankedStandings,
+    players: players.map((p) => ({
+      name: p.fullName,
+      team: p.teamName,
+      div: p.div,
+      gp: toNumber(p.gp),
+      goals: toNumber(p.goals),
+      assists: toNumber(p.assists),
+      points: toNumber(p.points)
+    })),
+    goalies: goalies.map((g) => ({
+      name: g.fullName,
+      team: g.teamName,
+      div: g.div,
+      gp: toNumber(g.GP),
+      wins: toNumber(g.wins),
+      ga: toNumber(g.GA),
+      gaa: g.GAA ?? "",
+      savePct: g.savePct ?? "",
+      shutouts: toNumber(g.shutouts)
+    })),
+    powerRankings: teams
+      .filter((t) => t.fullTeam && toNumber(t.powerRanking) !== null)
+      .map((t) => ({ team: t.fullTeam, conf: t.conf, pr: toNumber(t.powerRanking) }))
+  };
+}
+
+async function getHistoryFolder(baseFolder, create) {
+  try {
+    return await baseFolder.getEntry(HISTORY_FOLDER_NAME);
+  } catch {
+    return create ? await baseFolder.createFolder(HISTORY_FOLDER_NAME) : null;
+  }
+}
+
+/**
+ * Read a season's history file.
+ * @returns {Promise<{league: string, season: number, weeks: Object}>} Empty weeks when there's no file yet
+ */
+async function readHistory(baseFolder, leagueKey, season) {
+  const empty = { league: leagueKey, season: Number(season) || 0, weeks: {} };
+  try {
+    const folder = await getHistoryFolder(baseFolder, false);
+    if (!folder) return empty;
+    const file = await folder.getEntry(historyFileName(leagueKey, season));
+    const history = JSON.parse(await file.read());
+    return history && history.weeks ? history : empty;
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * Add (or replace) one week's snapshot in the season's history file.
+ * @returns {Promise<Object>} The updated history
+ */
+async function saveWeekSnapshot(baseFolder, leagueKey, season, snapshot) {
+  const history = await readHistory(baseFolder, leagueKey, season);
+  history.weeks[String(snapshot.week)] = snapshot;
+  const folder = await getHistoryFolder(baseFolder, true);
+  const file = await folder.createFile(historyFileName(leagueKey, season), { overwrite: true });
+  await file.write(JSON.stringify(history));
+  return history;
+}
+
+/**
+ * Seasons with a history file for the league, oldest first.
+ * @returns {Promise<number[]>}
+ */
+async function listSeasons(baseFolder, leagueKey) {
+  try {
+    const folder = await getHistoryFolder(baseFolder, false);
+    if (!folder) return [];
+    const prefix = historyFileName(leagueKey, 0).replace(/0\.json$/, "");
+    const entries = await folder.getEntries();
+    return entries
+      .map((entry) => entry.name)
+      .filter((name) => name.startsWith(prefix) && name.endsWith(".json"))
+      .map((name) => Number(name.slice(prefix.length, -".json".length)))
+      .filter((season) => Number.isFinite(season) && season > 0)
+      .sort((a, b) => a - b);
+  } catch {
+    return [];
+  }
+}
+
+/** Stored week numbers, ascending */
+function listWeeks(history) {
+  return Object.keys((history && history.weeks) || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+}
+
+/** Latest stored week before week, or null */
+function previousWeek(history, week) {
+  const earlier = listWeeks(history).filter((w) => w < Number(week));
+  return earlier.length ? earlier[earlier.length - 1] : null;
+}
+
+module.exports = {
+  HISTORY_FOLDER_NAME,
+  buildWeekSnapshot,
+  readHistory,
+  saveWeekSnapshot,
+  listSeasons,
+  listWeeks,
+  previousWeek
+};
@@ -0,0 +1,165 @@
+// ========== HTTP CLIENT ==========
+// Every network request the plugin makes goes through request() so one hung or
+// flaky server can't freeze the panel:
+//   - timeout      – each attempt (including reading the body) is abandoned after timeoutMs
+//   - retries      – network errors, timeouts, 408/429 and 5xx are retried with exponential
+//                    backoff (Retry-After is honoured, capped at MAX_BACKOFF_MS)
+//   - concurrency  – requests wait for a slot in a named pool ("default", "images", "uploads")
+//   - conditional  – pass the validators from a previous response (etag / lastModified) and a
+//                    304 comes back as { notModified: true } so the caller can reuse its copy
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_RETRIES = 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 8000;
+
+// Simultaneous requests per pool; sheets share "default"
+const POOL_LIMITS = { default: 4, images: 6, uploads: 2 };
+
+const pools = {}; // name -> { active, queue }
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Fetch with timeout, retries, a concurrency pool and optional conditional headers.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method="GET"]
+ * @param {Object} [options.headers]
+ * @param {*} [options.body]
+ * @param {string} [options.as="text"] - "text", "arrayBuffer", "json" or "none"
+ * @param {{etag?: string, lastModified?: string}} [options.validators] - From a previous response
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.retries] - Extra attempts after the first
+ * @param {string} [options.pool="default"]
+ * @returns {Promise<{ok: boolean, status: number, notModified: boolean, body: *, validators: {etag: string, lastModified: string}}>}
+ *   ok is false for non-retryable HTTP errors (e.g. 404) and for retryable ones once retries run out
+ * @throws {Error} When every attempt failed with a network error or timeout
+ */
+async function request(url, options = {}) {
+  const retries = Number.isInteger(options.retries) ? options.retries : DEFAULT_RETRIES;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await delay(backoffMs(attempt, lastError && lastError.retryAfterMs));
+    try {
+      const result = await withPoolSlot(options.pool || "default", () => attemptRequest(url, options));
+      if (!isRetryableStatus(result.status) || attempt === retries) return result;
+      lastError = new Error(`HTTP ${result.status} while fetching ${url}`);
+      lastError.retryAfterMs = result.retryAfterMs;
+    } catch (err) {
+      lastError = err;
+    }
+    if (attempt < retries) console.warn(`Request failed (${lastError.message}); retry ${attempt + 1}/${retries}: ${url}`);
+  }
+  throw lastError;
+}
+
+/**
+ * GET text, throwing on any HTTP error (the old leagueConfig fetchText behaviour).
+ * @param {string} url
+ * @param {Object} [options] - request() options; validators make a 304 return { notModified: true, text: null }
+ * @returns {Promise<{text: string|null, notModified: boolean, validators: Object}>}
+ */
+async function fetchText(url, options = {}) {
+  const result = await request(url, { ...options, as: "text" });
+  if (!result.ok && !result.notModified) {
+    throw new Error(`HTTP ${result.status} while fetching ${url}`);
+  }
+  return { text: result.notModified ? null : result.body, notModified: result.notModified, validators: result.validators };
+}
+
+async function attemptRequest(url, options) {
+  const headers = { ...(options.headers || {}) };
+  const validators = options.validators || {};
+  if (validators.etag) headers["If-None-Match"] = validators.etag;
+  if (validators.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      if (controller) controller.abort();
+      reject(new Error(`Timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+  });
+
+  const attempt = (async () => {
+    const response = await fetch(url, {
+      method: options.method || "GET",
+      headers,
+      body: options.body,
+      ...(controller ? { signal: controller.signal } : {})
+    });
+    const notModified = response.status === 304;
+    const result = {
+      ok: response.ok,
+      status: response.status,
+      notModified,
+      body: null,
+      validators: {
+        etag: response.headers.get("ETag") || validators.etag || "",
+        lastModified: response.headers.get("Last-Modified") || validators.lastModified || ""
+      },
+      retryAfterMs: parseRetryAfter(response.headers.get("Retry-After"))
+    };
+    // The body is read inside the timeout too; a stalled download counts as a hang
+    if (response.ok && !notModified) result.body = await readBody(response, options.as || "text");
+    return result;
+  })();
+
+  try {
+    return await Promise.race([attempt, timeout]);
+  } finally {
+    clearTimeout(timer);
+    attempt.catch(() => {}); // the losing side of the race may still reject later
+  }
+}
+
+function readBody(response, as) {
+  if (as === "arrayBuffer") return response.arrayBuffer();
+  if (as === "json") return response.json();
+  if (as === "none") return null;
+  return response.text();
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// 500ms, 1s, 2s, 4s ... with up to 25% jitter, or the server's Retry-After when longer
+function backoffMs(attempt, retryAfterMs) {
+  const exponential = BASE_BACKOFF_MS * Math.pow(2, attempt - 1);
+  const jittered = exponential * (1 + Math.random() * 0.25);
+  return Math.min(MAX_BACKOFF_MS, Math.max(jittered, retryAfterMs || 0));
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+async function withPoolSlot(name, task) {
+  const pool = pools[name] || (pools[name] = { active: 0, queue: [] });
+  const limit = POOL_LIMITS[name] || POOL_LIMITS.default;
+  // A finished request hands its slot straight to the next waiter, so the count never overshoots
+  if (pool.active >= limit) await new Promise((resolve) => pool.queue.push(resolve));
+  else pool.active++;
+  try {
+    return await task();
+  } finally {
+    const next = pool.queue.shift();
+    if (next) next();
+    else pool.active--;
+  }
+}
+
+module.exports = {
+  request,
+  fetchText
+};
@@ -12,11 +12,15 @@ const app = photoshop.app;
 const uxp = require("uxp");
 const fs = uxp.storage.localFileSystem;
 const storage = uxp.storage;
+const httpClient = require("./httpClient.js");
 
 // CDN base URL — use when building URLs in your script (e.g. IMAGE_CDN_BASE + "/league/LOGOS/logo.png").
 const IMAGE_CDN_BASE = "https://pub-3c06366d547445298c77e04b7c3c77ad.r2.dev";
 
 const imageCache = {};
+// url -> { file, validators } for every downloaded image, so the next download of the same
+// URL is a conditional request that can reuse the file; cleared with the files in clearCache()
+const downloadedImages = {};
 
 /**
  * Replace a Smart Object layer with an image.
@@ -44,9 +48,6 @@ async function replaceLayerWithImage(layer, pathOrUrl, baseFolder) {
 async function getFileFromUrl(url) {
   if (imageCache[url]) return imageCache[url];
   try {
-    const response = await fetch(url);
-    if (!response.ok) return null;
-    const arrayBuffer = await response.arrayBuffer();
     const dataFolder = await fs.getDataFolder();
     let tempFolder;
     try {
@@ -54,11 +55,30 @@ async function getFileFromUrl(url) {
     } catch {
       tempFolder = await dataFolder.createFolder("temp_images");
     }
+
+    // Only ask for a 304 when the file it would reuse is still on disk
+    let previous = downloadedImages[url];
+    if (previous && !(await hasFile(tempFolder, previous.file.name))) {
+      delete downloadedImages[url];
+      previous = null;
+    }
+    const result = await httpClient.request(url, {
+      as: "arrayBuffer",
+      pool: "images",
+      validators: previous ? previous.validators : null
+    });
+    if (result.notModified && previous) {
+      imageCache[url] = previous.file;
+      return previous.file;
+    }
+    if (!result.ok) return null;
+    const arrayBuffer = result.body;
     const safeName = (url.split("/").pop() || "image.png").replace(/[^a-zA-Z0-9._-]/g, "_");
     const hash = Math.abs(url.split("").reduce((a, c) => ((a << 5) - a) + c.charCodeAt(0), 0));
     const file = await tempFolder.createFile(`${hash}_${safeName}`, { overwrite: true });
     await file.write(arrayBuffer, { format: storage.formats.binary });
     imageCache[url] = file;
+    downloadedImages[url] = { file, validators: result.validators };
     return file;
   } catch (err) {
     console.warn("ImageHandler: getFileFromUrl failed:", url, err.message);
@@ -66,6 +86,15 @@ async function getFileFromUrl(url) {
   }
 }
 
+async function hasFile(folder, name) {
+  try {
+    const entry = await folder.getEntry(name);
+    return !!(entry && entry.isFile);
+  } catch {
+    return false;
+  }
+}
+
 async function getFileFromPath(baseFolder, relativePath) {
   const parts = String(relativePath).replace(/\\/g, "/").split("/").filter(Boolean);
   if (parts.length === 0) return null;
@@ -101,6 +130,7 @@ async function replaceLayerWithFile(layer, fileEntry) {
 /** Clear URL cache and temp downloaded images (e.g. when switching leagues). */
 async function clearCache() {
   for (const key in imageCache) delete imageCache[key];
+  for (const key in downloadedImages) delete downloadedImages[key];
   try {
     const dataFolder = await fs.getDataFolder();
     const tempFolder = await dataFolder.getEntry("temp_images");
@@ -0,0 +1,253 @@
+// ========== LAYER BINDINGS ==========
+// Declarative layer updates for a template, kept in a JSON spec next to the PSD
+// (SCHEDULE/SCHEDULE_Playoffs.psd -> SCHEDULE/SCHEDULE_Playoffs.bindings.json), so template
+// designers can fill new or moved layers without touching the feature code. The spec maps
+// layer paths to values from the data the feature binds into the graphic (the same data its
+// build fingerprint hashes):
+//   { "bindings": [
+//       { "layer": "HEADER/DATE", "text": "dateValue", "format": "upper" },
+//       { "layer": "HEADER/HEADER COLOR", "color": "headerColorHex" },
+//       { "layer": "HEADER/FINAL BADGE", "visible": "docType == 'Final Scores'" },
+//       { "each": "games", "layer": "MATCHUPS/MATCH {n}", "hideUnused": true, "bindings": [
+//           { "layer": "TEAM 1/NAME", "text": "item.team1.name", "maxLength": 20 },
+//           { "layer": "TEAM 1/LOGO", "logo": ["item.team1.logo", "'LOGOS/LeagueLogo.png'"] },
+//           { "layer": "SERIES", "text": "item.series", "visible": "item.series" } ] } ] }
+// Layer paths are "/"-separated group names, relative to the document (or to the group an
+// "each" entry repeats over). Inside "each", item is the current element (or the "as" name),
+// index counts from 0 and n from 1; "{n}" / "{index}" in a layer path are replaced.
+// Expressions: a data path ("games[0].team1.name"), a quoted literal ('FINAL'), a number,
+// true / false, "!expr", and "a == b" / "a != b". Missing layers are skipped with a warning.
+// Every graphics feature loads its template's spec and applies it after its own layer updates
+// and {{tokens}}, so a spec can also override them. SCHEDULE and STANDINGS bind the data their
+// build fingerprint hashes; the other features bind their token values plus their lists
+// (stats leaderboards, bracket rounds, power-ranking and preview teams). Example specs are
+// in examples/bindings/.
+
+const imageHandler = require("./imageHandler.js");
+const { getByName, fillColor, setTextHex } = require("./layerHelpers.js");
+
+const SPEC_SUFFIX = ".bindings.json";
+
+/**
+ * Read the binding spec next to a template.
+ * @param {FolderEntry} templateFolder - Folder holding the template
+ * @param {string} templateFileName - e.g. "STGP_STANDINGS.psd"
+ * @param {string} [fallbackFileName] - Template whose spec is shared, e.g. "STANDINGS.psd" for
+ *   division-specific copies without a spec of their own
+ * @returns {Promise<Object|null>} The spec, or null when there is none (or it isn't valid JSON)
+ */
+async function loadBindingSpec(templateFolder, templateFileName, fallbackFileName) {
+  const names = [templateFileName, fallbackFileName].filter(Boolean).map(specFileName);
+  for (const name of [...new Set(names)]) {
+    let file;
+    try {
+      file = await templateFolder.getEntry(name);
+    } catch {
+      continue;
+    }
+    try {
+      const spec = JSON.parse(await file.read());
+      if (spec && Array.isArray(spec.bindings)) return spec;
+      console.warn(`⚠️ ${name}: no "bindings" list, ignoring it`);
+    } catch (err) {
+      console.warn(`⚠️ ${name} is not valid JSON, ignoring it:`, err.message || err);
+    }
+    return null;
+  }
+  return null;
+}
+
+// "SCHEDULE_Playoffs.psd" -> "SCHEDULE_Playoffs.bindings.json"
+function specFileName(templateFileName) {
+  return String(templateFileName).replace(/\.psd$/i, "") + SPEC_SUFFIX;
+}
+
+/**
+ * Apply a binding spec to an open document.
+ * @param {Document} doc
+ * @param {Object} spec - From loadBindingSpec()
+ * @param {Object} data - Values the spec's expressions read
+ * @param {Object} [options]
+ * @param {FolderEntry} [options.baseFolder] - League folder, for local logo paths
+ * @returns {Promise<{applied: number, missing: string[]}>} Bindings applied and layer paths not found
+ */
+async function applyBindings(doc, spec, data, options = {}) {
+  const result = { applied: 0, missing: [] };
+  if (!doc || !spec || !Array.isArray(spec.bindings)) return result;
+  await applyList(doc, spec.bindings, data || {}, "", options, result);
+  if (result.missing.length) console.warn(`⚠️ Bindings: layers not found: ${result.missing.join(", ")}`);
+  return result;
+}
+
+async function applyList(parent, bindings, scope, pathPrefix, options, result) {
+  for (const binding of bindings || []) {
+    if (!binding || typeof binding !== "object") continue;
+    if (binding.each) {
+      await applyEach(parent, binding, scope, pathPrefix, options, result);
+      continue;
+    }
+    const path = fillPath(binding.layer, scope);
+    const layer = findLayer(parent, path);
+    if (!layer) {
+      result.missing.push(pathPrefix + path);
+      continue;
+    }
+    await applyBinding(layer, findLayer(parent, parentPath(path)) || parent, binding, scope, options);
+    result.applied++;
+  }
+}
+
+// Repeat child bindings over a list, once per group ("MATCH 1", "MATCH 2", ...)
+async function applyEach(parent, binding, scope, pathPrefix, options, result) {
+  const list = evaluate(binding.each, scope);
+  const items = Array.isArray(list) ? list : [];
+  const as = binding.as || "item";
+
+  for (let index = 0; index < items.length; index++) {
+    const itemScope = { ...scope, [as]: items[index], index, n: index + 1 };
+    const path = fillPath(binding.layer, itemScope);
+    const group = path ? findLayer(parent, path) : parent;
+    if (!group) {
+      result.missing.push(pathPrefix + path);
+      continue;
+    }
+    await applyList(group, binding.bindings, itemScope, path ? `${pathPrefix}${path}/` : pathPrefix, options, result);
+  }
+
+  // Groups past the end of the list (a 9-row table showing 6 teams)
+  if (binding.hideUnused && binding.layer) {
+    for (let index = items.length; ; index++) {
+      const extra = findLayer(parent, fillPath(binding.layer, { ...scope, index, n: index + 1 }));
+      if (!extra) break;
+      extra.visible = false;
+    }
+  }
+}
+
+// The logo goes last: replacing it swaps the layer for a copy and deletes the original, so
+// visibility is set on both the original (before) and the copy found by name (after)
+async function applyBinding(layer, parent, binding, scope, options) {
+  const name = layer.name;
+  const visible = binding.visible !== undefined ? !!evaluate(binding.visible, scope) : undefined;
+  if (binding.text !== undefined && layer.textItem) {
+    layer.textItem.contents = formatText(evaluate(binding.text, scope), binding);
+  }
+  if (binding.color !== undefined) {
+    const hex = evaluate(binding.color, scope);
+    if (hex) await fillColor(layer, hex);
+  }
+  if (binding.textColor !== undefined && layer.textItem) {
+    const hex = evaluate(binding.textColor, scope);
+    if (hex) setTextHex(layer, hex);
+  }
+  if (visible !== undefined) layer.visible = visible;
+  if (binding.logo !== undefined) {
+    const sources = Array.isArray(binding.logo) ? binding.logo : [binding.logo];
+    for (const source of sources) {
+      const value = String(evaluate(source, scope) ?? "").trim();
+      if (!value) continue;
+      const ok = /^https?:\/\//i.test(value)
+        ? await imageHandler.replaceLayerWithImage(layer, value)
+        : await imageHandler.replaceLayerWithImage(layer, value, options.baseFolder);
+      if (!ok) continue;
+      const replaced = getByName(parent, name);
+      if (replaced && visible !== undefined) replaced.visible = visible;
+      break;
+    }
+  }
+}
+
+function formatText(value, binding) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (binding.format === "upper") text = text.toUpperCase();
+  else if (binding.format === "lower") text = text.toLowerCase();
+  const maxLength = Number(binding.maxLength);
+  if (maxLength > 0 && text.length > maxLength) text = text.slice(0, maxLength) + "...";
+  return text;
+}
+
+/**
+ * Evaluate a spec expression against the data.
+ * @param {*} expression - See the header comment; non-strings are returned as they are
+ * @param {Object} scope
+ */
+function evaluate(expression, scope) {
+  if (typeof expression !== "string") return expression;
+  const text = expression.trim();
+
+  const comparison = splitComparison(text);
+  if (comparison) {
+    const left = evaluate(comparison.left, scope);
+    const right = evaluate(comparison.right, scope);
+    // Sheet values are strings; "3" == 3 should hold
+    const equal = String(left ?? "") === String(right ?? "");
+    return comparison.op === "==" ? equal : !equal;
+  }
+  if (text.startsWith("!")) return !evaluate(text.slice(1), scope);
+
+  const quoted = text.match(/^'(.*)'$|^"(.*)"$/);
+  if (quoted) return quoted[1] !== undefined ? quoted[1] : quoted[2];
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return resolvePath(scope, text);
+}
+
+// "docType == 'Final Scores'" -> { left, op, right }, ignoring operators inside quotes
+function splitComparison(text) {
+  let quote = null;
+  for (let i = 0; i < text.length - 1; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === "\"") {
+      quote = ch;
+      continue;
+    }
+    const op = text.slice(i, i + 2);
+    if (op === "==" || op === "!=") {
+      return { left: text.slice(0, i), op, right: text.slice(i + 2).replace(/^=/, "") };
+    }
+  }
+  return null;
+}
+
+// "games[0].team1.name" -> scope.games[0].team1.name (undefined when any step is missing)
+function resolvePath(scope, path) {
+  const steps = path.replace(/\[(\w+)\]/g, ".$1").split(".").filter(Boolean);
+  let value = scope;
+  for (const step of steps) {
+    if (value === null || value === undefined) return undefined;
+    value = value[step];
+  }
+  return value;
+}
+
+function fillPath(path, scope) {
+  return String(path || "")
+    .replace(/\{n\}/g, scope.n ?? "")
+    .replace(/\{index\}/g, scope.index ?? "");
+}
+
+// "TEAM 1/LOGO" -> "TEAM 1"; "" for a direct child
+function parentPath(path) {
+  const parts = String(path).split("/").map((part) => part.trim()).filter(Boolean);
+  return parts.slice(0, -1).join("/");
+}
+
+function findLayer(parent, path) {
+  let current = parent;
+  for (const name of String(path).split("/").map((part) => part.trim()).filter(Boolean)) {
+    current = current ? getByName(current, name) : null;
+  }
+  return current === parent ? null : current || null;
+}
+
+module.exports = {
+  SPEC_SUFFIX,
+  loadBindingSpec,
+  applyBindings,
+  evaluate
+};
@@ -0,0 +1,63 @@
+// ========== LAYER HELPERS ==========
+// Layer lookups and color writes shared by the utils that edit template layers
+// (leaderboard slots, standings rows, binding specs) and the SCHEDULE / STANDINGS handlers.
+
+const photoshop = require("photoshop");
+const app = photoshop.app;
+
+/** Direct child layer by name (parent is a document, a group or a layer list); null when missing */
+function getByName(parent, name) {
+  if (!parent) return null;
+  const layers = parent.layers || parent;
+  return layers && layers.find ? layers.find((l) => l.name === name) || null : null;
+}
+
+function hexToRgb(hex) {
+  const h = String(hex || "").replace(/^#/, "").trim();
+  const r = parseInt(h.slice(0, 2) || "00", 16);
+  const g = parseInt(h.slice(2, 4) || "00", 16);
+  const b = parseInt(h.slice(4, 6) || "00", 16);
+  return { r, g, b };
+}
+
+/** Set a solid color fill layer's color; a missing layer is left alone */
+async function fillColor(layer, hex) {
+  if (!layer) return;
+  const { r, g, b } = hexToRgb(hex);
+  await app.batchPlay(
+    [{
+      _obj: "select",
+      _target: [{ _ref: "layer", _id: layer._id }],
+      makeVisible: false,
+      selectionModifier: { _enum: "selectionModifierType", _value: "replaceSelection" },
+      _isCommand: true
+    }],
+    { synchronousExecution: true }
+  );
+  await app.batchPlay(
+    [{
+      _obj: "set",
+      _target: [{ _ref: "contentLayer", _enum: "ordinal", _value: "targetEnum" }],
+      to: {
+        _obj: "solidColorLayer",
+        color: { _obj: "RGBColor", red: r, green: g, blue: b }
+      }
+    }],
+    { synchronousExecution: true }
+  );
+}
+
+/** Set a text layer's color; layers that are missing or not text are left alone */
+function setTextHex(layer, hex) {
+  if (!layer || !layer.textItem) return;
+  const color = new app.SolidColor();
+  color.rgb.hexValue = String(hex || "").replace(/^#/, "").toLowerCase();
+  layer.textItem.characterStyle.color = color;
+}
+
+module.exports = {
+  getByName,
+  hexToRgb,
+  fillColor,
+  setTextHex
+};
@@ -0,0 +1,171 @@
+// ========== LEADERBOARD SLOTS ==========
+// Writes ranked leaderboards (utils/leaderboards.js) into a STATS template. A leaderboard
+// group ("ASSISTS") holds slot groups "ASSISTS 1".."ASSISTS n", each with RANK, FIRST NAME,
+// LAST NAME, TEAM NAME, TEAM COLOR, LOGO and the category's value layer, plus optional
+// MIN GP and TIED layers in the group. Shared by the default and NBHL STATS handlers.
+
+const imageHandler = require("./imageHandler.js");
+const leaderboards = require("./leaderboards.js");
+const { getByName, fillColor } = require("./layerHelpers.js");
+
+// Categories with hand-built layouts in the STATS handlers; everything else is filled generically
+const CUSTOM_LAYOUT_CATEGORIES = ["POINTS", "GOALS", "GAA"];
+
+/**
+ * Fill every leaderboard group in the template that has a category definition.
+ * Groups or layers the template doesn't have are skipped.
+ * @param {Document} doc
+ * @param {Object} categories - From leagueConfig.getLeaderboardCategories()
+ * @param {Object} ctx
+ * @param {Array} ctx.players - Division player stat rows
+ * @param {Array} ctx.goalies - Division goalie stat rows
+ * @param {Object|null} ctx.div - Division row (for the minimum-GP rule)
+ * @param {Array} ctx.teams - From loadTeamInfo()
+ * @param {string} ctx.conf
+ * @param {string} ctx.divAbb
+ * @param {string} ctx.leagueKey
+ * @param {FolderEntry} ctx.baseFolder
+ * @param {function(Layer, string)} ctx.setTextColor - The handler's text contrast rule for a background color
+ */
+async function fillExtraLeaderboards(doc, categories, ctx) {
+  for (const name in categories) {
+    if (CUSTOM_LAYOUT_CATEGORIES.includes(name)) continue;
+    const group = getByName(doc, name);
+    if (!group || !group.layers) continue;
+
+    const category = categories[name];
+    const maxSlots = countSlots(group, name);
+    const rows = category.source === "goalies" ? ctx.goalies : ctx.players;
+    const { entries, labels, minGp, hiddenTies } = leaderboards.buildLeaderboard(category, rows, {
+      div: ctx.div,
+      slots: Math.min(Number(category.slots) || 0, maxSlots),
+      maxSlots
+    });
+
+    const minimumLayer = getByName(group, "MIN GP");
+    if (minimumLayer && minGp !== null) minimumLayer.textItem.contents = `(MIN. ${minGp}GP)`;
+    setTiedNote(group, hiddenTies);
+
+    for (let i = 0; i < maxSlots; i++) {
+      const slot = getByName(group, name + " " + (i + 1));
+      const entry = entries[i];
+      slot.visible = !!entry;
+      if (!slot.visible) continue;
+      setRankLabel(slot, labels[i]);
+
+      const team = ctx.teams.find((t) => t.fullTeam === entry.teamName);
+      const tColor = team ? team.color1 : "ffffff";
+      const tFull = team ? team.fullTeam : "";
+
+      const teamColorLayer = getByName(slot, "TEAM COLOR");
+      if (teamColorLayer) await fillColor(teamColorLayer, tColor);
+
+      const teamLogoLayer = getByName(slot, "LOGO");
+      if (teamLogoLayer) {
+        const logoUrl = `${imageHandler.IMAGE_CDN_BASE}/${encodeURIComponent(ctx.leagueKey)}/${encodeURIComponent(ctx.conf)}/${encodeURIComponent(ctx.divAbb)}/${encodeURIComponent(tFull)}.png`;
+        let ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, logoUrl);
+        if (!ok) ok = await imageHandler.replaceLayerWithImage(teamLogoLayer, `LOGOS/TEAMS/${ctx.conf}/${ctx.divAbb}/${tFull}.png`, ctx.baseFolder);
+        if (!ok) await imageHandler.replaceLayerWithImage(teamLogoLayer, "LOGOS/LeagueLogo.png", ctx.baseFolder);
+      }
+
+      const { displayFirst, displayLast } = resolvePlayerName(entry.firstName, entry.lastName);
+      const teamName = String(entry.teamName).toUpperCase();
+      const texts = {
+        "FIRST NAME": displayFirst,
+        "LAST NAME": displayLast,
+        "TEAM NAME": teamName.length > 20 ? (teamName.slice(0, 20) + "...") : teamName
+      };
+      texts[category.valueLayer] = String(entry[category.sort[0].stat]);
+
+      for (const layerName in texts) {
+        const layer = getByName(slot, layerName);
+        if (!layer || !layer.textItem) continue;
+        layer.textItem.contents = texts[layerName];
+        ctx.setTextColor(layer, tColor);
+      }
+    }
+  }
+}
+
+/**
+ * Every category's leaderboard as data for a STATS binding spec (utils/layerBindings.js):
+ * name -> ranked rows { rank, firstName, lastName, teamName, value }, category.slots long.
+ * @param {Object} categories - From leagueConfig.getLeaderboardCategories()
+ * @param {Object} ctx - players, goalies and div, as for fillExtraLeaderboards()
+ * @returns {Object}
+ */
+function leaderboardBindings(categories, ctx) {
+  const boards = {};
+  for (const name in categories) {
+    const category = categories[name];
+    const rows = category.source === "goalies" ? ctx.goalies : ctx.players;
+    const stat = category.sort && category.sort[0] ? category.sort[0].stat : null;
+    const { entries, labels } = leaderboards.buildLeaderboard(category, rows, { div: ctx.div });
+    boards[name] = entries.map((entry, i) => ({
+      rank: labels[i],
+      firstName: entry.firstName,
+      lastName: entry.lastName,
+      teamName: entry.teamName,
+      value: stat ? entry[stat] : ""
+    }));
+  }
+  return boards;
+}
+
+/** Number of consecutive "<prefix> 1".."<prefix> n" slot groups in a leaderboard group */
+function countSlots(group, prefix) {
+  let count = 0;
+  while (group && getByName(group, `${prefix} ${count + 1}`)) count++;
+  return count;
+}
+
+/** RANK text for a leaderboard slot ("1", "T-2"); templates without a RANK layer are left alone */
+function setRankLabel(slot, label) {
+  const rankLayer = getByName(slot, "RANK");
+  if (rankLayer && rankLayer.textItem) rankLayer.textItem.contents = label;
+}
+
+/** "+2 tied" note in a leaderboard group's TIED layer when a tie didn't fit in the slots */
+function setTiedNote(group, hiddenTies) {
+  const tiedLayer = group ? getByName(group, "TIED") : null;
+  if (!tiedLayer) {
+    if (hiddenTies > 0) console.log(`ℹ️ ${group ? group.name : "Leaderboard"}: ${hiddenTies} more tied (no TIED layer in template)`);
+    return;
+  }
+  tiedLayer.visible = hiddenTies > 0;
+  if (hiddenTies > 0 && tiedLayer.textItem) tiedLayer.textItem.contents = `+${hiddenTies} tied`;
+}
+
+/**
+ * First/last name text for a slot. A last name that is an initial ("S.") shows as one line
+ * ("ALEX S."); pronouns typed after the last name are dropped.
+ * @returns {{displayFirst: string, displayLast: string}}
+ */
+function resolvePlayerName(firstName, lastName) {
+  const isInitial = String(lastName || "").trim().endsWith(".");
+  if (isInitial) {
+    const last = String(lastName || "").trim();
+    return { displayFirst: " ", displayLast: (String(firstName || "") + " " + last).toUpperCase() };
+  }
+  return {
+    displayFirst: String(firstName || "").toUpperCase(),
+    displayLast: sanitizeLastName(lastName).toUpperCase()
+  };
+}
+
+function sanitizeLastName(lastName) {
+  let s = String(lastName || "");
+  s = s.replace(/\s*\((?:they|she|he)\s*\/\s*(?:them|her|him)\)\s*$/i, "");
+  s = s.replace(/\s+(?:they|she|he)\s*\/\s*(?:them|her|him)\s*$/i, "");
+  return s.trim();
+}
+
+module.exports = {
+  CUSTOM_LAYOUT_CATEGORIES,
+  fillExtraLeaderboards,
+  leaderboardBindings,
+  countSlots,
+  setRankLabel,
+  setTiedNote,
+  resolvePlayerName
+};
@@ -0,0 +1,195 @@
+// ========== LEADERBOARDS ==========
+// Category-driven stat leaderboards for the STATS graphics. A category says which
+// stat rows it ranks (players or goalies), how many slots it fills, its sort and
+// tiebreak order, and who qualifies. Templates name a group after the category
+// (e.g. "ASSISTS" containing "ASSISTS 1", "ASSISTS 2", ...) and the stats features
+// fill it, so a new leaderboard needs a template group, not new code.
+//
+// Category definition:
+//   source     – "players" or "goalies"
+//   slots      – default number of entries (the template's slot groups can limit it further)
+//   sort       – [{ stat, dir: "desc" | "asc" }, ...]; first entry is the ranked stat, the rest break ties
+//   valueLayer – text layer in each slot that shows the ranked stat
+//   qualify    – optional { minGpRatio: number | "division" }: only rows with
+//                GP >= round(ratio * highest GP in the division) are ranked; "division"
+//                uses the Divisions sheet's "Min GP (GAA)" ratio, falling back to DEFAULT_MIN_GP_RATIO
+//   tiePolicy  – what to do when a tie spans the last slot (default DEFAULT_TIE_POLICY):
+//                "expand" – show the whole tied group if the template has spare slot groups
+//                "more"   – keep the slot count and report the hidden rows ("+2 tied")
+//                "drop"   – leave out the whole tied group (unless that would empty the board)
+//                "expand" and "drop" fall back to "more" when they can't apply.
+//
+// Rows level on every sort stat share a rank and are labelled "T-2" (utils/competitionRank.js).
+//
+// league.json "leaderboards" can override any field per category or add new ones:
+//   "leaderboards": { "ASSISTS": { "slots": 5 }, "SHUTOUTS": { "qualify": null } }
+
+const { competitionRanks } = require("./competitionRank.js");
+
+const DEFAULT_MIN_GP_RATIO = 0.44;
+const DEFAULT_TIE_POLICY = "more";
+
+const LEADERBOARD_CATEGORIES = {
+  "POINTS": {
+    source: "players",
+    slots: 5,
+    sort: [{ stat: "points", dir: "desc" }, { stat: "goals", dir: "desc" }],
+    valueLayer: "PTS"
+  },
+  "GOALS": {
+    source: "players",
+    slots: 3,
+    sort: [{ stat: "goals", dir: "desc" }, { stat: "gp", dir: "asc" }],
+    valueLayer: "G"
+  },
+  "ASSISTS": {
+    source: "players",
+    slots: 3,
+    sort: [{ stat: "assists", dir: "desc" }, { stat: "points", dir: "desc" }],
+    valueLayer: "A"
+  },
+  "PPG": {
+    source: "players",
+    slots: 3,
+    sort: [{ stat: "ppg", dir: "desc" }, { stat: "points", dir: "desc" }],
+    valueLayer: "PTS/GP"
+  },
+  "GAA": {
+    source: "goalies",
+    slots: 3,
+    sort: [{ stat: "GAA", dir: "asc" }, { stat: "wins", dir: "desc" }],
+    valueLayer: "GAA",
+    qualify: { minGpRatio: "division" }
+  },
+  "WINS": {
+    source: "goalies",
+    slots: 3,
+    sort: [{ stat: "wins", dir: "desc" }, { stat: "GAA", dir: "asc" }],
+    valueLayer: "W"
+  },
+  "SV%": {
+    source: "goalies",
+    slots: 3,
+    sort: [{ stat: "savePct", dir: "desc" }, { stat: "GP", dir: "desc" }],
+    valueLayer: "SV%",
+    qualify: { minGpRatio: "division" }
+  },
+  "SHUTOUTS": {
+    source: "goalies",
+    slots: 3,
+    sort: [{ stat: "shutouts", dir: "desc" }, { stat: "GAA", dir: "asc" }],
+    valueLayer: "SO"
+  }
+};
+
+/**
+ * Category definitions with league overrides merged in.
+ * @param {Object} [overrides] - league.json "leaderboards"
+ * @returns {Object} Category name -> definition
+ */
+function resolveCategories(overrides) {
+  const categories = {};
+  for (const name in LEADERBOARD_CATEGORIES) categories[name] = { ...LEADERBOARD_CATEGORIES[name] };
+  for (const name in overrides || {}) {
+    const key = String(name).trim().toUpperCase();
+    if (!overrides[name] || typeof overrides[name] !== "object") continue;
+    categories[key] = { ...(categories[key] || {}), ...overrides[name] };
+  }
+  return categories;
+}
+
+/**
+ * Rank one category for a division.
+ * @param {Object} category - Definition from resolveCategories()
+ * @param {Array} rows - The division's player or goalie stat rows (matching category.source)
+ * @param {Object} [context]
+ * @param {Object} [context.div] - Division object from loadDivisionInfo() (for minGpRatio "division")
+ * @param {number} [context.slots] - Slot count to fill (defaults to category.slots)
+ * @param {number} [context.maxSlots] - Slot groups the template has, for tiePolicy "expand" (defaults to slots)
+ * @returns {{entries: Array, labels: string[], minGp: number|null, hiddenTies: number}}
+ *   Best rows first with their rank labels ("1", "T-2", ...); minGp is set when the category
+ *   has a GP rule; hiddenTies counts tied rows left out past the last slot
+ */
+function buildLeaderboard(category, rows, context = {}) {
+  const slots = Number(context.slots ?? category.slots) || 0;
+  const sort = category.sort || [];
+  const primary = sort[0] && sort[0].stat;
+
+  let minGp = null;
+  // A zero in a "most" category isn't a leader; those slots stay empty
+  const descending = sort[0] && sort[0].dir !== "asc";
+  let candidates = (rows || []).filter((row) => primary && isNumber(row[primary]) && !(descending && statValue(row[primary]) <= 0));
+
+  if (category.qualify && category.qualify.minGpRatio !== undefined) {
+    const ratio = resolveMinGpRatio(category.qualify.minGpRatio, context.div);
+    const maxGp = Math.max(0, ...(rows || []).map((row) => Number(row.GP ?? row.gp) || 0));
+    minGp = Math.round(ratio * maxGp);
+    candidates = candidates.filter((row) => (Number(row.GP ?? row.gp) || 0) >= minGp);
+  }
+
+  const ordered = candidates.slice().sort((a, b) => compareRows(a, b, sort));
+  const isTied = (a, b) => compareRows(a, b, sort) === 0;
+  const ranks = competitionRanks(ordered, isTied);
+
+  let count = Math.min(slots, ordered.length);
+  let hiddenTies = 0;
+  if (count > 0 && count < ordered.length && isTied(ordered[count - 1], ordered[count])) {
+    const groupStart = ranks[count - 1].rank - 1;
+    let groupEnd = count;
+    while (groupEnd < ordered.length && isTied(ordered[groupEnd - 1], ordered[groupEnd])) groupEnd++;
+
+    const policy = String(category.tiePolicy || DEFAULT_TIE_POLICY).toLowerCase();
+    const maxSlots = Number(context.maxSlots ?? slots) || slots;
+    if (policy === "expand" && groupEnd <= maxSlots) count = groupEnd;
+    else if (policy === "drop" && groupStart > 0) count = groupStart;
+    else hiddenTies = groupEnd - count;
+  }
+
+  return {
+    entries: ordered.slice(0, count),
+    labels: ranks.slice(0, count).map((r) => r.label),
+    minGp,
+    hiddenTies
+  };
+}
+
+function resolveMinGpRatio(setting, div) {
+  if (setting === "division") {
+    const configured = Number(div && div.minGpGaa);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MIN_GP_RATIO;
+  }
+  const ratio = Number(setting);
+  return Number.isFinite(ratio) && ratio >= 0 ? ratio : DEFAULT_MIN_GP_RATIO;
+}
+
+/**
+ * Compare two stat rows by a category's sort list (negative = a ranks higher).
+ * Missing tiebreak stats count as equal; rows still level keep sheet order.
+ */
+function compareRows(a, b, sort) {
+  for (const { stat, dir } of sort) {
+    const va = statValue(a[stat]);
+    const vb = statValue(b[stat]);
+    if (!Number.isFinite(va) || !Number.isFinite(vb) || va === vb) continue;
+    return dir === "asc" ? va - vb : vb - va;
+  }
+  return 0;
+}
+
+function isNumber(value) {
+  return String(value ?? "").trim() !== "" && Number.isFinite(statValue(value));
+}
+
+// Sheet stat cell as a number; percent cells ("91.5%") read as their number, as in sheetValidator
+function statValue(value) {
+  return Number(String(value ?? "").trim().replace(/%$/, ""));
+}
+
+module.exports = {
+  DEFAULT_MIN_GP_RATIO,
+  DEFAULT_TIE_POLICY,
+  LEADERBOARD_CATEGORIES,
+  resolveCategories,
+  buildLeaderboard,
+  compareRows
+};
@@ -1,5 +1,6 @@
 // licensing.js
 const ui = require("../ui.js");
+const httpClient = require("./httpClient.js");
 
 const LICENSE_API_URL = "https://license-server-five-red.vercel.app/api/verify-license";
 const LICENSE_RECHECK_INTERVAL_DAYS = 7;
@@ -7,13 +8,14 @@ const LICENSE_RECHECK_INTERVAL_DAYS = 7;
 // ---- Verify License ----
 async function verifyLicense(email, licenseKey) {
   try {
-    const res = await fetch(LICENSE_API_URL, {
+    const res = await httpClient.request(LICENSE_API_URL, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ userEmail: email, licenseKey })
+      body: JSON.stringify({ userEmail: email, licenseKey }),
+      as: "json",
+      retries: 1
     });
-    const data = await res.json();
-    return data.valid === true;
+    return res.ok && !!res.body && res.body.valid === true;
   } catch (err) {
     console.error("License check failed:", err);
     return false;
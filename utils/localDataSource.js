@@ -0,0 +1,121 @@
+// ========== LOCAL DATA SOURCE ==========
+// Reads league sheets from a folder inside the league base folder (DATA/ by default)
+// instead of published Google Sheets. Each logical sheet ("Divisions", "All Teams",
+// "SCHEDULE", "STANDINGS", "PLAYER STATS", ...) can be:
+//   - DATA/<sheet>.csv
+//   - DATA/<sheet>.json   (array of row arrays, or array of objects keyed by header)
+//   - DATA/<sheet>.xlsx   (first worksheet)
+//   - a tab named <sheet> in any .xlsx workbook in DATA/
+// Names match case-insensitively. Every format returns rows of strings, the same
+// shape parseCSV() returns, so the league loaders don't care where data came from.
+
+const uxpStorage = require("uxp").storage;
+const { parseCSV } = require("./csvParser.js");
+const xlsxReader = require("./xlsxReader.js");
+
+const DEFAULT_DATA_FOLDER = "DATA";
+
+// Alternate file/tab names accepted for a logical sheet (master sheet column names, old tab names)
+const SHEET_ALIASES = {
+  "Divisions": ["DIVISION INFO"],
+  "All Teams": ["TEAM INFO", "Teams"],
+  "SCHEDULE": ["ALL GAMES"]
+};
+
+// nativePath -> parsed workbook sheets, kept for the current run only
+const workbookCache = {};
+
+/**
+ * Read one logical sheet from the league's local data folder.
+ * @param {FolderEntry} baseFolder - League base folder
+ * @param {string} sheetName - Logical sheet name (e.g. "SCHEDULE")
+ * @param {string} [folderName] - Data folder inside the base folder (default "DATA")
+ * @returns {Promise<string[][]>} Parsed rows
+ */
+async function readLocalSheet(baseFolder, sheetName, folderName = DEFAULT_DATA_FOLDER) {
+  let dataFolder;
+  try {
+    dataFolder = await baseFolder.getEntry(folderName || DEFAULT_DATA_FOLDER);
+  } catch {
+    throw new Error(`Local data folder "${folderName}" not found in ${baseFolder.name}.`);
+  }
+
+  const candidates = [sheetName, ...(SHEET_ALIASES[sheetName] || [])].map(normalizeName);
+  const entries = (await dataFolder.getEntries()).filter((e) => e.isFile);
+
+  // 1) A file named after the sheet
+  for (const candidate of candidates) {
+    for (const ext of ["csv", "json", "xlsx"]) {
+      const file = entries.find((e) => normalizeName(e.name) === `${candidate}.${ext}`);
+      if (!file) continue;
+      if (ext === "csv") return parseCSV(await file.read());
+      if (ext === "json") return jsonToRows(JSON.parse(await file.read()), file.name);
+      const sheets = await readWorkbookCached(file);
+      if (sheets.length) return sheets[0].rows;
+    }
+  }
+
+  // 2) A tab inside any workbook in the folder
+  const workbooks = entries.filter((e) => /\.xlsx$/i.test(e.name) && !/^~\$/.test(e.name));
+  for (const workbook of workbooks) {
+    const sheets = await readWorkbookCached(workbook);
+    for (const candidate of candidates) {
+      const tab = sheets.find((s) => normalizeName(s.name) === candidate);
+      if (tab) return tab.rows;
+    }
+  }
+
+  throw new Error(`Sheet "${sheetName}" not found in ${baseFolder.name}/${folderName} (looked for .csv, .json, .xlsx).`);
+}
+
+async function readWorkbookCached(fileEntry) {
+  const key = fileEntry.nativePath || fileEntry.name;
+  if (!workbookCache[key]) {
+    const data = await fileEntry.read({ format: uxpStorage.formats.binary });
+    workbookCache[key] = xlsxReader.readWorkbook(data);
+  }
+  return workbookCache[key];
+}
+
+/**
+ * Convert JSON sheet data to rows.
+ * Accepts [[...], [...]], [{ col: value }, ...] or { rows: <either of those> }.
+ */
+function jsonToRows(json, fileName) {
+  const data = json && !Array.isArray(json) && Array.isArray(json.rows) ? json.rows : json;
+  if (!Array.isArray(data)) throw new Error(`${fileName}: expected an array of rows.`);
+  if (!data.length) return [];
+
+  if (Array.isArray(data[0])) {
+    return data.map((row) => (Array.isArray(row) ? row.map(toCell) : []));
+  }
+
+  // Array of objects: header is every key in first-seen order
+  const header = [];
+  for (const obj of data) {
+    for (const key of Object.keys(obj || {})) {
+      if (!header.includes(key)) header.push(key);
+    }
+  }
+  return [header, ...data.map((obj) => header.map((key) => toCell(obj ? obj[key] : "")))];
+}
+
+function toCell(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+function normalizeName(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+/** Forget parsed workbooks so the next run re-reads files from disk. */
+function clearLocalCache() {
+  for (const key in workbookCache) delete workbookCache[key];
+}
+
+module.exports = {
+  DEFAULT_DATA_FOLDER,
+  readLocalSheet,
+  clearLocalCache
+};
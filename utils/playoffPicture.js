@@ -0,0 +1,96 @@
+// ========== PLAYOFF PICTURE ==========
+// Clinch and elimination flags from the standings and the unplayed games left in the schedule.
+// For every team: min points = points now (+ the loss value for each game left), max points =
+// points now + a win for each game left. Within a division with N playoff spots:
+//   y – clinched first place: no other team can reach its min points
+//   x – clinched a playoff spot: fewer than N other teams can reach its min points
+//   e – eliminated: N or more teams already have more than its max points
+// Ties at the line count against clinching and never eliminate, since tiebreakers aren't
+// simulated; flags can come a game late but are never wrong.
+
+const { resolvePoints, resultPoints } = require("./standingsEngine.js");
+
+const FLAG_PRIORITY = ["y", "x", "e"];
+
+/**
+ * Clinch flags per team.
+ * @param {Array} standings - Rows from loadStandings() (fullTeam, div as "conf div", pts)
+ * @param {Array} schedule - Games from loadSchedule()
+ * @param {Object} [options]
+ * @param {Object} [options.points] - Point values (see standingsEngine.resolvePoints)
+ * @param {Object} [options.spotsByDiv] - "conf div" -> playoff spots; divisions without one only get "y"
+ * @param {number|null} [options.throughWeek=null] - Treat games after this week as still to play
+ *   (matches standings computed for an earlier week)
+ * @returns {Object} fullTeam -> { flag: "y" | "x" | "e" | "", remaining, minPoints, maxPoints, spots }
+ */
+function computePlayoffPicture(standings, schedule, options = {}) {
+  const points = resolvePoints(options.points);
+  const spotsByDiv = options.spotsByDiv || {};
+  const throughWeek = options.throughWeek === null || options.throughWeek === undefined ? null : Number(options.throughWeek);
+  const remaining = countRemainingGames(schedule, throughWeek);
+  const bestResult = Math.max(resultPoints("W", points), resultPoints("OTW", points));
+  const worstResult = Math.min(resultPoints("L", points), resultPoints("OTL", points), resultPoints("T", points));
+
+  const byDiv = {};
+  for (const row of standings || []) {
+    if (!row.fullTeam) continue;
+    const left = remaining[normalizeTeam(row.fullTeam)] || 0;
+    const pts = Number(row.pts) || 0;
+    (byDiv[row.div] = byDiv[row.div] || []).push({
+      fullTeam: row.fullTeam,
+      remaining: left,
+      minPoints: pts + left * worstResult,
+      maxPoints: pts + left * bestResult
+    });
+  }
+
+  const picture = {};
+  for (const div in byDiv) {
+    const teams = byDiv[div];
+    const spots = Number(spotsByDiv[div]) || 0;
+    for (const team of teams) {
+      const others = teams.filter((t) => t !== team);
+      const canCatch = others.filter((t) => t.maxPoints >= team.minPoints).length;
+      const alreadyAhead = others.filter((t) => t.minPoints > team.maxPoints).length;
+
+      const flags = [];
+      if (others.length && canCatch === 0) flags.push("y");
+      if (spots && spots < teams.length && canCatch < spots) flags.push("x");
+      if (spots && alreadyAhead >= spots) flags.push("e");
+
+      picture[team.fullTeam] = {
+        flag: FLAG_PRIORITY.find((f) => flags.includes(f)) || "",
+        remaining: team.remaining,
+        minPoints: team.minPoints,
+        maxPoints: team.maxPoints,
+        spots
+      };
+    }
+  }
+  return picture;
+}
+
+// Regular-season games without both scores (or after throughWeek), per team
+function countRemainingGames(schedule, throughWeek) {
+  const remaining = {};
+  for (const game of schedule || []) {
+    if (!game || !game.team1 || !game.team2) continue;
+    if (String(game.gameType || "").trim().toUpperCase() === "PLAYOFFS") continue;
+    const played = String(game.score1 ?? "").trim() !== "" && String(game.score2 ?? "").trim() !== "";
+    const afterWeek = throughWeek !== null && Number(game.week) > throughWeek;
+    if (played && !afterWeek) continue;
+    for (const team of [game.team1, game.team2]) {
+      const key = normalizeTeam(team);
+      remaining[key] = (remaining[key] || 0) + 1;
+    }
+  }
+  return remaining;
+}
+
+function normalizeTeam(name) {
+  return String(name || "").trim().toUpperCase();
+}
+
+module.exports = {
+  computePlayoffPicture
+};
@@ -0,0 +1,214 @@
+// ========== PLAYOFF SERIES ==========
+// Playoff games are single rows in the schedule; this groups them into series (by the Round
+// column and team pair) and counts wins toward each round's best-of length. Leagues set the
+// length in league.json "playoffs": { "bestOf": 7 }, or per Round label:
+//   { "bestOf": { "Quarterfinals": 3, "Final": 7, "default": 5 } }
+// Without a setting every round is a single game. Status text for the SERIES layers:
+//   "OWLS LEADS 2-1", "SERIES TIED 1-1", "OWLS WINS 4-2", "GAME 1", "GAME 7 TONIGHT"
+
+const { isPlaceholderTeam } = require("./teamResolver.js");
+const gameTime = require("./gameTime.js");
+
+const DEFAULT_BEST_OF = 1;
+
+/**
+ * Best-of length for a round.
+ * @param {Object} [config] - league.json "playoffs"
+ * @param {string} [roundLabel] - The schedule's Round value (compared case-insensitively)
+ * @returns {number} A positive odd number
+ */
+function resolveBestOf(config, roundLabel) {
+  const setting = config && config.bestOf;
+  let value = setting;
+  if (setting && typeof setting === "object") {
+    const key = String(roundLabel || "").trim().toUpperCase();
+    const match = Object.keys(setting).find((name) => name.trim().toUpperCase() === key);
+    value = match ? setting[match] : setting.default;
+  }
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 && n % 2 === 1 ? n : DEFAULT_BEST_OF;
+}
+
+/** Wins that take a best-of-n series */
+function winsNeeded(bestOf) {
+  return Math.ceil((Number(bestOf) || DEFAULT_BEST_OF) / 2);
+}
+
+/**
+ * Group playoff games into rounds (by the Round column, ordered by first week) and
+ * each round into series (one per team pair). Games in a series are in the order played.
+ * @param {Array} games - Playoff games from loadSchedule()
+ * @returns {Array<{label: string, series: Array}>} series: { teams: [a, b], seeds, games, round }
+ */
+function groupSeries(games) {
+  const rounds = {};
+  for (const game of games || []) {
+    const label = String(game.round || "").trim() || `WEEK ${game.week}`;
+    const key = label.toUpperCase();
+    const round = rounds[key] || (rounds[key] = { label, firstWeek: Number(game.week) || 0, series: [] });
+    round.firstWeek = Math.min(round.firstWeek, Number(game.week) || 0);
+
+    const teams = [knownTeam(game.team1), knownTeam(game.team2)];
+    let series = teams[0] && teams[1]
+      ? round.series.find((s) => samePair(s.teams, teams))
+      : null;
+    if (!series) {
+      series = { teams, seeds: {}, games: [], round: label };
+      round.series.push(series);
+    }
+    if (teams[0] && game.seed1) series.seeds[teamKey(teams[0])] = Number(game.seed1);
+    if (teams[1] && game.seed2) series.seeds[teamKey(teams[1])] = Number(game.seed2);
+    series.games.push(game);
+  }
+  const ordered = Object.values(rounds).sort((a, b) => a.firstWeek - b.firstWeek);
+  for (const round of ordered) {
+    for (const series of round.series) series.games.sort(gameTime.compareGamesByStart);
+  }
+  return ordered;
+}
+
+/**
+ * Wins per team and the winner of a series so far.
+ * A series is decided when one of its teams plays in a later round, or when a team reaches
+ * the wins the round's best-of length needs. Rounds without a length are decided once every
+ * game in them is final and one team has more wins.
+ * @param {Object} series - From groupSeries()
+ * @param {Set<string>} [laterTeams] - Team keys that play in later rounds
+ * @param {number} [bestOf=1]
+ * @returns {{wins: Object, winner: string|null, gameCount: number, finalCount: number}}
+ */
+function seriesResult(series, laterTeams = new Set(), bestOf = DEFAULT_BEST_OF) {
+  const { wins, finalCount } = countWins(series, series.games);
+  const needed = winsNeeded(bestOf);
+
+  let winner = bestOf > 1 ? series.teams.find((team) => team && wins[teamKey(team)] >= needed) || null : null;
+  if (!winner) winner = series.teams.find((team) => team && laterTeams.has(teamKey(team))) || null;
+  if (!winner && bestOf <= 1 && series.teams[0] && series.teams[1] && finalCount === series.games.length && finalCount) {
+    const [a, b] = series.teams.map((team) => wins[teamKey(team)]);
+    if (a !== b) winner = series.teams[a > b ? 0 : 1];
+  }
+  return { wins, winner, gameCount: series.games.length, finalCount };
+}
+
+/**
+ * Series status shown with a game. A final game counts itself ("OWLS LEADS 2-1" after it);
+ * an unplayed one shows the standing going in, or "GAME n" for game 1 and a deciding game
+ * ("GAME 7 TONIGHT" on the day it's played).
+ * @param {Object} series - From groupSeries()
+ * @param {Object} game - A game in the series
+ * @param {Object} [options]
+ * @param {number} [options.bestOf=1] - Single-game rounds get no status
+ * @param {function(string): string} [options.teamLabel] - Text for a team (default: the name as given)
+ * @param {Date} [options.now] - For "TONIGHT" (default: now)
+ * @returns {string} Upper case; "" when there's nothing to show
+ */
+function seriesStatus(series, game, options = {}) {
+  const bestOf = options.bestOf || DEFAULT_BEST_OF;
+  if (!series || !game || bestOf <= 1 || !series.teams[0] || !series.teams[1]) return "";
+  const teamLabel = options.teamLabel || ((team) => team);
+
+  const index = series.games.indexOf(game);
+  const played = isFinal(game);
+  const counted = series.games.slice(0, played ? index + 1 : Math.max(index, 0));
+  const { wins } = countWins(series, counted);
+  const needed = winsNeeded(bestOf);
+  const [a, b] = series.teams.map((team) => wins[teamKey(team)]);
+  const leader = a === b ? null : series.teams[a > b ? 0 : 1];
+  const high = Math.max(a, b);
+  const low = Math.min(a, b);
+
+  if (leader && high >= needed) return `${teamLabel(leader)} WINS ${high}-${low}`.toUpperCase();
+  if (!played && (a + b === 0 || (a === needed - 1 && b === needed - 1))) {
+    return `GAME ${index + 1}${isToday(game, options.now) ? " TONIGHT" : ""}`;
+  }
+  if (!leader) return `SERIES TIED ${high}-${low}`;
+  return `${teamLabel(leader)} LEADS ${high}-${low}`.toUpperCase();
+}
+
+/**
+ * Status for each playoff game in a schedule.
+ * @param {Array} schedule - Games from loadSchedule() (regular-season games are ignored)
+ * @param {Object} [options]
+ * @param {Object} [options.config] - league.json "playoffs"
+ * @param {function(string): string} [options.teamLabel]
+ * @param {Date} [options.now]
+ * @returns {Map<Object, string>} game -> status (games without one are left out)
+ */
+function buildSeriesStatuses(schedule, options = {}) {
+  // Grouped per conference, so two tiers' rounds with the same label stay apart
+  const byConf = {};
+  for (const game of schedule || []) {
+    if (String(game.gameType || "").trim().toUpperCase() !== "PLAYOFFS") continue;
+    const conf = String(game.conf || "").trim().toUpperCase();
+    (byConf[conf] = byConf[conf] || []).push(game);
+  }
+
+  const statuses = new Map();
+  for (const conf in byConf) {
+    for (const round of groupSeries(byConf[conf])) {
+      const bestOf = resolveBestOf(options.config, round.label);
+      for (const series of round.series) {
+        for (const game of series.games) {
+          const status = seriesStatus(series, game, { bestOf, teamLabel: options.teamLabel, now: options.now });
+          if (status) statuses.set(game, status);
+        }
+      }
+    }
+  }
+  return statuses;
+}
+
+function countWins(series, games) {
+  const wins = {};
+  let finalCount = 0;
+  for (const team of series.teams) if (team) wins[teamKey(team)] = 0;
+  for (const game of games) {
+    if (!isFinal(game)) continue;
+    finalCount++;
+    const s1 = Number(game.score1);
+    const s2 = Number(game.score2);
+    if (s1 === s2) continue;
+    const winner = teamKey(s1 > s2 ? game.team1 : game.team2);
+    if (winner in wins) wins[winner]++;
+  }
+  return { wins, finalCount };
+}
+
+// Whether the game's date is today where it's played (the machine's own date without a zone)
+function isToday(game, now = new Date()) {
+  const date = game.startDate;
+  if (!date) return false;
+  const clock = gameTime.wallClock(now, game.timeZone) ||
+    { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+  return clock.year === date.year && clock.month === date.month && clock.day === date.day;
+}
+
+function knownTeam(name) {
+  const text = String(name || "").trim();
+  return text && !isPlaceholderTeam(text) ? text : null;
+}
+
+function samePair(a, b) {
+  const ka = a.map((t) => (t ? teamKey(t) : "")).sort().join("|");
+  const kb = b.map((t) => (t ? teamKey(t) : "")).sort().join("|");
+  return ka === kb;
+}
+
+function isFinal(game) {
+  return String(game.score1 ?? "").trim() !== "" && String(game.score2 ?? "").trim() !== "" &&
+    Number.isFinite(Number(game.score1)) && Number.isFinite(Number(game.score2));
+}
+
+function teamKey(name) {
+  return String(name || "").trim().toUpperCase();
+}
+
+module.exports = {
+  DEFAULT_BEST_OF,
+  resolveBestOf,
+  winsNeeded,
+  groupSeries,
+  seriesResult,
+  seriesStatus,
+  buildSeriesStatuses
+};
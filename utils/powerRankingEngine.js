@@ -0,0 +1,167 @@
+// ========== POWER RANKING ENGINE ==========
+// Computed power rankings for tiers nobody has typed PR values for in All Teams.
+// Each team in a tier gets four measures, scaled 0-1 across the tier (best = 1):
+//   pointsPct          – P% from the standings
+//   goalDiff           – goal differential per game played
+//   recentForm         – share of available points taken in the last N games
+//   strengthOfSchedule – average P% of every opponent played
+// score = 100 × weighted average of the scaled measures. Leagues opt in and tune it with
+// league.json "powerRankings": { "computed": true, "recentGames": 5,
+//   "weights": { "pointsPct": 0.4, "goalDiff": 0.25, "recentForm": 0.2, "strengthOfSchedule": 0.15 } }
+
+const { resultPoints } = require("./standingsEngine.js");
+
+const DEFAULT_WEIGHTS = {
+  pointsPct: 0.4,
+  goalDiff: 0.25,
+  recentForm: 0.2,
+  strengthOfSchedule: 0.15
+};
+const DEFAULT_RECENT_GAMES = 5;
+
+/**
+ * Merge league.json "powerRankings" over the defaults.
+ * @param {Object} [config]
+ * @returns {{computed: boolean, recentGames: number, weights: Object}}
+ */
+function resolveSettings(config) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  const custom = (config && config.weights) || {};
+  for (const key in DEFAULT_WEIGHTS) {
+    const value = Number(custom[key]);
+    if (custom[key] !== undefined && custom[key] !== "" && Number.isFinite(value) && value >= 0) weights[key] = value;
+  }
+  const recentGames = Number(config && config.recentGames);
+  return {
+    computed: !!config && config.computed === true,
+    recentGames: Number.isInteger(recentGames) && recentGames > 0 ? recentGames : DEFAULT_RECENT_GAMES,
+    weights
+  };
+}
+
+/**
+ * Rank one tier's teams by weighted score.
+ * @param {Array} tierTeams - Team objects from loadTeamInfo() in the tier
+ * @param {Array} standings - Standings rows for the whole league (opponents may be in other tiers)
+ * @param {Object} results - From standingsEngine.teamResults()
+ * @param {Object} options
+ * @param {Object} options.points - Full point table (standingsEngine.resolvePoints())
+ * @param {Object} [options.weights]
+ * @param {number} [options.recentGames]
+ * @returns {Array<{fullTeam: string, rank: number, score: number, metrics: Object}>} Best first;
+ *   metrics holds the raw measures (pointsPct, goalDiff, recentForm, strengthOfSchedule, recentCount)
+ */
+function rankTier(tierTeams, standings, results, options) {
+  const { weights, recentGames } = resolveSettings({ weights: options.weights, recentGames: options.recentGames });
+  const points = options.points;
+  const maxPoints = Math.max(points.win, points.otWin) || 1;
+
+  const pctByTeam = {};
+  for (const row of standings || []) pctByTeam[normalizeTeam(row.fullTeam)] = parsePct(row.pct);
+
+  const entries = (tierTeams || []).filter((team) => team.fullTeam).map((team) => {
+    const key = normalizeTeam(team.fullTeam);
+    const row = (standings || []).find((r) => normalizeTeam(r.fullTeam) === key) || {};
+    const games = resultsFor(results, key);
+    const recent = games.slice(-recentGames);
+    const gp = Number(row.gp) || games.length;
+    const opponentPcts = games.map((g) => pctByTeam[normalizeTeam(g.opponent)]).filter((v) => v !== undefined);
+
+    return {
+      fullTeam: team.fullTeam,
+      teamName: team.teamName,
+      metrics: {
+        pointsPct: parsePct(row.pct),
+        goalDiff: gp ? (Number(row.diff) || 0) / gp : 0,
+        recentForm: recent.length
+          ? recent.reduce((sum, g) => sum + resultPoints(g.result, points), 0) / (recent.length * maxPoints)
+          : 0,
+        strengthOfSchedule: opponentPcts.length ? opponentPcts.reduce((a, b) => a + b, 0) / opponentPcts.length : 0,
+        recentCount: recent.length
+      }
+    };
+  });
+
+  const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0) || 1;
+  const scaled = {};
+  for (const measure in DEFAULT_WEIGHTS) scaled[measure] = scaleAcrossTier(entries.map((e) => e.metrics[measure]));
+
+  entries.forEach((entry, i) => {
+    let weighted = 0;
+    for (const measure in DEFAULT_WEIGHTS) weighted += weights[measure] * scaled[measure][i];
+    entry.score = Math.round((weighted / totalWeight) * 1000) / 10;
+  });
+
+  entries.sort((a, b) =>
+    b.score - a.score ||
+    b.metrics.pointsPct - a.metrics.pointsPct ||
+    b.metrics.goalDiff - a.metrics.goalDiff ||
+    String(a.teamName || a.fullTeam).localeCompare(String(b.teamName || b.fullTeam)));
+
+  return entries.map((entry, i) => ({ fullTeam: entry.fullTeam, rank: i + 1, score: entry.score, metrics: entry.metrics }));
+}
+
+/**
+ * CSV of a tier's computed ranking, saved next to the graphic so the scores can be reviewed.
+ * @param {Array} ranking - From rankTier()
+ * @param {Object} settings - From resolveSettings()
+ */
+function toScoresCsv(ranking, settings) {
+  const w = settings.weights;
+  const header = [
+    "Rank", "Team", "Score",
+    `P% (w ${w.pointsPct})`,
+    `Goal Diff/GP (w ${w.goalDiff})`,
+    `Last ${settings.recentGames} Form (w ${w.recentForm})`,
+    `Opponent P% (w ${w.strengthOfSchedule})`
+  ];
+  const lines = [header.map(csvCell).join(",")];
+  for (const row of ranking) {
+    const m = row.metrics;
+    lines.push([
+      row.rank, row.fullTeam, row.score.toFixed(1),
+      m.pointsPct.toFixed(3), m.goalDiff.toFixed(2), m.recentForm.toFixed(3), m.strengthOfSchedule.toFixed(3)
+    ].map(csvCell).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Min-max to 0-1; a measure every team shares counts as 0.5 for everyone
+function scaleAcrossTier(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  if (!values.length || max === min) return values.map(() => 0.5);
+  return values.map((v) => (v - min) / (max - min));
+}
+
+function resultsFor(results, teamKey) {
+  for (const team in results || {}) {
+    if (normalizeTeam(team) === teamKey) return results[team];
+  }
+  return [];
+}
+
+// "0.556", ".556", "55.6%" -> 0.556
+function parsePct(value) {
+  const text = String(value ?? "").trim();
+  const n = Number(text.replace(/%$/, ""));
+  if (!text || !Number.isFinite(n)) return 0;
+  return text.endsWith("%") || n > 1 ? n / 100 : n;
+}
+
+function normalizeTeam(name) {
+  return String(name || "").trim().toUpperCase();
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  DEFAULT_RECENT_GAMES,
+  resolveSettings,
+  rankTier,
+  toScoresCsv
+};
@@ -0,0 +1,259 @@
+// ========== SHEET VALIDATOR ==========
+// Declared schema for every league sheet and a validator that turns problems
+// into a structured issue list: { sheet, row, column, message, severity }.
+//   severity "critical" – the sheet can't be used (missing sheet/header/required column); blocks the run
+//   severity "warning"  – a bad value or skipped row; the run continues
+//
+// Column spec:
+//   name       – header text the loader reads
+//   aliases    – alternative headers the loader also accepts
+//   required   – the whole sheet is unusable without this column
+//   type       – "text" (default), "number", "integer", "hex"
+//   allowed    – list of allowed values (case-insensitive)
+//   allowValues – extra literal values accepted for numeric columns (e.g. "#DIV/0!")
+
+const SHEET_SCHEMAS = {
+  "Divisions": {
+    columns: [
+      { name: "Tier", aliases: ["Conference"], required: true },
+      { name: "Division", required: true },
+      { name: "Abb", required: true },
+      { name: "Color 1", type: "hex" },
+      { name: "Color 2", type: "hex" },
+      { name: "Time Zone" },
+      { name: "Location" },
+      { name: "DivShort" },
+      { name: "Min GP (GAA)", type: "number" },
+      { name: "Playoff Teams", aliases: ["Playoff Spots"], type: "integer" }
+    ]
+  },
+  "All Teams": {
+    columns: [
+      { name: "Full Team Name", required: true },
+      { name: "Team Name", required: true },
+      { name: "Division", required: true },
+      { name: "Conference", aliases: ["Tier"] },
+      { name: "Abb" },
+      { name: "Team City" },
+      { name: "Color 1", type: "hex" },
+      { name: "Color 2", type: "hex" },
+      { name: "Color 3", type: "hex" },
+      { name: "PR", type: "integer" },
+      { name: "Aliases" }
+    ]
+  },
+  "SCHEDULE": {
+    columns: [
+      { name: "Week", required: true, type: "integer" },
+      { name: "Team 1", required: true },
+      { name: "Team 2", required: true },
+      { name: "Div 1", required: true },
+      { name: "Div 2" },
+      { name: "Game Type", allowed: ["Regular Season", "Playoffs"] },
+      { name: "Season" },
+      { name: "Date" },
+      { name: "Date Short" },
+      { name: "Day" },
+      { name: "Time" },
+      { name: "Score 1", type: "integer" },
+      { name: "Score 2", type: "integer" },
+      { name: "Final" },
+      { name: "Location" },
+      { name: "Seed 1", type: "integer" },
+      { name: "Seed 2", type: "integer" },
+      { name: "Round" }
+    ]
+  },
+  "STANDINGS": {
+    columns: [
+      { name: "Team Name", required: true },
+      { name: "Division", required: true },
+      { name: "GP", type: "integer" },
+      { name: "W", type: "integer" },
+      { name: "OTW", type: "integer" },
+      { name: "OTL", type: "integer" },
+      { name: "L", type: "integer" },
+      { name: "PTS", type: "number" },
+      { name: "DIFF", type: "number" },
+      { name: "P%", type: "number", allowValues: ["#DIV/0!"] },
+      { name: "GF", type: "integer" },
+      { name: "GA", type: "integer" },
+      { name: "RANK", type: "integer" }
+    ]
+  },
+  "PLAYER STATS": {
+    columns: [
+      { name: "First Name", required: true },
+      { name: "Last Name", required: true },
+      { name: "Team", required: true },
+      { name: "Division", required: true },
+      { name: "G", type: "integer" },
+      { name: "A", type: "integer" },
+      { name: "PTS", type: "integer" },
+      { name: "PTS/GP", type: "number", allowValues: ["#DIV/0!"] },
+      { name: "GP", type: "integer" }
+    ]
+  },
+  "GOALIE STATS": {
+    columns: [
+      { name: "First Name", required: true },
+      { name: "Last Name", required: true },
+      { name: "Team", required: true },
+      { name: "Division", required: true },
+      { name: "GA", type: "integer" },
+      { name: "GAA", type: "number", allowValues: ["#DIV/0!"] },
+      { name: "GP", type: "integer" },
+      { name: "Wins", aliases: ["WINS", "W"], type: "integer" },
+      { name: "SV%", type: "number", allowValues: ["#DIV/0!"] },
+      { name: "SO", aliases: ["Shutouts"], type: "integer" }
+    ]
+  },
+  "HAVE A DAY PLAYER": {
+    optional: true,
+    matchHeadersLoosely: true,
+    columns: [
+      { name: "WEEK", required: true, type: "integer" },
+      { name: "FIRST NAME", aliases: ["FIRST"], required: true },
+      { name: "LAST NAME", aliases: ["LAST"], required: true },
+      { name: "TEAM", aliases: ["TEAM NAME"], required: true },
+      { name: "GOALS", aliases: ["G"], type: "integer" },
+      { name: "ASSISTS", aliases: ["A"], type: "integer" },
+      { name: "POINTS", aliases: ["PTS"], type: "integer" },
+      { name: "WINS", aliases: ["W"], type: "integer" }
+    ]
+  },
+  "HAVE A DAY GOALIE": {
+    optional: true,
+    matchHeadersLoosely: true,
+    columns: [
+      { name: "WEEK", required: true, type: "integer" },
+      { name: "FIRST NAME", aliases: ["FIRST"], required: true },
+      { name: "LAST NAME", aliases: ["LAST"], required: true },
+      { name: "TEAM", aliases: ["TEAM NAME"], required: true },
+      { name: "GP", aliases: ["GAMES PLAYED"], type: "integer" },
+      { name: "GAA", type: "number" },
+      { name: "WINS", aliases: ["W"], type: "integer" }
+    ]
+  },
+  "TOP PLAYS": {
+    optional: true,
+    matchHeadersLoosely: true,
+    columns: [
+      { name: "RANK", aliases: ["#"], required: true },
+      { name: "NAMES", aliases: ["NAME"] },
+      { name: "TEAM", aliases: ["TEAM NAME"], required: true }
+    ]
+  }
+};
+
+// Playoff stat sheets share the regular-season layouts but may not exist for every league
+SHEET_SCHEMAS["PLAYOFF PLAYER STATS"] = { ...SHEET_SCHEMAS["PLAYER STATS"], optional: true };
+SHEET_SCHEMAS["PLAYOFF GOALIE STATS"] = { ...SHEET_SCHEMAS["GOALIE STATS"], optional: true };
+
+// Stop listing the same problem after this many rows per column
+const MAX_ISSUES_PER_COLUMN = 5;
+
+/**
+ * Validate parsed rows against the sheet's schema.
+ * @param {string} sheetName - Logical sheet name (key of SHEET_SCHEMAS)
+ * @param {string[][]} rows - Parsed rows
+ * @param {number} headerIdx - Index of the header row (-1 if no header was found)
+ * @returns {Array<{sheet: string, row: number|null, column: string|null, message: string, severity: string}>}
+ */
+function validateSheet(sheetName, rows, headerIdx = 0) {
+  const schema = SHEET_SCHEMAS[sheetName];
+  if (!schema) return [];
+
+  const issues = [];
+  const headerSeverity = schema.optional ? "warning" : "critical";
+  const header = rows && headerIdx >= 0 ? rows[headerIdx] : null;
+
+  if (!header || !header.length) {
+    issues.push(makeIssue(sheetName, null, null, "Sheet is empty or its header row could not be found.", headerSeverity));
+    return issues;
+  }
+
+  const normalize = (v) => (schema.matchHeadersLoosely ? String(v || "").trim().toUpperCase() : String(v || ""));
+  const headerIndex = {};
+  header.forEach((h, i) => {
+    const key = normalize(h);
+    if (key && headerIndex[key] === undefined) headerIndex[key] = i;
+  });
+
+  // Resolve every column to an index (or report it missing)
+  const resolved = [];
+  for (const column of schema.columns) {
+    const names = [column.name, ...(column.aliases || [])];
+    const idx = names.map((n) => headerIndex[normalize(n)]).find((i) => i !== undefined);
+    if (idx === undefined) {
+      if (column.required) {
+        const alsoAccepted = column.aliases && column.aliases.length ? ` (or ${column.aliases.map((a) => `"${a}"`).join(", ")})` : "";
+        issues.push(makeIssue(sheetName, headerIdx + 1, column.name, `Missing required column "${column.name}"${alsoAccepted}.`, headerSeverity));
+      }
+      continue;
+    }
+    resolved.push({ column, idx });
+  }
+
+  // Row values
+  const counts = {};
+  for (let n = headerIdx + 1; n < rows.length; n++) {
+    const row = rows[n];
+    if (!row || row.every((v) => String(v || "").trim() === "")) continue;
+
+    for (const { column, idx } of resolved) {
+      const message = checkValue(String(row[idx] ?? "").trim(), column);
+      if (!message) continue;
+
+      counts[column.name] = (counts[column.name] || 0) + 1;
+      if (counts[column.name] <= MAX_ISSUES_PER_COLUMN) {
+        issues.push(makeIssue(sheetName, n + 1, column.name, message, "warning"));
+      }
+    }
+  }
+
+  for (const columnName in counts) {
+    const extra = counts[columnName] - MAX_ISSUES_PER_COLUMN;
+    if (extra > 0) {
+      issues.push(makeIssue(sheetName, null, columnName, `…and ${extra} more rows with the same problem.`, "warning"));
+    }
+  }
+
+  return issues;
+}
+
+// Returns an error message for a bad cell, or null if the value is fine
+function checkValue(value, column) {
+  if (value === "") return null;
+  if (column.allowValues && column.allowValues.includes(value)) return null;
+
+  const type = column.type || "text";
+  if (type === "number" && !isNumeric(value)) {
+    return `Expected a number, got "${value}".`;
+  }
+  if (type === "integer" && !(isNumeric(value) && Number.isInteger(Number(value)))) {
+    return `Expected a whole number, got "${value}".`;
+  }
+  if (type === "hex" && !/^#?[0-9a-f]{6}$/i.test(value)) {
+    return `Expected a hex color like "1a2b3c", got "${value}".`;
+  }
+  if (column.allowed) {
+    const ok = column.allowed.some((a) => a.toUpperCase() === value.toUpperCase());
+    if (!ok) return `"${value}" is not one of: ${column.allowed.join(", ")}.`;
+  }
+  return null;
+}
+
+function isNumeric(value) {
+  return value !== "" && Number.isFinite(Number(String(value).replace(/%$/, "")));
+}
+
+function makeIssue(sheet, row, column, message, severity) {
+  return { sheet, row, column, message, severity };
+}
+
+module.exports = {
+  SHEET_SCHEMAS,
+  validateSheet,
+  makeIssue
+};
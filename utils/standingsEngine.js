@@ -0,0 +1,252 @@
+// ========== STANDINGS ENGINE ==========
+// Builds standings rows from final games in the schedule, for leagues without a
+// hand-maintained STANDINGS sheet or to cross-check one. Output rows have the
+// same shape loadStandings() builds from the sheet, so the standings features
+// consume them unchanged:
+//   { fullTeam, teamCity, teamName, div, gp, w, otw, otl, l, t, pts, diff, pct, gf, ga, rank }
+//
+// A game counts once both scores are filled in. It is an overtime/shootout result
+// when its Final column mentions OT or SO (e.g. "Final/OT", "FINAL SO").
+// W is regulation wins; OTW and OTL are overtime/shootout results; ties are kept
+// in T and also added to OTL, which is the slot templates use for "OTL or T".
+// Rows come back unranked; utils/tiebreakers.js orders them and sets rank.
+// teamResults() gives the same games per team in the order they were played
+// (recent form, streaks).
+
+const { compareGamesByStart } = require("./gameTime.js");
+
+// Points per result. Leagues override any of these in league.json "standings.points".
+const DEFAULT_POINTS = {
+  win: 2,     // regulation win
+  otWin: 2,   // overtime/shootout win
+  otLoss: 1,  // overtime/shootout loss
+  loss: 0,    // regulation loss
+  tie: 1
+};
+
+/**
+ * Merge a league's point values over the defaults.
+ * @param {Object} [points] - Partial { win, otWin, otLoss, loss, tie }
+ * @returns {Object} Full point table
+ */
+function resolvePoints(points) {
+  const resolved = { ...DEFAULT_POINTS };
+  for (const key in DEFAULT_POINTS) {
+    const value = Number(points && points[key]);
+    if (points && points[key] !== undefined && points[key] !== "" && Number.isFinite(value)) resolved[key] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Compute standings from schedule results.
+ * @param {Array} schedule - Game objects from loadSchedule()
+ * @param {Array} teams - Team objects from loadTeamInfo() (division and names come from here)
+ * @param {Object} [options]
+ * @param {Object} [options.points] - Point values (see DEFAULT_POINTS)
+ * @param {boolean} [options.includePlayoffs=false] - Count playoff games too
+ * @param {number|null} [options.throughWeek=null] - Ignore games after this week
+ * @returns {Array} Standings rows (rank left blank)
+ */
+function computeStandings(schedule, teams, options = {}) {
+  const points = resolvePoints(options.points);
+  const throughWeek = options.throughWeek === null || options.throughWeek === undefined ? null : Number(options.throughWeek);
+  const records = {};
+
+  // Every rostered team gets a row, even before it has played
+  for (const team of teams || []) {
+    if (!team.fullTeam) continue;
+    records[team.fullTeam] = newRecord(team.fullTeam, `${team.conf} ${team.div}`);
+  }
+
+  for (const game of schedule || []) {
+    if (!isCountedGame(game, options.includePlayoffs, throughWeek)) continue;
+
+    const score1 = Number(game.score1);
+    const score2 = Number(game.score2);
+    const overtime = isOvertimeResult(game.status);
+    const home = records[game.team1] || (records[game.team1] = newRecord(game.team1, ""));
+    const away = records[game.team2] || (records[game.team2] = newRecord(game.team2, ""));
+
+    applyResult(home, score1, score2, overtime);
+    applyResult(away, score2, score1, overtime);
+  }
+
+  return Object.values(records).map((record) => toStandingsRow(record, points));
+}
+
+/**
+ * Each team's counted games in the order they were played.
+ * @param {Array} schedule - Game objects from loadSchedule()
+ * @param {Object} [options]
+ * @param {boolean} [options.includePlayoffs=false]
+ * @param {number|null} [options.throughWeek=null]
+ * @returns {Object} fullTeam -> [{ week, opponent, gf, ga, result }], result "W", "OTW", "OTL", "L" or "T"
+ */
+function teamResults(schedule, options = {}) {
+  const throughWeek = options.throughWeek === null || options.throughWeek === undefined ? null : Number(options.throughWeek);
+  const games = (schedule || [])
+    .filter((game) => isCountedGame(game, options.includePlayoffs, throughWeek))
+    .slice()
+    .sort(compareGamesByStart);
+
+  const results = {};
+  for (const game of games) {
+    const score1 = Number(game.score1);
+    const score2 = Number(game.score2);
+    const overtime = isOvertimeResult(game.status);
+    (results[game.team1] = results[game.team1] || []).push(
+      { week: Number(game.week), opponent: game.team2, gf: score1, ga: score2, result: resultCode(score1, score2, overtime) });
+    (results[game.team2] = results[game.team2] || []).push(
+      { week: Number(game.week), opponent: game.team1, gf: score2, ga: score1, result: resultCode(score2, score1, overtime) });
+  }
+  return results;
+}
+
+function resultCode(goalsFor, goalsAgainst, overtime) {
+  if (goalsFor === goalsAgainst) return "T";
+  if (goalsFor > goalsAgainst) return overtime ? "OTW" : "W";
+  return overtime ? "OTL" : "L";
+}
+
+/**
+ * Each team's current streak and last-five record.
+ * Overtime/shootout wins count as wins; ties and overtime losses share the OTL slot.
+ * @param {Array} schedule - Game objects from loadSchedule()
+ * @param {Object} [options] - teamResults() options, plus recentGames (default 5)
+ * @returns {Object} fullTeam -> { streak: "W3" | "L2" | "OTL1" | "T1", lastFive: "3-1-1" (W-L-OTL) }
+ */
+function teamForm(schedule, options = {}) {
+  const recentGames = Number(options.recentGames) > 0 ? Number(options.recentGames) : 5;
+  const results = teamResults(schedule, options);
+  const form = {};
+  for (const team in results) {
+    const kinds = results[team].map((game) => streakKind(game.result));
+    let count = 0;
+    for (let i = kinds.length - 1; i >= 0 && kinds[i] === kinds[kinds.length - 1]; i--) count++;
+
+    const recent = kinds.slice(-recentGames);
+    const wins = recent.filter((k) => k === "W").length;
+    const losses = recent.filter((k) => k === "L").length;
+    form[team] = {
+      streak: count ? `${kinds[kinds.length - 1]}${count}` : "",
+      lastFive: `${wins}-${losses}-${recent.length - wins - losses}`
+    };
+  }
+  return form;
+}
+
+function streakKind(result) {
+  return result === "OTW" ? "W" : result;
+}
+
+/**
+ * Points a result code earns.
+ * @param {string} result - From teamResults()
+ * @param {Object} points - Full point table (see resolvePoints())
+ */
+function resultPoints(result, points) {
+  switch (result) {
+    case "W": return points.win;
+    case "OTW": return points.otWin;
+    case "OTL": return points.otLoss;
+    case "T": return points.tie;
+    default: return points.loss;
+  }
+}
+
+function newRecord(fullTeam, div) {
+  return { fullTeam, div, gp: 0, w: 0, otw: 0, otl: 0, l: 0, t: 0, gf: 0, ga: 0 };
+}
+
+function isCountedGame(game, includePlayoffs, throughWeek) {
+  if (!game || !game.team1 || !game.team2) return false;
+  if (String(game.score1 ?? "").trim() === "" || String(game.score2 ?? "").trim() === "") return false;
+  if (!Number.isFinite(Number(game.score1)) || !Number.isFinite(Number(game.score2))) return false;
+  if (!includePlayoffs && String(game.gameType || "").trim().toUpperCase() === "PLAYOFFS") return false;
+  if (throughWeek !== null && Number(game.week) > throughWeek) return false;
+  return true;
+}
+
+function isOvertimeResult(status) {
+  return /\b(OT|SO|OVERTIME|SHOOTOUT)\b/i.test(String(status || "").replace(/[/_-]/g, " "));
+}
+
+function applyResult(record, goalsFor, goalsAgainst, overtime) {
+  record.gp++;
+  record.gf += goalsFor;
+  record.ga += goalsAgainst;
+  if (goalsFor === goalsAgainst) record.t++;
+  else if (goalsFor > goalsAgainst) overtime ? record.otw++ : record.w++;
+  else overtime ? record.otl++ : record.l++;
+}
+
+function toStandingsRow(record, points) {
+  const pts = record.w * points.win + record.otw * points.otWin + record.otl * points.otLoss + record.l * points.loss + record.t * points.tie;
+  const maxPoints = record.gp * Math.max(points.win, points.otWin);
+  const diff = record.gf - record.ga;
+
+  return {
+    fullTeam: record.fullTeam,
+    teamCity: null,
+    teamName: null,
+    div: record.div,
+    gp: String(record.gp),
+    w: String(record.w),
+    otw: String(record.otw),
+    otl: String(record.otl + record.t),
+    l: String(record.l),
+    t: String(record.t),
+    pts: String(pts),
+    diff: String(diff),
+    pct: maxPoints ? (pts / maxPoints).toFixed(3) : "0.000",
+    gf: String(record.gf),
+    ga: String(record.ga),
+    rank: ""
+  };
+}
+
+// Columns compared by compareStandings(); rank is left out since sheets often sort differently
+const COMPARED_FIELDS = ["gp", "w", "otw", "otl", "l", "pts", "gf", "ga"];
+
+/**
+ * Cross-check sheet standings against computed ones.
+ * @param {Array} sheetRows - Rows from the STANDINGS sheet
+ * @param {Array} computedRows - Rows from computeStandings()
+ * @returns {Array<{team: string, field: string, sheet: string, computed: string}>} One entry per mismatch
+ */
+function compareStandings(sheetRows, computedRows) {
+  const computedByTeam = {};
+  for (const row of computedRows || []) computedByTeam[normalizeTeam(row.fullTeam)] = row;
+
+  const mismatches = [];
+  for (const sheetRow of sheetRows || []) {
+    const computed = computedByTeam[normalizeTeam(sheetRow.fullTeam)];
+    if (!computed) {
+      mismatches.push({ team: sheetRow.fullTeam, field: "team", sheet: sheetRow.fullTeam, computed: "" });
+      continue;
+    }
+    for (const field of COMPARED_FIELDS) {
+      const sheetValue = String(sheetRow[field] ?? "").trim();
+      if (sheetValue === "") continue;
+      if (Number(sheetValue) !== Number(computed[field])) {
+        mismatches.push({ team: sheetRow.fullTeam, field, sheet: sheetValue, computed: computed[field] });
+      }
+    }
+  }
+  return mismatches;
+}
+
+function normalizeTeam(name) {
+  return String(name || "").trim().toUpperCase();
+}
+
+module.exports = {
+  DEFAULT_POINTS,
+  resolvePoints,
+  computeStandings,
+  compareStandings,
+  teamResults,
+  teamForm,
+  resultPoints
+};
@@ -0,0 +1,128 @@
+// ========== STANDINGS PAGES ==========
+// Page layout and export naming shared by the default and NBHL STANDINGS handlers:
+// a division's standings are split into pages of at most MAX_TEAMS_PER_PAGE rows, each
+// exported as "<DIV>_Standings_<page>.png", with the tiebreak explanations written next to them.
+// Also the optional clinch layers and name prefix each TEAM row can carry, and the data a
+// STANDINGS binding spec (utils/layerBindings.js) reads for each page.
+
+const { getByName } = require("./layerHelpers.js");
+
+const MAX_TEAMS_PER_PAGE = 9;
+const EXPORT_PREFIX = "Standings";
+
+/**
+ * Split standings into pages where all pages except the last have the same size,
+ * and no page is larger than MAX_TEAMS_PER_PAGE.
+ *   12 teams -> 6 + 6     15 teams -> 8 + 7     19 teams -> 7 + 7 + 5     20 teams -> 7 + 7 + 6
+ * @param {Array} standings - Rows in rank order
+ * @returns {Array<Array>}
+ */
+function chunkStandings(standings) {
+  const numOfTeams = standings.length;
+  const chunks = [];
+  if (numOfTeams <= MAX_TEAMS_PER_PAGE) {
+    chunks.push(standings);
+  } else {
+    const numChunks = Math.ceil(numOfTeams / MAX_TEAMS_PER_PAGE);
+    const chunkSize = Math.ceil(numOfTeams / numChunks); // size for all but last
+
+    let startIndex = 0;
+    for (let c = 0; c < numChunks; c++) {
+      const isLast = (c === numChunks - 1);
+      const endIndex = isLast ? numOfTeams : startIndex + chunkSize;
+      const chunk = standings.slice(startIndex, endIndex);
+      if (chunk.length) chunks.push(chunk);
+      startIndex = endIndex;
+    }
+  }
+  return chunks;
+}
+
+/** PNG file name for one page of a division's standings */
+function standingsExportName(divAbb, chunkIndex) {
+  return `${divAbb}_${EXPORT_PREFIX}_${chunkIndex + 1}.png`;
+}
+
+/**
+ * Why tied teams in this division were ordered the way they were.
+ * @param {Array} explanations - From leagueConfig.getTiebreakExplanations()
+ * @param {string} confDiv - "conf div"
+ * @param {function(string): string} toConfDiv - Normalizes an explanation's div (leagueConfig.normalizeDivName)
+ * @returns {string[]}
+ */
+function divisionTiebreakLines(explanations, confDiv, toConfDiv) {
+  return (explanations || [])
+    .filter((e) => toConfDiv(e.div) === confDiv)
+    .map((e) => e.text);
+}
+
+/** Write the tiebreak explanations next to the division's standings export */
+async function writeTiebreakNote(exportFolder, divAbb, lines) {
+  if (!lines.length) return;
+  const noteFile = await exportFolder.createFile(`${divAbb}_${EXPORT_PREFIX}_TIEBREAKERS.txt`, { overwrite: true });
+  await noteFile.write(lines.join("\n") + "\n");
+}
+
+/**
+ * What a STANDINGS.bindings.json spec reads for page h: the handler's binding data (the
+ * same data its build fingerprint hashes), with this page's rows and their stats by name.
+ * @param {Object} bindingData - Per-page rows in bindingData.pages
+ * @param {Array} chunk - The page's standings rows
+ * @param {number} h - Page index
+ * @param {number|string} week
+ * @returns {Object}
+ */
+function standingsBindingContext(bindingData, chunk, h, week) {
+  return {
+    ...bindingData,
+    week,
+    page: h + 1,
+    rows: chunk.map((row, i) => ({
+      ...bindingData.pages[h][i],
+      fullTeam: row.fullTeam,
+      gp: row.gp,
+      w: row.w,
+      otw: row.otw,
+      otl: row.otl,
+      l: row.l,
+      pts: row.pts,
+      pct: row.pct,
+      streak: row.streak,
+      lastFive: row.lastFive
+    }))
+  };
+}
+
+/**
+ * Optional clinch layers in a TEAM row: a "CLINCH" text layer showing the flag (hidden when
+ * there is none) and a "CLINCH BADGE" group whose X / Y / E layer matching the flag is shown.
+ * @param {Layer} teamFolder - The row's TEAM n group
+ * @param {string} flag - Clinch flag ("x", "y", "e") or "" when the team hasn't clinched
+ */
+function applyClinchLayers(teamFolder, flag) {
+  const clinchText = getByName(teamFolder, "CLINCH");
+  if (clinchText && clinchText.textItem) {
+    clinchText.visible = !!flag;
+    if (flag) clinchText.textItem.contents = flag;
+  }
+  const badge = getByName(teamFolder, "CLINCH BADGE");
+  if (badge && badge.layers) {
+    for (const layer of badge.layers) layer.visible = !!flag && String(layer.name || "").trim().toUpperCase() === flag.toUpperCase();
+  }
+}
+
+/** "x - BOSTON" when league.json "standings.clinchPrefix" is on */
+function withClinchPrefix(text, flag, clinchPrefix) {
+  return clinchPrefix && flag ? `${flag} - ${text}` : text;
+}
+
+module.exports = {
+  MAX_TEAMS_PER_PAGE,
+  chunkStandings,
+  standingsExportName,
+  divisionTiebreakLines,
+  writeTiebreakNote,
+  applyClinchLayers,
+  withClinchPrefix,
+  standingsBindingContext
+};
@@ -0,0 +1,126 @@
+// ========== TEAM RESOLVER ==========
+// Matches the team names typed into schedule, standings, stats, HAVE A DAY and
+// TOP PLAYS sheets to the teams in "All Teams". Tried in order:
+//   1. exact key  – Full Team Name, Team Name, "City Name" and the team's aliases
+//                   (All Teams "Aliases" column, league.json "teamAliases")
+//   2. fuzzy      – one unambiguous key within a small edit distance (typos like "Bostn Owls")
+// Keys are compared after normalizeTeamKey(): case, punctuation, accents and a leading
+// "The" don't matter. A key shared by two teams (e.g. two "Owls") is never used.
+
+// Names that stand in for a team that isn't known yet; never reported as unresolved
+const PLACEHOLDER_PATTERN = /^(TBD|TBA|BYE|OPEN|N\/?A|-+)$|\b(WINNER|LOSER|SEED)\b/i;
+
+/**
+ * Normalize a team name for comparison.
+ * "The Boston Owls!" -> "BOSTON OWLS"
+ */
+function normalizeTeamKey(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/&/g, " AND ")
+    .replace(/[^A-Z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^THE /, "");
+}
+
+/**
+ * Build a resolver over the league's teams.
+ * @param {Array} teams - Team objects from loadTeamInfo() (aliases from the "Aliases" column)
+ * @param {Object} [extraAliases] - { "alias": "Full Team Name" } from league.json "teamAliases"
+ * @returns {{resolve: function(string): ({team: Object, match: string}|null)}}
+ *   match is "exact" or "fuzzy"; null when nothing matches (or the name is blank)
+ */
+function createTeamResolver(teams, extraAliases = {}) {
+  const index = new Map(); // key -> team, or null when the key is ambiguous
+  const addKey = (key, team) => {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, team);
+    else if (index.get(key) !== team) index.set(key, null);
+  };
+
+  for (const team of teams || []) {
+    if (!team.fullTeam) continue;
+    addKey(normalizeTeamKey(team.fullTeam), team);
+    addKey(normalizeTeamKey(team.teamName), team);
+    addKey(normalizeTeamKey(`${team.teamCity || ""} ${team.teamName || ""}`), team);
+    for (const alias of team.aliases || []) addKey(normalizeTeamKey(alias), team);
+  }
+
+  // league.json aliases point at a team name that itself resolves exactly
+  for (const alias in extraAliases || {}) {
+    const target = index.get(normalizeTeamKey(extraAliases[alias]));
+    if (target) addKey(normalizeTeamKey(alias), target);
+  }
+
+  // Only full names are fuzzy-matched; short keys (nicknames) are too close to each other
+  const fuzzyKeys = [...index.keys()].filter((key) => index.get(key) && key.length >= 6);
+
+  function resolve(name) {
+    const key = normalizeTeamKey(name);
+    if (!key) return null;
+    if (index.has(key)) {
+      const team = index.get(key);
+      return team ? { team, match: "exact" } : null;
+    }
+    const fuzzy = fuzzyMatch(key, fuzzyKeys, index);
+    return fuzzy ? { team: fuzzy, match: "fuzzy" } : null;
+  }
+
+  return { resolve };
+}
+
+// The single team within the allowed distance, or null when none or several teams qualify
+function fuzzyMatch(key, keys, index) {
+  if (key.length < 5) return null;
+  const allowed = key.length >= 12 ? 2 : 1;
+
+  let best = null;
+  let bestDistance = Infinity;
+  let tiedTeams = new Set();
+  for (const candidate of keys) {
+    if (Math.abs(candidate.length - key.length) > allowed) continue;
+    const distance = editDistance(key, candidate, allowed);
+    if (distance > allowed) continue;
+    const team = index.get(candidate);
+    if (distance < bestDistance) {
+      best = team;
+      bestDistance = distance;
+      tiedTeams = new Set([team]);
+    } else if (distance === bestDistance) {
+      tiedTeams.add(team);
+    }
+  }
+  return tiedTeams.size === 1 ? best : null;
+}
+
+// Levenshtein distance, giving up (returns limit + 1) once every path exceeds limit
+function editDistance(a, b, limit) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/** True for "TBD", "Winner of Game 3" and similar stand-ins */
+function isPlaceholderTeam(name) {
+  return PLACEHOLDER_PATTERN.test(String(name || "").trim());
+}
+
+module.exports = {
+  normalizeTeamKey,
+  createTeamResolver,
+  isPlaceholderTeam
+};
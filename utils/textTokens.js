@@ -0,0 +1,296 @@
+// ========== TEXT TOKENS ==========
+// Placeholders written straight into a template's text layers, filled from the feature's data
+// just before export:  "{{team1.city}} vs {{team2.city}}",  "WEEK {{week}} • {{conf.location}}"
+// A token is a data path (same expressions as utils/layerBindings.js) followed by filters:
+//   {{team.rank | ordinal}}        -> "3rd"
+//   {{date | date:short | upper}}  -> "JAN 9"
+//   {{game.series | default:'GAME 1'}}
+// Filters: upper, lower, ordinal, date (long, short, numeric, weekday; default "FRIDAY, JANUARY 9"),
+// default:'text'. Every feature passes the league context from leagueConfig.getTokenContext()
+// (league.key, league.name, week, season, today) plus its own data; groups repeated per game
+// or team (MATCH n, TEAM n) get a scope with that game or team. Unknown tokens and filters stay
+// in the text as written and are logged once per template.
+
+const { evaluate } = require("./layerBindings.js");
+const gameTime = require("./gameTime.js");
+
+const TOKEN_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const SHORT_MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+// Original text of every token layer ("<doc id>:<layer id>"), so documents exported more than
+// once (standings pages, thumbnail variants) fill the template text again, not the last page's
+const originalText = new Map();
+// Unknown tokens already logged, per label
+const reported = new Set();
+
+/**
+ * Fill {{tokens}} in every text layer of a document.
+ * @param {Document} doc
+ * @param {Object} context - Values the tokens read
+ * @param {Object} [options]
+ * @param {Array<{layer: Layer, context: Object}>} [options.scopes] - Groups whose layers also see
+ *   extra values, e.g. { layer: MATCH 2 group, context: { game, team1, team2 } }
+ * @param {string} [options.locale] - For the date filter (default context.locale, else "en-US")
+ * @param {string} [options.label] - Template name for the unknown-token warning
+ * @returns {{replaced: number, unknown: string[]}} Layers changed and tokens that couldn't be filled
+ */
+function applyTokens(doc, context, options = {}) {
+  const result = { replaced: 0, unknown: [] };
+  if (!doc) return result;
+  const scopes = options.scopes || [];
+  const locale = options.locale || (context && context.locale) || "en-US";
+
+  const visit = (layers, scopeContext) => {
+    for (const layer of layers || []) {
+      const scope = scopes.find((s) => s.layer && (s.layer === layer || (s.layer._id !== undefined && s.layer._id === layer._id)));
+      const layerContext = scope ? { ...scopeContext, ...scope.context } : scopeContext;
+      if (layer.layers) {
+        visit(layer.layers, layerContext);
+        continue;
+      }
+      const key = `${doc._id}:${layer._id}`;
+      let source = originalText.get(key);
+      if (source === undefined) {
+        const contents = readText(layer);
+        if (contents === null || !contents.includes("{{")) continue;
+        source = contents;
+        if (layer._id !== undefined) originalText.set(key, source);
+      }
+      const { text, unknown } = fillTokens(source, layerContext, { locale });
+      layer.textItem.contents = text;
+      result.replaced++;
+      for (const token of unknown) if (!result.unknown.includes(token)) result.unknown.push(token);
+    }
+  };
+  visit(doc.layers, context || {});
+
+  const label = options.label || doc.name || "document";
+  const fresh = result.unknown.filter((token) => !reported.has(`${label}|${token}`));
+  if (fresh.length) {
+    fresh.forEach((token) => reported.add(`${label}|${token}`));
+    console.warn(`⚠️ ${label}: unknown tokens left as written: ${fresh.join(", ")}`);
+  }
+  return result;
+}
+
+/**
+ * Put the {{tokens}} back into a document's text layers, for features that save over the
+ * template itself rather than a working copy.
+ * @param {Document} doc
+ * @returns {number} Layers restored
+ */
+function restoreTokens(doc) {
+  let restored = 0;
+  const visit = (layers) => {
+    for (const layer of layers || []) {
+      if (layer.layers) {
+        visit(layer.layers);
+        continue;
+      }
+      const key = `${doc._id}:${layer._id}`;
+      if (!originalText.has(key)) continue;
+      layer.textItem.contents = originalText.get(key);
+      originalText.delete(key);
+      restored++;
+    }
+  };
+  if (doc) visit(doc.layers);
+  return restored;
+}
+
+/**
+ * Fill the tokens in one string.
+ * @param {string} text
+ * @param {Object} context
+ * @param {Object} [options]
+ * @param {string} [options.locale="en-US"]
+ * @returns {{text: string, unknown: string[]}} unknown holds each token (as written) that
+ *   named a missing value or filter
+ */
+function fillTokens(text, context, options = {}) {
+  const unknown = [];
+  const filled = String(text ?? "").replace(TOKEN_PATTERN, (token, body) => {
+    const [expression, ...filters] = splitFilters(body);
+    let value = expression ? evaluate(expression, context || {}) : undefined;
+    let badFilter = false;
+    for (const filter of filters) {
+      const applied = applyFilter(value, filter, options.locale || "en-US");
+      if (!applied.known) badFilter = true;
+      else value = applied.value;
+    }
+    // Dates print in the default style without a filter; other objects ({{team1}}) have no text
+    if (value && typeof value === "object") value = isDateLike(value) ? formatDateValue(value, "default", options.locale || "en-US") : undefined;
+    // A missing value stays undefined through every filter but default:'...'
+    if (badFilter || value === undefined) {
+      unknown.push(token);
+      return token;
+    }
+    return value === null || value === undefined ? "" : String(value);
+  });
+  return { text: filled, unknown };
+}
+
+// "team.rank | ordinal | default:'-'" -> ["team.rank", "ordinal", "default:'-'"] (pipes inside quotes kept)
+function splitFilters(body) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+  for (const ch of String(body)) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === "\"") {
+      quote = ch;
+    } else if (ch === "|") {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+function filterName(filter) {
+  return String(filter).split(":")[0].trim().toLowerCase();
+}
+
+function applyFilter(value, filter, locale) {
+  const name = filterName(filter);
+  const arg = String(filter).includes(":") ? String(filter).slice(String(filter).indexOf(":") + 1).trim().replace(/^'(.*)'$|^"(.*)"$/, "$1$2") : "";
+  const text = value === null || value === undefined ? ""
+    : typeof value === "object" && isDateLike(value) && name !== "date" ? formatDateValue(value, "default", locale) : String(value);
+  switch (name) {
+    case "upper":
+      return { known: true, value: value === undefined ? undefined : text.toUpperCase() };
+    case "lower":
+      return { known: true, value: value === undefined ? undefined : text.toLowerCase() };
+    case "ordinal":
+      return { known: true, value: value === undefined ? undefined : ordinal(text) };
+    case "date":
+      return { known: true, value: value === undefined ? undefined : formatDateValue(value, arg || "default", locale) };
+    case "default":
+      return { known: true, value: text === "" ? arg : value };
+    default:
+      return { known: false, value };
+  }
+}
+
+// "1" -> "1st", "12" -> "12th", "T-3" -> "T-3rd"; anything without a trailing number is unchanged
+function ordinal(text) {
+  const match = String(text).match(/^(.*?)(\d+)$/);
+  if (!match) return text;
+  const n = Number(match[2]);
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+  return `${match[1]}${match[2]}${suffix}`;
+}
+
+function isDateLike(value) {
+  return value instanceof Date || !!value.startDate || !!(value.year && value.month && value.day);
+}
+
+/**
+ * Format a date token value: a Date, a { year, month, day } (game.startDate), a game from
+ * loadSchedule(), or a sheet date string.
+ * @param {string} style - "default" (FRIDAY, JANUARY 9), "long" (with year), "short" (JAN 9),
+ *   "numeric" (1/9) or "weekday" (FRIDAY)
+ */
+function formatDateValue(value, style, locale) {
+  let instant = null;
+  let zone = gameTime.resolveTimeZone("UTC");
+  if (value instanceof Date) {
+    instant = value;
+  } else if (value && typeof value === "object" && value.startDate) {
+    if (value.start && value.timeZone) {
+      instant = value.start;
+      zone = value.timeZone;
+    } else {
+      value = value.startDate;
+    }
+  }
+  if (!instant && value && typeof value === "object" && value.year && value.month && value.day) {
+    instant = new Date(Date.UTC(value.year, value.month - 1, value.day, 12));
+  }
+  if (!instant && typeof value === "string") {
+    const parsed = gameTime.parseGameDate(value, new Date().getFullYear());
+    if (!parsed) return value;
+    instant = new Date(Date.UTC(parsed.year, parsed.month - 1, parsed.day, 12));
+  }
+  const clock = instant ? gameTime.wallClock(instant, zone) : null;
+  if (!clock) return value === null || value === undefined ? "" : String(value);
+
+  switch (String(style).toLowerCase()) {
+    case "long":
+      return gameTime.formatDate(instant, zone, locale, { weekday: true, year: true });
+    case "short":
+      return `${SHORT_MONTHS[clock.month - 1]} ${clock.day}`;
+    case "numeric":
+      return `${clock.month}/${clock.day}`;
+    case "weekday":
+      return gameTime.formatDate(instant, zone, locale, { weekday: true, year: false }).split(",")[0];
+    default:
+      return gameTime.formatDate(instant, zone, locale, { weekday: true, year: false });
+  }
+}
+
+/**
+ * Token values for a team from All Teams: {{team1.name}}, {{team1.city}}, ...
+ * @param {Object|null} team - From loadTeamInfo()
+ * @param {string} [fallbackName] - Shown as name when the team isn't in All Teams (e.g. "TBD")
+ * @param {Object} [extra] - Game- or row-specific values (seed, score, rank, ...)
+ */
+function teamTokens(team, fallbackName = "", extra = {}) {
+  return {
+    name: team ? team.teamName : fallbackName,
+    city: team ? team.teamCity || "" : "",
+    fullTeam: team ? team.fullTeam : fallbackName,
+    abb: team ? team.abb || "" : "",
+    color: team ? team.color1 || "" : "",
+    conf: team ? team.conf || "" : "",
+    div: team ? team.div || "" : "",
+    ...extra
+  };
+}
+
+/**
+ * Token values for one game: {{game.round}}, {{game.series}}, {{team1.city}}, {{team2.score}}, ...
+ * game keeps every schedule field ({{game | date:short}} formats its date).
+ * @param {Object} game - From loadSchedule()
+ * @param {Array} teams - From loadTeamInfo()
+ * @param {Object} [extra] - Values the feature worked out for the game (series status, time text)
+ */
+function gameTokens(game, teams, extra = {}) {
+  const side = (name, seed, score) => teamTokens(findTeam(teams, name), String(name || "TBD"), { seed: seed ?? "", score: score ?? "" });
+  return {
+    game: { ...game, ...extra },
+    team1: side(game.team1, game.seed1, game.score1),
+    team2: side(game.team2, game.seed2, game.score2)
+  };
+}
+
+// All Teams row by full or short team name, ignoring case
+function findTeam(teams, name) {
+  const key = String(name || "").trim().toUpperCase();
+  if (!key) return null;
+  return (teams || []).find((t) =>
+    String(t.fullTeam || "").trim().toUpperCase() === key || String(t.teamName || "").trim().toUpperCase() === key) || null;
+}
+
+function readText(layer) {
+  try {
+    if (!layer.textItem) return null;
+    const contents = layer.textItem.contents;
+    return typeof contents === "string" ? contents : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  applyTokens,
+  restoreTokens,
+  fillTokens,
+  teamTokens,
+  gameTokens,
+  findTeam
+};
@@ -0,0 +1,202 @@
+// ========== TIEBREAKERS ==========
+// Orders standings rows within each division using an ordered list of rules and
+// explains which rule separated every pair of teams that finished level on the first rule.
+//
+// Rules (league.json "standings.tiebreakers", in order):
+//   "points"          – PTS
+//   "pointsPct"       – P%
+//   "regulationWins"  – W
+//   "headToHead"      – points earned in games between the tied teams (from the schedule)
+//   "goalDiff"        – DIFF (GF - GA)
+//   "goalsFor"        – GF
+//   "manual"          – position in "standings.manualOrder" (listed teams first, in list order)
+//   "coinFlip"        – seeded random draw, stable between runs of the same season
+// Teams still level after every rule fall back to alphabetical order.
+// Teams only a draw rule (coinFlip or the alphabetical fallback) could split are shown
+// as tied: rankLabel "T-2" (see utils/competitionRank.js); rank stays their position.
+
+const { competitionRanks } = require("./competitionRank.js");
+
+const DEFAULT_TIEBREAKERS = ["points", "pointsPct", "regulationWins", "headToHead", "goalDiff", "goalsFor", "coinFlip"];
+
+// Rules that split teams without a sporting reason
+const DRAW_RULES = ["coinFlip", "name"];
+
+const RULE_LABELS = {
+  points: "points",
+  pointsPct: "points percentage",
+  regulationWins: "regulation wins",
+  headToHead: "head-to-head points",
+  goalDiff: "goal differential",
+  goalsFor: "goals for",
+  manual: "manual order",
+  coinFlip: "coin flip",
+  name: "alphabetical order"
+};
+
+/**
+ * Order standings rows within each division and set their rank and rankLabel.
+ * @param {Array} rows - Standings rows ({ fullTeam, div, pts, pct, w, diff, gf, ga, ... })
+ * @param {Object} [options]
+ * @param {string[]} [options.rules] - Rule names in order (defaults to DEFAULT_TIEBREAKERS)
+ * @param {Array} [options.schedule] - Game objects from loadSchedule(), needed for "headToHead"
+ * @param {Object} [options.points] - Point table for head-to-head games (see standingsEngine.DEFAULT_POINTS)
+ * @param {number|null} [options.throughWeek=null] - Ignore head-to-head games after this week
+ *   (standings computed for an earlier week)
+ * @param {string[]} [options.manualOrder] - Team names for the "manual" rule
+ * @param {string} [options.seed] - Seed for "coinFlip" (e.g. league key + season)
+ * @returns {{rows: Array, explanations: Array<{div: string, higher: string, lower: string, rule: string, text: string}>}}
+ */
+function rankStandings(rows, options = {}) {
+  const rules = normalizeRules(options.rules);
+  const explanations = [];
+  const ordered = [];
+
+  const byDiv = {};
+  for (const row of rows || []) (byDiv[row.div] = byDiv[row.div] || []).push(row);
+
+  for (const div in byDiv) {
+    const divExplanations = [];
+    const level = new Map();
+    const divOrder = orderGroup(byDiv[div], 0, rules, options, (higher, lower, rule, detail) => {
+      const text = `${higher.fullTeam} over ${lower.fullTeam}: ${RULE_LABELS[rule]}${detail ? ` (${detail})` : ""}`;
+      divExplanations.push({ div, higher: higher.fullTeam, lower: lower.fullTeam, rule, text });
+    }, level);
+    const ranks = competitionRanks(divOrder, (a, b) => level.has(a) && level.get(a) === level.get(b));
+    divOrder.forEach((row, i) => {
+      row.rank = String(i + 1);
+      row.rankLabel = ranks[i].label;
+      ordered.push(row);
+    });
+
+    // List explanations top to bottom of the standings
+    const position = (name) => divOrder.findIndex((row) => row.fullTeam === name);
+    explanations.push(...divExplanations.sort((a, b) => position(a.higher) - position(b.higher)));
+  }
+
+  return { rows: ordered, explanations };
+}
+
+function normalizeRules(rules) {
+  const list = Array.isArray(rules) && rules.length ? rules : DEFAULT_TIEBREAKERS;
+  const known = list.map((r) => String(r || "").trim()).filter((r) => RULE_LABELS[r] && r !== "name");
+  return known.concat("name");
+}
+
+// Split the group into tiers with the rule at ruleIdx, order each tier with the
+// remaining rules, and report the rule that separated neighbouring tiers.
+// Groups that get as far as a draw rule are recorded in `level` (row -> group).
+function orderGroup(group, ruleIdx, rules, options, explain, level) {
+  if (group.length <= 1 || ruleIdx >= rules.length) return group.slice();
+
+  const rule = rules[ruleIdx];
+  if (DRAW_RULES.includes(rule) && !level.has(group[0])) {
+    const id = {};
+    for (const row of group) level.set(row, id);
+  }
+  const scores = scoreGroup(group, rule, options);
+  const tiers = [];
+  for (const row of group.slice().sort((a, b) => scores.get(b) - scores.get(a))) {
+    const last = tiers[tiers.length - 1];
+    if (last && scores.get(last[0]) === scores.get(row)) last.push(row);
+    else tiers.push([row]);
+  }
+
+  const result = [];
+  tiers.forEach((tier, i) => {
+    const orderedTier = orderGroup(tier, ruleIdx + 1, rules, options, explain, level);
+    // Only ties on the first rule need an explanation; separation by the first rule is self-evident
+    if (i > 0 && ruleIdx > 0) {
+      const higher = result[result.length - 1];
+      const lower = orderedTier[0];
+      explain(higher, lower, rule, describe(rule, scores.get(higher), scores.get(lower)));
+    }
+    result.push(...orderedTier);
+  });
+  return result;
+}
+
+// Map of row -> number where higher is better
+function scoreGroup(group, rule, options) {
+  const scores = new Map();
+  const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+  if (rule === "headToHead") {
+    const h2h = headToHeadPoints(group, options.schedule, options.points, options.throughWeek);
+    for (const row of group) scores.set(row, h2h[row.fullTeam] || 0);
+    return scores;
+  }
+
+  for (const row of group) {
+    let value = 0;
+    if (rule === "points") value = num(row.pts);
+    else if (rule === "pointsPct") value = num(String(row.pct || "").replace(/%$/, ""));
+    else if (rule === "regulationWins") value = num(row.w);
+    else if (rule === "goalDiff") value = row.diff !== undefined && row.diff !== "" ? num(row.diff) : num(row.gf) - num(row.ga);
+    else if (rule === "goalsFor") value = num(row.gf);
+    else if (rule === "manual") value = manualScore(row, options.manualOrder);
+    else if (rule === "coinFlip") value = seededDraw(`${options.seed || ""}|${row.fullTeam}`);
+    else if (rule === "name") value = -group.map((r) => r.fullTeam).sort().indexOf(row.fullTeam);
+    scores.set(row, value);
+  }
+  return scores;
+}
+
+// Points each team earned in final games between teams of the group (up to throughWeek)
+function headToHeadPoints(group, schedule, points, throughWeek = null) {
+  const table = { win: 2, otWin: 2, otLoss: 1, loss: 0, tie: 1, ...(points || {}) };
+  const names = new Set(group.map((r) => r.fullTeam));
+  const lastWeek = throughWeek === null || throughWeek === undefined ? null : Number(throughWeek);
+  const totals = {};
+
+  for (const game of schedule || []) {
+    if (!names.has(game.team1) || !names.has(game.team2)) continue;
+    if (String(game.gameType || "").trim().toUpperCase() === "PLAYOFFS") continue;
+    if (lastWeek !== null && Number(game.week) > lastWeek) continue;
+    const s1 = String(game.score1 ?? "").trim();
+    const s2 = String(game.score2 ?? "").trim();
+    if (s1 === "" || s2 === "" || !Number.isFinite(Number(s1)) || !Number.isFinite(Number(s2))) continue;
+
+    const overtime = /\b(OT|SO|OVERTIME|SHOOTOUT)\b/i.test(String(game.status || "").replace(/[/_-]/g, " "));
+    totals[game.team1] = (totals[game.team1] || 0) + resultPoints(Number(s1), Number(s2), overtime, table);
+    totals[game.team2] = (totals[game.team2] || 0) + resultPoints(Number(s2), Number(s1), overtime, table);
+  }
+  return totals;
+}
+
+function resultPoints(goalsFor, goalsAgainst, overtime, table) {
+  if (goalsFor === goalsAgainst) return table.tie;
+  if (goalsFor > goalsAgainst) return overtime ? table.otWin : table.win;
+  return overtime ? table.otLoss : table.loss;
+}
+
+function manualScore(row, manualOrder) {
+  const list = (manualOrder || []).map((n) => String(n || "").trim().toUpperCase());
+  const idx = list.indexOf(String(row.fullTeam || "").trim().toUpperCase());
+  return idx < 0 ? -list.length - 1 : -idx;
+}
+
+// Deterministic 0..1 draw from a string (FNV-1a hash)
+function seededDraw(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash / 0xffffffff;
+}
+
+function describe(rule, higherScore, lowerScore) {
+  if (rule === "coinFlip" || rule === "manual" || rule === "name") return "";
+  if (rule === "pointsPct") return `${higherScore.toFixed(3)} vs ${lowerScore.toFixed(3)}`;
+  if (rule === "goalDiff") {
+    const signed = (v) => (v > 0 ? `+${v}` : String(v));
+    return `${signed(higherScore)} vs ${signed(lowerScore)}`;
+  }
+  return `${higherScore} vs ${lowerScore}`;
+}
+
+module.exports = {
+  DEFAULT_TIEBREAKERS,
+  rankStandings
+};
@@ -0,0 +1,194 @@
+// ========== WEEKLY SHEETS ==========
+// Shared parsing for the small per-week sheets (HAVE A DAY PLAYER / GOALIE, TOP PLAYS,
+// and any new one added as a column in the master league sheet, e.g. "THREE STARS").
+// They all look alike:
+//   CURRENT WEEK: 3            <- metadata rows ("LABEL: value", or "LABEL:" | value)
+//   WEEK | FIRST NAME | TEAM   <- header row, found by headerColumns
+//   ...data rows
+// A definition maps output fields to the header names (aliases) that may hold them:
+//   { headerColumns: ["WEEK", "FIRST NAME"], fields: { firstName: ["FIRST NAME", "FIRST"],
+//     goals: { columns: ["GOALS", "G"], type: "number" }, teamName: { columns: ["TEAM"], type: "team" } } }
+// Field types: "text" (default, the raw cell), "number" (Number, blank -> 0) and
+// "team" (run through the team resolver by leagueConfig). Sheets without a definition
+// (built-in or league.json "weeklySheets") get one field per header column.
+
+const WEEKLY_SHEET_DEFINITIONS = {
+  "HAVE A DAY PLAYER": {
+    headerColumns: ["WEEK", "FIRST NAME", "LAST NAME"],
+    fields: {
+      week: { columns: ["WEEK"], type: "number" },
+      firstName: ["FIRST NAME", "FIRST"],
+      lastName: ["LAST NAME", "LAST"],
+      number: ["NUMBER", "#", "NO", "NO."],
+      teamName: { columns: ["TEAM", "TEAM NAME"], type: "team" },
+      division: ["DIVISION", "DIV"],
+      goals: { columns: ["GOALS", "G"], type: "number" },
+      assists: { columns: ["ASSISTS", "A"], type: "number" },
+      points: { columns: ["POINTS", "PTS"], type: "number" },
+      wins: { columns: ["WINS", "W"], type: "number" }
+    }
+  },
+  "HAVE A DAY GOALIE": {
+    headerColumns: ["WEEK", "FIRST NAME", "LAST NAME"],
+    fields: {
+      week: { columns: ["WEEK"], type: "number" },
+      firstName: ["FIRST NAME", "FIRST"],
+      lastName: ["LAST NAME", "LAST"],
+      number: ["NUMBER", "#", "NO", "NO."],
+      teamName: { columns: ["TEAM", "TEAM NAME"], type: "team" },
+      division: ["DIVISION", "DIV"],
+      gp: { columns: ["GP", "GAMES PLAYED"], type: "number" },
+      gaa: ["GAA"],
+      wins: { columns: ["WINS", "W"], type: "number" }
+    }
+  },
+  "TOP PLAYS": {
+    headerColumns: ["RANK", "NAMES", "TEAM"],
+    fields: {
+      rank: ["RANK", "#"],
+      names: ["NAMES", "NAME"],
+      teamName: { columns: ["TEAM", "TEAM NAME"], type: "team" },
+      divAbb: ["DIVISION ABB", "DIVISION ABB.", "DIV ABB", "DIVISION", "DIV"]
+    }
+  }
+};
+
+// Header names that hold a team in auto-generated definitions
+const TEAM_HEADERS = ["TEAM", "TEAM NAME"];
+
+const METADATA_PATTERN = /^\s*([^:]+?)\s*:\s*(.*?)\s*$/;
+
+/** Trimmed, upper-case header text; how headers and aliases are compared */
+function normalizeHeader(value) {
+  return String(value || "").trim().toUpperCase();
+}
+
+/**
+ * Definition for a weekly sheet: league.json "weeklySheets" entry, else the built-in one.
+ * @param {string} sheetName
+ * @param {Object} [overrides] - league.json "weeklySheets" ({ "THREE STARS": { headerColumns, fields } })
+ * @returns {{headerColumns: string[]|null, fields: Object|null}} fields null means "every header column"
+ */
+function getWeeklySheetDefinition(sheetName, overrides = {}) {
+  const key = normalizeHeader(sheetName);
+  const customKey = Object.keys(overrides || {}).find((name) => normalizeHeader(name) === key);
+  const custom = customKey ? overrides[customKey] : null;
+  const builtIn = WEEKLY_SHEET_DEFINITIONS[key] || {};
+  return {
+    headerColumns: (custom && custom.headerColumns) || builtIn.headerColumns || null,
+    fields: (custom && custom.fields) || builtIn.fields || null
+  };
+}
+
+/**
+ * Index of the header row: the first row holding every headerColumn, or (without
+ * headerColumns) the first row with two or more cells that aren't "LABEL: value" metadata.
+ * @returns {number} -1 when no row qualifies
+ */
+function findHeaderRow(rows, headerColumns) {
+  const required = (headerColumns || []).map(normalizeHeader);
+  for (let i = 0; i < (rows || []).length; i++) {
+    const cells = (rows[i] || []).map(normalizeHeader).filter(Boolean);
+    if (required.length) {
+      if (required.every((name) => cells.includes(name))) return i;
+    } else if (cells.length >= 2 && !cells.some((cell) => cell.includes(":"))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * "LABEL: value" pairs from the rows above the header. The value can share the
+ * label's cell ("CURRENT WEEK: 3") or sit in the next non-empty cell ("CURRENT WEEK:" | "3").
+ * @returns {Object} Upper-case label -> value text, e.g. { "CURRENT WEEK": "3" }
+ */
+function readMetadata(rows, headerIdx) {
+  const metadata = {};
+  for (let i = 0; i < headerIdx; i++) {
+    const cells = (rows[i] || []).map((v) => String(v || "").trim());
+    for (let c = 0; c < cells.length; c++) {
+      const match = cells[c].match(METADATA_PATTERN);
+      if (!match) continue;
+      const label = normalizeHeader(match[1]);
+      let value = match[2];
+      if (!value) {
+        const next = cells.slice(c + 1).find(Boolean);
+        value = next && !METADATA_PATTERN.test(next) ? next : "";
+      }
+      if (label && !(label in metadata)) metadata[label] = value;
+    }
+  }
+  return metadata;
+}
+
+/** Week number from metadata ("CURRENT WEEK", spacing ignored), 0 when absent */
+function metadataWeek(metadata) {
+  const label = Object.keys(metadata || {}).find((key) => key.replace(/\s+/g, "").endsWith("CURRENTWEEK"));
+  const match = label ? String(metadata[label]).match(/-?\d+/) : null;
+  return match ? Number(match[0]) : 0;
+}
+
+/**
+ * Build a reader that turns a data row into a record keyed by field name.
+ * @param {string[]} headerRow
+ * @param {Object|null} fields - Definition fields, or null for one text field per header
+ *   (camelCased header, with TEAM / TEAM NAME becoming a "team" field named teamName)
+ * @returns {{read: function(string[]): Object, teamFields: string[]}}
+ */
+function createRowReader(headerRow, fields) {
+  const headerIndex = {};
+  (headerRow || []).forEach((header, i) => {
+    const key = normalizeHeader(header);
+    if (key && headerIndex[key] === undefined) headerIndex[key] = i;
+  });
+
+  const specs = Object.entries(fields || autoFields(headerRow)).map(([name, spec]) => {
+    const columns = Array.isArray(spec) ? spec : spec.columns || [];
+    const type = Array.isArray(spec) ? "text" : spec.type || "text";
+    const idx = columns.map((c) => headerIndex[normalizeHeader(c)]).find((i) => i !== undefined);
+    return { name, type, idx };
+  });
+
+  function read(row) {
+    const record = {};
+    for (const { name, type, idx } of specs) {
+      const raw = idx === undefined ? "" : (row[idx] ?? "");
+      record[name] = type === "number" ? Number(raw || 0) : raw;
+    }
+    return record;
+  }
+
+  return { read, teamFields: specs.filter((s) => s.type === "team").map((s) => s.name) };
+}
+
+function autoFields(headerRow) {
+  const fields = {};
+  for (const header of headerRow || []) {
+    const key = normalizeHeader(header);
+    if (!key) continue;
+    if (TEAM_HEADERS.includes(key)) {
+      if (!fields.teamName) fields.teamName = { columns: TEAM_HEADERS, type: "team" };
+      continue;
+    }
+    const name = camelCase(key);
+    if (name && !fields[name]) fields[name] = [key];
+  }
+  return fields;
+}
+
+// "FIRST NAME" -> "firstName", "PTS/GP" -> "ptsGp"
+function camelCase(text) {
+  const words = String(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  return words.map((w, i) => (i === 0 ? w : w[0].toUpperCase() + w.slice(1))).join("");
+}
+
+module.exports = {
+  WEEKLY_SHEET_DEFINITIONS,
+  normalizeHeader,
+  getWeeklySheetDefinition,
+  findHeaderRow,
+  readMetadata,
+  metadataWeek,
+  createRowReader
+};
@@ -0,0 +1,415 @@
+// ========== XLSX READER ==========
+// Minimal, dependency-free reader for .xlsx workbooks (UXP has no bundler, so we
+// can't pull in a spreadsheet library). Reads the zip container, inflates the
+// parts we need and turns each worksheet into rows of strings, the same shape
+// parseCSV() returns.
+//
+// Supported: shared/inline strings, numbers, booleans, formula results (cached
+// values) and date/time cells (rendered as M/D/YYYY and h:mm AM/PM).
+// Not supported: encrypted workbooks, merged-cell filling, rich formatting.
+
+/**
+ * Read all worksheets from an .xlsx file.
+ * @param {ArrayBuffer|Uint8Array} data - Raw file contents
+ * @returns {Array<{name: string, rows: string[][]}>} Sheets in workbook order
+ */
+function readWorkbook(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const entries = readZipEntries(bytes);
+  const readText = (path) => {
+    const entry = entries[path];
+    return entry ? decodeUtf8(extractZipEntry(bytes, entry)) : "";
+  };
+
+  const workbookXml = readText("xl/workbook.xml");
+  if (!workbookXml) throw new Error("Not an .xlsx workbook (xl/workbook.xml missing).");
+
+  // rId -> worksheet path
+  const relTargets = {};
+  const relsXml = readText("xl/_rels/workbook.xml.rels");
+  for (const rel of matchTags(relsXml, "Relationship")) {
+    const id = getAttr(rel, "Id");
+    let target = getAttr(rel, "Target");
+    if (!id || !target) continue;
+    target = target.replace(/^\//, "");
+    relTargets[id] = target.startsWith("xl/") ? target : `xl/${target}`;
+  }
+
+  const sharedStrings = parseSharedStrings(readText("xl/sharedStrings.xml"));
+  const dateStyles = parseDateStyles(readText("xl/styles.xml"));
+
+  const sheets = [];
+  for (const sheetTag of matchTags(workbookXml, "sheet")) {
+    const name = decodeXml(getAttr(sheetTag, "name"));
+    const relId = getAttr(sheetTag, "r:id");
+    const path = relTargets[relId];
+    if (!name || !path) continue;
+    sheets.push({ name, rows: parseWorksheet(readText(path), sharedStrings, dateStyles) });
+  }
+  return sheets;
+}
+
+// ===== Worksheet XML =====
+
+function parseSharedStrings(xml) {
+  const strings = [];
+  const siRegex = /<si>([\s\S]*?)<\/si>/g;
+  let m;
+  while ((m = siRegex.exec(xml))) {
+    strings.push(collectText(m[1]));
+  }
+  return strings;
+}
+
+// Concatenate every <t> run inside a string item (handles rich text runs)
+function collectText(xml) {
+  let text = "";
+  const tRegex = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let m;
+  while ((m = tRegex.exec(xml))) text += decodeXml(m[1]);
+  return text;
+}
+
+function parseWorksheet(xml, sharedStrings, dateStyles) {
+  const rows = [];
+  const rowRegex = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  while ((rowMatch = rowRegex.exec(xml))) {
+    const rowNumber = Number(getAttr(rowMatch[1], "r")) || rows.length + 1;
+    // Keep sheet row positions (loaders index some metadata rows directly)
+    while (rows.length < rowNumber - 1) rows.push([]);
+
+    const cells = [];
+    const cellRegex = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    const rowXml = rowMatch[2] || "";
+    while ((cellMatch = cellRegex.exec(rowXml))) {
+      const attrs = cellMatch[1];
+      const inner = cellMatch[2] || "";
+      const ref = getAttr(attrs, "r");
+      const colIdx = ref ? columnIndex(ref) : cells.length;
+      while (cells.length < colIdx) cells.push("");
+      cells[colIdx] = cellValue(attrs, inner, sharedStrings, dateStyles);
+    }
+    while (cells.length && cells[cells.length - 1] === "") cells.pop();
+    rows.push(cells);
+  }
+
+  // Match parseCSV(): drop completely blank rows at the end
+  while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+  return rows;
+}
+
+function cellValue(attrs, inner, sharedStrings, dateStyles) {
+  const type = getAttr(attrs, "t");
+  const vMatch = inner.match(/<v>([\s\S]*?)<\/v>/);
+  const raw = vMatch ? decodeXml(vMatch[1]) : "";
+
+  if (type === "s") return String(sharedStrings[Number(raw)] ?? "").trim();
+  if (type === "inlineStr") return collectText(inner).trim();
+  if (type === "b") return raw === "1" ? "TRUE" : "FALSE";
+  if (type === "str" || type === "e") return raw.trim();
+
+  const styleIdx = Number(getAttr(attrs, "s"));
+  if (raw !== "" && dateStyles.has(styleIdx)) return formatSerialDate(Number(raw));
+  return raw.trim();
+}
+
+function columnIndex(ref) {
+  const letters = String(ref).match(/^[A-Z]+/i);
+  if (!letters) return 0;
+  let idx = 0;
+  for (const ch of letters[0].toUpperCase()) idx = idx * 26 + (ch.charCodeAt(0) - 64);
+  return idx - 1;
+}
+
+// ===== Dates =====
+
+// Built-in number formats that are dates/times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/** Returns the set of cellXfs indexes whose number format is a date or time. */
+function parseDateStyles(xml) {
+  const customDateFormats = new Set();
+  for (const fmt of matchTags(xml, "numFmt")) {
+    const code = decodeXml(getAttr(fmt, "formatCode")).replace(/"[^"]*"|\[[^\]]*\]/g, "");
+    if (/[dmyhs]/i.test(code)) customDateFormats.add(Number(getAttr(fmt, "numFmtId")));
+  }
+
+  const dateStyles = new Set();
+  const xfsMatch = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (!xfsMatch) return dateStyles;
+  const xfs = matchTags(xfsMatch[1], "xf");
+  for (let i = 0; i < xfs.length; i++) {
+    const id = Number(getAttr(xfs[i], "numFmtId"));
+    if (BUILTIN_DATE_FORMATS.has(id) || customDateFormats.has(id)) dateStyles.add(i);
+  }
+  return dateStyles;
+}
+
+// Excel serial date (1900 system) -> "M/D/YYYY", "h:mm AM" or both
+function formatSerialDate(serial) {
+  if (!Number.isFinite(serial)) return "";
+  const days = Math.floor(serial);
+  const fraction = serial - days;
+
+  let datePart = "";
+  if (days > 0) {
+    const d = new Date(Date.UTC(1899, 11, 30) + days * 86400000);
+    datePart = `${d.getUTCMonth() + 1}/${d.getUTCDate()}/${d.getUTCFullYear()}`;
+  }
+
+  let timePart = "";
+  if (fraction > 0) {
+    const totalMinutes = Math.round(fraction * 24 * 60);
+    const h24 = Math.floor(totalMinutes / 60) % 24;
+    const minutes = totalMinutes % 60;
+    const h12 = h24 % 12 === 0 ? 12 : h24 % 12;
+    timePart = `${h12}:${String(minutes).padStart(2, "0")} ${h24 < 12 ? "AM" : "PM"}`;
+  }
+
+  return [datePart, timePart].filter(Boolean).join(" ");
+}
+
+// ===== XML helpers =====
+
+function matchTags(xml, tagName) {
+  const regex = new RegExp(`<${tagName}\\b[^>]*?\\/?>`, "g");
+  return String(xml || "").match(regex) || [];
+}
+
+function getAttr(tag, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const m = String(tag || "").match(new RegExp(`(?:^|\\s)${escaped}="([^"]*)"`));
+  return m ? m[1] : "";
+}
+
+function decodeXml(value) {
+  return String(value || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function decodeUtf8(bytes) {
+  if (typeof TextDecoder !== "undefined") return new TextDecoder("utf-8").decode(bytes);
+  let out = "";
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes[i];
+    if (b < 0x80) out += String.fromCharCode(b);
+    else if (b < 0xe0) out += String.fromCharCode(((b & 0x1f) << 6) | (bytes[++i] & 0x3f));
+    else if (b < 0xf0) out += String.fromCharCode(((b & 0x0f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f));
+    else {
+      const cp = ((b & 0x07) << 18) | ((bytes[++i] & 0x3f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+      out += String.fromCodePoint(cp);
+    }
+  }
+  return out;
+}
+
+// ===== Zip container =====
+
+function readUint16(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readUint32(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+// Parse the central directory: path -> { method, compressedSize, localOffset }
+function readZipEntries(bytes) {
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (readUint32(bytes, i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a zip file (end of central directory not found).");
+
+  const count = readUint16(bytes, eocd + 10);
+  let offset = readUint32(bytes, eocd + 16);
+  const entries = {};
+
+  for (let n = 0; n < count; n++) {
+    if (readUint32(bytes, offset) !== 0x02014b50) throw new Error("Corrupt zip central directory.");
+    const method = readUint16(bytes, offset + 10);
+    const compressedSize = readUint32(bytes, offset + 20);
+    const nameLength = readUint16(bytes, offset + 28);
+    const extraLength = readUint16(bytes, offset + 30);
+    const commentLength = readUint16(bytes, offset + 32);
+    const localOffset = readUint32(bytes, offset + 42);
+    const name = decodeUtf8(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries[name] = { method, compressedSize, localOffset };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function extractZipEntry(bytes, entry) {
+  const { localOffset, compressedSize, method } = entry;
+  if (readUint32(bytes, localOffset) !== 0x04034b50) throw new Error("Corrupt zip local header.");
+  const dataStart = localOffset + 30 + readUint16(bytes, localOffset + 26) + readUint16(bytes, localOffset + 28);
+  const data = bytes.subarray(dataStart, dataStart + compressedSize);
+  if (method === 0) return data;
+  if (method === 8) return inflateRaw(data);
+  throw new Error(`Unsupported zip compression method ${method}.`);
+}
+
+// ===== DEFLATE (RFC 1951) decoder =====
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Canonical Huffman table: counts per bit length + symbols sorted by code
+function buildHuffman(lengths) {
+  const counts = new Uint16Array(16);
+  for (let i = 0; i < lengths.length; i++) counts[lengths[i]]++;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+  const symbols = new Uint16Array(lengths.length);
+  for (let i = 0; i < lengths.length; i++) {
+    if (lengths[i]) symbols[offsets[lengths[i]]++] = i;
+  }
+  return { counts, symbols };
+}
+
+function inflateRaw(input) {
+  let out = new Uint8Array(Math.max(1024, input.length * 4));
+  let outLen = 0;
+  let pos = 0;
+  let bitBuf = 0;
+  let bitCount = 0;
+
+  const ensure = (extra) => {
+    if (outLen + extra <= out.length) return;
+    let size = out.length * 2;
+    while (size < outLen + extra) size *= 2;
+    const bigger = new Uint8Array(size);
+    bigger.set(out.subarray(0, outLen));
+    out = bigger;
+  };
+
+  const bits = (n) => {
+    while (bitCount < n) {
+      if (pos >= input.length) throw new Error("Unexpected end of compressed data.");
+      bitBuf |= input[pos++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCount -= n;
+    return value;
+  };
+
+  const decodeSymbol = (table) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= bits(1);
+      const count = table.counts[len];
+      if (code - first < count) return table.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Invalid Huffman code in compressed data.");
+  };
+
+  let fixedLit = null;
+  let fixedDist = null;
+  let isFinal = 0;
+
+  while (!isFinal) {
+    isFinal = bits(1);
+    const type = bits(2);
+
+    if (type === 0) {
+      // Stored block: skip to byte boundary
+      bitBuf = 0;
+      bitCount = 0;
+      const len = readUint16(input, pos);
+      pos += 4;
+      ensure(len);
+      out.set(input.subarray(pos, pos + len), outLen);
+      outLen += len;
+      pos += len;
+      continue;
+    }
+
+    let litTable;
+    let distTable;
+    if (type === 1) {
+      if (!fixedLit) {
+        const lengths = new Uint8Array(288);
+        lengths.fill(8, 0, 144);
+        lengths.fill(9, 144, 256);
+        lengths.fill(7, 256, 280);
+        lengths.fill(8, 280, 288);
+        fixedLit = buildHuffman(lengths);
+        fixedDist = buildHuffman(new Uint8Array(30).fill(5));
+      }
+      litTable = fixedLit;
+      distTable = fixedDist;
+    } else if (type === 2) {
+      const hlit = bits(5) + 257;
+      const hdist = bits(5) + 1;
+      const hclen = bits(4) + 4;
+      const codeLengths = new Uint8Array(19);
+      for (let i = 0; i < hclen; i++) codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+      const codeTable = buildHuffman(codeLengths);
+
+      const lengths = new Uint8Array(hlit + hdist);
+      for (let i = 0; i < hlit + hdist;) {
+        const sym = decodeSymbol(codeTable);
+        if (sym < 16) {
+          lengths[i++] = sym;
+        } else if (sym === 16) {
+          const prev = lengths[i - 1];
+          for (let r = 3 + bits(2); r > 0; r--) lengths[i++] = prev;
+        } else if (sym === 17) {
+          i += 3 + bits(3);
+        } else {
+          i += 11 + bits(7);
+        }
+      }
+      litTable = buildHuffman(lengths.subarray(0, hlit));
+      distTable = buildHuffman(lengths.subarray(hlit));
+    } else {
+      throw new Error("Invalid DEFLATE block type.");
+    }
+
+    for (;;) {
+      const sym = decodeSymbol(litTable);
+      if (sym < 256) {
+        ensure(1);
+        out[outLen++] = sym;
+      } else if (sym === 256) {
+        break;
+      } else {
+        const li = sym - 257;
+        const length = LENGTH_BASE[li] + bits(LENGTH_EXTRA[li]);
+        const di = decodeSymbol(distTable);
+        const distance = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+        ensure(length);
+        for (let k = 0; k < length; k++) {
+          out[outLen] = out[outLen - distance];
+          outLen++;
+        }
+      }
+    }
+  }
+
+  return out.subarray(0, outLen);
+}
+
+module.exports = {
+  readWorkbook
+};